@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./interfaces/IInterestRateModel.sol";
+
+/**
+ * @title KinkedInterestRateModel
+ * @dev Utilization-based borrow rate with a kink: the rate grows slowly up to the
+ * optimal utilization and steeply above it, to pull utilization back down.
+ * All rates are per week and scaled by 1e18 (1e18 = 100%).
+ */
+contract KinkedInterestRateModel is IInterestRateModel {
+    uint256 public constant RATE_PRECISION = 1e18;
+
+    uint256 public immutable baseRate;
+    uint256 public immutable slope1;
+    uint256 public immutable slope2;
+    uint256 public immutable optimalUtilization;
+
+    constructor(
+        uint256 _baseRate,
+        uint256 _slope1,
+        uint256 _slope2,
+        uint256 _optimalUtilization
+    ) {
+        require(
+            _optimalUtilization > 0 && _optimalUtilization < RATE_PRECISION,
+            "Invalid optimal utilization"
+        );
+
+        baseRate = _baseRate;
+        slope1 = _slope1;
+        slope2 = _slope2;
+        optimalUtilization = _optimalUtilization;
+    }
+
+    /**
+     * @dev Share of the liquidity that is borrowed
+     * @param cash Loan tokens available in the protocol
+     * @param borrows Loan tokens currently borrowed
+     * @return utilization Utilization scaled by 1e18 (1e18 = 100%)
+     */
+    function utilizationRate(uint256 cash, uint256 borrows) public pure returns (uint256 utilization) {
+        if (borrows == 0) {
+            return 0;
+        }
+        return (borrows * RATE_PRECISION) / (cash + borrows);
+    }
+
+    /**
+     * @dev Get the current borrow rate
+     * @param cash Loan tokens available in the protocol
+     * @param borrows Loan tokens currently borrowed
+     * @return rate Borrow rate per week, scaled by 1e18
+     */
+    function getBorrowRate(uint256 cash, uint256 borrows) external view override returns (uint256 rate) {
+        uint256 utilization = utilizationRate(cash, borrows);
+
+        if (utilization <= optimalUtilization) {
+            return baseRate + (utilization * slope1) / optimalUtilization;
+        }
+
+        uint256 excessUtilization = utilization - optimalUtilization;
+        return baseRate + slope1 + (excessUtilization * slope2) / (RATE_PRECISION - optimalUtilization);
+    }
+}
@@ -2,242 +2,1460 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "./interfaces/IPriceOracle.sol";
+import "./interfaces/IInterestRateModel.sol";
+import "./SupplyShareToken.sol";
 
 /**
  * @title LendingProtocol
- * @dev Decentralized lending protocol with collateral-backed loans
+ * @dev Decentralized lending protocol with collateral-backed loans and ERC-3156 flash loans.
+ * Deployed behind a UUPS proxy: state lives in the proxy and the owner can upgrade the
+ * implementation through the timelock. New state variables must only be appended after the existing ones.
  */
-contract LendingProtocol is Ownable, ReentrancyGuard {
+contract LendingProtocol is
+    Initializable,
+    OwnableUpgradeable,
+    UUPSUpgradeable,
+    ReentrancyGuardUpgradeable,
+    IERC3156FlashLender
+{
     using SafeERC20 for IERC20;
 
-    // Token contracts
-    IERC20 public immutable collateralToken;
-    IERC20 public immutable loanToken;
+    // Loan token contract
+    IERC20 public loanToken;
+    uint8 public loanDecimals;
 
-    // Protocol parameters
-    uint256 public constant COLLATERALIZATION_RATIO = 150; // 150%
-    uint256 public constant INTEREST_RATE = 5; // 5% per period
-    uint256 public constant PRECISION = 100;
+    // Price feed for collateral and loan tokens
+    IPriceOracle public priceOracle;
+
+    // Interest-bearing shares minted to lenders
+    SupplyShareToken public shareToken;
+
+    // Borrow rate model, queried on every interest accrual
+    IInterestRateModel public interestRateModel;
+
+    // Fixed units and limits
+    uint256 public constant PRECISION = 100; // Percentages below are expressed over PRECISION
+    uint256 public constant RATE_PRECISION = 1e18; // Interest rates, utilization and collateral factors (1e18 = 100%)
+    uint256 public constant INTEREST_PERIOD = 1 weeks; // Rates from the model are per week
+    uint256 public constant HEALTH_FACTOR_PRECISION = 1e18;
+    uint256 public constant MAX_PRICE_AGE = 1 days; // Prices older than this are rejected
+    uint256 public constant MAX_COLLATERAL_ASSETS = 10; // Bounds the gas of summing a position
+    uint256 public constant FLASH_FEE_PRECISION = 10000; // Flash loan fees are in basis points
+
+    // Return value expected from flash loan receivers
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    // Governed parameters, changed by the owner through the timelock
+    uint256 public liquidationBonus; // Extra collateral for liquidators, 5% at deployment
+    uint256 public closeFactor; // Max share of the debt repaid per liquidation, 50% at deployment
+    uint256 public flashLoanFee; // Basis points of the amount, 0.09% at deployment
+    uint256 public reserveFactor; // Share of interest going to protocol reserves, 10% at deployment
+
+    // Parameter identifiers for the timelock
+    bytes32 public constant PARAM_LIQUIDATION_BONUS = keccak256("LIQUIDATION_BONUS");
+    bytes32 public constant PARAM_CLOSE_FACTOR = keccak256("CLOSE_FACTOR");
+    bytes32 public constant PARAM_INTEREST_RATE_MODEL = keccak256("INTEREST_RATE_MODEL");
+    bytes32 public constant PARAM_FLASH_LOAN_FEE = keccak256("FLASH_LOAN_FEE");
+    bytes32 public constant PARAM_RESERVE_FACTOR = keccak256("RESERVE_FACTOR");
+
+    // Actions the guardian can pause; repaying and withdrawing always stay open
+    bytes32 public constant ACTION_DEPOSIT = keccak256("DEPOSIT"); // Collateral deposits and lender supply
+    bytes32 public constant ACTION_BORROW = keccak256("BORROW"); // Borrows and flash loans
+    bytes32 public constant ACTION_LIQUIDATE = keccak256("LIQUIDATE");
+
+    // Parameter bounds; a position at the maximum liquidation threshold can always pay
+    // the maximum liquidation bonus (0.9 * 1.1 < 1)
+    uint256 public constant MAX_LIQUIDATION_BONUS = 10;
+    uint256 public constant MAX_LIQUIDATION_THRESHOLD = 0.9e18;
+    uint256 public constant MIN_CLOSE_FACTOR = 10;
+    uint256 public constant MAX_CLOSE_FACTOR = 100;
+    uint256 public constant MAX_FLASH_LOAN_FEE = 100; // 1%
+    uint256 public constant MAX_RESERVE_FACTOR = 50;
+
+    // Delay between proposing a parameter change or an upgrade and being able to execute it
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+
+    struct PendingChange {
+        uint256 value;
+        uint256 executableAt; // 0 when nothing is pending
+    }
+
+    // Risk configuration of a supported collateral asset
+    struct CollateralConfig {
+        bool listed;
+        uint8 decimals;
+        uint256 collateralFactor; // Share of the value that can be borrowed against (1e18 = 100%)
+        uint256 liquidationThreshold; // Share of the value the debt may reach before liquidation (1e18 = 100%)
+    }
+
+    struct PendingUpgrade {
+        address implementation;
+        uint256 executableAt; // 0 when nothing is pending
+    }
+
+    struct PendingCollateralConfig {
+        uint256 collateralFactor;
+        uint256 liquidationThreshold;
+        uint256 executableAt; // 0 when nothing is pending
+    }
 
     // User data structure
     struct UserData {
-        uint256 collateralBalance;
-        uint256 loanBalance;
-        uint256 lastInterestUpdate;
-        uint256 accruedInterest;
+        uint256 loanBalance; // Principal borrowed and not yet repaid
+        uint256 scaledDebt; // Debt divided by the borrow index at the time it was taken
     }
 
+    // Collateral registry
+    mapping(address => CollateralConfig) public collateralConfigs;
+    mapping(address => PendingCollateralConfig) public pendingCollateralConfigs;
+    address[] public collateralAssets;
+
     // State variables
     mapping(address => UserData) public users;
-    uint256 public totalCollateral;
-    uint256 public totalLoans;
+    mapping(address => mapping(address => uint256)) public collateralBalances; // user => asset => amount
+    mapping(address => uint256) public totalCollateral; // asset => amount
+    mapping(address => mapping(address => uint256)) public borrowAllowance; // user => delegate => amount
+    uint256 public totalLoans; // Outstanding principal
+    uint256 public totalSupplied; // Loan tokens owed to lenders (supplied amount plus earned interest)
+    uint256 public totalReserves; // Loan tokens owned by the protocol: its share of interest plus flash loan fees
+
+    // Receiver of withdrawn reserves
+    address public treasury;
+
+    // Global interest accounting: debt = scaledDebt * borrowIndex / RATE_PRECISION
+    uint256 public borrowIndex;
+    uint256 public lastAccrualTime;
+    uint256 public totalScaledDebt;
+
+    // Queued parameter changes by parameter identifier
+    mapping(bytes32 => PendingChange) public pendingChanges;
+
+    // Account allowed to pause actions in an emergency
+    address public guardian;
+
+    // Paused state by ACTION_* identifier
+    mapping(bytes32 => bool) public actionPaused;
+
+    // Implementation queued for the next upgrade of the proxy
+    PendingUpgrade public pendingUpgrade;
 
     // Events
-    event CollateralDeposited(address indexed user, uint256 amount);
+    event CollateralDeposited(address indexed user, address indexed asset, uint256 amount);
     event LoanBorrowed(address indexed user, uint256 amount);
     event LoanRepaid(address indexed user, uint256 amount, uint256 interest);
-    event CollateralWithdrawn(address indexed user, uint256 amount);
+    event CollateralDepositedFor(address indexed payer, address indexed user, address indexed asset, uint256 amount);
+    event LoanRepaidFor(address indexed payer, address indexed user, uint256 amount);
+    event BorrowDelegationApproved(address indexed user, address indexed delegate, uint256 amount);
+    event DelegatedBorrow(address indexed user, address indexed delegate, uint256 amount);
+    event CollateralWithdrawn(address indexed user, address indexed asset, uint256 amount);
+    event Supplied(address indexed supplier, uint256 amount, uint256 shares);
+    event Redeemed(address indexed supplier, uint256 shares, uint256 amount);
+    event InterestRateModelUpdated(address indexed oldModel, address indexed newModel);
+    event InterestAccrued(uint256 borrowIndex, uint256 interestAccrued, uint256 totalDebt);
+    event ParameterChangeProposed(bytes32 indexed parameter, uint256 value, uint256 executableAt);
+    event ParameterChangeExecuted(bytes32 indexed parameter, uint256 oldValue, uint256 newValue);
+    event ParameterChangeCancelled(bytes32 indexed parameter);
+    event UpgradeProposed(address indexed implementation, uint256 executableAt);
+    event UpgradeCancelled(address indexed implementation);
+    event CollateralListed(address indexed asset, uint256 collateralFactor, uint256 liquidationThreshold);
+    event CollateralConfigProposed(
+        address indexed asset,
+        uint256 collateralFactor,
+        uint256 liquidationThreshold,
+        uint256 executableAt
+    );
+    event CollateralConfigUpdated(address indexed asset, uint256 collateralFactor, uint256 liquidationThreshold);
+    event CollateralConfigCancelled(address indexed asset);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event ReservesWithdrawn(address indexed treasury, uint256 amount);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event ActionPaused(bytes32 indexed action, address indexed account);
+    event ActionUnpaused(bytes32 indexed action);
+    event FlashLoan(address indexed receiver, address indexed token, uint256 amount, uint256 fee);
+    event Liquidated(
+        address indexed user,
+        address indexed liquidator,
+        address indexed collateralAsset,
+        uint256 debtRepaid,
+        uint256 collateralSeized
+    );
+
+    modifier onlyGuardianOrOwner() {
+        require(msg.sender == guardian || msg.sender == owner(), "Not guardian");
+        _;
+    }
+
+    modifier whenNotPaused(bytes32 action) {
+        require(!actionPaused[action], "Action paused");
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // The implementation is only used through proxies
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up a new proxy; the caller becomes owner, guardian and treasury
+     * @param _loanToken Token lent to borrowers and supplied by lenders
+     * @param _priceOracle Price feed for collateral and loan tokens
+     * @param _shareToken Share token minted to lenders; ownership must be transferred to the proxy
+     * @param _interestRateModel Initial borrow rate model
+     */
+    function initialize(
+        address _loanToken,
+        address _priceOracle,
+        address _shareToken,
+        address _interestRateModel
+    ) external initializer {
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
 
-    constructor(
-        address _collateralToken,
-        address _loanToken
-    ) Ownable(msg.sender) {
-        require(_collateralToken != address(0), "Invalid collateral token");
         require(_loanToken != address(0), "Invalid loan token");
+        require(_priceOracle != address(0), "Invalid price oracle");
+        require(_shareToken != address(0), "Invalid share token");
+        require(_interestRateModel != address(0), "Invalid interest rate model");
         
-        collateralToken = IERC20(_collateralToken);
         loanToken = IERC20(_loanToken);
+        loanDecimals = IERC20Metadata(_loanToken).decimals();
+        priceOracle = IPriceOracle(_priceOracle);
+        shareToken = SupplyShareToken(_shareToken);
+        interestRateModel = IInterestRateModel(_interestRateModel);
+
+        liquidationBonus = 5;
+        closeFactor = 50;
+        flashLoanFee = 9;
+        reserveFactor = 10;
+
+        borrowIndex = RATE_PRECISION;
+        lastAccrualTime = block.timestamp;
+
+        guardian = msg.sender;
+        emit GuardianUpdated(address(0), msg.sender);
+
+        treasury = msg.sender;
+        emit TreasuryUpdated(address(0), msg.sender);
+    }
+
+    /**
+     * @dev Supply loan tokens to the lending pool and receive interest-bearing shares
+     * @param amount Amount of loan tokens to supply
+     */
+    function supply(uint256 amount) external nonReentrant whenNotPaused(ACTION_DEPOSIT) {
+        _supply(amount);
+    }
+
+    /**
+     * @dev Supply loan tokens, approving the transfer with an EIP-2612 permit signature
+     * @param amount Amount of loan tokens to supply, also the permitted allowance
+     * @param deadline Expiry of the permit signature
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function supplyWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused(ACTION_DEPOSIT) {
+        _permit(address(loanToken), amount, deadline, v, r, s);
+        _supply(amount);
+    }
+
+    /**
+     * @dev Burn shares and withdraw the corresponding loan tokens, including earned interest
+     * @param shares Amount of shares to redeem
+     */
+    function redeem(uint256 shares) external nonReentrant {
+        require(shares > 0, "Amount must be greater than 0");
+        require(shareToken.balanceOf(msg.sender) >= shares, "Insufficient shares");
+
+        // Bring the exchange rate up to date with accrued interest
+        _accrueInterest();
+
+        uint256 amount = _toAssets(shares);
+        require(loanToken.balanceOf(address(this)) >= amount, "Insufficient liquidity");
+
+        shareToken.burn(msg.sender, shares);
+        totalSupplied -= amount;
+
+        // Transfer loan tokens to supplier
+        loanToken.safeTransfer(msg.sender, amount);
+
+        emit Redeemed(msg.sender, shares, amount);
     }
 
     /**
      * @dev Deposit collateral tokens
+     * @param asset Listed collateral asset to deposit
+     * @param amount Amount of collateral tokens to deposit
+     */
+    function depositCollateral(address asset, uint256 amount) external nonReentrant whenNotPaused(ACTION_DEPOSIT) {
+        _depositCollateral(msg.sender, asset, amount);
+    }
+
+    /**
+     * @dev Deposit collateral tokens from the caller into another account's position
+     * @param user Account credited with the collateral
+     * @param asset Listed collateral asset to deposit
      * @param amount Amount of collateral tokens to deposit
      */
-    function depositCollateral(uint256 amount) external nonReentrant {
+    function depositCollateralFor(
+        address user,
+        address asset,
+        uint256 amount
+    ) external nonReentrant whenNotPaused(ACTION_DEPOSIT) {
+        require(user != address(0), "Invalid user");
+        _depositCollateral(user, asset, amount);
+
+        emit CollateralDepositedFor(msg.sender, user, asset, amount);
+    }
+
+    /**
+     * @dev Deposit collateral tokens, approving the transfer with an EIP-2612 permit signature
+     * @param asset Listed collateral asset to deposit; must support permit
+     * @param amount Amount of collateral tokens to deposit, also the permitted allowance
+     * @param deadline Expiry of the permit signature
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function depositCollateralWithPermit(
+        address asset,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused(ACTION_DEPOSIT) {
+        _permit(asset, amount, deadline, v, r, s);
+        _depositCollateral(msg.sender, asset, amount);
+    }
+
+    /**
+     * @dev Borrow loan tokens against collateral
+     * @param amount Amount of loan tokens to borrow
+     */
+    function borrow(uint256 amount) external nonReentrant whenNotPaused(ACTION_BORROW) {
+        _borrow(msg.sender, amount);
+    }
+
+    /**
+     * @dev Borrow against another account's collateral within the allowance it approved.
+     * The debt is recorded on that account and the loan tokens go to the caller.
+     * @param user Account whose collateral backs the loan and that owes the debt
+     * @param amount Amount of loan tokens to borrow
+     */
+    function borrowFor(address user, uint256 amount) external nonReentrant whenNotPaused(ACTION_BORROW) {
+        uint256 allowance = borrowAllowance[user][msg.sender];
+        require(allowance >= amount, "Insufficient borrow allowance");
+
+        // An unlimited allowance is never spent
+        if (allowance != type(uint256).max) {
+            borrowAllowance[user][msg.sender] = allowance - amount;
+        }
+        _borrow(user, amount);
+
+        emit DelegatedBorrow(user, msg.sender, amount);
+    }
+
+    /**
+     * @dev Allow a delegate to borrow against the caller's collateral. The debt is the
+     * caller's; set the allowance to 0 to revoke it.
+     * @param delegate Account allowed to call borrowFor for the caller
+     * @param amount Maximum amount of loan tokens the delegate may borrow
+     */
+    function approveBorrowDelegation(address delegate, uint256 amount) external {
+        require(delegate != address(0) && delegate != msg.sender, "Invalid delegate");
+        borrowAllowance[msg.sender][delegate] = amount;
+
+        emit BorrowDelegationApproved(msg.sender, delegate, amount);
+    }
+
+    /**
+     * @dev Repay part or all of the loan. Accrued interest is paid first, then principal.
+     * @param amount Amount of loan tokens to repay (capped at the total debt)
+     */
+    function repay(uint256 amount) external nonReentrant {
+        _repay(msg.sender, amount);
+    }
+
+    /**
+     * @dev Repay another account's loan from the caller's tokens
+     * @param user Account whose debt is repaid
+     * @param amount Amount of loan tokens to repay (capped at the user's total debt)
+     */
+    function repayFor(address user, uint256 amount) external nonReentrant {
+        uint256 repaid = _repay(user, amount);
+
+        emit LoanRepaidFor(msg.sender, user, repaid);
+    }
+
+    /**
+     * @dev Repay the loan, approving the transfer with an EIP-2612 permit signature.
+     * Any permitted amount above the debt is left as allowance.
+     * @param amount Amount of loan tokens to repay (capped at the total debt), also the permitted allowance
+     * @param deadline Expiry of the permit signature
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function repayWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(address(loanToken), amount, deadline, v, r, s);
+        _repay(msg.sender, amount);
+    }
+
+    /**
+     * @dev Withdraw collateral, as long as the remaining collateral still covers the debt
+     * @param asset Collateral asset to withdraw
+     * @param amount Amount of collateral tokens to withdraw
+     */
+    function withdrawCollateral(address asset, uint256 amount) external nonReentrant {
         require(amount > 0, "Amount must be greater than 0");
         
         UserData storage user = users[msg.sender];
+        uint256 balance = collateralBalances[msg.sender][asset];
+        
+        // Accrue interest to get current debt
+        _accrueInterest();
+        
+        require(balance > 0, "No collateral to withdraw");
+        require(amount <= balance, "Insufficient collateral");
         
-        // Update interest before modifying user data
-        _updateUserInterest(msg.sender);
+        // Update state
+        collateralBalances[msg.sender][asset] = balance - amount;
+        totalCollateral[asset] -= amount;
+        
+        // Remaining collateral must keep the debt within the borrow limit
+        uint256 totalDebt = _debtOf(user, borrowIndex);
+        if (totalDebt > 0) {
+            (, uint256 borrowLimit, ) = _collateralTotals(msg.sender);
+            require(_loanValue(totalDebt) <= borrowLimit, "Exceeds collateralization ratio");
+        }
         
-        // Transfer collateral tokens from user
-        collateralToken.safeTransferFrom(msg.sender, address(this), amount);
+        // Transfer collateral back to user
+        IERC20(asset).safeTransfer(msg.sender, amount);
+        
+        emit CollateralWithdrawn(msg.sender, asset, amount);
+    }
+
+    /**
+     * @dev Get user data including current interest
+     * @param user Address of the user
+     * @return collateralValue USD value of all deposited collateral at the last oracle prices (18 decimals)
+     * @return loanBalance Current loan balance
+     * @return accruedInterest Current accrued interest
+     * @return totalDebt Total debt (loan + interest)
+     */
+    function getUserData(address user) external view returns (
+        uint256 collateralValue,
+        uint256 loanBalance,
+        uint256 accruedInterest,
+        uint256 totalDebt
+    ) {
+        UserData storage userData = users[user];
+        
+        // Debt at the borrow index interest would accrue to now (view function)
+        (uint256 currentIndex, , ) = _currentInterestState();
+        totalDebt = _debtOf(userData, currentIndex);
+        
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address asset = collateralAssets[i];
+            collateralValue += _lastCollateralValue(asset, collateralBalances[user][asset]);
+        }
+        loanBalance = userData.loanBalance;
+        accruedInterest = totalDebt > loanBalance ? totalDebt - loanBalance : 0;
+    }
+
+    /**
+     * @dev Get a lender's position in the supply pool
+     * @param supplier Address of the lender
+     * @return shares Share tokens held
+     * @return balance Loan tokens those shares can be redeemed for
+     */
+    function getSupplierData(address supplier) external view returns (uint256 shares, uint256 balance) {
+        shares = shareToken.balanceOf(supplier);
+
+        uint256 totalShares = shareToken.totalSupply();
+        if (totalShares > 0) {
+            (, uint256 currentSupplied, ) = _currentInterestState();
+            balance = (shares * currentSupplied) / totalShares;
+        }
+    }
+
+    /**
+     * @dev Current interest rate earned by lenders per week, scaled by 1e18.
+     * Borrower interest net of the reserve factor goes to lenders, so the supply rate is that
+     * share of the borrow rate weighted by how much of the supplied liquidity is lent out.
+     * @return rate Supply rate per week (1e18 = 100%)
+     */
+    function getSupplyRate() external view returns (uint256 rate) {
+        (uint256 currentIndex, uint256 currentSupplied, ) = _currentInterestState();
+        if (currentSupplied == 0) {
+            return 0;
+        }
+
+        // Rate and weighting at the debt and lender balance after accruing interest now
+        uint256 borrows = _totalDebt(currentIndex);
+        uint256 borrowRate = interestRateModel.getBorrowRate(loanToken.balanceOf(address(this)), borrows);
+        uint256 lenderRate = (borrowRate * (PRECISION - reserveFactor)) / PRECISION;
+        return (lenderRate * borrows) / currentSupplied;
+    }
+
+    /**
+     * @dev Current borrow rate from the interest rate model
+     * @return rate Borrow rate per week (1e18 = 100%)
+     */
+    function getBorrowRate() public view returns (uint256 rate) {
+        return interestRateModel.getBorrowRate(loanToken.balanceOf(address(this)), _totalDebt(borrowIndex));
+    }
+
+    /**
+     * @dev Share of the loan token liquidity that is currently borrowed
+     * @return utilization Utilization (1e18 = 100%)
+     */
+    function getUtilization() public view returns (uint256 utilization) {
+        uint256 borrows = _totalDebt(borrowIndex);
+        if (borrows == 0) {
+            return 0;
+        }
+        return (borrows * RATE_PRECISION) / (loanToken.balanceOf(address(this)) + borrows);
+    }
+
+    /**
+     * @dev Total debt of all borrowers, principal plus compounded interest
+     * @return totalDebt Total debt in loan tokens
+     */
+    function getTotalDebt() public view returns (uint256 totalDebt) {
+        (uint256 currentIndex, , ) = _currentInterestState();
+        return _totalDebt(currentIndex);
+    }
+
+    /**
+     * @dev Queue a parameter change that can be executed after TIMELOCK_DELAY (only owner).
+     * Replaces any change already pending for the same parameter.
+     * @param parameter One of the PARAM_* identifiers
+     * @param value New value; the interest rate model is passed as uint256(uint160(address))
+     */
+    function proposeParameterChange(bytes32 parameter, uint256 value) external onlyOwner {
+        _validateParameter(parameter, value);
+
+        uint256 executableAt = block.timestamp + TIMELOCK_DELAY;
+        pendingChanges[parameter] = PendingChange(value, executableAt);
+
+        emit ParameterChangeProposed(parameter, value, executableAt);
+    }
+
+    /**
+     * @dev Apply a queued parameter change once its delay has passed (only owner)
+     * @param parameter One of the PARAM_* identifiers
+     */
+    function executeParameterChange(bytes32 parameter) external onlyOwner {
+        PendingChange memory change = pendingChanges[parameter];
+        require(change.executableAt > 0, "No pending change");
+        require(block.timestamp >= change.executableAt, "Timelock not expired");
+
+        delete pendingChanges[parameter];
+
+        uint256 oldValue;
+        if (parameter == PARAM_LIQUIDATION_BONUS) {
+            oldValue = liquidationBonus;
+            liquidationBonus = change.value;
+        } else if (parameter == PARAM_CLOSE_FACTOR) {
+            oldValue = closeFactor;
+            closeFactor = change.value;
+        } else if (parameter == PARAM_FLASH_LOAN_FEE) {
+            oldValue = flashLoanFee;
+            flashLoanFee = change.value;
+        } else if (parameter == PARAM_RESERVE_FACTOR) {
+            // Interest up to now is split with the old factor
+            _accrueInterest();
+
+            oldValue = reserveFactor;
+            reserveFactor = change.value;
+        } else {
+            // Interest up to now is charged at the old model's rate
+            _accrueInterest();
+
+            address newModel = address(uint160(change.value));
+            oldValue = uint256(uint160(address(interestRateModel)));
+            emit InterestRateModelUpdated(address(interestRateModel), newModel);
+            interestRateModel = IInterestRateModel(newModel);
+        }
+
+        emit ParameterChangeExecuted(parameter, oldValue, change.value);
+    }
+
+    /**
+     * @dev Drop a queued parameter change (only owner)
+     * @param parameter One of the PARAM_* identifiers
+     */
+    function cancelParameterChange(bytes32 parameter) external onlyOwner {
+        require(pendingChanges[parameter].executableAt > 0, "No pending change");
+
+        delete pendingChanges[parameter];
+
+        emit ParameterChangeCancelled(parameter);
+    }
+
+    /**
+     * @dev Queue an upgrade of the proxy; `upgradeToAndCall` accepts it once the delay has passed (only owner)
+     * @param implementation Address of the new implementation, replacing any queued one
+     */
+    function proposeUpgrade(address implementation) external onlyOwner {
+        require(implementation.code.length > 0, "Invalid implementation");
+
+        uint256 executableAt = block.timestamp + TIMELOCK_DELAY;
+        pendingUpgrade = PendingUpgrade(implementation, executableAt);
+
+        emit UpgradeProposed(implementation, executableAt);
+    }
+
+    /**
+     * @dev Drop the queued upgrade (only owner)
+     */
+    function cancelUpgrade() external onlyOwner {
+        require(pendingUpgrade.executableAt > 0, "No pending upgrade");
+
+        emit UpgradeCancelled(pendingUpgrade.implementation);
+        delete pendingUpgrade;
+    }
+
+    /**
+     * @dev Replace the guardian (only owner)
+     * @param newGuardian Address of the new guardian; zero leaves pausing to the owner alone
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        emit GuardianUpdated(guardian, newGuardian);
+        guardian = newGuardian;
+    }
+
+    /**
+     * @dev Replace the address that receives withdrawn reserves (only owner)
+     * @param newTreasury Address of the new treasury
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        require(newTreasury != address(0), "Invalid treasury");
+
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+
+    /**
+     * @dev Send protocol reserves to the treasury (only owner)
+     * @param amount Amount of loan tokens to withdraw
+     */
+    function withdrawReserves(uint256 amount) external onlyOwner nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+
+        _accrueInterest();
+
+        require(amount <= totalReserves, "Exceeds reserves");
+        require(loanToken.balanceOf(address(this)) >= amount, "Insufficient liquidity");
+
+        totalReserves -= amount;
+        loanToken.safeTransfer(treasury, amount);
+
+        emit ReservesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @dev Pause an action (guardian or owner). Takes effect immediately, without the timelock.
+     * @param action One of the ACTION_* identifiers
+     */
+    function pause(bytes32 action) external onlyGuardianOrOwner {
+        _validateAction(action);
+        require(!actionPaused[action], "Action already paused");
+
+        actionPaused[action] = true;
+
+        emit ActionPaused(action, msg.sender);
+    }
+
+    /**
+     * @dev Resume a paused action (only owner), so a compromised guardian cannot undo a pause
+     * @param action One of the ACTION_* identifiers
+     */
+    function unpause(bytes32 action) external onlyOwner {
+        require(actionPaused[action], "Action not paused");
+
+        actionPaused[action] = false;
+
+        emit ActionUnpaused(action);
+    }
+
+    /**
+     * @dev Add a new collateral asset (only owner). Listing takes effect immediately because
+     * it cannot affect existing positions; changes to listed assets go through the timelock.
+     * @param asset Address of the collateral token
+     * @param collateralFactor Share of the value that can be borrowed against (1e18 = 100%)
+     * @param liquidationThreshold Share of the value the debt may reach before liquidation (1e18 = 100%)
+     */
+    function listCollateral(
+        address asset,
+        uint256 collateralFactor,
+        uint256 liquidationThreshold
+    ) external onlyOwner {
+        require(asset != address(0), "Invalid collateral token");
+        require(!collateralConfigs[asset].listed, "Collateral already listed");
+        require(collateralAssets.length < MAX_COLLATERAL_ASSETS, "Too many collateral assets");
+        _validateCollateralConfig(collateralFactor, liquidationThreshold);
+
+        collateralConfigs[asset] = CollateralConfig(
+            true,
+            IERC20Metadata(asset).decimals(),
+            collateralFactor,
+            liquidationThreshold
+        );
+        collateralAssets.push(asset);
+
+        emit CollateralListed(asset, collateralFactor, liquidationThreshold);
+    }
+
+    /**
+     * @dev Queue new risk parameters for a listed collateral asset (only owner)
+     * @param asset Address of the collateral token
+     * @param collateralFactor New collateral factor (1e18 = 100%)
+     * @param liquidationThreshold New liquidation threshold (1e18 = 100%)
+     */
+    function proposeCollateralConfig(
+        address asset,
+        uint256 collateralFactor,
+        uint256 liquidationThreshold
+    ) external onlyOwner {
+        require(collateralConfigs[asset].listed, "Collateral not listed");
+        _validateCollateralConfig(collateralFactor, liquidationThreshold);
+
+        uint256 executableAt = block.timestamp + TIMELOCK_DELAY;
+        pendingCollateralConfigs[asset] = PendingCollateralConfig(collateralFactor, liquidationThreshold, executableAt);
+
+        emit CollateralConfigProposed(asset, collateralFactor, liquidationThreshold, executableAt);
+    }
+
+    /**
+     * @dev Apply queued collateral risk parameters once the delay has passed (only owner)
+     * @param asset Address of the collateral token
+     */
+    function executeCollateralConfig(address asset) external onlyOwner {
+        PendingCollateralConfig memory change = pendingCollateralConfigs[asset];
+        require(change.executableAt > 0, "No pending change");
+        require(block.timestamp >= change.executableAt, "Timelock not expired");
+
+        delete pendingCollateralConfigs[asset];
+
+        CollateralConfig storage config = collateralConfigs[asset];
+        config.collateralFactor = change.collateralFactor;
+        config.liquidationThreshold = change.liquidationThreshold;
+
+        emit CollateralConfigUpdated(asset, change.collateralFactor, change.liquidationThreshold);
+    }
+
+    /**
+     * @dev Drop queued collateral risk parameters (only owner)
+     * @param asset Address of the collateral token
+     */
+    function cancelCollateralConfig(address asset) external onlyOwner {
+        require(pendingCollateralConfigs[asset].executableAt > 0, "No pending change");
+
+        delete pendingCollateralConfigs[asset];
+
+        emit CollateralConfigCancelled(asset);
+    }
+
+    /**
+     * @dev Get all listed collateral assets
+     * @return assets Addresses of the collateral tokens
+     */
+    function getCollateralAssets() external view returns (address[] memory assets) {
+        return collateralAssets;
+    }
+
+    /**
+     * @dev Get the oracle valuation of a position
+     * @param user Address of the user
+     * @return collateralValue USD value of all deposited collateral (18 decimals)
+     * @return debtValue USD value of the loan plus interest (18 decimals)
+     * @return borrowLimit Maximum USD debt value allowed by the collateral factors (18 decimals)
+     */
+    function getAccountLiquidity(address user) public view returns (
+        uint256 collateralValue,
+        uint256 debtValue,
+        uint256 borrowLimit
+    ) {
+        (uint256 currentIndex, , ) = _currentInterestState();
+
+        (collateralValue, borrowLimit, ) = _collateralTotals(user);
+        debtValue = _loanValue(_debtOf(users[user], currentIndex));
+    }
+
+    /**
+     * @dev Get the amount of loan tokens a user can still borrow
+     * @param user Address of the user
+     * @return amount Borrowable amount in loan tokens
+     */
+    function getMaxBorrowable(address user) external view returns (uint256 amount) {
+        (, uint256 debtValue, uint256 borrowLimit) = getAccountLiquidity(user);
+
+        if (debtValue >= borrowLimit) {
+            return 0;
+        }
+
+        return ((borrowLimit - debtValue) * (10 ** loanDecimals)) / _getPrice(address(loanToken));
+    }
+
+    /**
+     * @dev Get the amount of one collateral asset a user can withdraw without exceeding
+     * the borrow limit
+     * @param user Address of the user
+     * @param asset Collateral asset to withdraw
+     * @return amount Withdrawable amount in collateral tokens
+     */
+    function getMaxWithdrawable(address user, address asset) external view returns (uint256 amount) {
+        uint256 collateralBalance = collateralBalances[user][asset];
+        (, uint256 debtValue, uint256 borrowLimit) = getAccountLiquidity(user);
+        uint256 collateralFactor = collateralConfigs[asset].collateralFactor;
+
+        // Without debt, or for an asset that adds nothing to the borrow limit, everything is free
+        if (debtValue == 0 || collateralFactor == 0) {
+            return collateralBalance;
+        }
+        if (debtValue >= borrowLimit) {
+            return 0;
+        }
+
+        // Collateral whose borrowing power is not needed to cover the debt, rounded down
+        uint256 excessValue = ((borrowLimit - debtValue) * RATE_PRECISION) / collateralFactor;
+        amount = (excessValue * (10 ** collateralConfigs[asset].decimals)) / _getPrice(asset);
+
+        return amount < collateralBalance ? amount : collateralBalance;
+    }
+
+    /**
+     * @dev Get the health factor of a position, scaled by HEALTH_FACTOR_PRECISION.
+     * A value below 1e18 means the debt exceeds the liquidation thresholds of the
+     * collateral and the position can be liquidated.
+     * @param user Address of the user
+     * @return healthFactor Liquidation limit divided by current debt value
+     */
+    function getHealthFactor(address user) public view returns (uint256 healthFactor) {
+        (, uint256 debtValue, ) = getAccountLiquidity(user);
+
+        if (debtValue == 0) {
+            return type(uint256).max;
+        }
+
+        (, , uint256 liquidationLimit) = _collateralTotals(user);
+        return (liquidationLimit * HEALTH_FACTOR_PRECISION) / debtValue;
+    }
+
+    /**
+     * @dev Repay part of an undercollateralized position and seize its collateral
+     * @param user Address of the position to liquidate
+     * @param collateralAsset Collateral asset to seize
+     * @param repayAmount Amount of loan tokens to repay on behalf of the user
+     */
+    function liquidate(
+        address user,
+        address collateralAsset,
+        uint256 repayAmount
+    ) external nonReentrant whenNotPaused(ACTION_LIQUIDATE) {
+        require(repayAmount > 0, "Amount must be greater than 0");
+        require(user != msg.sender, "Cannot liquidate own position");
+
+        UserData storage borrower = users[user];
+
+        // Accrue interest so the health check uses the current debt
+        _accrueInterest();
+
+        uint256 totalDebt = _debtOf(borrower, borrowIndex);
+        require(totalDebt > 0, "No outstanding debt");
+        require(getHealthFactor(user) < HEALTH_FACTOR_PRECISION, "Position is healthy");
+        require(repayAmount <= (totalDebt * closeFactor) / PRECISION, "Exceeds close factor");
+
+        uint256 collateralBalance = collateralBalances[user][collateralAsset];
+        require(collateralBalance > 0, "No collateral to seize");
+
+        // Seize collateral worth the repaid debt plus the liquidation bonus
+        uint256 seizeValue = (_loanValue(repayAmount) * (PRECISION + liquidationBonus)) / PRECISION;
+        uint256 collateralSeized = (seizeValue * (10 ** collateralConfigs[collateralAsset].decimals))
+            / _getPrice(collateralAsset);
+        if (collateralSeized > collateralBalance) {
+            // Not enough of this asset: seize all of it and only charge the debt it covers
+            collateralSeized = collateralBalance;
+            uint256 coveredValue = (_collateralValue(collateralAsset, collateralBalance) * PRECISION)
+                / (PRECISION + liquidationBonus);
+            repayAmount = (coveredValue * (10 ** loanDecimals)) / _getPrice(address(loanToken));
+            require(repayAmount > 0, "Amount too small");
+        }
+
+        // Transfer repayment from liquidator
+        loanToken.safeTransferFrom(msg.sender, address(this), repayAmount);
+
+        _applyRepayment(user, repayAmount);
+
+        collateralBalances[user][collateralAsset] = collateralBalance - collateralSeized;
+        totalCollateral[collateralAsset] -= collateralSeized;
+
+        // Transfer seized collateral to liquidator
+        IERC20(collateralAsset).safeTransfer(msg.sender, collateralSeized);
+
+        emit Liquidated(user, msg.sender, collateralAsset, repayAmount, collateralSeized);
+    }
+
+    /**
+     * @dev Lend idle loan tokens for the duration of one call (ERC-3156). The receiver must
+     * return CALLBACK_SUCCESS and approve the amount plus the fee, which is pulled back before
+     * the transaction ends.
+     * @param receiver Contract receiving the tokens and the onFlashLoan callback
+     * @param token Loan token address; no other token can be flash borrowed
+     * @param amount Amount of loan tokens to lend
+     * @param data Arbitrary data passed to the receiver
+     * @return success Always true; any failure reverts
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused(ACTION_BORROW) returns (bool success) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= maxFlashLoan(token), "Insufficient liquidity");
+        uint256 fee = flashFee(token, amount);
+
+        // Accrue first so the lowered balance cannot inflate the rate charged for past time
+        _accrueInterest();
+
+        loanToken.safeTransfer(address(receiver), amount);
+        require(
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == CALLBACK_SUCCESS,
+            "Flash loan callback failed"
+        );
+        loanToken.safeTransferFrom(address(receiver), address(this), amount + fee);
+
+        totalReserves += fee;
+
+        emit FlashLoan(address(receiver), token, amount, fee);
+        return true;
+    }
+
+    /**
+     * @dev Maximum amount of a token available for a flash loan
+     * @param token Token address
+     * @return amount Idle loan token liquidity, or 0 for any other token or while borrowing is paused
+     */
+    function maxFlashLoan(address token) public view returns (uint256 amount) {
+        if (token != address(loanToken) || actionPaused[ACTION_BORROW]) {
+            return 0;
+        }
+        return loanToken.balanceOf(address(this));
+    }
+
+    /**
+     * @dev Fee charged for a flash loan
+     * @param token Loan token address; reverts for any other token
+     * @param amount Amount to borrow
+     * @return fee Fee in loan tokens
+     */
+    function flashFee(address token, uint256 amount) public view returns (uint256 fee) {
+        require(token == address(loanToken), "Unsupported flash loan token");
+        return (amount * flashLoanFee) / FLASH_FEE_PRECISION;
+    }
+
+    /**
+     * @dev Pull loan tokens from the caller into the pool and mint their shares
+     * @param amount Amount of loan tokens to supply
+     */
+    function _supply(uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than 0");
+
+        // Bring the exchange rate up to date with accrued interest
+        _accrueInterest();
+
+        uint256 shares = _toShares(amount);
+        require(shares > 0, "Amount too small");
+
+        // Transfer loan tokens from supplier
+        loanToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        totalSupplied += amount;
+        shareToken.mint(msg.sender, shares);
+
+        emit Supplied(msg.sender, amount, shares);
+    }
+
+    /**
+     * @dev Pull collateral from the caller and credit it to a position
+     * @param userAddress Account credited with the collateral
+     * @param asset Listed collateral asset to deposit
+     * @param amount Amount of collateral tokens to deposit
+     */
+    function _depositCollateral(address userAddress, address asset, uint256 amount) internal {
+        require(amount > 0, "Amount must be greater than 0");
+        require(collateralConfigs[asset].listed, "Collateral not listed");
+        
+        // Transfer collateral tokens from the caller
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
         
         // Update user and global state
-        user.collateralBalance += amount;
-        totalCollateral += amount;
+        collateralBalances[userAddress][asset] += amount;
+        totalCollateral[asset] += amount;
         
-        emit CollateralDeposited(msg.sender, amount);
+        emit CollateralDeposited(userAddress, asset, amount);
     }
 
     /**
-     * @dev Borrow loan tokens against collateral
+     * @dev Record a loan on a position and send the loan tokens to the caller
+     * @param userAddress Account whose collateral backs the loan and that owes the debt
      * @param amount Amount of loan tokens to borrow
      */
-    function borrow(uint256 amount) external nonReentrant {
+    function _borrow(address userAddress, uint256 amount) internal {
         require(amount > 0, "Amount must be greater than 0");
         
-        UserData storage user = users[msg.sender];
+        UserData storage user = users[userAddress];
         
-        // Update interest before modifying user data
-        _updateUserInterest(msg.sender);
+        // Accrue interest before modifying user data
+        _accrueInterest();
         
-        // Calculate maximum borrowable amount (66.67% of collateral value)
-        uint256 maxBorrowable = (user.collateralBalance * PRECISION) / COLLATERALIZATION_RATIO;
-        uint256 currentDebt = user.loanBalance + user.accruedInterest;
+        // Debt value must stay within the borrow limit of all deposited collateral
+        uint256 currentDebt = _debtOf(user, borrowIndex);
+        (, uint256 borrowLimit, ) = _collateralTotals(userAddress);
         
-        require(currentDebt + amount <= maxBorrowable, "Exceeds collateralization ratio");
+        require(_loanValue(currentDebt + amount) <= borrowLimit, "Exceeds collateralization ratio");
         require(loanToken.balanceOf(address(this)) >= amount, "Insufficient liquidity");
         
-        // Update user state
+        // Update user state, rounding the scaled debt up in favor of the protocol
+        uint256 scaledAmount = Math.ceilDiv(amount * RATE_PRECISION, borrowIndex);
         user.loanBalance += amount;
+        user.scaledDebt += scaledAmount;
         totalLoans += amount;
+        totalScaledDebt += scaledAmount;
         
-        // Transfer loan tokens to user
+        // Transfer loan tokens to the caller
         loanToken.safeTransfer(msg.sender, amount);
         
-        emit LoanBorrowed(msg.sender, amount);
+        emit LoanBorrowed(userAddress, amount);
     }
 
     /**
-     * @dev Repay loan with interest
+     * @dev Pull a repayment from the caller for a position. Accrued interest is paid first,
+     * then principal.
+     * @param userAddress Account whose debt is repaid
+     * @param amount Amount of loan tokens to repay (capped at the total debt)
+     * @return repaid Amount actually pulled from the caller
      */
-    function repay() external nonReentrant {
-        UserData storage user = users[msg.sender];
+    function _repay(address userAddress, uint256 amount) internal returns (uint256 repaid) {
+        require(amount > 0, "Amount must be greater than 0");
         
-        // Update interest before repayment
-        _updateUserInterest(msg.sender);
+        UserData storage user = users[userAddress];
         
-        uint256 totalDebt = user.loanBalance + user.accruedInterest;
+        // Accrue interest before repayment
+        _accrueInterest();
+        
+        uint256 totalDebt = _debtOf(user, borrowIndex);
         require(totalDebt > 0, "No outstanding debt");
         
-        // Transfer repayment from user
-        loanToken.safeTransferFrom(msg.sender, address(this), totalDebt);
+        // Never pull more than what is owed
+        if (amount > totalDebt) {
+            amount = totalDebt;
+        }
+        
+        // Transfer repayment from the caller
+        loanToken.safeTransferFrom(msg.sender, address(this), amount);
         
         // Update user state
-        totalLoans -= user.loanBalance;
-        user.loanBalance = 0;
-        user.accruedInterest = 0;
-        user.lastInterestUpdate = block.timestamp;
+        (uint256 principalPaid, uint256 interestPaid) = _applyRepayment(userAddress, amount);
         
-        emit LoanRepaid(msg.sender, user.loanBalance, user.accruedInterest);
+        emit LoanRepaid(userAddress, principalPaid, interestPaid);
+        return amount;
     }
 
     /**
-     * @dev Withdraw collateral (only if no outstanding debt)
+     * @dev Apply a permit from the caller to this contract. A failed permit is ignored, since
+     * anyone can front-run the same signature; the transfer that follows then fails if the
+     * allowance is missing.
+     * @param token Token supporting EIP-2612
+     * @param value Allowance to grant
+     * @param deadline Expiry of the permit signature
+     * @param v Signature recovery byte
+     * @param r Signature r value
+     * @param s Signature s value
      */
-    function withdrawCollateral() external nonReentrant {
-        UserData storage user = users[msg.sender];
-        
-        // Update interest to get current debt
-        _updateUserInterest(msg.sender);
-        
-        require(user.loanBalance + user.accruedInterest == 0, "Outstanding debt exists");
-        require(user.collateralBalance > 0, "No collateral to withdraw");
-        
-        uint256 amount = user.collateralBalance;
-        
-        // Update state
-        user.collateralBalance = 0;
-        totalCollateral -= amount;
-        
-        // Transfer collateral back to user
-        collateralToken.safeTransfer(msg.sender, amount);
-        
-        emit CollateralWithdrawn(msg.sender, amount);
+    function _permit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {}
     }
 
     /**
-     * @dev Get user data including current interest
-     * @param user Address of the user
-     * @return collateralBalance Current collateral balance
-     * @return loanBalance Current loan balance
-     * @return accruedInterest Current accrued interest
-     * @return totalDebt Total debt (loan + interest)
+     * @dev Accrue interest on all loans up to the current block (non-view function)
      */
-    function getUserData(address user) external view returns (
-        uint256 collateralBalance,
-        uint256 loanBalance,
-        uint256 accruedInterest,
-        uint256 totalDebt
+    function accrueInterest() external {
+        _accrueInterest();
+    }
+
+    /**
+     * @dev Update interest in storage. Every debt follows the global borrow index,
+     * so this accrues interest for all users; kept for existing integrations.
+     */
+    function updateUserInterest(address) external {
+        _accrueInterest();
+    }
+
+    /**
+     * @dev Compound interest since the last accrual into the borrow index and credit it to lenders
+     */
+    function _accrueInterest() internal {
+        if (block.timestamp == lastAccrualTime) {
+            return;
+        }
+
+        uint256 debtBefore = _totalDebt(borrowIndex);
+        (uint256 newIndex, uint256 newSupplied, uint256 newReserves) = _currentInterestState();
+
+        borrowIndex = newIndex;
+        totalSupplied = newSupplied;
+        totalReserves = newReserves;
+        lastAccrualTime = block.timestamp;
+
+        uint256 debtAfter = _totalDebt(newIndex);
+        emit InterestAccrued(newIndex, debtAfter - debtBefore, debtAfter);
+    }
+
+    /**
+     * @dev Borrow index, lender balance and reserves as they would be after accruing interest now
+     * @return currentIndex Borrow index at the current block
+     * @return currentSupplied Total owed to lenders at the current block
+     * @return currentReserves Protocol reserves at the current block
+     */
+    function _currentInterestState() internal view returns (
+        uint256 currentIndex,
+        uint256 currentSupplied,
+        uint256 currentReserves
     ) {
-        UserData memory userData = users[user];
-        
-        // Calculate current interest without modifying state (view function)
-        if (userData.loanBalance > 0 && userData.lastInterestUpdate > 0) {
-            uint256 timeElapsed = block.timestamp - userData.lastInterestUpdate;
-            // Simple interest calculation (5% per week = 5% per 604800 seconds)
-            uint256 weeklyInterest = (userData.loanBalance * INTEREST_RATE * timeElapsed) / (PRECISION * 604800);
-            userData.accruedInterest += weeklyInterest;
+        currentIndex = borrowIndex;
+        currentSupplied = totalSupplied;
+        currentReserves = totalReserves;
+
+        uint256 timeElapsed = block.timestamp - lastAccrualTime;
+        if (timeElapsed == 0 || totalScaledDebt == 0) {
+            return (currentIndex, currentSupplied, currentReserves);
+        }
+
+        // Interest for the elapsed time at the current rate compounds into the index
+        uint256 interestFactor = (getBorrowRate() * timeElapsed) / INTEREST_PERIOD;
+        currentIndex = borrowIndex + (borrowIndex * interestFactor) / RATE_PRECISION;
+
+        // The reserve factor's share of the interest goes to the protocol
+        uint256 interest = _totalDebt(currentIndex) - _totalDebt(borrowIndex);
+        uint256 reserveShare = (interest * reserveFactor) / PRECISION;
+        currentReserves += reserveShare;
+
+        // The rest belongs to lenders, pro rata through the share exchange rate; with no
+        // lenders to credit it goes to the reserves as well
+        if (shareToken.totalSupply() > 0) {
+            currentSupplied += interest - reserveShare;
+        } else {
+            currentReserves += interest - reserveShare;
         }
-        
-        return (
-            userData.collateralBalance,
-            userData.loanBalance,
-            userData.accruedInterest,
-            userData.loanBalance + userData.accruedInterest
-        );
     }
 
     /**
-     * @dev Update user interest in storage (non-view function)
-     * @param userAddress Address of the user to update
+     * @dev Current debt of a user at a given borrow index
+     * @param user User data in storage
+     * @param index Borrow index
+     * @return debt Principal plus interest
      */
-    function updateUserInterest(address userAddress) external {
-        _updateUserInterest(userAddress);
+    function _debtOf(UserData storage user, uint256 index) internal view returns (uint256 debt) {
+        return (user.scaledDebt * index) / RATE_PRECISION;
     }
 
     /**
-     * @dev Internal function to update user interest
-     * @param userAddress Address of the user
+     * @dev Total debt of all users at a given borrow index
+     * @param index Borrow index
+     * @return debt Principal plus interest
      */
-    function _updateUserInterest(address userAddress) internal {
+    function _totalDebt(uint256 index) internal view returns (uint256 debt) {
+        return (totalScaledDebt * index) / RATE_PRECISION;
+    }
+
+    /**
+     * @dev Apply a repayment to a user's debt, paying accrued interest before principal.
+     * The caller must accrue interest first and cap the amount at the total debt.
+     * @param userAddress Address of the borrower
+     * @param amount Amount of loan tokens repaid
+     * @return principalPaid Part of the amount that reduced the loan balance
+     * @return interestPaid Part of the amount that paid accrued interest
+     */
+    function _applyRepayment(
+        address userAddress,
+        uint256 amount
+    ) internal returns (uint256 principalPaid, uint256 interestPaid) {
         UserData storage user = users[userAddress];
-        
-        if (user.loanBalance > 0) {
-            if (user.lastInterestUpdate == 0) {
-                // First time borrowing - set the timestamp for future calculations
-                user.lastInterestUpdate = block.timestamp;
-            } else {
-                uint256 timeElapsed = block.timestamp - user.lastInterestUpdate;
-                if (timeElapsed > 0) {
-                    // Simple interest: 5% per week
-                    uint256 weeklyInterest = (user.loanBalance * INTEREST_RATE * timeElapsed) / (PRECISION * 604800);
-                    user.accruedInterest += weeklyInterest;
-                    user.lastInterestUpdate = block.timestamp;
-                }
+
+        uint256 totalDebt = _debtOf(user, borrowIndex);
+        uint256 accruedInterest = totalDebt > user.loanBalance ? totalDebt - user.loanBalance : 0;
+
+        interestPaid = amount < accruedInterest ? amount : accruedInterest;
+        principalPaid = amount - interestPaid;
+
+        // Clearing the whole debt removes all scaled debt; partial payments round down
+        uint256 scaledRepaid = amount == totalDebt
+            ? user.scaledDebt
+            : (amount * RATE_PRECISION) / borrowIndex;
+
+        uint256 debtBefore = _totalDebt(borrowIndex);
+        user.scaledDebt -= scaledRepaid;
+        totalScaledDebt -= scaledRepaid;
+        user.loanBalance -= principalPaid;
+        totalLoans -= principalPaid;
+
+        // Each debt and the total debt round down separately, so clearing a debt can take a wei
+        // more off the total than was repaid. That wei was credited as interest but will never be
+        // paid, so it is written off against the reserves, or the lenders when there are none.
+        uint256 removed = debtBefore - _totalDebt(borrowIndex);
+        if (removed > amount) {
+            uint256 shortfall = removed - amount;
+            if (totalReserves >= shortfall) {
+                totalReserves -= shortfall;
+            } else if (totalSupplied >= shortfall) {
+                totalSupplied -= shortfall;
             }
         }
     }
 
     /**
-     * @dev Emergency function to withdraw tokens (only owner)
+     * @dev Convert loan tokens to supply shares at the current exchange rate
+     * @param amount Amount of loan tokens
+     * @return shares Amount of shares
+     */
+    function _toShares(uint256 amount) internal view returns (uint256 shares) {
+        uint256 totalShares = shareToken.totalSupply();
+        if (totalShares == 0 || totalSupplied == 0) {
+            return amount;
+        }
+        return (amount * totalShares) / totalSupplied;
+    }
+
+    /**
+     * @dev Convert supply shares to loan tokens at the current exchange rate
+     * @param shares Amount of shares
+     * @return amount Amount of loan tokens
+     */
+    function _toAssets(uint256 shares) internal view returns (uint256 amount) {
+        uint256 totalShares = shareToken.totalSupply();
+        if (totalShares == 0) {
+            return 0;
+        }
+        return (shares * totalSupplied) / totalShares;
+    }
+
+    /**
+     * @dev Check that a proposed parameter value is known and within its bounds
+     * @param parameter One of the PARAM_* identifiers
+     * @param value Proposed value
+     */
+    function _validateParameter(bytes32 parameter, uint256 value) internal pure {
+        if (parameter == PARAM_LIQUIDATION_BONUS) {
+            require(value <= MAX_LIQUIDATION_BONUS, "Value out of bounds");
+        } else if (parameter == PARAM_CLOSE_FACTOR) {
+            require(value >= MIN_CLOSE_FACTOR && value <= MAX_CLOSE_FACTOR, "Value out of bounds");
+        } else if (parameter == PARAM_FLASH_LOAN_FEE) {
+            require(value <= MAX_FLASH_LOAN_FEE, "Value out of bounds");
+        } else if (parameter == PARAM_RESERVE_FACTOR) {
+            require(value <= MAX_RESERVE_FACTOR, "Value out of bounds");
+        } else if (parameter == PARAM_INTEREST_RATE_MODEL) {
+            require(value != 0 && value <= type(uint160).max, "Invalid interest rate model");
+        } else {
+            revert("Unknown parameter");
+        }
+    }
+
+    /**
+     * @dev Check that an action identifier can be paused
+     * @param action One of the ACTION_* identifiers
+     */
+    function _validateAction(bytes32 action) internal pure {
+        require(
+            action == ACTION_DEPOSIT || action == ACTION_BORROW || action == ACTION_LIQUIDATE,
+            "Unknown action"
+        );
+    }
+
+    /**
+     * @dev Check collateral risk parameters: the debt may reach the liquidation threshold only
+     * after passing the borrow limit
+     * @param collateralFactor Share of the value that can be borrowed against (1e18 = 100%)
+     * @param liquidationThreshold Share of the value the debt may reach before liquidation (1e18 = 100%)
+     */
+    function _validateCollateralConfig(uint256 collateralFactor, uint256 liquidationThreshold) internal pure {
+        require(
+            liquidationThreshold > 0 && liquidationThreshold <= MAX_LIQUIDATION_THRESHOLD,
+            "Invalid liquidation threshold"
+        );
+        require(collateralFactor <= liquidationThreshold, "Invalid collateral factor");
+    }
+
+    /**
+     * @dev Get a fresh oracle price, rejecting missing or stale prices
+     * @param asset Address of the token
+     * @return price Price in USD with 18 decimals
+     */
+    function _getPrice(address asset) internal view returns (uint256 price) {
+        uint256 updatedAt;
+        (price, updatedAt) = priceOracle.getPrice(asset);
+
+        require(price > 0, "Invalid price");
+        require(block.timestamp - updatedAt <= MAX_PRICE_AGE, "Stale price");
+    }
+
+    /**
+     * @dev USD value of an amount of a collateral asset
+     * @param asset Address of the collateral token
+     * @param amount Amount of collateral tokens
+     * @return value Value in USD with 18 decimals
+     */
+    function _collateralValue(address asset, uint256 amount) internal view returns (uint256 value) {
+        if (amount == 0) return 0;
+        return (amount * _getPrice(asset)) / (10 ** collateralConfigs[asset].decimals);
+    }
+
+    /**
+     * @dev USD value of collateral at the last reported price, even if stale. Only used for
+     * reporting; every risk check goes through _collateralValue.
+     * @param asset Address of the collateral token
+     * @param amount Amount of collateral tokens
+     * @return value Value in USD with 18 decimals
+     */
+    function _lastCollateralValue(address asset, uint256 amount) internal view returns (uint256 value) {
+        if (amount == 0) return 0;
+        (uint256 price, ) = priceOracle.getPrice(asset);
+        return (amount * price) / (10 ** collateralConfigs[asset].decimals);
+    }
+
+    /**
+     * @dev Sum a user's collateral across all listed assets
+     * @param user Address of the user
+     * @return collateralValue USD value of all deposits (18 decimals)
+     * @return borrowLimit Value weighted by each asset's collateral factor
+     * @return liquidationLimit Value weighted by each asset's liquidation threshold
+     */
+    function _collateralTotals(address user) internal view returns (
+        uint256 collateralValue,
+        uint256 borrowLimit,
+        uint256 liquidationLimit
+    ) {
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address asset = collateralAssets[i];
+            uint256 value = _collateralValue(asset, collateralBalances[user][asset]);
+            if (value == 0) continue;
+
+            CollateralConfig storage config = collateralConfigs[asset];
+            collateralValue += value;
+            borrowLimit += (value * config.collateralFactor) / RATE_PRECISION;
+            liquidationLimit += (value * config.liquidationThreshold) / RATE_PRECISION;
+        }
+    }
+
+    /**
+     * @dev USD value of an amount of loan tokens
+     * @param amount Amount of loan tokens
+     * @return value Value in USD with 18 decimals
+     */
+    function _loanValue(uint256 amount) internal view returns (uint256 value) {
+        if (amount == 0) return 0;
+        return (amount * _getPrice(address(loanToken))) / (10 ** loanDecimals);
+    }
+
+    /**
+     * @dev Restrict upgrades of the proxy to the owner, and to the implementation queued
+     * with `proposeUpgrade` once its delay has passed
+     * @param newImplementation Implementation the proxy is being upgraded to
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {
+        PendingUpgrade memory upgrade = pendingUpgrade;
+        require(upgrade.executableAt > 0 && upgrade.implementation == newImplementation, "Upgrade not proposed");
+        require(block.timestamp >= upgrade.executableAt, "Timelock not expired");
+
+        delete pendingUpgrade;
+    }
+
+    /**
+     * @dev Emergency function to withdraw tokens (only owner). Deposited collateral cannot be
+     * taken; only collateral tokens sent to the contract outside of deposits can be recovered.
+     * Loan tokens are limited the same way: the cash backing lender balances and reserves stays.
      * @param token Token address to withdraw
      * @param amount Amount to withdraw
      */
-    function emergencyWithdraw(address token, uint256 amount) external onlyOwner {
+    function emergencyWithdraw(address token, uint256 amount) external onlyOwner nonReentrant {
+        if (collateralConfigs[token].listed) {
+            uint256 unowned = IERC20(token).balanceOf(address(this)) - totalCollateral[token];
+            require(amount <= unowned, "Cannot withdraw user collateral");
+        } else if (token == address(loanToken)) {
+            _accrueInterest();
+
+            // Lenders and reserves are owed more than is lent out; that difference is held as cash
+            uint256 owed = totalSupplied + totalReserves;
+            uint256 lent = _totalDebt(borrowIndex);
+            uint256 held = owed > lent ? owed - lent : 0;
+            uint256 balance = loanToken.balanceOf(address(this));
+            uint256 unowned = balance > held ? balance - held : 0;
+            require(amount <= unowned, "Cannot withdraw lender funds");
+        }
         IERC20(token).safeTransfer(owner(), amount);
     }
 
     /**
      * @dev Get protocol statistics
-     * @return totalCollateralDeposited Total collateral in the protocol
+     * @return totalCollateralValue USD value of all collateral at the last oracle prices (18 decimals)
      * @return totalLoansOutstanding Total loans outstanding
      * @return protocolLiquidity Available loan token liquidity
+     * @return borrowRate Current borrow rate per week (1e18 = 100%)
+     * @return utilization Share of the liquidity that is borrowed (1e18 = 100%)
+     * @return totalDebtOutstanding Total debt including compounded interest
+     * @return reserves Protocol reserves including interest accrued since the last update
      */
     function getProtocolStats() external view returns (
-        uint256 totalCollateralDeposited,
+        uint256 totalCollateralValue,
         uint256 totalLoansOutstanding,
-        uint256 protocolLiquidity
+        uint256 protocolLiquidity,
+        uint256 borrowRate,
+        uint256 utilization,
+        uint256 totalDebtOutstanding,
+        uint256 reserves
     ) {
+        for (uint256 i = 0; i < collateralAssets.length; i++) {
+            address asset = collateralAssets[i];
+            totalCollateralValue += _lastCollateralValue(asset, totalCollateral[asset]);
+        }
+
+        uint256 currentIndex;
+        (currentIndex, , reserves) = _currentInterestState();
+
         return (
-            totalCollateral,
+            totalCollateralValue,
             totalLoans,
-            loanToken.balanceOf(address(this))
+            loanToken.balanceOf(address(this)),
+            getBorrowRate(),
+            getUtilization(),
+            _totalDebt(currentIndex),
+            reserves
         );
     }
 }
\ No newline at end of file
@@ -0,0 +1,5 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Compiled so Ignition can deploy the proxy that LendingProtocol runs behind
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
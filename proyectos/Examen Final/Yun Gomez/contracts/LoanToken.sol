@@ -2,21 +2,27 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title LoanToken
- * @dev ERC20 token used for loans in the lending protocol (dDAI)
+ * @dev ERC20 token used for loans in the lending protocol (dDAI), with EIP-2612 permit
  */
-contract LoanToken is ERC20, Ownable {
+contract LoanToken is ERC20, ERC20Permit, Ownable {
     uint8 private _decimals;
 
+    // Accounts besides the owner allowed to mint, such as the test faucet
+    mapping(address => bool) public minters;
+
+    event MinterUpdated(address indexed account, bool allowed);
+
     constructor(
         string memory name,
         string memory symbol,
         uint8 decimals_,
         uint256 initialSupply
-    ) ERC20(name, symbol) Ownable(msg.sender) {
+    ) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {
         _decimals = decimals_;
         _mint(msg.sender, initialSupply);
     }
@@ -26,11 +32,22 @@ contract LoanToken is ERC20, Ownable {
     }
 
     /**
-     * @dev Mint tokens - only owner can mint
+     * @dev Grant or revoke minting rights - only owner
+     * @param account Address to update
+     * @param allowed Whether the account may mint
+     */
+    function setMinter(address account, bool allowed) external onlyOwner {
+        minters[account] = allowed;
+        emit MinterUpdated(account, allowed);
+    }
+
+    /**
+     * @dev Mint tokens - only owner or an approved minter can mint
      * @param to Address to mint tokens to
      * @param amount Amount of tokens to mint
      */
-    function mint(address to, uint256 amount) public onlyOwner {
+    function mint(address to, uint256 amount) public {
+        require(msg.sender == owner() || minters[msg.sender], "Not a minter");
         _mint(to, amount);
     }
 
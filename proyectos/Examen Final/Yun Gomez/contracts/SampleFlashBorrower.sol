@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title SampleFlashBorrower
+ * @dev Minimal ERC-3156 borrower showing how to take a flash loan from the LendingProtocol.
+ * The contract must hold enough loan tokens to pay the fee; real borrowers earn it during the
+ * callback (arbitrage, liquidations, collateral swaps). Only the owner can start a flash loan,
+ * since every loan spends the fee balance.
+ */
+contract SampleFlashBorrower is IERC3156FlashBorrower, Ownable {
+    using SafeERC20 for IERC20;
+
+    IERC3156FlashLender public immutable lender;
+
+    event FlashLoanReceived(address indexed token, uint256 amount, uint256 fee);
+
+    constructor(address _lender) Ownable(msg.sender) {
+        require(_lender != address(0), "Invalid lender");
+        lender = IERC3156FlashLender(_lender);
+    }
+
+    /**
+     * @dev Borrow tokens from the lender and repay them with the fee in the same transaction
+     * @param token Token to borrow
+     * @param amount Amount to borrow
+     */
+    function flashBorrow(address token, uint256 amount) external onlyOwner {
+        lender.flashLoan(this, token, amount, "");
+    }
+
+    /**
+     * @dev Called by the lender with the borrowed tokens; approves repayment of amount plus fee
+     * @param initiator Address that started the flash loan
+     * @param token Borrowed token
+     * @param amount Amount borrowed
+     * @param fee Fee owed on top of the amount
+     * @return The ERC-3156 callback success value
+     */
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external returns (bytes32) {
+        require(msg.sender == address(lender), "Untrusted lender");
+        require(initiator == address(this), "Untrusted initiator");
+
+        // Use the borrowed tokens here
+
+        emit FlashLoanReceived(token, amount, fee);
+
+        IERC20(token).forceApprove(address(lender), amount + fee);
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title SupplyShareToken
+ * @dev Interest-bearing share of the lending pool, minted to lenders who supply loan tokens (sdDAI).
+ * Ownership must be transferred to the LendingProtocol, which mints and burns shares.
+ */
+contract SupplyShareToken is ERC20, Ownable {
+    constructor(
+        string memory name,
+        string memory symbol
+    ) ERC20(name, symbol) Ownable(msg.sender) {}
+
+    /**
+     * @dev Mint shares - only owner (the lending protocol) can mint
+     * @param to Address to mint shares to
+     * @param amount Amount of shares to mint
+     */
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Burn shares - only owner (the lending protocol) can burn
+     * @param from Address to burn shares from
+     * @param amount Amount of shares to burn
+     */
+    function burn(address from, uint256 amount) external onlyOwner {
+        _burn(from, amount);
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IMintableERC20.sol";
+
+/**
+ * @title TokenFaucet
+ * @dev Mints a fixed amount of each test token to any address, at most once per cooldown period.
+ * The faucet must be granted minting rights on every token it dispenses.
+ */
+contract TokenFaucet is Ownable {
+    // Tokens dispensed and the amount of each per request
+    IMintableERC20[] public tokens;
+    uint256[] public amounts;
+
+    // Minimum time between two requests from the same address
+    uint256 public cooldown;
+
+    // Timestamp of each address's last request
+    mapping(address => uint256) public lastRequest;
+
+    event TokensRequested(address indexed recipient);
+    event CooldownUpdated(uint256 oldCooldown, uint256 newCooldown);
+
+    constructor(
+        address[] memory _tokens,
+        uint256[] memory _amounts,
+        uint256 _cooldown
+    ) Ownable(msg.sender) {
+        require(_tokens.length > 0, "No tokens");
+        require(_tokens.length == _amounts.length, "Length mismatch");
+
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            require(_tokens[i] != address(0), "Invalid token");
+            tokens.push(IMintableERC20(_tokens[i]));
+        }
+        amounts = _amounts;
+        cooldown = _cooldown;
+    }
+
+    /**
+     * @dev Mint the configured amount of every token to the caller
+     */
+    function requestTokens() external {
+        require(cooldownRemaining(msg.sender) == 0, "Faucet cooldown active");
+
+        lastRequest[msg.sender] = block.timestamp;
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            tokens[i].mint(msg.sender, amounts[i]);
+        }
+
+        emit TokensRequested(msg.sender);
+    }
+
+    /**
+     * @dev Seconds until an address can request tokens again
+     * @param account Address to check
+     * @return remaining Zero when a request is allowed now
+     */
+    function cooldownRemaining(address account) public view returns (uint256 remaining) {
+        uint256 last = lastRequest[account];
+        if (last == 0 || block.timestamp >= last + cooldown) {
+            return 0;
+        }
+        return last + cooldown - block.timestamp;
+    }
+
+    /**
+     * @dev Get the dispensed tokens and amounts
+     * @return tokenList Token addresses
+     * @return amountList Amount of each token per request
+     */
+    function getDrip() external view returns (address[] memory tokenList, uint256[] memory amountList) {
+        tokenList = new address[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            tokenList[i] = address(tokens[i]);
+        }
+        return (tokenList, amounts);
+    }
+
+    /**
+     * @dev Change the cooldown period (only owner)
+     * @param newCooldown New minimum time between requests, in seconds
+     */
+    function setCooldown(uint256 newCooldown) external onlyOwner {
+        emit CooldownUpdated(cooldown, newCooldown);
+        cooldown = newCooldown;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IInterestRateModel
+ * @dev Computes the borrow rate of the lending protocol from its liquidity
+ */
+interface IInterestRateModel {
+    /**
+     * @dev Get the current borrow rate
+     * @param cash Loan tokens available in the protocol
+     * @param borrows Loan tokens currently borrowed
+     * @return rate Borrow rate per week, scaled by 1e18 (1e18 = 100%)
+     */
+    function getBorrowRate(uint256 cash, uint256 borrows) external view returns (uint256 rate);
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IMintableERC20
+ * @dev Test tokens that let approved accounts mint new supply
+ */
+interface IMintableERC20 {
+    /**
+     * @dev Mint tokens
+     * @param to Address to mint tokens to
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external;
+}
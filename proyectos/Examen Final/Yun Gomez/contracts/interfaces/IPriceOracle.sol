@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IPriceOracle
+ * @dev Price feed used by the lending protocol to value collateral and debt
+ */
+interface IPriceOracle {
+    /**
+     * @dev Get the price of one whole token
+     * @param asset Address of the token
+     * @return price Price in USD with 18 decimals
+     * @return updatedAt Timestamp of the last price update
+     */
+    function getPrice(address asset) external view returns (uint256 price, uint256 updatedAt);
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../LendingProtocol.sol";
+
+/**
+ * @title MockFlashBorrower
+ * @dev Flash loan receiver that misbehaves in configurable ways, for tests
+ */
+contract MockFlashBorrower is IERC3156FlashBorrower {
+    enum Action {
+        Repay,
+        SkipRepayment,
+        WrongReturnValue,
+        ReenterFlashLoan,
+        ReenterSupply
+    }
+
+    LendingProtocol public immutable lender;
+    Action public action;
+
+    constructor(address _lender) {
+        lender = LendingProtocol(_lender);
+    }
+
+    /**
+     * @dev Choose what the next callback does
+     * @param _action Behaviour of onFlashLoan
+     */
+    function setAction(Action _action) external {
+        action = _action;
+    }
+
+    /**
+     * @dev Start a flash loan with this contract as receiver
+     * @param amount Amount of loan tokens to borrow
+     */
+    function flashBorrow(uint256 amount) external {
+        lender.flashLoan(this, address(lender.loanToken()), amount, "");
+    }
+
+    function onFlashLoan(
+        address,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external returns (bytes32) {
+        if (action == Action.WrongReturnValue) {
+            IERC20(token).approve(msg.sender, amount + fee);
+            return bytes32(0);
+        }
+        if (action == Action.ReenterFlashLoan) {
+            lender.flashLoan(this, token, amount, "");
+        }
+        if (action == Action.ReenterSupply) {
+            // Supplying the borrowed tokens would mint shares backed by the lender's own liquidity
+            IERC20(token).approve(msg.sender, amount);
+            lender.supply(amount);
+        }
+        if (action != Action.SkipRepayment) {
+            IERC20(token).approve(msg.sender, amount + fee);
+        }
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+
+/**
+ * @title MockIncompatibleLendingProtocol
+ * @dev Implementation whose storage layout does not match LendingProtocol, so the
+ * upgrade checks must reject it
+ */
+contract MockIncompatibleLendingProtocol is Initializable, OwnableUpgradeable, UUPSUpgradeable {
+    uint256 public totalLoans;
+    address public loanToken;
+
+    function initialize() external initializer {
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../LendingProtocol.sol";
+
+/**
+ * @title MockLendingProtocolV2
+ * @dev Next LendingProtocol implementation with one appended state variable, for upgrade tests.
+ * It is only reached by upgrading an initialized proxy, so its setup is a reinitializer.
+ * @custom:oz-upgrades-from LendingProtocol
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract MockLendingProtocolV2 is LendingProtocol {
+    uint256 public upgradeMarker;
+
+    /**
+     * @dev Set up the state added in this version; runs once, during the upgrade
+     * @param marker Initial value of the appended variable
+     */
+    function initializeV2(uint256 marker) external reinitializer(2) {
+        upgradeMarker = marker;
+    }
+
+    function setUpgradeMarker(uint256 value) external onlyOwner {
+        upgradeMarker = value;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracle.sol";
+
+/**
+ * @title MockPriceOracle
+ * @dev Owner-controlled price feed for tests and test networks
+ */
+contract MockPriceOracle is IPriceOracle, Ownable {
+    struct PriceData {
+        uint256 price;
+        uint256 updatedAt;
+    }
+
+    mapping(address => PriceData) public prices;
+
+    event PriceUpdated(address indexed asset, uint256 price, uint256 updatedAt);
+
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @dev Set the price of an asset - only owner can update prices
+     * @param asset Address of the token
+     * @param price Price in USD with 18 decimals
+     */
+    function setPrice(address asset, uint256 price) external onlyOwner {
+        prices[asset] = PriceData(price, block.timestamp);
+        emit PriceUpdated(asset, price, block.timestamp);
+    }
+
+    /**
+     * @dev Get the price of one whole token
+     * @param asset Address of the token
+     * @return price Price in USD with 18 decimals
+     * @return updatedAt Timestamp of the last price update
+     */
+    function getPrice(address asset) external view override returns (uint256 price, uint256 updatedAt) {
+        PriceData memory data = prices[asset];
+        return (data.price, data.updatedAt);
+    }
+}
@@ -0,0 +1,86 @@
+// Hardhat Ignition module for the whole protocol on a test network: tokens, oracle, rate model,
+// LendingProtocol behind a UUPS proxy and the test token faucet.
+// Deploy it with scripts/deploy.js, which also records the deployment in deployments/<network>.json.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ONE_DAY = 24 * 60 * 60;
+
+module.exports = buildModule("LendingProtocolModule", (m) => {
+  const deployer = m.getAccount(0);
+  const initialLiquidity = m.getParameter("initialLiquidity", 500_000n * 10n ** 18n);
+
+  // Collateral assets: cUSD (18 decimals) and WETH (8 decimals), plus the dDAI loan token
+  const collateralToken = m.contract("CollateralToken", ["Collateral USD", "cUSD", 18, 1_000_000n * 10n ** 18n], {
+    id: "CollateralUSD"
+  });
+  const wethToken = m.contract("CollateralToken", ["Wrapped Ether", "WETH", 8, 1_000n * 10n ** 8n], {
+    id: "WrappedEther"
+  });
+  const loanToken = m.contract("LoanToken", ["Decentralized DAI", "dDAI", 18, 1_000_000n * 10n ** 18n]);
+
+  // cUSD and dDAI at $1, WETH at $2000 (18-decimal prices)
+  const priceOracle = m.contract("MockPriceOracle");
+  m.call(priceOracle, "setPrice", [collateralToken, 10n ** 18n], { id: "SetPriceCUSD" });
+  m.call(priceOracle, "setPrice", [wethToken, 2000n * 10n ** 18n], { id: "SetPriceWETH" });
+  const loanPrice = m.call(priceOracle, "setPrice", [loanToken, 10n ** 18n], { id: "SetPriceDDAI" });
+
+  const shareToken = m.contract("SupplyShareToken", ["Supplied dDAI", "sdDAI"]);
+
+  // Rates per week: 5% base, 4% slope1, 75% slope2, kink at 80%
+  const interestRateModel = m.contract("KinkedInterestRateModel", [
+    5n * 10n ** 16n,
+    4n * 10n ** 16n,
+    75n * 10n ** 16n,
+    80n * 10n ** 16n
+  ]);
+
+  // LendingProtocol implementation behind a UUPS proxy, initialized in the proxy constructor
+  const implementation = m.contract("LendingProtocol", [], { id: "LendingProtocolImplementation" });
+  const initializeCall = m.encodeFunctionCall(implementation, "initialize", [
+    loanToken,
+    priceOracle,
+    shareToken,
+    interestRateModel
+  ]);
+  const proxy = m.contract("ERC1967Proxy", [implementation, initializeCall]);
+  const lendingProtocol = m.contractAt("LendingProtocol", proxy);
+
+  // cUSD borrows up to 66.67% (150% ratio), WETH up to 75%
+  m.call(lendingProtocol, "listCollateral", [collateralToken, 666666666666666667n, 75n * 10n ** 16n], {
+    id: "ListCUSD"
+  });
+  m.call(lendingProtocol, "listCollateral", [wethToken, 75n * 10n ** 16n, 80n * 10n ** 16n], { id: "ListWETH" });
+
+  // The protocol mints and burns supply shares; the deployer is the first lender
+  const shareOwnership = m.call(shareToken, "transferOwnership", [lendingProtocol]);
+  const approveLiquidity = m.call(loanToken, "approve", [lendingProtocol, initialLiquidity]);
+  m.call(lendingProtocol, "supply", [initialLiquidity], { after: [shareOwnership, approveLiquidity, loanPrice] });
+
+  // Test tokens for the deployer
+  m.call(collateralToken, "mint", [deployer, 10_000n * 10n ** 18n], { id: "MintCUSD" });
+  m.call(loanToken, "mint", [deployer, 10_000n * 10n ** 18n], { id: "MintDDAI" });
+  m.call(wethToken, "mint", [deployer, 10n * 10n ** 8n], { id: "MintWETH" });
+
+  // Faucet: 1,000 cUSD, 1 WETH and 1,000 dDAI per address once a day
+  const faucet = m.contract("TokenFaucet", [
+    [collateralToken, wethToken, loanToken],
+    [1_000n * 10n ** 18n, 10n ** 8n, 1_000n * 10n ** 18n],
+    ONE_DAY
+  ]);
+  m.call(collateralToken, "setMinter", [faucet, true], { id: "FaucetMinterCUSD" });
+  m.call(wethToken, "setMinter", [faucet, true], { id: "FaucetMinterWETH" });
+  m.call(loanToken, "setMinter", [faucet, true], { id: "FaucetMinterDDAI" });
+
+  return {
+    collateralToken,
+    wethToken,
+    loanToken,
+    priceOracle,
+    shareToken,
+    interestRateModel,
+    implementation,
+    lendingProtocol,
+    faucet
+  };
+});
@@ -0,0 +1,43 @@
+require("dotenv").config();
+const path = require("path");
+const { ethers } = require("ethers");
+const { createStore } = require("./store");
+const { createIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+// Configuration, defaulting to a local Hardhat node
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const LENDING_PROTOCOL_ADDRESS = process.env.LENDING_PROTOCOL_ADDRESS;
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 5000);
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const DATA_DIR = process.env.INDEXER_DATA_DIR || path.join(__dirname, "data");
+
+async function main() {
+  if (!LENDING_PROTOCOL_ADDRESS) {
+    throw new Error("Set LENDING_PROTOCOL_ADDRESS to the deployed LendingProtocol");
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const store = await createStore(DATA_DIR);
+  const indexer = createIndexer({
+    provider,
+    address: LENDING_PROTOCOL_ADDRESS,
+    store,
+    startBlock: START_BLOCK,
+    confirmations: CONFIRMATIONS,
+    log: (message) => console.log(`[indexer] ${message}`)
+  });
+
+  console.log(`Indexing ${LENDING_PROTOCOL_ADDRESS} from ${RPC_URL}`);
+  indexer.start(POLL_INTERVAL);
+
+  const server = createServer(store, { corsOrigin: process.env.INDEXER_CORS_ORIGIN || "*" });
+  server.listen(PORT, () => console.log(`History API listening on http://localhost:${PORT}`));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
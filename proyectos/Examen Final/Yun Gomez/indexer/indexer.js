@@ -0,0 +1,134 @@
+const { ethers } = require("ethers");
+
+// Events that make up a user's transaction history
+const LENDING_EVENTS_ABI = [
+  "event CollateralDeposited(address indexed user, address indexed asset, uint256 amount)",
+  "event CollateralWithdrawn(address indexed user, address indexed asset, uint256 amount)",
+  "event LoanBorrowed(address indexed user, uint256 amount)",
+  "event LoanRepaid(address indexed user, uint256 amount, uint256 interest)",
+  "event Liquidated(address indexed user, address indexed liquidator, address indexed collateralAsset, uint256 debtRepaid, uint256 collateralSeized)"
+];
+
+const EVENT_TYPES = ["CollateralDeposited", "CollateralWithdrawn", "LoanBorrowed", "LoanRepaid", "Liquidated"];
+
+/**
+ * Follows LendingProtocol events over JSON-RPC and stores them as history records
+ * @param {object} options
+ * @param {ethers.Provider} options.provider JSON-RPC provider
+ * @param {string} options.address LendingProtocol address
+ * @param {object} options.store Store from createStore
+ * @param {number} [options.startBlock] First block to index on an empty database
+ * @param {number} [options.batchSize] Maximum blocks per eth_getLogs request
+ * @param {number} [options.confirmations] Blocks to stay behind the head, so reorgs do not reach stored events
+ * @param {function} [options.log] Logger for progress messages
+ */
+function createIndexer({ provider, address, store, startBlock = 0, batchSize = 2000, confirmations = 0, log = () => {} }) {
+  const contractAddress = ethers.getAddress(address);
+  const iface = new ethers.Interface(LENDING_EVENTS_ABI);
+  const topics = [EVENT_TYPES.map((name) => iface.getEvent(name).topicHash)];
+  let timer = null;
+
+  // Flatten a decoded log into a JSON-friendly record; amounts stay exact as decimal strings
+  function toRecord(parsed, logEntry, timestamp) {
+    const { args } = parsed;
+    const record = {
+      type: parsed.name,
+      user: args.user,
+      blockNumber: logEntry.blockNumber,
+      logIndex: logEntry.index,
+      transactionHash: logEntry.transactionHash,
+      timestamp
+    };
+
+    switch (parsed.name) {
+      case "CollateralDeposited":
+      case "CollateralWithdrawn":
+        record.asset = args.asset;
+        record.amount = args.amount.toString();
+        break;
+      case "LoanBorrowed":
+        record.amount = args.amount.toString();
+        break;
+      case "LoanRepaid":
+        record.amount = args.amount.toString();
+        record.interest = args.interest.toString();
+        break;
+      case "Liquidated":
+        record.liquidator = args.liquidator;
+        record.asset = args.collateralAsset;
+        record.amount = args.debtRepaid.toString();
+        record.collateralSeized = args.collateralSeized.toString();
+        break;
+    }
+    return record;
+  }
+
+  /**
+   * Index every block between the stored cursor and the confirmed head
+   * @returns {Promise<number>} Number of events stored
+   */
+  async function sync() {
+    const cursor = await store.getCursor();
+    if (cursor && cursor.address !== contractAddress) {
+      throw new Error(`Database was built for ${cursor.address}; use a new data directory for ${contractAddress}`);
+    }
+
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let fromBlock = cursor ? cursor.lastBlock + 1 : startBlock;
+    let stored = 0;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: contractAddress, topics, fromBlock, toBlock });
+
+      // One block lookup per block with events, for the timestamp
+      const timestamps = new Map();
+      for (const logEntry of logs) {
+        if (!timestamps.has(logEntry.blockNumber)) {
+          const block = await provider.getBlock(logEntry.blockNumber);
+          timestamps.set(logEntry.blockNumber, block.timestamp);
+        }
+      }
+
+      const records = logs.map((logEntry) =>
+        toRecord(iface.parseLog(logEntry), logEntry, timestamps.get(logEntry.blockNumber))
+      );
+      await store.saveEvents(records);
+      await store.setCursor(contractAddress, toBlock);
+
+      if (records.length > 0) {
+        log(`Indexed ${records.length} events in blocks ${fromBlock}-${toBlock}`);
+      }
+      stored += records.length;
+      fromBlock = toBlock + 1;
+    }
+    return stored;
+  }
+
+  /**
+   * Keep syncing every `interval` milliseconds until stop() is called
+   * @param {number} interval Polling interval in milliseconds
+   */
+  function start(interval) {
+    const poll = async () => {
+      try {
+        await sync();
+      } catch (error) {
+        log(`Sync failed: ${error.message}`);
+      }
+      if (timer !== null) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+    timer = setTimeout(poll, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { sync, start, stop };
+}
+
+module.exports = { createIndexer, EVENT_TYPES };
@@ -0,0 +1,83 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { EVENT_TYPES } = require("./indexer");
+
+const MAX_LIMIT = 200;
+
+/**
+ * HTTP API over the indexed events:
+ *   GET /health                       -> { status, lastBlock }
+ *   GET /events?type=&limit=&offset=  -> { events, total }, newest first
+ *   GET /users/:address/events?...    -> same, for one user
+ * @param {object} store Store from createStore
+ * @param {object} [options]
+ * @param {string} [options.corsOrigin] Value of Access-Control-Allow-Origin
+ * @returns {http.Server}
+ */
+function createServer(store, { corsOrigin = "*" } = {}) {
+  function send(res, status, body) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": corsOrigin
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  // Parse type/limit/offset, returning an error message for invalid values
+  function parseQuery(searchParams) {
+    const type = searchParams.get("type") || undefined;
+    const limit = Number(searchParams.get("limit") ?? 50);
+    const offset = Number(searchParams.get("offset") ?? 0);
+
+    if (type && !EVENT_TYPES.includes(type)) {
+      return { error: `Unknown event type; expected one of ${EVENT_TYPES.join(", ")}` };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: "offset must be a non-negative integer" };
+    }
+    return { type, limit, offset };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") {
+      return send(res, 405, { error: "Method not allowed" });
+    }
+
+    if (url.pathname === "/health") {
+      const cursor = await store.getCursor();
+      return send(res, 200, { status: "ok", lastBlock: cursor ? cursor.lastBlock : null });
+    }
+
+    const userMatch = url.pathname.match(/^\/users\/([^/]+)\/events$/);
+    if (url.pathname !== "/events" && !userMatch) {
+      return send(res, 404, { error: "Not found" });
+    }
+
+    let user;
+    if (userMatch) {
+      if (!ethers.isAddress(userMatch[1])) {
+        return send(res, 400, { error: "Invalid address" });
+      }
+      user = ethers.getAddress(userMatch[1]);
+    }
+
+    const query = parseQuery(url.searchParams);
+    if (query.error) {
+      return send(res, 400, { error: query.error });
+    }
+
+    const result = await store.findEvents({ user, type: query.type }, query.limit, query.offset);
+    return send(res, 200, result);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => send(res, 500, { error: error.message }));
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,71 @@
+const path = require("path");
+const Datastore = require("@seald-io/nedb");
+
+/**
+ * Embedded event database backed by NeDB files in `dataDir`, or kept in memory when no
+ * directory is given (tests).
+ * @param {string} [dataDir] Directory for the datafiles
+ */
+async function createStore(dataDir) {
+  const open = (name) => new Datastore(
+    dataDir ? { filename: path.join(dataDir, `${name}.db`) } : { inMemoryOnly: true }
+  );
+  const events = open("events");
+  const meta = open("meta");
+
+  await Promise.all([events.loadDatabaseAsync(), meta.loadDatabaseAsync()]);
+  await events.ensureIndexAsync({ fieldName: "user" });
+  await events.ensureIndexAsync({ fieldName: "blockNumber" });
+
+  return {
+    /**
+     * Contract the database was built for and the last block fully indexed
+     * @returns {Promise<{address: string, lastBlock: number} | null>}
+     */
+    async getCursor() {
+      const cursor = await meta.findOneAsync({ _id: "cursor" });
+      return cursor ? { address: cursor.address, lastBlock: cursor.lastBlock } : null;
+    },
+
+    /**
+     * Record progress after the events up to `lastBlock` are stored
+     * @param {string} address Indexed contract address
+     * @param {number} lastBlock Last block fully indexed
+     */
+    async setCursor(address, lastBlock) {
+      await meta.updateAsync({ _id: "cursor" }, { _id: "cursor", address, lastBlock }, { upsert: true });
+    },
+
+    /**
+     * Store event records; records already present (same transaction and log index) are replaced
+     * @param {object[]} records Records built by the indexer
+     */
+    async saveEvents(records) {
+      for (const record of records) {
+        const _id = `${record.transactionHash}:${record.logIndex}`;
+        await events.updateAsync({ _id }, { _id, ...record }, { upsert: true });
+      }
+    },
+
+    /**
+     * Events, newest first
+     * @param {object} filter Optional `user` and `type` to match
+     * @param {number} limit Maximum number of events
+     * @param {number} offset Number of events to skip
+     * @returns {Promise<{events: object[], total: number}>}
+     */
+    async findEvents({ user, type } = {}, limit = 50, offset = 0) {
+      const query = {};
+      if (user) query.user = user;
+      if (type) query.type = type;
+
+      const [docs, total] = await Promise.all([
+        events.findAsync(query, { _id: 0 }).sort({ blockNumber: -1, logIndex: -1 }).skip(offset).limit(limit),
+        events.countAsync(query)
+      ]);
+      return { events: docs, total };
+    }
+  };
+}
+
+module.exports = { createStore };
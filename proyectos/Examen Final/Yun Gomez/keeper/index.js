@@ -0,0 +1,64 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createKeeper } = require("./keeper");
+
+// Configuration, defaulting to a local Hardhat node and dry-run mode
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const LENDING_PROTOCOL_ADDRESS = process.env.LENDING_PROTOCOL_ADDRESS;
+const PRIVATE_KEY = process.env.KEEPER_PRIVATE_KEY;
+const START_BLOCK = Number(process.env.KEEPER_START_BLOCK || 0);
+const POLL_INTERVAL = Number(process.env.KEEPER_POLL_INTERVAL || 15000);
+const ACCRUAL_INTERVAL = Number(process.env.KEEPER_ACCRUAL_INTERVAL || 3600);
+const WARNING_HEALTH_FACTOR = ethers.parseUnits(process.env.KEEPER_WARNING_HEALTH_FACTOR || "1.1", 18);
+const LIQUIDATE = process.env.KEEPER_LIQUIDATE === "true";
+const DRY_RUN = process.env.KEEPER_DRY_RUN !== "false";
+
+// One JSON object per line, so logs can be filtered with jq or shipped as-is
+function log(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+  if (entry.level === "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+async function main() {
+  if (!LENDING_PROTOCOL_ADDRESS) {
+    throw new Error("Set LENDING_PROTOCOL_ADDRESS to the deployed LendingProtocol");
+  }
+  if (!PRIVATE_KEY && !DRY_RUN) {
+    throw new Error("Set KEEPER_PRIVATE_KEY to the account that sends keeper transactions");
+  }
+
+  // Without a key, a dry run only reads through the provider
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const signer = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : undefined;
+  const keeper = createKeeper({
+    signer,
+    provider,
+    address: LENDING_PROTOCOL_ADDRESS,
+    startBlock: START_BLOCK,
+    warningHealthFactor: WARNING_HEALTH_FACTOR,
+    accrualInterval: ACCRUAL_INTERVAL,
+    liquidate: LIQUIDATE,
+    dryRun: DRY_RUN,
+    log
+  });
+
+  log({
+    level: "info",
+    event: "keeper.started",
+    keeper: signer ? signer.address : null,
+    lendingProtocol: LENDING_PROTOCOL_ADDRESS,
+    rpcUrl: RPC_URL,
+    liquidate: LIQUIDATE,
+    dryRun: DRY_RUN
+  });
+  keeper.start(POLL_INTERVAL);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,284 @@
+const { ethers } = require("ethers");
+
+const LENDING_ABI = [
+  "event LoanBorrowed(address indexed user, uint256 amount)",
+  "function accrueInterest()",
+  "function liquidate(address user, address collateralAsset, uint256 repayAmount)",
+  "function getHealthFactor(address user) view returns (uint256)",
+  "function getUserData(address user) view returns (uint256 collateralValue, uint256 loanBalance, uint256 accruedInterest, uint256 totalDebt)",
+  "function getCollateralAssets() view returns (address[])",
+  "function collateralBalances(address user, address asset) view returns (uint256)",
+  "function collateralConfigs(address asset) view returns (bool listed, uint8 decimals, uint256 collateralFactor, uint256 liquidationThreshold)",
+  "function lastAccrualTime() view returns (uint256)",
+  "function closeFactor() view returns (uint256)",
+  "function liquidationBonus() view returns (uint256)",
+  "function actionPaused(bytes32 action) view returns (bool)",
+  "function loanToken() view returns (address)",
+  "function loanDecimals() view returns (uint8)",
+  "function priceOracle() view returns (address)"
+];
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+const ORACLE_ABI = ["function getPrice(address asset) view returns (uint256 price, uint256 updatedAt)"];
+
+const HEALTH_FACTOR_PRECISION = 10n ** 18n;
+const PRECISION = 100n; // Close factor and liquidation bonus are percentages
+const ACTION_LIQUIDATE = ethers.id("LIQUIDATE");
+
+const formatHealthFactor = (healthFactor) =>
+  healthFactor === ethers.MaxUint256 ? "none" : ethers.formatUnits(healthFactor, 18);
+
+/**
+ * Keeps LendingProtocol up to date: discovers borrowers from LoanBorrowed events, accrues
+ * interest, flags positions close to liquidation and optionally liquidates them.
+ * @param {object} options
+ * @param {ethers.Signer} [options.signer] Keeper account; its provider is used for reads. Only
+ *   optional in dry-run mode
+ * @param {ethers.Provider} [options.provider] Provider for reads when there is no signer
+ * @param {string} options.address LendingProtocol address
+ * @param {number} [options.startBlock] First block to scan for borrowers
+ * @param {number} [options.batchSize] Maximum blocks per eth_getLogs request
+ * @param {bigint} [options.warningHealthFactor] Flag positions below this health factor (1e18 = 1.0)
+ * @param {number} [options.accrualInterval] Seconds since the last accrual before interest is refreshed
+ * @param {boolean} [options.liquidate] Liquidate positions whose health factor is below 1
+ * @param {boolean} [options.dryRun] Log the transactions the keeper would send instead of sending them
+ * @param {function} [options.log] Receives structured entries: { level, event, ...fields }
+ */
+function createKeeper({
+  signer,
+  provider = signer?.provider,
+  address,
+  startBlock = 0,
+  batchSize = 2000,
+  warningHealthFactor = ethers.parseUnits("1.1", 18),
+  accrualInterval = 3600,
+  liquidate = false,
+  dryRun = true,
+  log = () => {}
+}) {
+  if (!signer && !dryRun) {
+    throw new Error("A signer is required to send keeper transactions");
+  }
+  const lending = new ethers.Contract(address, LENDING_ABI, signer ?? provider);
+  const borrowers = new Set();
+  let nextBlock = startBlock;
+  let timer = null;
+
+  /**
+   * Add every account that borrowed since the last scan to the tracked borrowers
+   * @returns {Promise<number>} Number of newly tracked borrowers
+   */
+  async function discoverBorrowers() {
+    const head = await provider.getBlockNumber();
+    const before = borrowers.size;
+
+    while (nextBlock <= head) {
+      const toBlock = Math.min(nextBlock + batchSize - 1, head);
+      const events = await lending.queryFilter(lending.filters.LoanBorrowed(), nextBlock, toBlock);
+      for (const event of events) {
+        borrowers.add(event.args.user);
+      }
+      nextBlock = toBlock + 1;
+    }
+
+    const added = borrowers.size - before;
+    if (added > 0) {
+      log({ level: "info", event: "borrowers.discovered", added, tracked: borrowers.size, lastBlock: head });
+    }
+    return added;
+  }
+
+  // Send a transaction, or only log it in dry-run mode
+  async function send(event, fields, sendTransaction) {
+    if (dryRun) {
+      log({ level: "info", event, dryRun: true, ...fields });
+      return null;
+    }
+    const tx = await sendTransaction();
+    const receipt = await tx.wait();
+    log({ level: "info", event, txHash: receipt.hash, gasUsed: receipt.gasUsed.toString(), ...fields });
+    return receipt;
+  }
+
+  /**
+   * Accrue interest when someone owes debt and the last accrual is older than accrualInterval
+   * @param {number} openPositions Tracked borrowers with outstanding debt
+   * @returns {Promise<boolean>} Whether an accrual was sent (or logged in dry-run mode)
+   */
+  async function refreshInterest(openPositions) {
+    if (openPositions === 0) return false;
+
+    const [lastAccrualTime, block] = await Promise.all([lending.lastAccrualTime(), provider.getBlock("latest")]);
+    const elapsed = BigInt(block.timestamp) - lastAccrualTime;
+    if (elapsed < BigInt(accrualInterval)) return false;
+
+    await send("interest.accrued", { secondsSinceLastAccrual: Number(elapsed) }, () => lending.accrueInterest());
+    return true;
+  }
+
+  // Collateral asset of the user with the highest USD value, so the seized amount is not capped
+  async function pickCollateral(user, oracle) {
+    let best = null;
+
+    for (const asset of await lending.getCollateralAssets()) {
+      const balance = await lending.collateralBalances(user, asset);
+      if (balance === 0n) continue;
+      const [config, [price]] = await Promise.all([lending.collateralConfigs(asset), oracle.getPrice(asset)]);
+      const value = (balance * price) / 10n ** config.decimals;
+      if (best === null || value > best.value) {
+        best = { asset, value };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Repay as much of an unhealthy position as the close factor, the keeper's balance and the
+   * chosen collateral allow
+   * @param {string} user Position to liquidate
+   * @param {bigint} totalDebt Current debt of the position
+   */
+  async function liquidatePosition(user, totalDebt) {
+    if (await lending.actionPaused(ACTION_LIQUIDATE)) {
+      log({ level: "warn", event: "liquidation.skipped", user, reason: "Liquidations are paused" });
+      return false;
+    }
+
+    const oracle = new ethers.Contract(await lending.priceOracle(), ORACLE_ABI, provider);
+    const collateral = await pickCollateral(user, oracle);
+    if (collateral === null) {
+      log({ level: "warn", event: "liquidation.skipped", user, reason: "No collateral to seize" });
+      return false;
+    }
+
+    const loanToken = new ethers.Contract(await lending.loanToken(), ERC20_ABI, signer ?? provider);
+    // A read-only dry run has no keeper account, so its repayment is not capped by a balance
+    const keeperAddress = signer ? await signer.getAddress() : null;
+    const [closeFactor, bonus, loanDecimals, [loanPrice], balance] = await Promise.all([
+      lending.closeFactor(),
+      lending.liquidationBonus(),
+      lending.loanDecimals(),
+      oracle.getPrice(loanToken.target),
+      keeperAddress === null ? null : loanToken.balanceOf(keeperAddress)
+    ]);
+
+    // Largest repayment whose seized collateral, bonus included, is still covered by the asset
+    const maxByCollateral = (collateral.value * PRECISION * 10n ** loanDecimals) / ((PRECISION + bonus) * loanPrice);
+    let repayAmount = (totalDebt * closeFactor) / PRECISION;
+    if (maxByCollateral < repayAmount) repayAmount = maxByCollateral;
+    if (balance !== null && balance < repayAmount) repayAmount = balance;
+
+    if (repayAmount === 0n) {
+      log({ level: "warn", event: "liquidation.skipped", user, reason: "Keeper has no loan tokens" });
+      return false;
+    }
+
+    const fields = { user, collateralAsset: collateral.asset, repayAmount: repayAmount.toString() };
+    if (!dryRun) {
+      if ((await loanToken.allowance(keeperAddress, lending.target)) < repayAmount) {
+        await (await loanToken.approve(lending.target, ethers.MaxUint256)).wait();
+      }
+      // Surface the revert reason instead of paying for a failing transaction
+      await lending.liquidate.staticCall(user, collateral.asset, repayAmount);
+    }
+    await send("liquidation.executed", fields, () => lending.liquidate(user, collateral.asset, repayAmount));
+    return true;
+  }
+
+  /**
+   * One keeper pass: discover borrowers, refresh interest, then check every open position
+   * @returns {Promise<{tracked: number, open: number, atRisk: string[], liquidatable: string[], liquidated: string[], failed: string[], accrued: boolean}>}
+   */
+  async function run() {
+    await discoverBorrowers();
+
+    const positions = [];
+    const failed = [];
+    for (const user of borrowers) {
+      // A position that cannot be read (e.g. a stale price) must not hold up the others
+      try {
+        const { totalDebt } = await lending.getUserData(user);
+        if (totalDebt === 0n) {
+          // Fully repaid; a later borrow adds the account back
+          borrowers.delete(user);
+          continue;
+        }
+        positions.push({ user, totalDebt, healthFactor: await lending.getHealthFactor(user) });
+      } catch (error) {
+        failed.push(user);
+        log({ level: "error", event: "position.check_failed", user, error: error.shortMessage || error.message });
+      }
+    }
+
+    const accrued = await refreshInterest(positions.length + failed.length);
+    const summary = {
+      tracked: borrowers.size,
+      open: positions.length + failed.length,
+      atRisk: [],
+      liquidatable: [],
+      liquidated: [],
+      failed,
+      accrued
+    };
+
+    for (const { user, totalDebt, healthFactor } of positions) {
+      const fields = { user, healthFactor: formatHealthFactor(healthFactor), totalDebt: totalDebt.toString() };
+
+      if (healthFactor < HEALTH_FACTOR_PRECISION) {
+        summary.liquidatable.push(user);
+        log({ level: "warn", event: "position.liquidatable", ...fields });
+        if (!liquidate) continue;
+        try {
+          if (await liquidatePosition(user, totalDebt)) summary.liquidated.push(user);
+        } catch (error) {
+          log({ level: "error", event: "liquidation.failed", user, error: error.shortMessage || error.message });
+        }
+      } else if (healthFactor < warningHealthFactor) {
+        summary.atRisk.push(user);
+        log({ level: "warn", event: "position.at_risk", ...fields });
+      }
+    }
+
+    log({
+      level: "info",
+      event: "run.completed",
+      tracked: summary.tracked,
+      open: summary.open,
+      atRisk: summary.atRisk.length,
+      liquidatable: summary.liquidatable.length,
+      liquidated: summary.liquidated.length,
+      failed: summary.failed.length
+    });
+    return summary;
+  }
+
+  /**
+   * Run the keeper every `interval` milliseconds until stop() is called
+   * @param {number} interval Polling interval in milliseconds
+   */
+  function start(interval) {
+    const poll = async () => {
+      try {
+        await run();
+      } catch (error) {
+        log({ level: "error", event: "run.failed", error: error.shortMessage || error.message });
+      }
+      if (timer !== null) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+    timer = setTimeout(poll, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { run, start, stop, borrowers };
+}
+
+module.exports = { createKeeper };
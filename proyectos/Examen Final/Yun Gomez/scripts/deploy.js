@@ -1,91 +1,63 @@
-const { ethers } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
-
+const hre = require("hardhat");
+const { ethers, ignition, upgrades } = hre;
+const LendingProtocolModule = require("../ignition/modules/LendingProtocol");
+const { writeManifest, getIgnitionTransactions } = require("./manifest");
+
+// Deploy the protocol with Hardhat Ignition and record it in deployments/<network>.json, which the
+// frontend reads to pick the contracts of the connected chain. Re-running the script on the same
+// network resumes the Ignition deployment instead of deploying everything again.
 async function main() {
   const [deployer] = await ethers.getSigners();
 
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
-  // Deploy CollateralToken (cUSD)
-  const CollateralToken = await ethers.getContractFactory("CollateralToken");
-  const collateralToken = await CollateralToken.deploy(
-    "Collateral USD",
-    "cUSD",
-    18,
-    ethers.parseEther("1000000") // 1M initial supply
-  );
-  await collateralToken.waitForDeployment();
-
-  console.log("CollateralToken deployed to:", await collateralToken.getAddress());
-
-  // Deploy LoanToken (dDAI)
-  const LoanToken = await ethers.getContractFactory("LoanToken");
-  const loanToken = await LoanToken.deploy(
-    "Decentralized DAI",
-    "dDAI",
-    18,
-    ethers.parseEther("1000000") // 1M initial supply
-  );
-  await loanToken.waitForDeployment();
-
-  console.log("LoanToken deployed to:", await loanToken.getAddress());
-
-  // Deploy LendingProtocol
-  const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
-  const lendingProtocol = await LendingProtocol.deploy(
-    await collateralToken.getAddress(),
-    await loanToken.getAddress()
-  );
-  await lendingProtocol.waitForDeployment();
-
-  console.log("LendingProtocol deployed to:", await lendingProtocol.getAddress());
+  const deployed = await ignition.deploy(LendingProtocolModule, { displayUi: true });
 
-  // Transfer some tokens to the lending protocol for liquidity
-  const liquidityAmount = ethers.parseEther("500000"); // 500K tokens
-  await loanToken.transfer(await lendingProtocol.getAddress(), liquidityAmount);
-
-  console.log("Transferred", ethers.formatEther(liquidityAmount), "dDAI to LendingProtocol for liquidity");
-
-  // Mint some tokens to deployer for testing
-  const testAmount = ethers.parseEther("10000"); // 10K tokens
-  await collateralToken.mint(deployer.address, testAmount);
-  await loanToken.mint(deployer.address, testAmount);
+  const addresses = {};
+  for (const [key, contract] of Object.entries(deployed)) {
+    addresses[key] = await contract.getAddress();
+  }
 
-  console.log("Minted", ethers.formatEther(testAmount), "tokens to deployer for testing");
+  // Register the proxy with the upgrades plugin so scripts/upgrade.js can validate later versions
+  const proxyAddress = addresses.lendingProtocol;
+  await upgrades.forceImport(proxyAddress, await ethers.getContractFactory("LendingProtocol"), { kind: "uups" });
 
   console.log("\n=== Deployment Summary ===");
-  console.log("CollateralToken (cUSD):", await collateralToken.getAddress());
-  console.log("LoanToken (dDAI):", await loanToken.getAddress());
-  console.log("LendingProtocol:", await lendingProtocol.getAddress());
-  
-  console.log("\n=== Add these addresses to your .env file ===");
-  console.log(`VITE_COLLATERAL_TOKEN_ADDRESS=${await collateralToken.getAddress()}`);
-  console.log(`VITE_LOAN_TOKEN_ADDRESS=${await loanToken.getAddress()}`);
-  console.log(`VITE_LENDING_PROTOCOL_ADDRESS=${await lendingProtocol.getAddress()}`);
-
-  // Write contract addresses to web_app/.env
-  const envPath = path.join(__dirname, '..', 'web_app', '.env');
-  const envContent = 
-    `VITE_COLLATERAL_TOKEN_ADDRESS=${await collateralToken.getAddress()}\n` +
-    `VITE_LOAN_TOKEN_ADDRESS=${await loanToken.getAddress()}\n` +
-    `VITE_LENDING_PROTOCOL_ADDRESS=${await lendingProtocol.getAddress()}\n`;
-
-  fs.writeFileSync(envPath, envContent);
-  console.log(`✅ Wrote contract addresses to web_app/.env`);
-
-  // Copy ABI files to frontend after deployment
-  function copyABI(contractName) {
-    const artifactPath = path.join(__dirname, '..', 'artifacts', 'contracts', `${contractName}.sol`, `${contractName}.json`);
-    const destPath = path.join(__dirname, '..', 'web_app', 'src', 'contracts', `${contractName}.json`);
-    fs.copyFileSync(artifactPath, destPath);
-    console.log(`✅ Copied ABI for ${contractName} to web_app/src/contracts/`);
+  console.log("CollateralToken (cUSD):", addresses.collateralToken);
+  console.log("CollateralToken (WETH):", addresses.wethToken);
+  console.log("LoanToken (dDAI):", addresses.loanToken);
+  console.log("MockPriceOracle:", addresses.priceOracle);
+  console.log("SupplyShareToken (sdDAI):", addresses.shareToken);
+  console.log("KinkedInterestRateModel:", addresses.interestRateModel);
+  console.log("LendingProtocol (proxy):", proxyAddress);
+  console.log("LendingProtocol implementation:", addresses.implementation);
+  console.log("TokenFaucet:", addresses.faucet);
+
+  // The in-process Hardhat network keeps nothing once the script exits
+  if (hre.network.name === "hardhat") {
+    console.log("\nSkipping the deployment manifest on the in-process hardhat network");
+    return;
   }
 
-  copyABI('LendingProtocol');
-  copyABI('CollateralToken');
-  copyABI('LoanToken');
+  const transactions = await getIgnitionTransactions(hre);
+  const contract = (address, artifact) => ({ address, transactionHash: transactions.get(address), artifact });
+
+  const manifestPath = await writeManifest(hre, {
+    CollateralToken: contract(addresses.collateralToken),
+    WrappedEther: contract(addresses.wethToken, "CollateralToken"),
+    LoanToken: contract(addresses.loanToken),
+    MockPriceOracle: contract(addresses.priceOracle),
+    SupplyShareToken: contract(addresses.shareToken),
+    KinkedInterestRateModel: contract(addresses.interestRateModel),
+    LendingProtocol: {
+      ...contract(proxyAddress),
+      implementation: addresses.implementation
+    },
+    TokenFaucet: contract(addresses.faucet)
+  });
+
+  console.log(`✅ Wrote the ${hre.network.name} deployment to ${manifestPath}`);
 }
 
 main()
@@ -93,4 +65,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
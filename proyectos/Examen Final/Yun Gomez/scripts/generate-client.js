@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+
+// Generate the frontend's contract client, web_app/src/client/contracts.js, from the compiled
+// artifacts: the full ABI of each contract the dashboard talks to, JSDoc types for its methods and a
+// factory that connects it. Run it after changing a contract's interface:
+//
+//   npm run generate:client
+
+const OUTPUT = path.join(__dirname, "..", "web_app", "src", "client", "contracts.js");
+
+// Export name of each client and the artifact its ABI comes from
+const CLIENTS = [
+  { name: "LendingProtocol", artifact: "LendingProtocol" },
+  // cUSD, WETH and dDAI share the same mintable ERC-20 with permit
+  { name: "Token", artifact: "LoanToken" },
+  { name: "TokenFaucet", artifact: "TokenFaucet" },
+  { name: "PriceOracle", artifact: "IPriceOracle" },
+  { name: "InterestRateModel", artifact: "IInterestRateModel" }
+];
+
+/**
+ * JSDoc type of an ABI parameter as ethers v6 takes or returns it
+ * @param {object} param ABI parameter
+ * @param {boolean} output Whether the value is returned (bigint) or passed in (BigNumberish)
+ * @returns {string} JSDoc type
+ */
+function jsType(param, output) {
+  const { type } = param;
+  if (type.endsWith("]")) {
+    return `${jsType({ ...param, type: type.slice(0, type.lastIndexOf("[")) }, output)}[]`;
+  }
+  if (type === "tuple") {
+    return `{ ${param.components.map((component) => `${component.name}: ${jsType(component, output)}`).join(", ")} }`;
+  }
+  if (/^u?int\d*$/.test(type)) {
+    return output ? "bigint" : "import('ethers').BigNumberish";
+  }
+  return type === "bool" ? "boolean" : "string";
+}
+
+// Return type of a function: a view resolves to its value(s), anything else to the transaction
+function returnType(fragment) {
+  if (!["view", "pure"].includes(fragment.stateMutability)) {
+    return "Promise<import('ethers').ContractTransactionResponse>";
+  }
+  const outputs = fragment.outputs;
+  if (outputs.length === 1) {
+    return `Promise<${jsType(outputs[0], true)}>`;
+  }
+  const tuple = `[${outputs.map((output) => jsType(output, true)).join(", ")}]`;
+  const named = outputs.every((output) => output.name)
+    ? ` & { ${outputs.map((output) => `${output.name}: ${jsType(output, true)}`).join(", ")} }`
+    : "";
+  return `Promise<${tuple}${named}>`;
+}
+
+function methodType(fragment) {
+  const params = fragment.inputs.map((input, i) => `${input.name || `arg${i}`}: ${jsType(input, false)}`);
+  if (!["view", "pure"].includes(fragment.stateMutability)) {
+    params.push("overrides?: import('ethers').Overrides");
+  }
+  return `(${params.join(", ")}) => ${returnType(fragment)}`;
+}
+
+/**
+ * Source of the client module
+ * @param {{name: string, abi: object[]}[]} clients ABI of each client
+ * @returns {string} Module source
+ */
+function renderClient(clients) {
+  const lines = [
+    "// Generated by scripts/generate-client.js from the compiled contracts. Do not edit; run",
+    "// `npm run generate:client` in the project root after changing a contract's interface.",
+    "import { Contract } from 'ethers';"
+  ];
+
+  for (const { name, abi } of clients) {
+    const constant = `${name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}_ABI`;
+    const functions = abi.filter((fragment) => fragment.type === "function");
+
+    lines.push("", `export const ${constant} = [`);
+    abi.forEach((fragment, i) => lines.push(`  ${JSON.stringify(fragment)}${i < abi.length - 1 ? "," : ""}`));
+    lines.push("];", "", "/**", ` * @typedef {object} ${name}Methods`);
+    for (const fragment of functions) {
+      lines.push(` * @property {${methodType(fragment)}} ${fragment.name}`);
+    }
+    lines.push(
+      " */",
+      "",
+      `/** @typedef {import('ethers').BaseContract & ${name}Methods} ${name}Contract */`,
+      "",
+      "/**",
+      ` * ${name} contract at \`address\``,
+      " * @param {string} address Contract address",
+      " * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read",
+      ` * @returns {${name}Contract}`,
+      " */",
+      `export function connect${name}(address, runner) {`,
+      `  return /** @type {${name}Contract} */ (new Contract(address, ${constant}, runner));`,
+      "}"
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * ABIs of the clients from the compiled artifacts
+ * @param {object} artifacts hre.artifacts
+ * @returns {Promise<{name: string, abi: object[]}[]>}
+ */
+async function readClients(artifacts) {
+  return Promise.all(CLIENTS.map(async ({ name, artifact }) => ({
+    name,
+    abi: (await artifacts.readArtifact(artifact)).abi
+  })));
+}
+
+async function main() {
+  await hre.run("compile", { quiet: true });
+  const source = renderClient(await readClients(hre.artifacts));
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, source);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { renderClient, readClients, OUTPUT };
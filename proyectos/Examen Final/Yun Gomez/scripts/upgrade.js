@@ -0,0 +1,82 @@
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { readManifest, writeManifest } = require("./manifest");
+
+// Upgrade the LendingProtocol proxy to the current source. Positions, balances and
+// parameters stay in the proxy, so the address in the deployment manifest does not change.
+//
+//   npx hardhat run scripts/upgrade.js --network <network>
+//
+// Upgrades go through the contract's timelock: the first run deploys the new implementation
+// and proposes it, and running the script again once TIMELOCK_DELAY has passed upgrades the proxy.
+//
+// The proxy is read from deployments/<network>.json; set LENDING_PROTOCOL_ADDRESS to upgrade
+// another proxy. Set UPGRADE_CONTRACT to upgrade to another contract name (default: LendingProtocol).
+async function main() {
+  const manifest = readManifest(hre.network.name);
+  const proxyAddress = process.env.LENDING_PROTOCOL_ADDRESS || manifest?.contracts.LendingProtocol?.address;
+  const contractName = process.env.UPGRADE_CONTRACT || "LendingProtocol";
+  if (!proxyAddress) {
+    throw new Error(`No LendingProtocol in deployments/${hre.network.name}.json; set LENDING_PROTOCOL_ADDRESS to the proxy`);
+  }
+
+  const [deployer] = await ethers.getSigners();
+  console.log("Upgrading with the account:", deployer.address);
+
+  const oldImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("Current implementation:", oldImplementation);
+
+  // Refuse upgrades that are not upgrade safe or would corrupt the proxy's storage
+  const NewImplementation = await ethers.getContractFactory(contractName);
+  await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+  console.log(`✅ ${contractName} is upgrade safe and its storage layout is compatible`);
+
+  // Deploys the implementation once; later runs with the same code reuse it
+  const implementation = await upgrades.prepareUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+  if (implementation === oldImplementation) {
+    console.log("Implementation unchanged: the deployed code already matches", contractName);
+    return;
+  }
+
+  const proxy = await ethers.getContractAt("LendingProtocol", proxyAddress);
+  const pending = await proxy.pendingUpgrade();
+  if (pending.executableAt === 0n || pending.implementation !== implementation) {
+    const tx = await proxy.proposeUpgrade(implementation);
+    await tx.wait();
+    const { executableAt } = await proxy.pendingUpgrade();
+    console.log("Proposed implementation:", implementation);
+    console.log(`Run this script again after ${new Date(Number(executableAt) * 1000).toISOString()} to upgrade`);
+    return;
+  }
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  if (BigInt(timestamp) < pending.executableAt) {
+    console.log(`Upgrade to ${implementation} is queued until ${new Date(Number(pending.executableAt) * 1000).toISOString()}`);
+    return;
+  }
+
+  const lendingProtocol = await upgrades.upgradeProxy(proxyAddress, NewImplementation, { kind: "uups" });
+  await lendingProtocol.waitForDeployment();
+
+  const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("New implementation:", newImplementation);
+
+  // Record the new implementation and its ABI in the manifest; the proxy keeps its deployment transaction
+  if (manifest?.contracts.LendingProtocol?.address === proxyAddress) {
+    await writeManifest(hre, {
+      LendingProtocol: {
+        address: proxyAddress,
+        implementation: newImplementation,
+        transactionHash: manifest.contracts.LendingProtocol.transactionHash,
+        artifact: contractName
+      }
+    });
+    console.log(`✅ Updated LendingProtocol in deployments/${hre.network.name}.json`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
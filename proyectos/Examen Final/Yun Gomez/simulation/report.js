@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+
+const PROTOCOL_COLUMNS = [
+  "step",
+  "label",
+  "timestamp",
+  "elapsedDays",
+  "utilizationPercent",
+  "borrowRatePercentPerWeek",
+  "supplyRatePercentPerWeek",
+  "totalCollateralValueUsd",
+  "totalSupplied",
+  "totalLoans",
+  "totalDebt",
+  "accruedInterest",
+  "liquidity",
+  "reserves"
+];
+const USER_COLUMNS = [
+  "actor",
+  "address",
+  "collateralValueUsd",
+  "loanBalance",
+  "accruedInterest",
+  "totalDebt",
+  "healthFactor",
+  "supplied"
+];
+const ACTION_COLUMNS = ["step", "actor", "action", "asset", "amount", "status", "gasUsed", "reason"];
+
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((row) => row.map(escape).join(","))
+    .join("\n") + "\n";
+}
+
+/**
+ * Write the result of runScenario to `outDir`:
+ * - protocol.csv: one row per sample with utilization, rates, interest and getProtocolStats()
+ * - users.csv: one row per sample and actor account with its debt and health factor
+ * - actions.csv: every transaction the scenario attempted and whether it went through
+ * - report.json: all of the above with the scenario settings
+ * @param {object} result Result of runScenario
+ * @param {string} outDir Output directory, created if missing
+ * @param {string} [format] "csv", "json" or "all"
+ * @returns {string[]} Paths of the files written
+ */
+function writeReport(result, outDir, format = "all") {
+  if (!["csv", "json", "all"].includes(format)) {
+    throw new Error(`Unknown report format ${format}; expected csv, json or all`);
+  }
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  const write = (name, content) => {
+    const file = path.join(outDir, name);
+    fs.writeFileSync(file, content);
+    written.push(file);
+  };
+
+  if (format !== "json") {
+    const userRows = result.samples.flatMap((sample) =>
+      sample.users.map((user) => ({ step: sample.step, elapsedDays: sample.elapsedDays, ...user }))
+    );
+    write("protocol.csv", toCsv(PROTOCOL_COLUMNS, result.samples));
+    write("users.csv", toCsv(["step", "elapsedDays", ...USER_COLUMNS], userRows));
+    write("actions.csv", toCsv(ACTION_COLUMNS, result.actions));
+  }
+  if (format !== "csv") {
+    write("report.json", JSON.stringify(result, null, 2) + "\n");
+  }
+  return written;
+}
+
+module.exports = { writeReport, toCsv };
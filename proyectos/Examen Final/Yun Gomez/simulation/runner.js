@@ -0,0 +1,365 @@
+// Scenario runner: deploys a fresh protocol on the in-process Hardhat network, plays a declarative
+// scenario of actors, actions and time advances against it, and samples the protocol and every
+// actor's position along the way. See simulation/scenarios/ for examples of the format.
+
+const DURATION_UNITS = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 };
+const ACTIONS = ["supply", "redeem", "deposit", "withdraw", "borrow", "repay", "setPrice"];
+const ACTOR_ACTIONS = ACTIONS.filter((action) => action !== "setPrice");
+const BPS = 10000n;
+
+const DEFAULT_PROTOCOL = {
+  loanToken: { symbol: "dDAI", decimals: 18, price: "1" },
+  // Rates per week: 5% base, 4% slope1, 75% slope2, kink at 80% (as deployed by ignition/modules/LendingProtocol.js)
+  interestRateModel: { baseRate: "0.05", slope1: "0.04", slope2: "0.75", kink: "0.8" },
+  collateral: [
+    { symbol: "cUSD", decimals: 18, price: "1", collateralFactor: "0.666666666666666667", liquidationThreshold: "0.75" },
+    { symbol: "WETH", decimals: 8, price: "2000", collateralFactor: "0.75", liquidationThreshold: "0.8" }
+  ]
+};
+
+/**
+ * Parse a duration such as "3 weeks", "36 hours" or a number of seconds
+ * @param {string|number} value Duration
+ * @returns {number} Seconds
+ */
+function parseDuration(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  const match = typeof value === "string" && value.trim().match(/^(\d+(?:\.\d+)?)\s*(second|minute|hour|day|week)s?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration ${JSON.stringify(value)}; use seconds or e.g. "3 days"`);
+  }
+  return Math.round(Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Check a scenario and fill in defaults, so mistakes surface before anything runs
+ * @param {object} scenario Parsed scenario file
+ * @returns {object} Normalized scenario
+ */
+function normalizeScenario(scenario) {
+  const fail = (message) => {
+    throw new Error(`Scenario ${scenario.name ? `"${scenario.name}"` : ""}: ${message}`.replace("Scenario : ", "Scenario: "));
+  };
+
+  const protocol = { ...DEFAULT_PROTOCOL, ...scenario.protocol };
+  const symbols = [protocol.loanToken.symbol, ...protocol.collateral.map((asset) => asset.symbol)];
+
+  if (!Array.isArray(scenario.actors) || scenario.actors.length === 0) {
+    fail("define at least one actor");
+  }
+  const actors = scenario.actors.map((actor, index) => {
+    if (!actor.name || !/^[\w-]+$/.test(actor.name)) {
+      fail(`actor ${index + 1} needs a name made of letters, digits, "_" or "-"`);
+    }
+    const count = actor.count ?? 1;
+    if (!Number.isInteger(count) || count < 1) {
+      fail(`actor ${actor.name} has an invalid count`);
+    }
+    for (const symbol of Object.keys(actor.wallet ?? {})) {
+      if (!symbols.includes(symbol)) {
+        fail(`actor ${actor.name} holds unknown token ${symbol}`);
+      }
+    }
+    return { name: actor.name, count, wallet: actor.wallet ?? {} };
+  });
+  if (new Set(actors.map((actor) => actor.name)).size !== actors.length) {
+    fail("actor names must be unique");
+  }
+
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    fail("define at least one step");
+  }
+  const steps = scenario.steps.map((step, index) => {
+    const where = `step ${index + 1}`;
+    if (step.advance !== undefined) {
+      try {
+        return { advance: parseDuration(step.advance), label: step.label ?? `advance ${step.advance}` };
+      } catch (error) {
+        fail(`${where}: ${error.message}`);
+      }
+    }
+    if (!ACTIONS.includes(step.action)) {
+      fail(`${where}: unknown action ${JSON.stringify(step.action)}; expected one of ${ACTIONS.join(", ")} or "advance"`);
+    }
+    if (ACTOR_ACTIONS.includes(step.action) && !actors.some((actor) => actor.name === step.actor)) {
+      fail(`${where}: unknown actor ${JSON.stringify(step.actor)}`);
+    }
+    if (["deposit", "withdraw", "setPrice"].includes(step.action)) {
+      const collateral = step.action === "setPrice" ? symbols : symbols.slice(1);
+      if (!collateral.includes(step.asset)) {
+        fail(`${where}: ${step.action} needs an asset, one of ${collateral.join(", ")}`);
+      }
+    }
+    const value = step.action === "setPrice" ? step.price : step.amount;
+    if (typeof value !== "string" || !/^(max|\d+(\.\d+)?%?)$/.test(value) || (step.action === "setPrice" && !/^\d/.test(value))) {
+      fail(`${where}: ${step.action === "setPrice" ? "price" : "amount"} must be a decimal string${step.action === "setPrice" ? "" : ", a percentage such as \"50%\" or \"max\""}`);
+    }
+    return { ...step, label: step.label ?? `${step.actor ? `${step.actor} ` : ""}${step.action}${step.asset ? ` ${step.asset}` : ""} ${value}` };
+  });
+
+  return {
+    name: scenario.name ?? "scenario",
+    description: scenario.description ?? "",
+    protocol,
+    actors,
+    steps,
+    sampleInterval: parseDuration(scenario.sampleInterval ?? "1 day")
+  };
+}
+
+/**
+ * Run a scenario on the in-process Hardhat network
+ * @param {object} hre Hardhat runtime environment, connected to the hardhat network
+ * @param {object} scenarioFile Parsed scenario (see normalizeScenario)
+ * @param {object} [options]
+ * @param {function} [options.log] Receives progress messages
+ * @returns {Promise<{scenario: object, samples: object[], actions: object[]}>} Time series and action results
+ */
+async function runScenario(hre, scenarioFile, { log = () => {} } = {}) {
+  const { ethers, upgrades } = hre;
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Scenarios run on the in-process hardhat network, not ${hre.network.name}`);
+  }
+  const scenario = normalizeScenario(scenarioFile);
+  const { protocol } = scenario;
+  const [owner] = await ethers.getSigners();
+
+  // Deploy the protocol as configured by the scenario
+  const LoanToken = await ethers.getContractFactory("LoanToken");
+  const CollateralToken = await ethers.getContractFactory("CollateralToken");
+  const loanToken = {
+    ...protocol.loanToken,
+    contract: await LoanToken.deploy("Simulated loan token", protocol.loanToken.symbol, protocol.loanToken.decimals, 0)
+  };
+  const collateral = [];
+  for (const asset of protocol.collateral) {
+    collateral.push({ ...asset, contract: await CollateralToken.deploy(asset.symbol, asset.symbol, asset.decimals, 0) });
+  }
+  const tokens = [loanToken, ...collateral];
+  for (const token of tokens) {
+    token.address = await token.contract.getAddress();
+  }
+  const tokenBySymbol = Object.fromEntries(tokens.map((token) => [token.symbol, token]));
+
+  const oracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy();
+  const prices = {};
+  for (const token of tokens) {
+    prices[token.symbol] = ethers.parseEther(token.price);
+  }
+  const refreshPrices = async () => {
+    for (const token of tokens) {
+      await (await oracle.setPrice(token.address, prices[token.symbol])).wait();
+    }
+  };
+  await refreshPrices();
+
+  const shareToken = await (await ethers.getContractFactory("SupplyShareToken")).deploy(
+    `Supplied ${loanToken.symbol}`,
+    `s${loanToken.symbol}`
+  );
+  const { baseRate, slope1, slope2, kink } = protocol.interestRateModel;
+  const interestRateModel = await (await ethers.getContractFactory("KinkedInterestRateModel")).deploy(
+    ethers.parseEther(baseRate),
+    ethers.parseEther(slope1),
+    ethers.parseEther(slope2),
+    ethers.parseEther(kink)
+  );
+  const lending = await upgrades.deployProxy(
+    await ethers.getContractFactory("LendingProtocol"),
+    [loanToken.address, await oracle.getAddress(), await shareToken.getAddress(), await interestRateModel.getAddress()],
+    { kind: "uups" }
+  );
+  const lendingAddress = await lending.getAddress();
+  await (await shareToken.transferOwnership(lendingAddress)).wait();
+  for (const asset of collateral) {
+    await (await lending.listCollateral(
+      asset.address,
+      ethers.parseEther(asset.collateralFactor),
+      ethers.parseEther(asset.liquidationThreshold)
+    )).wait();
+  }
+
+  // Actors get deterministic accounts, so reports of the same scenario are comparable
+  const members = {};
+  for (const actor of scenario.actors) {
+    members[actor.name] = [];
+    for (let index = 1; index <= actor.count; index++) {
+      const name = actor.count === 1 ? actor.name : `${actor.name}#${index}`;
+      const wallet = new ethers.Wallet(ethers.id(`simulation:${name}`), ethers.provider);
+      await ethers.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("1000"))]);
+
+      for (const [symbol, amount] of Object.entries(actor.wallet)) {
+        const token = tokenBySymbol[symbol];
+        await (await token.contract.mint(wallet.address, ethers.parseUnits(amount, token.decimals))).wait();
+      }
+      for (const token of tokens) {
+        await (await token.contract.connect(wallet).approve(lendingAddress, ethers.MaxUint256)).wait();
+      }
+      members[actor.name].push({ name, wallet });
+    }
+  }
+  log(`Deployed LendingProtocol and ${Object.values(members).flat().length} actor accounts`);
+
+  const format = (value, decimals) => ethers.formatUnits(value, decimals);
+  const loanAmount = (value) => format(value, loanToken.decimals);
+  const startTime = (await ethers.provider.getBlock("latest")).timestamp;
+  const samples = [];
+  const actions = [];
+
+  // Protocol totals and every actor's position at the latest block
+  async function sample(stepIndex, label) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const stats = await lending.getProtocolStats();
+    const [supplyRate, totalSupplied] = await Promise.all([lending.getSupplyRate(), lending.totalSupplied()]);
+
+    const users = [];
+    for (const member of Object.values(members).flat()) {
+      const [userData, healthFactor, supplier] = await Promise.all([
+        lending.getUserData(member.wallet.address),
+        lending.getHealthFactor(member.wallet.address),
+        lending.getSupplierData(member.wallet.address)
+      ]);
+      users.push({
+        actor: member.name,
+        address: member.wallet.address,
+        collateralValueUsd: format(userData.collateralValue, 18),
+        loanBalance: loanAmount(userData.loanBalance),
+        accruedInterest: loanAmount(userData.accruedInterest),
+        totalDebt: loanAmount(userData.totalDebt),
+        healthFactor: healthFactor === ethers.MaxUint256 ? "" : format(healthFactor, 18),
+        supplied: loanAmount(supplier.balance)
+      });
+    }
+
+    samples.push({
+      step: stepIndex,
+      label,
+      timestamp,
+      elapsedDays: ((timestamp - startTime) / 86400).toFixed(4),
+      utilizationPercent: format(stats.utilization, 16),
+      borrowRatePercentPerWeek: format(stats.borrowRate, 16),
+      supplyRatePercentPerWeek: format(supplyRate, 16),
+      totalCollateralValueUsd: format(stats.totalCollateralValue, 18),
+      totalSupplied: loanAmount(totalSupplied),
+      totalLoans: loanAmount(stats.totalLoansOutstanding),
+      totalDebt: loanAmount(stats.totalDebtOutstanding),
+      accruedInterest: loanAmount(stats.totalDebtOutstanding - stats.totalLoansOutstanding),
+      liquidity: loanAmount(stats.protocolLiquidity),
+      reserves: loanAmount(stats.reserves),
+      users
+    });
+  }
+
+  // Resolve "max", "50%" or a decimal amount for one account
+  async function resolveAmount(step, address, token) {
+    let max;
+    switch (step.action) {
+      case "supply":
+      case "deposit":
+        max = await token.contract.balanceOf(address);
+        break;
+      case "redeem":
+        max = (await lending.getSupplierData(address)).shares;
+        break;
+      case "withdraw":
+        max = await lending.getMaxWithdrawable(address, token.address);
+        break;
+      case "borrow": {
+        // The quote is one block old; existing debt accrues a second of interest before the borrow
+        max = await lending.getMaxBorrowable(address);
+        const { totalDebt } = await lending.getUserData(address);
+        if (totalDebt > 0n) {
+          max = (max * (BPS - 1n)) / BPS;
+        }
+        break;
+      }
+      case "repay":
+        max = (await lending.getUserData(address)).totalDebt;
+        break;
+    }
+    if (step.amount === "max") {
+      return step.action === "repay" ? ethers.MaxUint256 : max;
+    }
+    if (step.amount.endsWith("%")) {
+      const basisPoints = ethers.parseUnits(step.amount.slice(0, -1), 2);
+      return (max * basisPoints) / BPS;
+    }
+    // Shares have 18 decimals like the share token
+    return ethers.parseUnits(step.amount, step.action === "redeem" ? 18 : token.decimals);
+  }
+
+  async function act(stepIndex, step, member) {
+    const token = step.asset ? tokenBySymbol[step.asset] : loanToken;
+    const address = member.wallet.address;
+    const amount = await resolveAmount(step, address, token);
+    const result = { step: stepIndex, actor: member.name, action: step.action, asset: token.symbol };
+
+    if (amount === 0n) {
+      actions.push({ ...result, amount: "0", status: "skipped" });
+      return;
+    }
+    const user = lending.connect(member.wallet);
+    const calls = {
+      supply: () => user.supply(amount),
+      redeem: () => user.redeem(amount),
+      deposit: () => user.depositCollateral(token.address, amount),
+      withdraw: () => user.withdrawCollateral(token.address, amount),
+      borrow: () => user.borrow(amount),
+      repay: () => user.repay(amount)
+    };
+    const shown = amount === ethers.MaxUint256 ? "max" : format(amount, step.action === "redeem" ? 18 : token.decimals);
+
+    try {
+      const receipt = await (await calls[step.action]()).wait();
+      actions.push({ ...result, amount: shown, status: "ok", gasUsed: receipt.gasUsed.toString() });
+    } catch (error) {
+      const reason = error.message.match(/reverted with (?:reason string|custom error) '(.*)'/)?.[1] ?? error.shortMessage ?? error.message;
+      actions.push({ ...result, amount: shown, status: "failed", reason });
+    }
+  }
+
+  await sample(0, "start");
+  for (const [index, step] of scenario.steps.entries()) {
+    const stepIndex = index + 1;
+    log(`Step ${stepIndex}: ${step.label}`);
+
+    if (step.advance !== undefined) {
+      // Advance in sample intervals; the oracle keeps reporting so prices never go stale
+      for (let remaining = step.advance; remaining > 0; remaining -= scenario.sampleInterval) {
+        await ethers.provider.send("evm_increaseTime", [Math.min(remaining, scenario.sampleInterval)]);
+        await ethers.provider.send("evm_mine");
+        await refreshPrices();
+        await sample(stepIndex, step.label);
+      }
+      continue;
+    }
+
+    if (step.action === "setPrice") {
+      prices[step.asset] = ethers.parseEther(step.price);
+      await refreshPrices();
+    } else {
+      for (const member of members[step.actor]) {
+        await act(stepIndex, step, member);
+      }
+    }
+    await sample(stepIndex, step.label);
+  }
+
+  const failed = actions.filter((action) => action.status === "failed").length;
+  log(`Finished ${scenario.steps.length} steps: ${actions.length - failed} transactions succeeded, ${failed} failed`);
+
+  return {
+    scenario: {
+      name: scenario.name,
+      description: scenario.description,
+      sampleIntervalSeconds: scenario.sampleInterval,
+      protocol
+    },
+    samples,
+    actions
+  };
+}
+
+module.exports = { runScenario, normalizeScenario, parseDuration };
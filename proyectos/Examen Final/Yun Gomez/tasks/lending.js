@@ -0,0 +1,482 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/manifest");
+
+// Hardhat tasks for operating LendingProtocol from the command line, on any configured network:
+//
+//   npx hardhat lending:position --user 0x... --network ephemery
+//   npx hardhat lending:borrow --amount 100 --network localhost --json
+//
+// The protocol address comes from deployments/<network>.json unless --protocol is given.
+// Amounts are decimal strings in token units. With --json, each task prints one JSON object
+// (amounts as decimal strings) so scripts can parse the result.
+
+const TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function mint(address to, uint256 amount)"
+];
+
+const ORACLE_ABI = [
+  "function getPrice(address asset) view returns (uint256 price, uint256 updatedAt)",
+  "function setPrice(address asset, uint256 price)"
+];
+
+const USD_DECIMALS = 18; // Oracle values and prices
+const PAUSABLE_ACTIONS = ["DEPOSIT", "BORROW", "LIQUIDATE"];
+
+function fail(message, parent) {
+  throw new HardhatPluginError("lending", message, parent);
+}
+
+/**
+ * Connect to the protocol and the account sending transactions
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} taskArgs Task arguments; uses `protocol` and `from`
+ * @returns {Promise<{lending: object, signer: object, address: string}>}
+ */
+async function connect(hre, { protocol, from }) {
+  const address = protocol || readManifest(hre.network.name)?.contracts.LendingProtocol?.address;
+  if (!address) {
+    fail(`No LendingProtocol in deployments/${hre.network.name}.json; deploy first or pass --protocol`);
+  }
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    fail(`No contract at ${address} on ${hre.network.name}`);
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const signer = from
+    ? signers.find((candidate) => candidate.address.toLowerCase() === from.toLowerCase())
+    : signers[0];
+  if (!signer) {
+    fail(from ? `${from} is not an account configured for ${hre.network.name}` : `No accounts configured for ${hre.network.name}`);
+  }
+
+  const lending = await hre.ethers.getContractAt("LendingProtocol", address, signer);
+  return { lending, signer, address };
+}
+
+/**
+ * Load a token with its symbol and decimals
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} address Token address
+ * @param {object} runner Signer or provider for the contract
+ */
+async function loadToken(hre, address, runner) {
+  const contract = new hre.ethers.Contract(address, TOKEN_ABI, runner);
+  const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+  return { address, symbol, decimals: Number(decimals), contract };
+}
+
+/**
+ * Loan token and listed collateral assets of the protocol
+ * @returns {Promise<{loanToken: object, collateral: object[]}>}
+ */
+async function loadTokens(hre, lending, runner) {
+  const [loanTokenAddress, collateralAddresses] = await Promise.all([
+    lending.loanToken(),
+    lending.getCollateralAssets()
+  ]);
+  return {
+    loanToken: await loadToken(hre, loanTokenAddress, runner),
+    collateral: await Promise.all(collateralAddresses.map((asset) => loadToken(hre, asset, runner)))
+  };
+}
+
+/**
+ * Find a protocol token by symbol (case insensitive) or address
+ * @param {object[]} tokens Candidate tokens
+ * @param {string} symbolOrAddress Value of the --asset / --token argument
+ */
+function findToken(tokens, symbolOrAddress) {
+  const wanted = symbolOrAddress.toLowerCase();
+  const token = tokens.find(
+    (candidate) => candidate.symbol.toLowerCase() === wanted || candidate.address.toLowerCase() === wanted
+  );
+  if (!token) {
+    fail(`Unknown token ${symbolOrAddress}; expected one of ${tokens.map((candidate) => candidate.symbol).join(", ")}`);
+  }
+  return token;
+}
+
+function parseAmount(hre, amount, decimals) {
+  try {
+    const value = hre.ethers.parseUnits(amount, decimals);
+    if (value > 0n) {
+      return value;
+    }
+  } catch {
+    // Reported below
+  }
+  fail(`Invalid amount ${amount}; expected a positive number with at most ${decimals} decimals`);
+}
+
+function parseAddress(hre, value, name) {
+  if (!hre.ethers.isAddress(value)) {
+    fail(`Invalid ${name} address ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+const formatUsd = (hre, value) => hre.ethers.formatUnits(value, USD_DECIMALS);
+const formatRate = (hre, value) => hre.ethers.formatUnits(value, 16); // 1e18 = 100%
+const formatHealthFactor = (hre, value) =>
+  value === hre.ethers.MaxUint256 ? null : hre.ethers.formatUnits(value, 18);
+
+/**
+ * Print a task result as JSON or as human-readable lines, and return it
+ * @param {object} taskArgs Task arguments; uses `json`
+ * @param {object} result Result printed with --json
+ * @param {string[]} lines Human-readable output
+ */
+function report({ json }, result, lines) {
+  console.log(json ? JSON.stringify(result, null, 2) : lines.join("\n"));
+  return result;
+}
+
+/**
+ * Send a transaction and describe its receipt; reverts are reported with their reason
+ * @param {Promise<object>} sending Pending contract call
+ */
+async function send(sending) {
+  let receipt;
+  try {
+    receipt = await (await sending).wait();
+  } catch (error) {
+    const reason = error.reason ?? error.message.match(/reverted with reason string '(.*)'/)?.[1] ?? error.shortMessage;
+    fail(`Transaction failed: ${reason ?? error.message}`, error);
+  }
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+}
+
+/**
+ * Approve the protocol to pull `amount` tokens when the current allowance is lower
+ * @returns {Promise<string | null>} Approval transaction hash, or null if none was needed
+ */
+async function ensureAllowance(token, owner, spender, amount) {
+  if ((await token.contract.allowance(owner, spender)) >= amount) {
+    return null;
+  }
+  return (await send(token.contract.approve(spender, amount))).txHash;
+}
+
+function transactionLines(action, result) {
+  return [
+    `${action}`,
+    `  Transaction: ${result.txHash} (block ${result.blockNumber}, gas ${result.gasUsed})`,
+    ...(result.approvalTxHash ? [`  Approval:    ${result.approvalTxHash}`] : [])
+  ];
+}
+
+// Every task accepts the protocol address, the sending account and --json
+function lendingTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("protocol", "LendingProtocol address (default: from deployments/<network>.json)")
+    .addOptionalParam("from", "Account to use (default: the first configured account)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+lendingTask("lending:position", "Show a user's collateral, debt, health factor and supplied liquidity")
+  .addOptionalParam("user", "Account to inspect (default: the sending account)")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer, address } = await connect(hre, taskArgs);
+    const user = taskArgs.user ? parseAddress(hre, taskArgs.user, "user") : signer.address;
+    const { loanToken, collateral } = await loadTokens(hre, lending, hre.ethers.provider);
+
+    const [userData, liquidity, maxBorrowable, healthFactor, supplierData] = await Promise.all([
+      lending.getUserData(user),
+      lending.getAccountLiquidity(user),
+      lending.getMaxBorrowable(user),
+      lending.getHealthFactor(user),
+      lending.getSupplierData(user)
+    ]);
+    const assets = await Promise.all(
+      collateral.map(async (token) => {
+        const [balance, maxWithdrawable] = await Promise.all([
+          lending.collateralBalances(user, token.address),
+          lending.getMaxWithdrawable(user, token.address)
+        ]);
+        return {
+          asset: token.address,
+          symbol: token.symbol,
+          balance: hre.ethers.formatUnits(balance, token.decimals),
+          maxWithdrawable: hre.ethers.formatUnits(maxWithdrawable, token.decimals)
+        };
+      })
+    );
+
+    const loanAmount = (value) => hre.ethers.formatUnits(value, loanToken.decimals);
+    const result = {
+      network: hre.network.name,
+      protocol: address,
+      user,
+      collateral: assets,
+      collateralValueUsd: formatUsd(hre, userData.collateralValue),
+      borrowLimitUsd: formatUsd(hre, liquidity.borrowLimit),
+      debtValueUsd: formatUsd(hre, liquidity.debtValue),
+      loanBalance: loanAmount(userData.loanBalance),
+      accruedInterest: loanAmount(userData.accruedInterest),
+      totalDebt: loanAmount(userData.totalDebt),
+      maxBorrowable: loanAmount(maxBorrowable),
+      healthFactor: formatHealthFactor(hre, healthFactor),
+      liquidatable: healthFactor < hre.ethers.parseUnits("1", 18),
+      supplied: {
+        shares: hre.ethers.formatUnits(supplierData.shares, 18),
+        balance: loanAmount(supplierData.balance)
+      }
+    };
+
+    return report(taskArgs, result, [
+      `Position of ${user} on ${hre.network.name}`,
+      "  Collateral:",
+      ...(assets.length === 0
+        ? ["    (no assets listed)"]
+        : assets.map((asset) => `    ${asset.symbol}: ${asset.balance} (withdrawable ${asset.maxWithdrawable})`)),
+      `  Collateral value: $${result.collateralValueUsd}`,
+      `  Borrow limit:     $${result.borrowLimitUsd}`,
+      `  Debt:             ${result.totalDebt} ${loanToken.symbol} (principal ${result.loanBalance}, interest ${result.accruedInterest})`,
+      `  Max borrowable:   ${result.maxBorrowable} ${loanToken.symbol}`,
+      `  Health factor:    ${result.healthFactor ?? "no debt"}${result.liquidatable ? " (liquidatable)" : ""}`,
+      `  Supplied:         ${result.supplied.balance} ${loanToken.symbol} (${result.supplied.shares} shares)`
+    ]);
+  });
+
+lendingTask("lending:stats", "Show protocol totals, rates and pause state")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, address } = await connect(hre, taskArgs);
+    const { loanToken, collateral } = await loadTokens(hre, lending, hre.ethers.provider);
+
+    const [stats, supplyRate, totalSupplied] = await Promise.all([
+      lending.getProtocolStats(),
+      lending.getSupplyRate(),
+      lending.totalSupplied()
+    ]);
+    const totals = await Promise.all(
+      collateral.map(async (token) => ({
+        asset: token.address,
+        symbol: token.symbol,
+        total: hre.ethers.formatUnits(await lending.totalCollateral(token.address), token.decimals)
+      }))
+    );
+    const paused = {};
+    for (const action of PAUSABLE_ACTIONS) {
+      paused[action] = await lending.actionPaused(hre.ethers.id(action));
+    }
+
+    const loanAmount = (value) => hre.ethers.formatUnits(value, loanToken.decimals);
+    const result = {
+      network: hre.network.name,
+      protocol: address,
+      loanToken: { address: loanToken.address, symbol: loanToken.symbol },
+      collateral: totals,
+      totalCollateralValueUsd: formatUsd(hre, stats.totalCollateralValue),
+      totalSupplied: loanAmount(totalSupplied),
+      totalLoans: loanAmount(stats.totalLoansOutstanding),
+      totalDebt: loanAmount(stats.totalDebtOutstanding),
+      liquidity: loanAmount(stats.protocolLiquidity),
+      reserves: loanAmount(stats.reserves),
+      utilizationPercent: formatRate(hre, stats.utilization),
+      borrowRatePercentPerWeek: formatRate(hre, stats.borrowRate),
+      supplyRatePercentPerWeek: formatRate(hre, supplyRate),
+      paused
+    };
+
+    const pausedActions = PAUSABLE_ACTIONS.filter((action) => paused[action]);
+    return report(taskArgs, result, [
+      `LendingProtocol ${address} on ${hre.network.name}`,
+      "  Collateral:",
+      ...totals.map((asset) => `    ${asset.symbol}: ${asset.total}`),
+      `  Collateral value: $${result.totalCollateralValueUsd}`,
+      `  Supplied:         ${result.totalSupplied} ${loanToken.symbol}`,
+      `  Debt:             ${result.totalDebt} ${loanToken.symbol} (principal ${result.totalLoans})`,
+      `  Liquidity:        ${result.liquidity} ${loanToken.symbol}`,
+      `  Reserves:         ${result.reserves} ${loanToken.symbol}`,
+      `  Utilization:      ${result.utilizationPercent}%`,
+      `  Borrow rate:      ${result.borrowRatePercentPerWeek}% per week`,
+      `  Supply rate:      ${result.supplyRatePercentPerWeek}% per week`,
+      `  Paused:           ${pausedActions.length > 0 ? pausedActions.join(", ") : "nothing"}`
+    ]);
+  });
+
+lendingTask("lending:deposit", "Deposit collateral, approving the protocol first if needed")
+  .addParam("asset", "Collateral asset symbol (e.g. cUSD) or address")
+  .addParam("amount", "Amount in token units")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer, address } = await connect(hre, taskArgs);
+    const { collateral } = await loadTokens(hre, lending, signer);
+    const token = findToken(collateral, taskArgs.asset);
+    const amount = parseAmount(hre, taskArgs.amount, token.decimals);
+
+    const approvalTxHash = await ensureAllowance(token, signer.address, address, amount);
+    const result = {
+      action: "deposit",
+      network: hre.network.name,
+      user: signer.address,
+      asset: token.address,
+      symbol: token.symbol,
+      amount: hre.ethers.formatUnits(amount, token.decimals),
+      approvalTxHash,
+      ...(await send(lending.depositCollateral(token.address, amount)))
+    };
+
+    return report(taskArgs, result, transactionLines(`Deposited ${result.amount} ${token.symbol} as collateral`, result));
+  });
+
+lendingTask("lending:borrow", "Borrow loan tokens against the deposited collateral")
+  .addParam("amount", "Amount in loan token units")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer } = await connect(hre, taskArgs);
+    const { loanToken } = await loadTokens(hre, lending, signer);
+    const amount = parseAmount(hre, taskArgs.amount, loanToken.decimals);
+
+    const result = {
+      action: "borrow",
+      network: hre.network.name,
+      user: signer.address,
+      amount: hre.ethers.formatUnits(amount, loanToken.decimals),
+      ...(await send(lending.borrow(amount)))
+    };
+
+    return report(taskArgs, result, transactionLines(`Borrowed ${result.amount} ${loanToken.symbol}`, result));
+  });
+
+lendingTask("lending:repay", "Repay debt, approving the protocol first if needed")
+  .addParam("amount", "Amount in loan token units, or \"max\" to repay the whole debt")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer, address } = await connect(hre, taskArgs);
+    const { loanToken } = await loadTokens(hre, lending, signer);
+
+    const repayAll = taskArgs.amount.toLowerCase() === "max";
+    const { totalDebt } = await lending.getUserData(signer.address);
+    if (totalDebt === 0n) {
+      fail(`${signer.address} has no debt to repay`);
+    }
+    // The protocol never pulls more than the debt, so "max" passes the largest amount and approves
+    // the current debt plus a margin for the interest accruing until the transaction is mined
+    const amount = repayAll ? hre.ethers.MaxUint256 : parseAmount(hre, taskArgs.amount, loanToken.decimals);
+    const allowance = repayAll ? totalDebt + totalDebt / 1000n + 1n : amount;
+
+    const approvalTxHash = await ensureAllowance(loanToken, signer.address, address, allowance);
+    const transaction = await send(lending.repay(amount));
+    const remainingDebt = (await lending.getUserData(signer.address)).totalDebt;
+
+    const result = {
+      action: "repay",
+      network: hre.network.name,
+      user: signer.address,
+      amount: repayAll ? "max" : hre.ethers.formatUnits(amount, loanToken.decimals),
+      remainingDebt: hre.ethers.formatUnits(remainingDebt, loanToken.decimals),
+      approvalTxHash,
+      ...transaction
+    };
+
+    return report(taskArgs, result, [
+      ...transactionLines(`Repaid ${repayAll ? "the whole debt" : `${result.amount} ${loanToken.symbol}`}`, result),
+      `  Remaining debt: ${result.remainingDebt} ${loanToken.symbol}`
+    ]);
+  });
+
+lendingTask("lending:seed-liquidity", "Supply loan tokens to the pool as a lender")
+  .addParam("amount", "Amount in loan token units")
+  .addFlag("mint", "Mint the amount first (the account must be allowed to mint the loan token)")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer, address } = await connect(hre, taskArgs);
+    const { loanToken } = await loadTokens(hre, lending, signer);
+    const amount = parseAmount(hre, taskArgs.amount, loanToken.decimals);
+
+    const mintTxHash = taskArgs.mint ? (await send(loanToken.contract.mint(signer.address, amount))).txHash : null;
+    const balance = await loanToken.contract.balanceOf(signer.address);
+    if (balance < amount) {
+      fail(`Insufficient ${loanToken.symbol} balance: ${hre.ethers.formatUnits(balance, loanToken.decimals)}; pass --mint to mint it first`);
+    }
+
+    const approvalTxHash = await ensureAllowance(loanToken, signer.address, address, amount);
+    const transaction = await send(lending.supply(amount));
+    const { shares } = await lending.getSupplierData(signer.address);
+
+    const result = {
+      action: "supply",
+      network: hre.network.name,
+      supplier: signer.address,
+      amount: hre.ethers.formatUnits(amount, loanToken.decimals),
+      shares: hre.ethers.formatUnits(shares, 18),
+      mintTxHash,
+      approvalTxHash,
+      ...transaction
+    };
+
+    return report(taskArgs, result, [
+      ...(mintTxHash ? [`Minted ${result.amount} ${loanToken.symbol}: ${mintTxHash}`] : []),
+      ...transactionLines(`Supplied ${result.amount} ${loanToken.symbol} to the pool`, result),
+      `  Shares held: ${result.shares}`
+    ]);
+  });
+
+lendingTask("token:mint", "Mint test tokens of the protocol (the account must be the token owner or a minter)")
+  .addParam("token", "Token symbol (e.g. dDAI, WETH) or address")
+  .addParam("amount", "Amount in token units")
+  .addOptionalParam("to", "Recipient (default: the sending account)")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer } = await connect(hre, taskArgs);
+    const { loanToken, collateral } = await loadTokens(hre, lending, signer);
+    const token = findToken([loanToken, ...collateral], taskArgs.token);
+    const amount = parseAmount(hre, taskArgs.amount, token.decimals);
+    const to = taskArgs.to ? parseAddress(hre, taskArgs.to, "recipient") : signer.address;
+
+    const result = {
+      action: "mint",
+      network: hre.network.name,
+      token: token.address,
+      symbol: token.symbol,
+      to,
+      amount: hre.ethers.formatUnits(amount, token.decimals),
+      ...(await send(token.contract.mint(to, amount)))
+    };
+
+    return report(taskArgs, result, transactionLines(`Minted ${result.amount} ${token.symbol} to ${to}`, result));
+  });
+
+lendingTask("oracle:refresh-prices", "Re-publish the oracle prices of the protocol's tokens so they are not stale (the account must own the oracle)")
+  .addOptionalParam("olderThan", "Only refresh prices at least this many seconds old (default: all)", "0")
+  .setAction(async (taskArgs, hre) => {
+    const { lending, signer } = await connect(hre, taskArgs);
+    const { loanToken, collateral } = await loadTokens(hre, lending, hre.ethers.provider);
+    const oracleAddress = await lending.priceOracle();
+    const oracle = new hre.ethers.Contract(oracleAddress, ORACLE_ABI, signer);
+
+    const olderThan = Number(taskArgs.olderThan);
+    if (!Number.isInteger(olderThan) || olderThan < 0) {
+      fail(`Invalid --older-than ${taskArgs.olderThan}; expected a whole number of seconds`);
+    }
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const maxAge = Number(await lending.MAX_PRICE_AGE());
+
+    // The protocol rejects prices older than MAX_PRICE_AGE; setting the same price restarts the clock
+    const prices = [];
+    const lines = [`Oracle ${oracleAddress} on ${hre.network.name}`];
+    for (const token of [...collateral, loanToken]) {
+      const [price, updatedAt] = await oracle.getPrice(token.address);
+      const age = timestamp - Number(updatedAt);
+      const entry = {
+        asset: token.address,
+        symbol: token.symbol,
+        priceUsd: formatUsd(hre, price),
+        ageSeconds: age,
+        stale: age > maxAge,
+        txHash: null
+      };
+      if (price > 0n && age >= olderThan) {
+        entry.txHash = (await send(oracle.setPrice(token.address, price))).txHash;
+      }
+      prices.push(entry);
+
+      const status = entry.txHash ? `refreshed: ${entry.txHash}` : price === 0n ? "no price set" : "kept";
+      lines.push(`  ${token.symbol}: $${entry.priceUsd}, ${age}s old${entry.stale ? " (stale)" : ""}, ${status}`);
+    }
+
+    const result = { action: "refresh-prices", network: hre.network.name, oracle: oracleAddress, prices };
+    return report(taskArgs, result, lines);
+  });
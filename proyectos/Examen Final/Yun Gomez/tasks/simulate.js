@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// Play an economic scenario against a fresh deployment on the in-process Hardhat network and
+// write time-series reports of it:
+//
+//   npx hardhat simulate simulation/scenarios/borrow-max-repay-3-weeks.json
+//
+// Scenario format and examples: simulation/scenarios/ and the README.
+
+task("simulate", "Run a scenario file against a fresh protocol and write CSV/JSON reports")
+  .addPositionalParam("scenario", "Path to the scenario JSON file")
+  .addOptionalParam("out", "Output directory (default: reports/<scenario name>)")
+  .addOptionalParam("format", "Report format: csv, json or all", "all", types.string)
+  .addFlag("quiet", "Only print where the reports were written")
+  .setAction(async ({ scenario: scenarioPath, out, format, quiet }, hre) => {
+    // Loaded lazily so other tasks do not pay for the simulation modules
+    const { runScenario } = require("../simulation/runner");
+    const { writeReport } = require("../simulation/report");
+
+    if (hre.network.name !== "hardhat") {
+      throw new HardhatPluginError("simulate", `Scenarios run on the in-process hardhat network; drop --network ${hre.network.name}`);
+    }
+    if (!["csv", "json", "all"].includes(format)) {
+      throw new HardhatPluginError("simulate", `Unknown format ${format}; expected csv, json or all`);
+    }
+
+    let scenario;
+    try {
+      scenario = JSON.parse(fs.readFileSync(scenarioPath, "utf8"));
+    } catch (error) {
+      throw new HardhatPluginError("simulate", `Cannot read scenario ${scenarioPath}: ${error.message}`, error);
+    }
+    scenario.name ??= path.basename(scenarioPath, ".json");
+
+    let result;
+    try {
+      result = await runScenario(hre, scenario, { log: quiet ? () => {} : console.log });
+    } catch (error) {
+      throw new HardhatPluginError("simulate", error.message, error);
+    }
+
+    const outDir = out ?? path.join(hre.config.paths.root, "reports", result.scenario.name);
+    for (const file of writeReport(result, outDir, format)) {
+      console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+    }
+
+    if (!quiet) {
+      const peak = result.samples.reduce((max, sample) =>
+        Number(sample.utilizationPercent) > Number(max.utilizationPercent) ? sample : max
+      );
+      const last = result.samples[result.samples.length - 1];
+      console.log(`Peak utilization: ${peak.utilizationPercent}% (day ${peak.elapsedDays}), liquidity ${peak.liquidity}`);
+      console.log(`End: utilization ${last.utilizationPercent}%, debt ${last.totalDebt}, reserves ${last.reserves}`);
+    }
+    return result;
+  });
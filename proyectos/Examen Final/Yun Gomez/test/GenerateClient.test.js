@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const hre = require("hardhat");
+const { renderClient, readClients, OUTPUT } = require("../scripts/generate-client");
+
+describe("Generated Client", function () {
+  it("Should match the compiled contracts", async function () {
+    const source = renderClient(await readClients(hre.artifacts));
+    expect(fs.readFileSync(OUTPUT, "utf8")).to.equal(
+      source,
+      "web_app/src/client/contracts.js is out of date; run npm run generate:client"
+    );
+  });
+
+  it("Should type view results and transactions", async function () {
+    const source = renderClient([
+      {
+        name: "Example",
+        abi: [
+          {
+            type: "function",
+            name: "getPosition",
+            stateMutability: "view",
+            inputs: [{ name: "user", type: "address" }],
+            outputs: [
+              { name: "debt", type: "uint256" },
+              { name: "assets", type: "address[]" },
+              { name: "active", type: "bool" }
+            ]
+          },
+          {
+            type: "function",
+            name: "borrow",
+            stateMutability: "nonpayable",
+            inputs: [{ name: "amount", type: "uint256" }],
+            outputs: []
+          }
+        ]
+      }
+    ]);
+
+    expect(source).to.include("export const EXAMPLE_ABI = [");
+    expect(source).to.include(
+      "@property {(user: string) => Promise<[bigint, string[], boolean] & { debt: bigint, assets: string[], active: boolean }>} getPosition"
+    );
+    expect(source).to.include(
+      "@property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} borrow"
+    );
+    expect(source).to.include("export function connectExample(address, runner) {");
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createStore } = require("../indexer/store");
+const { createIndexer } = require("../indexer/indexer");
+const { createServer } = require("../indexer/server");
+
+describe("Event Indexer", function () {
+  let collateralToken, loanToken, lendingProtocol;
+  let collateralTokenAddress, lendingProtocolAddress;
+  let user1, user2;
+  let store, indexer;
+
+  beforeEach(async function () {
+    [, user1, user2] = await ethers.getSigners();
+
+    const CollateralToken = await ethers.getContractFactory("CollateralToken");
+    collateralToken = await CollateralToken.deploy("Collateral USD", "cUSD", 18, 0);
+    collateralTokenAddress = await collateralToken.getAddress();
+    const LoanToken = await ethers.getContractFactory("LoanToken");
+    loanToken = await LoanToken.deploy("Decentralized DAI", "dDAI", 18, ethers.parseEther("100000"));
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("1"));
+    await priceOracle.setPrice(await loanToken.getAddress(), ethers.parseEther("1"));
+
+    const SupplyShareToken = await ethers.getContractFactory("SupplyShareToken");
+    const shareToken = await SupplyShareToken.deploy("Supplied dDAI", "sdDAI");
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    const interestRateModel = await KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("0.8"));
+
+    const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+    lendingProtocol = await upgrades.deployProxy(
+      LendingProtocol,
+      [
+        await loanToken.getAddress(),
+        await priceOracle.getAddress(),
+        await shareToken.getAddress(),
+        await interestRateModel.getAddress()
+      ],
+      { kind: "uups" }
+    );
+    lendingProtocolAddress = await lendingProtocol.getAddress();
+    await shareToken.transferOwnership(lendingProtocolAddress);
+    await lendingProtocol.listCollateral(collateralTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.5"));
+    await loanToken.transfer(lendingProtocolAddress, ethers.parseEther("100000"));
+
+    for (const user of [user1, user2]) {
+      await collateralToken.mint(user.address, ethers.parseEther("1000"));
+      await collateralToken.connect(user).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await loanToken.connect(user).approve(lendingProtocolAddress, ethers.MaxUint256);
+    }
+
+    store = await createStore();
+    indexer = createIndexer({
+      provider: ethers.provider,
+      address: lendingProtocolAddress,
+      store,
+      startBlock: await ethers.provider.getBlockNumber(),
+      batchSize: 3
+    });
+  });
+
+  it("Should store every history event with exact amounts", async function () {
+    await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("400"));
+    await lendingProtocol.connect(user1).repay(ethers.parseEther("150"));
+    await lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("100"));
+
+    expect(await indexer.sync()).to.equal(4);
+
+    const { events, total } = await store.findEvents({ user: user1.address });
+    expect(total).to.equal(4);
+    expect(events.map((event) => event.type)).to.deep.equal([
+      "CollateralWithdrawn",
+      "LoanRepaid",
+      "LoanBorrowed",
+      "CollateralDeposited"
+    ]);
+    expect(events[3]).to.include({
+      user: user1.address,
+      asset: collateralTokenAddress,
+      amount: ethers.parseEther("1000").toString()
+    });
+    expect(events[1]).to.include({ amount: ethers.parseEther("150").toString(), interest: "0" });
+
+    const block = await ethers.provider.getBlock(events[0].blockNumber);
+    expect(events[0].timestamp).to.equal(block.timestamp);
+    expect(events[0].transactionHash).to.equal(block.transactions[0]);
+  });
+
+  it("Should resume from the stored cursor without duplicating events", async function () {
+    await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("500"));
+    expect(await indexer.sync()).to.equal(1);
+    expect(await indexer.sync()).to.equal(0);
+
+    await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("500"));
+    expect(await indexer.sync()).to.equal(1);
+
+    expect((await store.findEvents()).total).to.equal(2);
+    expect((await store.getCursor()).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should stay behind the head by the configured confirmations", async function () {
+    const confirmed = createIndexer({
+      provider: ethers.provider,
+      address: lendingProtocolAddress,
+      store,
+      startBlock: await ethers.provider.getBlockNumber(),
+      confirmations: 2
+    });
+
+    await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("500"));
+    expect(await confirmed.sync()).to.equal(0);
+
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+    expect(await confirmed.sync()).to.equal(1);
+  });
+
+  it("Should refuse a database built for another contract", async function () {
+    await store.setCursor(user2.address, 0);
+
+    await expect(indexer.sync()).to.be.rejectedWith("Database was built for");
+  });
+
+  describe("HTTP API", function () {
+    let server, baseUrl;
+
+    beforeEach(async function () {
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("100"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("200"));
+      await indexer.sync();
+
+      server = createServer(store);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    async function get(pathname) {
+      const res = await fetch(baseUrl + pathname);
+      return { status: res.status, body: await res.json(), cors: res.headers.get("access-control-allow-origin") };
+    }
+
+    it("Should serve a user's history, newest first", async function () {
+      const { status, body, cors } = await get(`/users/${user1.address.toLowerCase()}/events`);
+
+      expect(status).to.equal(200);
+      expect(cors).to.equal("*");
+      expect(body.total).to.equal(2);
+      expect(body.events.map((event) => event.type)).to.deep.equal(["LoanBorrowed", "CollateralDeposited"]);
+    });
+
+    it("Should filter by type and paginate", async function () {
+      const deposits = await get("/events?type=CollateralDeposited&limit=1");
+      expect(deposits.body.total).to.equal(2);
+      expect(deposits.body.events).to.have.length(1);
+      expect(deposits.body.events[0].user).to.equal(user2.address);
+
+      const next = await get("/events?type=CollateralDeposited&limit=1&offset=1");
+      expect(next.body.events[0].user).to.equal(user1.address);
+    });
+
+    it("Should report the indexed block", async function () {
+      const { body } = await get("/health");
+
+      expect(body).to.deep.equal({ status: "ok", lastBlock: await ethers.provider.getBlockNumber() });
+    });
+
+    it("Should reject invalid requests", async function () {
+      expect((await get("/users/0x123/events")).status).to.equal(400);
+      expect((await get("/events?type=Transfer")).status).to.equal(400);
+      expect((await get("/events?limit=1000")).status).to.equal(400);
+      expect((await get("/unknown")).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createKeeper } = require("../keeper/keeper");
+
+describe("Keeper Bot", function () {
+  let collateralToken, loanToken, priceOracle, lendingProtocol;
+  let collateralTokenAddress, lendingProtocolAddress;
+  let owner, user1, user2, keeperAccount;
+  let logs;
+
+  function newKeeper(options = {}) {
+    return createKeeper({
+      signer: keeperAccount,
+      address: lendingProtocolAddress,
+      startBlock: 0,
+      batchSize: 5,
+      dryRun: false,
+      log: (entry) => logs.push(entry),
+      ...options
+    });
+  }
+
+  const logged = (event) => logs.filter((entry) => entry.event === event);
+
+  beforeEach(async function () {
+    [owner, user1, user2, keeperAccount] = await ethers.getSigners();
+    logs = [];
+
+    const CollateralToken = await ethers.getContractFactory("CollateralToken");
+    collateralToken = await CollateralToken.deploy("Collateral USD", "cUSD", 18, 0);
+    collateralTokenAddress = await collateralToken.getAddress();
+    const LoanToken = await ethers.getContractFactory("LoanToken");
+    loanToken = await LoanToken.deploy("Decentralized DAI", "dDAI", 18, ethers.parseEther("100000"));
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("1"));
+    await priceOracle.setPrice(await loanToken.getAddress(), ethers.parseEther("1"));
+
+    const SupplyShareToken = await ethers.getContractFactory("SupplyShareToken");
+    const shareToken = await SupplyShareToken.deploy("Supplied dDAI", "sdDAI");
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    const interestRateModel = await KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("0.8"));
+
+    const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+    lendingProtocol = await upgrades.deployProxy(
+      LendingProtocol,
+      [
+        await loanToken.getAddress(),
+        await priceOracle.getAddress(),
+        await shareToken.getAddress(),
+        await interestRateModel.getAddress()
+      ],
+      { kind: "uups" }
+    );
+    lendingProtocolAddress = await lendingProtocol.getAddress();
+    await shareToken.transferOwnership(lendingProtocolAddress);
+    await lendingProtocol.listCollateral(collateralTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+    await loanToken.transfer(lendingProtocolAddress, ethers.parseEther("90000"));
+    await loanToken.transfer(keeperAccount.address, ethers.parseEther("10000"));
+
+    for (const user of [user1, user2]) {
+      await collateralToken.mint(user.address, ethers.parseEther("1000"));
+      await collateralToken.connect(user).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await loanToken.connect(user).approve(lendingProtocolAddress, ethers.MaxUint256);
+    }
+
+    // user1 borrows at a health factor of 600 / 450; user2 only deposits
+    await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("450"));
+    await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
+  });
+
+  it("Should track borrowers from events and drop repaid positions", async function () {
+    const keeper = newKeeper();
+
+    const summary = await keeper.run();
+    expect([...keeper.borrowers]).to.deep.equal([user1.address]);
+    expect(summary).to.include({ tracked: 1, open: 1 });
+    expect(logged("borrowers.discovered")[0]).to.include({ added: 1, tracked: 1 });
+
+    await lendingProtocol.connect(user1).repay(ethers.parseEther("450"));
+    expect((await keeper.run()).open).to.equal(0);
+    expect(keeper.borrowers.size).to.equal(0);
+
+    await lendingProtocol.connect(user2).borrow(ethers.parseEther("10"));
+    await keeper.run();
+    expect([...keeper.borrowers]).to.deep.equal([user2.address]);
+  });
+
+  it("Should accrue interest once the accrual interval has passed", async function () {
+    const keeper = newKeeper({ accrualInterval: 3600 });
+
+    expect((await keeper.run()).accrued).to.equal(false);
+
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await ethers.provider.send("evm_mine");
+    expect((await keeper.run()).accrued).to.equal(true);
+    expect(await lendingProtocol.lastAccrualTime()).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+    expect(logged("interest.accrued")[0].txHash).to.be.a("string");
+
+    expect((await keeper.run()).accrued).to.equal(false);
+  });
+
+  it("Should flag positions below the warning health factor", async function () {
+    // Health factor 480 / 450 = 1.0667
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.8"));
+
+    const summary = await newKeeper({ warningHealthFactor: ethers.parseEther("1.1") }).run();
+    expect(summary.atRisk).to.deep.equal([user1.address]);
+    expect(summary.liquidatable).to.deep.equal([]);
+    expect(logged("position.at_risk")[0]).to.include({ user: user1.address, level: "warn" });
+
+    logs = [];
+    expect((await newKeeper({ warningHealthFactor: ethers.parseEther("1.05") }).run()).atRisk).to.deep.equal([]);
+    expect(logged("position.at_risk")).to.have.length(0);
+  });
+
+  it("Should report a position it cannot check and carry on with the others", async function () {
+    // user2 also borrows against a second asset whose price then goes stale
+    const CollateralToken = await ethers.getContractFactory("CollateralToken");
+    const otherToken = await CollateralToken.deploy("Collateral EUR", "cEUR", 18, 0);
+    const otherTokenAddress = await otherToken.getAddress();
+    await priceOracle.setPrice(otherTokenAddress, ethers.parseEther("1"));
+    await lendingProtocol.listCollateral(otherTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+    await otherToken.mint(user2.address, ethers.parseEther("100"));
+    await otherToken.connect(user2).approve(lendingProtocolAddress, ethers.MaxUint256);
+    await lendingProtocol.connect(user2).depositCollateral(otherTokenAddress, ethers.parseEther("100"));
+    await lendingProtocol.connect(user2).borrow(ethers.parseEther("10"));
+
+    await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.7"));
+    await priceOracle.setPrice(await loanToken.getAddress(), ethers.parseEther("1"));
+
+    const summary = await newKeeper().run();
+    expect(summary.failed).to.deep.equal([user2.address]);
+    expect(summary.liquidatable).to.deep.equal([user1.address]);
+    expect(summary).to.include({ tracked: 2, open: 2 });
+    expect(logged("position.check_failed")[0]).to.include({ level: "error", user: user2.address });
+    expect(logged("position.check_failed")[0].error).to.include("Stale price");
+  });
+
+  it("Should require a signer unless it runs in dry-run mode", function () {
+    expect(() => newKeeper({ signer: undefined, provider: ethers.provider })).to.throw("A signer is required");
+  });
+
+  describe("Liquidations", function () {
+    beforeEach(async function () {
+      // Health factor 420 / 450 < 1
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.7"));
+    });
+
+    it("Should only flag liquidatable positions unless liquidation is enabled", async function () {
+      const summary = await newKeeper({ liquidate: false }).run();
+
+      expect(summary.liquidatable).to.deep.equal([user1.address]);
+      expect(summary.liquidated).to.deep.equal([]);
+      expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("450"));
+    });
+
+    it("Should log the liquidation without sending it in dry-run mode", async function () {
+      const summary = await newKeeper({ liquidate: true, dryRun: true }).run();
+
+      expect(summary.liquidated).to.deep.equal([user1.address]);
+      expect(logged("liquidation.executed")[0]).to.include({
+        dryRun: true,
+        user: user1.address,
+        collateralAsset: collateralTokenAddress,
+        repayAmount: ethers.parseEther("225").toString()
+      });
+      expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("450"));
+      expect(await loanToken.allowance(keeperAccount.address, lendingProtocolAddress)).to.equal(0);
+    });
+
+    it("Should dry-run liquidations read-only without a keeper account", async function () {
+      const summary = await newKeeper({ signer: undefined, provider: ethers.provider, liquidate: true, dryRun: true }).run();
+
+      expect(summary.liquidated).to.deep.equal([user1.address]);
+      expect(logged("liquidation.executed")[0]).to.include({
+        dryRun: true,
+        user: user1.address,
+        repayAmount: ethers.parseEther("225").toString()
+      });
+    });
+
+    it("Should liquidate up to the close factor", async function () {
+      const summary = await newKeeper({ liquidate: true }).run();
+
+      expect(summary.liquidated).to.deep.equal([user1.address]);
+      expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("225"));
+      // 225 dDAI plus the 5% bonus, paid in cUSD at $0.70
+      expect(await collateralToken.balanceOf(keeperAccount.address)).to.equal(ethers.parseEther("337.5"));
+      expect(logged("liquidation.executed")[0].txHash).to.be.a("string");
+    });
+
+    it("Should cap the repayment at the keeper's loan token balance", async function () {
+      await loanToken.connect(keeperAccount).transfer(owner.address, ethers.parseEther("9900"));
+
+      await newKeeper({ liquidate: true }).run();
+
+      expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("350"));
+    });
+
+    it("Should skip liquidations while they are paused", async function () {
+      await lendingProtocol.pause(await lendingProtocol.ACTION_LIQUIDATE());
+
+      const summary = await newKeeper({ liquidate: true }).run();
+
+      expect(summary.liquidated).to.deep.equal([]);
+      expect(logged("liquidation.skipped")[0]).to.include({ reason: "Liquidations are paused" });
+    });
+  });
+});
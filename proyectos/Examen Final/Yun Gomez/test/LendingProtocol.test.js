@@ -1,10 +1,42 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 
 describe("LendingProtocol", function () {
-  let collateralToken, loanToken, lendingProtocol;
+  let collateralToken, loanToken, priceOracle, shareToken, interestRateModel, lendingProtocol;
   let owner, user1, user2, user3, user4, user5;
-  let collateralTokenAddress, loanTokenAddress, lendingProtocolAddress;
+  let collateralTokenAddress, loanTokenAddress, priceOracleAddress, shareTokenAddress;
+  let interestRateModelAddress, lendingProtocolAddress;
+
+  // Borrow up to 2/3 of the collateral value (a 150% collateralization ratio), rounded up
+  const COLLATERAL_FACTOR = 666666666666666667n;
+  const ROUNDING = 1000n; // Wei the rounded-up collateral factor adds to limits
+
+  // Re-publish prices so they are not rejected as stale after a time jump
+  async function refreshPrices() {
+    for (const asset of [...await lendingProtocol.getCollateralAssets(), loanTokenAddress]) {
+      await priceOracle.setPrice(asset, (await priceOracle.prices(asset))[0]);
+    }
+  }
+
+  // Propose a parameter change, wait out the timelock and execute it
+  async function changeParameter(parameter, value) {
+    await lendingProtocol.proposeParameterChange(parameter, value);
+    await ethers.provider.send("evm_increaseTime", [Number(await lendingProtocol.TIMELOCK_DELAY())]);
+    await ethers.provider.send("evm_mine");
+    await lendingProtocol.executeParameterChange(parameter);
+    await refreshPrices();
+  }
+
+  async function setInterestRateModel(modelAddress) {
+    await changeParameter(await lendingProtocol.PARAM_INTEREST_RATE_MODEL(), modelAddress);
+  }
+
+  // Interest accrues every second; exact collateral math is checked with a zero-rate model
+  async function useZeroInterest() {
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    const zeroModel = await KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("0.8"));
+    await setInterestRateModel(await zeroModel.getAddress());
+  }
 
   beforeEach(async function () {
     [owner, user1, user2, user3, user4, user5] = await ethers.getSigners();
@@ -31,15 +63,47 @@ describe("LendingProtocol", function () {
     await loanToken.waitForDeployment();
     loanTokenAddress = await loanToken.getAddress();
 
-    // Deploy LendingProtocol
+    // Deploy MockPriceOracle with both tokens at $1
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.waitForDeployment();
+    priceOracleAddress = await priceOracle.getAddress();
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("1"));
+    await priceOracle.setPrice(loanTokenAddress, ethers.parseEther("1"));
+
+    // Deploy SupplyShareToken
+    const SupplyShareToken = await ethers.getContractFactory("SupplyShareToken");
+    shareToken = await SupplyShareToken.deploy("Supplied dDAI", "sdDAI");
+    await shareToken.waitForDeployment();
+    shareTokenAddress = await shareToken.getAddress();
+
+    // Deploy KinkedInterestRateModel: 5% base, 4% slope1, 75% slope2, 80% optimal (per week)
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    interestRateModel = await KinkedInterestRateModel.deploy(
+      ethers.parseEther("0.05"),
+      ethers.parseEther("0.04"),
+      ethers.parseEther("0.75"),
+      ethers.parseEther("0.8")
+    );
+    await interestRateModel.waitForDeployment();
+    interestRateModelAddress = await interestRateModel.getAddress();
+
+    // Deploy LendingProtocol behind a UUPS proxy
     const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
-    lendingProtocol = await LendingProtocol.deploy(
-      collateralTokenAddress,
-      loanTokenAddress
+    lendingProtocol = await upgrades.deployProxy(
+      LendingProtocol,
+      [loanTokenAddress, priceOracleAddress, shareTokenAddress, interestRateModelAddress],
+      { kind: "uups" }
     );
     await lendingProtocol.waitForDeployment();
     lendingProtocolAddress = await lendingProtocol.getAddress();
 
+    // The protocol mints and burns supply shares
+    await shareToken.transferOwnership(lendingProtocolAddress);
+
+    // List cUSD as collateral, liquidatable at the same 150% ratio it can be borrowed against
+    await lendingProtocol.listCollateral(collateralTokenAddress, COLLATERAL_FACTOR, COLLATERAL_FACTOR);
+
     // Setup initial state
     await loanToken.transfer(lendingProtocolAddress, ethers.parseEther("500000"));
     await collateralToken.mint(user1.address, ethers.parseEther("10000"));
@@ -49,17 +113,37 @@ describe("LendingProtocol", function () {
 
   describe("Deployment", function () {
     it("Should set the correct token addresses", async function () {
-      expect(await lendingProtocol.collateralToken()).to.equal(collateralTokenAddress);
+      expect(await lendingProtocol.getCollateralAssets()).to.deep.equal([collateralTokenAddress]);
       expect(await lendingProtocol.loanToken()).to.equal(loanTokenAddress);
     });
 
+    it("Should set the price oracle and token decimals", async function () {
+      expect(await lendingProtocol.priceOracle()).to.equal(priceOracleAddress);
+      expect((await lendingProtocol.collateralConfigs(collateralTokenAddress)).decimals).to.equal(18);
+      expect(await lendingProtocol.loanDecimals()).to.equal(18);
+    });
+
     it("Should set the correct owner", async function () {
       expect(await lendingProtocol.owner()).to.equal(owner.address);
     });
 
+    it("Should start with the deployer as guardian and nothing paused", async function () {
+      expect(await lendingProtocol.guardian()).to.equal(owner.address);
+      expect(await lendingProtocol.actionPaused(await lendingProtocol.ACTION_DEPOSIT())).to.be.false;
+      expect(await lendingProtocol.actionPaused(await lendingProtocol.ACTION_BORROW())).to.be.false;
+      expect(await lendingProtocol.actionPaused(await lendingProtocol.ACTION_LIQUIDATE())).to.be.false;
+    });
+
     it("Should have correct protocol parameters", async function () {
-      expect(await lendingProtocol.COLLATERALIZATION_RATIO()).to.equal(150);
-      expect(await lendingProtocol.INTEREST_RATE()).to.equal(5);
+      const config = await lendingProtocol.collateralConfigs(collateralTokenAddress);
+      expect(config.collateralFactor).to.equal(COLLATERAL_FACTOR);
+      expect(config.liquidationThreshold).to.equal(COLLATERAL_FACTOR);
+      expect(await lendingProtocol.liquidationBonus()).to.equal(5);
+      expect(await lendingProtocol.closeFactor()).to.equal(50);
+      expect(await lendingProtocol.flashLoanFee()).to.equal(9);
+      expect(await lendingProtocol.reserveFactor()).to.equal(10);
+      expect(await lendingProtocol.treasury()).to.equal(owner.address);
+      expect(await lendingProtocol.interestRateModel()).to.equal(interestRateModelAddress);
       expect(await lendingProtocol.PRECISION()).to.equal(100);
     });
   });
@@ -79,10 +163,10 @@ describe("LendingProtocol", function () {
       );
     });
 
-    it("Should only allow owner to mint", async function () {
+    it("Should only allow the owner or a minter to mint", async function () {
       await expect(
         collateralToken.connect(user1).mint(user1.address, ethers.parseEther("1000"))
-      ).to.be.revertedWithCustomError(collateralToken, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWith("Not a minter");
     });
 
     it("Should allow burning tokens", async function () {
@@ -109,10 +193,10 @@ describe("LendingProtocol", function () {
       );
     });
 
-    it("Should only allow owner to mint", async function () {
+    it("Should only allow the owner or a minter to mint", async function () {
       await expect(
         loanToken.connect(user1).mint(user1.address, ethers.parseEther("1000"))
-      ).to.be.revertedWithCustomError(loanToken, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWith("Not a minter");
     });
 
     it("Should allow burning tokens", async function () {
@@ -129,9 +213,9 @@ describe("LendingProtocol", function () {
       const depositAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await expect(lendingProtocol.connect(user1).depositCollateral(depositAmount))
+      await expect(lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount))
         .to.emit(lendingProtocol, "CollateralDeposited")
-        .withArgs(user1.address, depositAmount);
+        .withArgs(user1.address, collateralTokenAddress, depositAmount);
 
       const userData = await lendingProtocol.getUserData(user1.address);
       expect(userData[0]).to.equal(depositAmount); // collateralBalance
@@ -139,13 +223,13 @@ describe("LendingProtocol", function () {
 
     it("Should reject zero amount deposits", async function () {
       await expect(
-        lendingProtocol.connect(user1).depositCollateral(0)
+        lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, 0)
       ).to.be.revertedWith("Amount must be greater than 0");
     });
 
     it("Should reject deposits without approval", async function () {
       await expect(
-        lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("1000"))
+        lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"))
       ).to.be.revertedWithCustomError(collateralToken, "ERC20InsufficientAllowance");
     });
 
@@ -153,9 +237,9 @@ describe("LendingProtocol", function () {
       const depositAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
 
-      expect(await lendingProtocol.totalCollateral()).to.equal(depositAmount);
+      expect(await lendingProtocol.totalCollateral(collateralTokenAddress)).to.equal(depositAmount);
     });
   });
 
@@ -164,7 +248,7 @@ describe("LendingProtocol", function () {
       // Deposit collateral first
       const depositAmount = ethers.parseEther("1500"); // $1500 collateral
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
     });
 
     it("Should borrow successfully within limits", async function () {
@@ -223,16 +307,14 @@ describe("LendingProtocol", function () {
       const borrowAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
       await lendingProtocol.connect(user1).borrow(borrowAmount);
     });
 
     it("Should repay loan successfully", async function () {
-      const userData = await lendingProtocol.getUserData(user1.address);
-      const totalDebt = userData[3]; // totalDebt
-      
-      await loanToken.connect(user1).approve(lendingProtocolAddress, totalDebt);
-      await expect(lendingProtocol.connect(user1).repay())
+      // Interest keeps accruing until the repayment block, so repay the full debt
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await expect(lendingProtocol.connect(user1).repay(ethers.MaxUint256))
         .to.emit(lendingProtocol, "LoanRepaid");
 
       const userDataAfter = await lendingProtocol.getUserData(user1.address);
@@ -242,40 +324,34 @@ describe("LendingProtocol", function () {
 
     it("Should reject repayment without outstanding debt", async function () {
       // First repay the existing loan
-      const userData = await lendingProtocol.getUserData(user1.address);
-      const totalDebt = userData[3];
-      
-      await loanToken.connect(user1).approve(lendingProtocolAddress, totalDebt);
-      await lendingProtocol.connect(user1).repay();
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
 
       // Try to repay again
       await expect(
-        lendingProtocol.connect(user1).repay()
+        lendingProtocol.connect(user1).repay(ethers.parseEther("1"))
       ).to.be.revertedWith("No outstanding debt");
     });
 
     it("Should reject repayment without approval", async function () {
       await expect(
-        lendingProtocol.connect(user1).repay()
+        lendingProtocol.connect(user1).repay(ethers.parseEther("100"))
       ).to.be.revertedWithCustomError(loanToken, "ERC20InsufficientAllowance");
     });
 
     it("Should update total loans after repayment", async function () {
-      const initialTotalLoans = await lendingProtocol.totalLoans();
-      const userData = await lendingProtocol.getUserData(user1.address);
-      const totalDebt = userData[3];
-      
-      await loanToken.connect(user1).approve(lendingProtocolAddress, totalDebt);
-      await lendingProtocol.connect(user1).repay();
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
 
       expect(await lendingProtocol.totalLoans()).to.equal(0);
+      expect(await lendingProtocol.totalScaledDebt()).to.equal(0);
     });
 
     it("Should properly handle repay with accrued interest", async function () {
       // Setup a fresh scenario with user2
       await collateralToken.mint(user2.address, ethers.parseEther("2000"));
       await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("2000"));
-      await lendingProtocol.connect(user2).depositCollateral(ethers.parseEther("2000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("2000"));
       await lendingProtocol.connect(user2).borrow(ethers.parseEther("1000"));
       
       // Accrue some interest
@@ -298,13 +374,99 @@ describe("LendingProtocol", function () {
       await loanToken.connect(user2).approve(lendingProtocolAddress, debtWithBuffer);
       
       // Repay and verify everything is cleared
-      await lendingProtocol.connect(user2).repay();
+      await lendingProtocol.connect(user2).repay(debtWithBuffer);
       
       const userDataAfter = await lendingProtocol.getUserData(user2.address);
       expect(userDataAfter[1]).to.equal(0); // loanBalance should be 0
       expect(userDataAfter[2]).to.equal(0); // accruedInterest should be 0
       expect(userDataAfter[3]).to.equal(0); // totalDebt should be 0
     });
+
+    it("Should allow partial repayment of the principal", async function () {
+      const repayAmount = ethers.parseEther("400");
+      await loanToken.connect(user1).approve(lendingProtocolAddress, repayAmount);
+
+      const tx = await lendingProtocol.connect(user1).repay(repayAmount);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => lendingProtocol.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LoanRepaid");
+      const [, principalPaid, interestPaid] = event.args;
+
+      // Only the interest of the blocks since borrowing is paid before principal
+      expect(interestPaid).to.be.lt(ethers.parseEther("0.001"));
+      expect(principalPaid + interestPaid).to.equal(repayAmount);
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[1]).to.equal(ethers.parseEther("1000") - principalPaid); // loanBalance
+      expect(await lendingProtocol.totalLoans()).to.equal(userData[1]);
+    });
+
+    it("Should pay accrued interest before principal", async function () {
+      // Start the interest timer and accrue one week of interest
+      await lendingProtocol.updateUserInterest(user1.address);
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+
+      const repayAmount = ethers.parseEther("100");
+      await loanToken.connect(user1).approve(lendingProtocolAddress, repayAmount);
+      const tx = await lendingProtocol.connect(user1).repay(repayAmount);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs
+        .map((log) => lendingProtocol.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LoanRepaid");
+      const [, principalPaid, interestPaid] = event.args;
+
+      // ~50 dDAI interest is paid first, the rest reduces the principal
+      expect(interestPaid).to.be.closeTo(ethers.parseEther("50"), ethers.parseEther("1"));
+      expect(principalPaid + interestPaid).to.equal(repayAmount);
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[1]).to.equal(ethers.parseEther("1000") - principalPaid);
+      expect(await lendingProtocol.totalLoans()).to.equal(userData[1]);
+    });
+
+    it("Should only reduce interest when the payment is smaller than it", async function () {
+      await lendingProtocol.updateUserInterest(user1.address);
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+
+      const repayAmount = ethers.parseEther("10");
+      await loanToken.connect(user1).approve(lendingProtocolAddress, repayAmount);
+
+      await expect(lendingProtocol.connect(user1).repay(repayAmount))
+        .to.emit(lendingProtocol, "LoanRepaid")
+        .withArgs(user1.address, 0, repayAmount);
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[1]).to.equal(ethers.parseEther("1000"));
+      expect(await lendingProtocol.totalLoans()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should cap repayment at the total debt", async function () {
+      const initialBalance = await loanToken.balanceOf(user1.address);
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+
+      const tx = await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => lendingProtocol.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "LoanRepaid");
+      const [, principalPaid, interestPaid] = event.args;
+
+      expect(principalPaid).to.equal(ethers.parseEther("1000"));
+      expect(interestPaid).to.be.lt(ethers.parseEther("0.001"));
+      expect(await loanToken.balanceOf(user1.address)).to.equal(initialBalance - principalPaid - interestPaid);
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[3]).to.equal(0); // totalDebt
+    });
+
+    it("Should reject zero amount repayments", async function () {
+      await expect(
+        lendingProtocol.connect(user1).repay(0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
   });
 
   describe("Withdraw Collateral", function () {
@@ -312,33 +474,33 @@ describe("LendingProtocol", function () {
       // Deposit collateral
       const depositAmount = ethers.parseEther("1500");
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
     });
 
     it("Should withdraw collateral when no debt exists", async function () {
       const userData = await lendingProtocol.getUserData(user1.address);
       const collateralAmount = userData[0];
       
-      await expect(lendingProtocol.connect(user1).withdrawCollateral())
+      await expect(lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, collateralAmount))
         .to.emit(lendingProtocol, "CollateralWithdrawn")
-        .withArgs(user1.address, collateralAmount);
+        .withArgs(user1.address, collateralTokenAddress, collateralAmount);
 
       const userDataAfter = await lendingProtocol.getUserData(user1.address);
       expect(userDataAfter[0]).to.equal(0); // collateralBalance should be 0
     });
 
-    it("Should reject withdrawal with outstanding debt", async function () {
+    it("Should reject withdrawing collateral needed for outstanding debt", async function () {
       // Borrow first
       await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
       
       await expect(
-        lendingProtocol.connect(user1).withdrawCollateral()
-      ).to.be.revertedWith("Outstanding debt exists");
+        lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1500"))
+      ).to.be.revertedWith("Exceeds collateralization ratio");
     });
 
     it("Should reject withdrawal with no collateral", async function () {
       await expect(
-        lendingProtocol.connect(user2).withdrawCollateral()
+        lendingProtocol.connect(user2).withdrawCollateral(collateralTokenAddress, ethers.parseEther("100"))
       ).to.be.revertedWith("No collateral to withdraw");
     });
 
@@ -347,7 +509,7 @@ describe("LendingProtocol", function () {
       const userData = await lendingProtocol.getUserData(user1.address);
       const collateralAmount = userData[0];
       
-      await lendingProtocol.connect(user1).withdrawCollateral();
+      await lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, collateralAmount);
       
       expect(await collateralToken.balanceOf(user1.address)).to.equal(
         initialBalance + collateralAmount
@@ -355,16 +517,83 @@ describe("LendingProtocol", function () {
     });
 
     it("Should update total collateral after withdrawal", async function () {
-      const initialTotalCollateral = await lendingProtocol.totalCollateral();
+      const initialTotalCollateral = await lendingProtocol.totalCollateral(collateralTokenAddress);
       const userData = await lendingProtocol.getUserData(user1.address);
       const collateralAmount = userData[0];
       
-      await lendingProtocol.connect(user1).withdrawCollateral();
+      await lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, collateralAmount);
       
-      expect(await lendingProtocol.totalCollateral()).to.equal(
+      expect(await lendingProtocol.totalCollateral(collateralTokenAddress)).to.equal(
         initialTotalCollateral - collateralAmount
       );
     });
+
+    it("Should allow partial withdrawal without debt", async function () {
+      await expect(lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("500")))
+        .to.emit(lendingProtocol, "CollateralWithdrawn")
+        .withArgs(user1.address, collateralTokenAddress, ethers.parseEther("500"));
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[0]).to.equal(ethers.parseEther("1000"));
+      expect(await lendingProtocol.totalCollateral(collateralTokenAddress)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should allow partial withdrawal while a loan is open", async function () {
+      await useZeroInterest();
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
+
+      // 500 debt needs 750 collateral, so 750 can be withdrawn
+      await expect(lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("750")))
+        .to.emit(lendingProtocol, "CollateralWithdrawn")
+        .withArgs(user1.address, collateralTokenAddress, ethers.parseEther("750"));
+
+      await expect(
+        lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ROUNDING)
+      ).to.be.revertedWith("Exceeds collateralization ratio");
+    });
+
+    it("Should report the maximum safely withdrawable amount", async function () {
+      await useZeroInterest();
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.equal(ethers.parseEther("1500"));
+
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.be.closeTo(ethers.parseEther("750"), ROUNDING);
+
+      // Collateral worth twice as much halves the collateral that must stay locked
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("2"));
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.be.closeTo(ethers.parseEther("1125"), ROUNDING);
+    });
+
+    it("Should allow withdrawing exactly the reported maximum", async function () {
+      await useZeroInterest();
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("333"));
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("1.3"));
+
+      const maxWithdrawable = await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress);
+      await lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, maxWithdrawable);
+
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.be.gte(ethers.parseEther("1"));
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.equal(0);
+    });
+
+    it("Should report zero withdrawable for an undercollateralized position", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.5"));
+
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.equal(0);
+    });
+
+    it("Should reject withdrawing more than the deposited collateral", async function () {
+      await expect(
+        lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1501"))
+      ).to.be.revertedWith("Insufficient collateral");
+    });
+
+    it("Should reject zero amount withdrawals", async function () {
+      await expect(
+        lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, 0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
   });
 
   describe("Interest Calculation", function () {
@@ -374,7 +603,7 @@ describe("LendingProtocol", function () {
       const borrowAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
       await lendingProtocol.connect(user1).borrow(borrowAmount);
     });
 
@@ -403,6 +632,7 @@ describe("LendingProtocol", function () {
       // Fast forward time
       await ethers.provider.send("evm_increaseTime", [604800]);
       await ethers.provider.send("evm_mine");
+      await refreshPrices();
 
       // Update interest first to see current debt
       await lendingProtocol.updateUserInterest(user1.address);
@@ -439,7 +669,7 @@ describe("LendingProtocol", function () {
       const totalDebt = userData[3];
       
       await loanToken.connect(user1).approve(lendingProtocolAddress, totalDebt);
-      await lendingProtocol.connect(user1).repay();
+      await lendingProtocol.connect(user1).repay(totalDebt);
 
       const userDataAfter = await lendingProtocol.getUserData(user1.address);
       expect(userDataAfter[2]).to.equal(0); // accruedInterest should be 0
@@ -499,7 +729,7 @@ describe("LendingProtocol", function () {
       // Create a fresh user scenario
       await collateralToken.mint(user2.address, ethers.parseEther("2000"));
       await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("2000"));
-      await lendingProtocol.connect(user2).depositCollateral(ethers.parseEther("2000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("2000"));
       await lendingProtocol.connect(user2).borrow(ethers.parseEther("1000"));
       
       // Immediately call getUserData (lastInterestUpdate should be set, but no time elapsed)
@@ -525,7 +755,7 @@ describe("LendingProtocol", function () {
       // First mint some tokens for user3
       await collateralToken.mint(user3.address, ethers.parseEther("2000"));
       await collateralToken.connect(user3).approve(lendingProtocolAddress, ethers.parseEther("2000"));
-      await lendingProtocol.connect(user3).depositCollateral(ethers.parseEther("2000"));
+      await lendingProtocol.connect(user3).depositCollateral(collateralTokenAddress, ethers.parseEther("2000"));
       await lendingProtocol.connect(user3).borrow(ethers.parseEther("500"));
       
       // Immediately after borrow (lastInterestUpdate > 0 but no time elapsed)
@@ -560,7 +790,7 @@ describe("LendingProtocol", function () {
     // Setup user4 with collateral
     await collateralToken.mint(user4.address, ethers.parseEther("1000"));
     await collateralToken.connect(user4).approve(lendingProtocolAddress, ethers.parseEther("1000"));
-    await lendingProtocol.connect(user4).depositCollateral(ethers.parseEther("1000"));
+    await lendingProtocol.connect(user4).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
     
     // The borrow function will set lastInterestUpdate to block.timestamp
     await lendingProtocol.connect(user4).borrow(ethers.parseEther("500"));
@@ -585,7 +815,7 @@ describe("LendingProtocol", function () {
       const depositAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
 
       const userData = await lendingProtocol.getUserData(user1.address);
       expect(userData[0]).to.equal(depositAmount);
@@ -599,7 +829,7 @@ describe("LendingProtocol", function () {
       const borrowAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
       await lendingProtocol.connect(user1).borrow(borrowAmount);
 
       const userData = await lendingProtocol.getUserData(user1.address);
@@ -611,7 +841,7 @@ describe("LendingProtocol", function () {
     it("Should handle getUserData with zero lastInterestUpdate", async function () {
       // Manually set user data to test edge case
       await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1000"));
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
       await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
       
       // Call getUserData immediately after borrow (lastInterestUpdate should be > 0 but interest should be 0)
@@ -634,7 +864,7 @@ describe("LendingProtocol", function () {
       const borrowAmount = ethers.parseEther("1000");
       
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
-      await lendingProtocol.connect(user1).depositCollateral(depositAmount);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, depositAmount);
       await lendingProtocol.connect(user1).borrow(borrowAmount);
 
       const stats = await lendingProtocol.getProtocolStats();
@@ -660,23 +890,65 @@ describe("LendingProtocol", function () {
         lendingProtocol.connect(user1).emergencyWithdraw(loanTokenAddress, withdrawAmount)
       ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
     });
+
+    it("Should not allow emergency withdraw of deposited collateral", async function () {
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
+      // Tokens sent directly, outside of a deposit
+      await collateralToken.connect(user2).transfer(lendingProtocolAddress, ethers.parseEther("100"));
+
+      await expect(
+        lendingProtocol.emergencyWithdraw(collateralTokenAddress, ethers.parseEther("100") + 1n)
+      ).to.be.revertedWith("Cannot withdraw user collateral");
+      await expect(
+        lendingProtocol.emergencyWithdraw(collateralTokenAddress, ethers.parseEther("100"))
+      ).to.changeTokenBalance(collateralToken, owner, ethers.parseEther("100"));
+      expect(await collateralToken.balanceOf(lendingProtocolAddress)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should not allow emergency withdraw of lender liquidity or reserves", async function () {
+      // Withdraw the directly transferred dDAI so only supplied funds remain
+      await lendingProtocol.emergencyWithdraw(loanTokenAddress, ethers.parseEther("500000"));
+
+      await loanToken.mint(user4.address, ethers.parseEther("1000"));
+      await loanToken.connect(user4).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
+
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await lendingProtocol.accrueInterest();
+
+      // The remaining 500 dDAI back the lender's balance; reserves are owed on top
+      await expect(
+        lendingProtocol.emergencyWithdraw(loanTokenAddress, 1n)
+      ).to.be.revertedWith("Cannot withdraw lender funds");
+
+      // Tokens sent directly can still be recovered
+      await loanToken.connect(user1).transfer(lendingProtocolAddress, ethers.parseEther("100"));
+      await expect(
+        lendingProtocol.emergencyWithdraw(loanTokenAddress, ethers.parseEther("100"))
+      ).to.changeTokenBalance(loanToken, owner, ethers.parseEther("100"));
+    });
   });
 
   describe("Edge Case Branch Coverage", function () {
     it("Should test withdraw with exact zero debt", async function () {
       // Test the exact condition: user.loanBalance + user.accruedInterest == 0
       await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1000"));
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
       
       // User has collateral but no debt - should be able to withdraw
-      await expect(lendingProtocol.connect(user1).withdrawCollateral())
+      await expect(lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1000")))
         .to.emit(lendingProtocol, "CollateralWithdrawn");
     });
 
     it("Should test borrow with exact collateralization limit", async function () {
       // Test the exact edge of collateralization ratio
       await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("1500"));
-      await lendingProtocol.connect(user2).depositCollateral(ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
       
       // Borrow exactly 66.67% (1000 out of 1500)
       await lendingProtocol.connect(user2).borrow(ethers.parseEther("1000"));
@@ -690,7 +962,7 @@ describe("LendingProtocol", function () {
     it("Should test interest update with zero timeElapsed", async function () {
       // Setup loan
       await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1000"));
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
       await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
       
       // Update interest immediately (should set lastInterestUpdate)
@@ -706,7 +978,7 @@ describe("LendingProtocol", function () {
     it("Should test repay event emission correctly", async function () {
       // Setup loan with interest
       await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("1000"));
-      await lendingProtocol.connect(user2).depositCollateral(ethers.parseEther("1000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1000"));
       await lendingProtocol.connect(user2).borrow(ethers.parseEther("500"));
       
       // Accrue some interest
@@ -722,7 +994,7 @@ describe("LendingProtocol", function () {
       await loanToken.mint(user2.address, debtWithBuffer);
       await loanToken.connect(user2).approve(lendingProtocolAddress, debtWithBuffer);
       
-      await expect(lendingProtocol.connect(user2).repay())
+      await expect(lendingProtocol.connect(user2).repay(debtWithBuffer))
         .to.emit(lendingProtocol, "LoanRepaid");
     });
   });
@@ -737,19 +1009,19 @@ describe("LendingProtocol", function () {
       await collateralToken.connect(user1).approve(lendingProtocolAddress, depositAmount);
       
       // Multiple rapid calls should work fine due to nonReentrant protection
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("100"));
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("200"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("100"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("200"));
     });
 
     it("Should handle multiple users correctly", async function () {
       // User 1 operations
       await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
-      await lendingProtocol.connect(user1).depositCollateral(ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
       await lendingProtocol.connect(user1).borrow(ethers.parseEther("800"));
 
       // User 2 operations
       await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("3000"));
-      await lendingProtocol.connect(user2).depositCollateral(ethers.parseEther("3000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("3000"));
       await lendingProtocol.connect(user2).borrow(ethers.parseEther("1500"));
 
       // Verify independent user data
@@ -773,30 +1045,39 @@ describe("LendingProtocol", function () {
       
       await collateralToken.mint(user2.address, massiveDepositAmount);
       await collateralToken.connect(user2).approve(lendingProtocolAddress, massiveDepositAmount);
-      await lendingProtocol.connect(user2).depositCollateral(massiveDepositAmount);
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, massiveDepositAmount);
       
       await expect(
         lendingProtocol.connect(user2).borrow(massiveBorrowAmount)
       ).to.be.revertedWith("Insufficient liquidity");
     });
 
-    it("Should reject operations with invalid token addresses in constructor", async function () {
+    it("Should reject operations with invalid token addresses in initializer", async function () {
       const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+      const deploy = (args) => upgrades.deployProxy(LendingProtocol, args, { kind: "uups" });
       
       await expect(
-        LendingProtocol.deploy(ethers.ZeroAddress, loanTokenAddress)
-      ).to.be.revertedWith("Invalid collateral token");
-      
-      await expect(
-        LendingProtocol.deploy(collateralTokenAddress, ethers.ZeroAddress)
+        deploy([ethers.ZeroAddress, priceOracleAddress, shareTokenAddress, interestRateModelAddress])
       ).to.be.revertedWith("Invalid loan token");
+
+      await expect(
+        deploy([loanTokenAddress, ethers.ZeroAddress, shareTokenAddress, interestRateModelAddress])
+      ).to.be.revertedWith("Invalid price oracle");
+
+      await expect(
+        deploy([loanTokenAddress, priceOracleAddress, ethers.ZeroAddress, interestRateModelAddress])
+      ).to.be.revertedWith("Invalid share token");
+
+      await expect(
+        deploy([loanTokenAddress, priceOracleAddress, shareTokenAddress, ethers.ZeroAddress])
+      ).to.be.revertedWith("Invalid interest rate model");
     });
 
     it("Should test all branches in withdraw collateral", async function () {
       // Create a completely fresh scenario with a new user account (user5 in this case)
       await collateralToken.mint(user5.address, ethers.parseEther("1500"));
       await collateralToken.connect(user5).approve(lendingProtocolAddress, ethers.parseEther("1500"));
-      await lendingProtocol.connect(user5).depositCollateral(ethers.parseEther("1500"));
+      await lendingProtocol.connect(user5).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
       await lendingProtocol.connect(user5).borrow(ethers.parseEther("1000"));
       
       // Fast forward time to accrue interest
@@ -805,12 +1086,1805 @@ describe("LendingProtocol", function () {
       
       // Update interest
       await lendingProtocol.updateUserInterest(user5.address);
+      await refreshPrices();
       
       // Try to withdraw with outstanding debt (should fail)
       await expect(
-        lendingProtocol.connect(user5).withdrawCollateral()
-      ).to.be.revertedWith("Outstanding debt exists");
+        lendingProtocol.connect(user5).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1500"))
+      ).to.be.revertedWith("Exceeds collateralization ratio");
       // Do not attempt to withdraw again after collateral is already withdrawn or after repaying.
     });
   });
+
+  describe("Liquidation", function () {
+    beforeEach(async function () {
+      // Borrow right at the limit so one week of interest makes the position unsafe
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      // Start the interest timer
+      await lendingProtocol.updateUserInterest(user1.address);
+
+      // Fund the liquidator
+      await loanToken.mint(user3.address, ethers.parseEther("1000"));
+      await loanToken.connect(user3).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+    });
+
+    it("Should report max health factor without debt", async function () {
+      expect(await lendingProtocol.getHealthFactor(user2.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should report health factor above 1 for a safe position", async function () {
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("500"));
+
+      // Max debt is 1000 against 500 borrowed
+      expect(await lendingProtocol.getHealthFactor(user2.address)).to.be.closeTo(ethers.parseEther("2"), ROUNDING);
+    });
+
+    it("Should drop health factor below 1 once interest accrues", async function () {
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.be.lt(ethers.parseEther("1"));
+    });
+
+    it("Should reject liquidation of a healthy position", async function () {
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("500"));
+
+      await expect(
+        lendingProtocol.connect(user3).liquidate(user2.address, collateralTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Position is healthy");
+    });
+
+    it("Should liquidate an undercollateralized position", async function () {
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      const repayAmount = ethers.parseEther("500");
+      const expectedSeized = ethers.parseEther("525"); // 500 + 5% bonus
+
+      await expect(lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, repayAmount))
+        .to.emit(lendingProtocol, "Liquidated")
+        .withArgs(user1.address, user3.address, collateralTokenAddress, repayAmount, expectedSeized);
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[0]).to.equal(ethers.parseEther("1500") - expectedSeized);
+      expect(await collateralToken.balanceOf(user3.address)).to.equal(expectedSeized);
+      expect(await lendingProtocol.totalCollateral(collateralTokenAddress)).to.equal(ethers.parseEther("1500") - expectedSeized);
+    });
+
+    it("Should only charge for the collateral left when the seizure is capped", async function () {
+      await useZeroInterest();
+      // 1500 cUSD at $0.3 is $450: repaying 500 would earn $525 of collateral
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.3"));
+      const covered = (ethers.parseEther("450") * 100n) / 105n;
+      const balanceBefore = await loanToken.balanceOf(user3.address);
+      const debtBefore = (await lendingProtocol.getUserData(user1.address)).totalDebt;
+
+      await expect(lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("500")))
+        .to.emit(lendingProtocol, "Liquidated")
+        .withArgs(user1.address, user3.address, collateralTokenAddress, covered, ethers.parseEther("1500"));
+
+      expect(balanceBefore - await loanToken.balanceOf(user3.address)).to.equal(covered);
+      expect(await collateralToken.balanceOf(user3.address)).to.equal(ethers.parseEther("1500"));
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(0);
+      expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(debtBefore - covered);
+    });
+
+    it("Should apply the liquidation payment to interest before principal", async function () {
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      await lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("500"));
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[2]).to.equal(0); // accruedInterest fully paid
+      expect(userData[1]).to.be.gt(ethers.parseEther("500")); // part of the payment went to interest
+      expect(await lendingProtocol.totalLoans()).to.equal(userData[1]);
+    });
+
+    it("Should improve the health factor after liquidation", async function () {
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      const healthBefore = await lendingProtocol.getHealthFactor(user1.address);
+      await lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("500"));
+
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.be.gt(healthBefore);
+    });
+
+    it("Should reject repaying more than the close factor", async function () {
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      // Debt is ~1050, so 50% close factor allows at most ~525
+      await expect(
+        lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("600"))
+      ).to.be.revertedWith("Exceeds close factor");
+    });
+
+    it("Should reject liquidating your own position", async function () {
+      await expect(
+        lendingProtocol.connect(user1).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Cannot liquidate own position");
+    });
+
+    it("Should reject liquidation of a user without debt", async function () {
+      await expect(
+        lendingProtocol.connect(user3).liquidate(user2.address, collateralTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("No outstanding debt");
+    });
+
+    it("Should reject zero amount liquidations", async function () {
+      await expect(
+        lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, 0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+
+  describe("Price Oracle", function () {
+    beforeEach(async function () {
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+    });
+
+    it("Should only allow owner to set prices", async function () {
+      await expect(
+        priceOracle.connect(user1).setPrice(collateralTokenAddress, ethers.parseEther("2"))
+      ).to.be.revertedWithCustomError(priceOracle, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should emit PriceUpdated when a price is set", async function () {
+      await expect(priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("2")))
+        .to.emit(priceOracle, "PriceUpdated");
+
+      const [price] = await priceOracle.getPrice(collateralTokenAddress);
+      expect(price).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should value the position with oracle prices", async function () {
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("2"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      const [collateralValue, debtValue, borrowLimit] = await lendingProtocol.getAccountLiquidity(user1.address);
+      expect(collateralValue).to.equal(ethers.parseEther("3000"));
+      expect(debtValue).to.equal(ethers.parseEther("1000"));
+      expect(borrowLimit).to.be.closeTo(ethers.parseEther("2000"), ROUNDING);
+    });
+
+    it("Should raise the borrow limit when collateral is worth more", async function () {
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("2"));
+
+      expect(await lendingProtocol.getMaxBorrowable(user1.address)).to.be.closeTo(ethers.parseEther("2000"), ROUNDING);
+      await expect(lendingProtocol.connect(user1).borrow(ethers.parseEther("2000")))
+        .to.emit(lendingProtocol, "LoanBorrowed");
+      await expect(
+        lendingProtocol.connect(user1).borrow(ROUNDING)
+      ).to.be.revertedWith("Exceeds collateralization ratio");
+    });
+
+    it("Should lower the borrow limit when the loan token is worth more", async function () {
+      await priceOracle.setPrice(loanTokenAddress, ethers.parseEther("2"));
+
+      expect(await lendingProtocol.getMaxBorrowable(user1.address)).to.be.closeTo(ethers.parseEther("500"), ROUNDING);
+      await expect(
+        lendingProtocol.connect(user1).borrow(ethers.parseEther("501"))
+      ).to.be.revertedWith("Exceeds collateralization ratio");
+    });
+
+    it("Should make a position liquidatable when collateral price drops", async function () {
+      await useZeroInterest();
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.9"));
+
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.equal(ethers.parseEther("0.9"));
+      expect(await lendingProtocol.getMaxBorrowable(user1.address)).to.equal(0);
+
+      await loanToken.mint(user3.address, ethers.parseEther("500"));
+      await loanToken.connect(user3).approve(lendingProtocolAddress, ethers.parseEther("500"));
+
+      // 450 dDAI repaid + 5% bonus = $472.5 of collateral at $0.9 = 525 cUSD
+      await expect(lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("450")))
+        .to.emit(lendingProtocol, "Liquidated")
+        .withArgs(user1.address, user3.address, collateralTokenAddress, ethers.parseEther("450"), ethers.parseEther("525"));
+    });
+
+    it("Should reject borrowing with a stale price", async function () {
+      await ethers.provider.send("evm_increaseTime", [86400 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        lendingProtocol.connect(user1).borrow(ethers.parseEther("100"))
+      ).to.be.revertedWith("Stale price");
+
+      await refreshPrices();
+      await expect(lendingProtocol.connect(user1).borrow(ethers.parseEther("100")))
+        .to.emit(lendingProtocol, "LoanBorrowed");
+    });
+
+    it("Should reject borrowing when the price is missing", async function () {
+      await priceOracle.setPrice(collateralTokenAddress, 0);
+
+      await expect(
+        lendingProtocol.connect(user1).borrow(ethers.parseEther("100"))
+      ).to.be.revertedWith("Invalid price");
+    });
+  });
+
+  describe("Supply Pool", function () {
+    // Borrow 1000 dDAI and repay it after one week, paying ~50 dDAI of interest
+    async function borrowAndRepayWithInterest() {
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      await lendingProtocol.updateUserInterest(user1.address);
+
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
+    }
+
+    beforeEach(async function () {
+      await loanToken.mint(user4.address, ethers.parseEther("1000"));
+      await loanToken.mint(user5.address, ethers.parseEther("3000"));
+      await loanToken.connect(user4).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await loanToken.connect(user5).approve(lendingProtocolAddress, ethers.MaxUint256);
+    });
+
+    it("Should have correct share token name and owner", async function () {
+      expect(await lendingProtocol.shareToken()).to.equal(shareTokenAddress);
+      expect(await shareToken.name()).to.equal("Supplied dDAI");
+      expect(await shareToken.symbol()).to.equal("sdDAI");
+      expect(await shareToken.owner()).to.equal(lendingProtocolAddress);
+    });
+
+    it("Should only allow the protocol to mint or burn shares", async function () {
+      await expect(
+        shareToken.connect(user1).mint(user1.address, 1)
+      ).to.be.revertedWithCustomError(shareToken, "OwnableUnauthorizedAccount");
+      await expect(
+        shareToken.connect(user1).burn(user4.address, 1)
+      ).to.be.revertedWithCustomError(shareToken, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should mint shares 1:1 for the first supplier", async function () {
+      const amount = ethers.parseEther("1000");
+
+      await expect(lendingProtocol.connect(user4).supply(amount))
+        .to.emit(lendingProtocol, "Supplied")
+        .withArgs(user4.address, amount, amount);
+
+      expect(await shareToken.balanceOf(user4.address)).to.equal(amount);
+      expect(await lendingProtocol.totalSupplied()).to.equal(amount);
+      expect(await loanToken.balanceOf(user4.address)).to.equal(0);
+    });
+
+    it("Should redeem shares for loan tokens", async function () {
+      const amount = ethers.parseEther("1000");
+      await lendingProtocol.connect(user4).supply(amount);
+
+      await expect(lendingProtocol.connect(user4).redeem(amount))
+        .to.emit(lendingProtocol, "Redeemed")
+        .withArgs(user4.address, amount, amount);
+
+      expect(await shareToken.balanceOf(user4.address)).to.equal(0);
+      expect(await loanToken.balanceOf(user4.address)).to.equal(amount);
+      expect(await lendingProtocol.totalSupplied()).to.equal(0);
+    });
+
+    it("Should distribute borrower interest to suppliers pro rata", async function () {
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+      await lendingProtocol.connect(user5).supply(ethers.parseEther("3000"));
+
+      await borrowAndRepayWithInterest();
+
+      const [, balance4] = await lendingProtocol.getSupplierData(user4.address);
+      const [, balance5] = await lendingProtocol.getSupplierData(user5.address);
+      const interest4 = balance4 - ethers.parseEther("1000");
+      const interest5 = balance5 - ethers.parseEther("3000");
+
+      // ~50 dDAI of interest, 90% of it left after the reserve factor, split 1:3
+      expect(interest4 + interest5).to.be.closeTo(ethers.parseEther("45"), ethers.parseEther("1"));
+      expect(interest5).to.be.closeTo(interest4 * 3n, 3n);
+    });
+
+    it("Should let suppliers redeem their share of the interest", async function () {
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+      await borrowAndRepayWithInterest();
+
+      const shares = await shareToken.balanceOf(user4.address);
+      await lendingProtocol.connect(user4).redeem(shares);
+
+      expect(await loanToken.balanceOf(user4.address)).to.be.closeTo(
+        ethers.parseEther("1045"),
+        ethers.parseEther("1")
+      );
+    });
+
+    it("Should mint fewer shares after interest raises the exchange rate", async function () {
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+      await borrowAndRepayWithInterest();
+
+      await lendingProtocol.connect(user5).supply(ethers.parseEther("1000"));
+
+      expect(await shareToken.balanceOf(user5.address)).to.be.lt(ethers.parseEther("1000"));
+      const [, balance5] = await lendingProtocol.getSupplierData(user5.address);
+      expect(balance5).to.be.closeTo(ethers.parseEther("1000"), 1n);
+    });
+
+    it("Should report the supply rate from borrowed liquidity", async function () {
+      expect(await lendingProtocol.getSupplyRate()).to.equal(0);
+
+      await lendingProtocol.connect(user5).supply(ethers.parseEther("2000"));
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      // Borrow rate net of the 10% reserve factor on 1000 borrowed, spread over 2000 supplied
+      const borrowRate = await lendingProtocol.getBorrowRate();
+      expect(await lendingProtocol.getSupplyRate()).to.equal((borrowRate * 90n) / 100n / 2n);
+    });
+
+    it("Should report the supply rate from the debt and supply accrued so far", async function () {
+      await lendingProtocol.connect(user5).supply(ethers.parseEther("2000"));
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      await ethers.provider.send("evm_increaseTime", [604800]);
+      await ethers.provider.send("evm_mine");
+      const rateBeforeAccrual = await lendingProtocol.getSupplyRate();
+
+      // Writing the accrual does not move the reported rate
+      await lendingProtocol.accrueInterest();
+      expect(await lendingProtocol.getSupplyRate()).to.be.closeTo(rateBeforeAccrual, rateBeforeAccrual / 10000n);
+    });
+
+    it("Should reject redeeming more shares than owned", async function () {
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+
+      await expect(
+        lendingProtocol.connect(user4).redeem(ethers.parseEther("1001"))
+      ).to.be.revertedWith("Insufficient shares");
+    });
+
+    it("Should reject redeeming when liquidity is lent out", async function () {
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+
+      // Borrow all available liquidity
+      const liquidity = (await lendingProtocol.getProtocolStats())[2];
+      await collateralToken.mint(user2.address, liquidity * 2n);
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, liquidity * 2n);
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, liquidity * 2n);
+      await lendingProtocol.connect(user2).borrow(liquidity);
+
+      await expect(
+        lendingProtocol.connect(user4).redeem(ethers.parseEther("1000"))
+      ).to.be.revertedWith("Insufficient liquidity");
+    });
+
+    it("Should reject zero amount supply and redeem", async function () {
+      await expect(
+        lendingProtocol.connect(user4).supply(0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+      await expect(
+        lendingProtocol.connect(user4).redeem(0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+
+  describe("Interest Rate Model", function () {
+    it("Should reject an invalid optimal utilization", async function () {
+      const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+
+      await expect(
+        KinkedInterestRateModel.deploy(0, 0, 0, 0)
+      ).to.be.revertedWith("Invalid optimal utilization");
+      await expect(
+        KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("1"))
+      ).to.be.revertedWith("Invalid optimal utilization");
+    });
+
+    it("Should compute utilization", async function () {
+      expect(await interestRateModel.utilizationRate(1000, 0)).to.equal(0);
+      expect(await interestRateModel.utilizationRate(750, 250)).to.equal(ethers.parseEther("0.25"));
+      expect(await interestRateModel.utilizationRate(0, 1000)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should return the base rate without borrows", async function () {
+      expect(await interestRateModel.getBorrowRate(1000, 0)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should grow along slope1 below the kink", async function () {
+      // 40% utilization = half of optimal: 5% + 4% / 2
+      expect(await interestRateModel.getBorrowRate(600, 400)).to.equal(ethers.parseEther("0.07"));
+      // At the kink: 5% + 4%
+      expect(await interestRateModel.getBorrowRate(200, 800)).to.equal(ethers.parseEther("0.09"));
+    });
+
+    it("Should grow along slope2 above the kink", async function () {
+      // 90% utilization = half of the remaining 20%: 9% + 75% / 2
+      expect(await interestRateModel.getBorrowRate(100, 900)).to.equal(ethers.parseEther("0.465"));
+      // Fully utilized: 5% + 4% + 75%
+      expect(await interestRateModel.getBorrowRate(0, 1000)).to.equal(ethers.parseEther("0.84"));
+    });
+
+    it("Should expose borrow rate and utilization in protocol stats", async function () {
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      const stats = await lendingProtocol.getProtocolStats();
+      const expectedUtilization = (ethers.parseEther("1000") * ethers.parseEther("1")) / ethers.parseEther("500000");
+      expect(stats[4]).to.equal(expectedUtilization);
+      expect(stats[3]).to.equal(
+        await interestRateModel.getBorrowRate(ethers.parseEther("499000"), ethers.parseEther("1000"))
+      );
+      expect(await lendingProtocol.getUtilization()).to.equal(stats[4]);
+    });
+
+    it("Should accrue interest at the model's current rate", async function () {
+      // Fixed 10% per week model
+      const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+      const flatModel = await KinkedInterestRateModel.deploy(ethers.parseEther("0.1"), 0, 0, ethers.parseEther("0.8"));
+      await setInterestRateModel(await flatModel.getAddress());
+
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [borrowedAt + 604800]);
+      await ethers.provider.send("evm_mine");
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[2]).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should let the owner replace the interest rate model through the timelock", async function () {
+      const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+      const newModel = await KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("0.5"));
+      const newModelAddress = await newModel.getAddress();
+      const parameter = await lendingProtocol.PARAM_INTEREST_RATE_MODEL();
+
+      await lendingProtocol.proposeParameterChange(parameter, newModelAddress);
+      expect(await lendingProtocol.interestRateModel()).to.equal(interestRateModelAddress);
+
+      await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(lendingProtocol.executeParameterChange(parameter))
+        .to.emit(lendingProtocol, "InterestRateModelUpdated")
+        .withArgs(interestRateModelAddress, newModelAddress);
+      expect(await lendingProtocol.interestRateModel()).to.equal(newModelAddress);
+    });
+
+    it("Should reject invalid or unauthorized model updates", async function () {
+      const parameter = await lendingProtocol.PARAM_INTEREST_RATE_MODEL();
+      await expect(
+        lendingProtocol.proposeParameterChange(parameter, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid interest rate model");
+      await expect(
+        lendingProtocol.proposeParameterChange(parameter, 2n ** 160n)
+      ).to.be.revertedWith("Invalid interest rate model");
+      await expect(
+        lendingProtocol.connect(user1).proposeParameterChange(parameter, interestRateModelAddress)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Borrow Index", function () {
+    const WEEK = 604800;
+
+    beforeEach(async function () {
+      // Fixed 10% per week model
+      const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+      const flatModel = await KinkedInterestRateModel.deploy(ethers.parseEther("0.1"), 0, 0, ethers.parseEther("0.8"));
+      await setInterestRateModel(await flatModel.getAddress());
+
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("3000"));
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("3000"));
+    });
+
+    async function setNextTimestamp(timestamp) {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    }
+
+    it("Should start the borrow index at 1", async function () {
+      expect(await lendingProtocol.borrowIndex()).to.equal(ethers.parseEther("1"));
+      expect(await lendingProtocol.totalScaledDebt()).to.equal(0);
+    });
+
+    it("Should charge interest from the block the loan is taken", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await setNextTimestamp(borrowedAt + WEEK);
+      await ethers.provider.send("evm_mine");
+
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[1]).to.equal(ethers.parseEther("1000"));
+      expect(userData[2]).to.equal(ethers.parseEther("100"));
+      expect(userData[3]).to.equal(ethers.parseEther("1100"));
+    });
+
+    it("Should compound interest across accruals", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      // Half a week at 10% per week twice: 1000 * 1.05 * 1.05
+      await setNextTimestamp(borrowedAt + WEEK / 2);
+      await expect(lendingProtocol.accrueInterest())
+        .to.emit(lendingProtocol, "InterestAccrued")
+        .withArgs(ethers.parseEther("1.05"), ethers.parseEther("50"), ethers.parseEther("1050"));
+
+      await setNextTimestamp(borrowedAt + WEEK);
+      await lendingProtocol.accrueInterest();
+
+      expect(await lendingProtocol.borrowIndex()).to.equal(ethers.parseEther("1.1025"));
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[3]).to.equal(ethers.parseEther("1102.5"));
+    });
+
+    it("Should apply the index to every borrower without per-user updates", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      // user2 borrows after the index has grown by 5%
+      await setNextTimestamp(borrowedAt + WEEK / 2 - 10);
+      await refreshPrices();
+      await setNextTimestamp(borrowedAt + WEEK / 2);
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("1050"));
+
+      await setNextTimestamp(borrowedAt + WEEK);
+      await lendingProtocol.accrueInterest();
+
+      const user1Data = await lendingProtocol.getUserData(user1.address);
+      const user2Data = await lendingProtocol.getUserData(user2.address);
+      expect(user1Data[3]).to.equal(ethers.parseEther("1102.5"));
+      expect(user2Data[3]).to.be.closeTo(ethers.parseEther("1102.5"), 1n);
+
+      // Total debt is tracked globally and matches the sum of the positions
+      expect(await lendingProtocol.getTotalDebt()).to.be.closeTo(user1Data[3] + user2Data[3], 2n);
+      expect(await lendingProtocol.totalLoans()).to.equal(ethers.parseEther("2050"));
+    });
+
+    it("Should report the true total debt in protocol stats", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await setNextTimestamp(borrowedAt + WEEK);
+      await ethers.provider.send("evm_mine");
+
+      const stats = await lendingProtocol.getProtocolStats();
+      expect(stats[1]).to.equal(ethers.parseEther("1000")); // principal
+      expect(stats[5]).to.equal(ethers.parseEther("1100")); // principal plus interest
+    });
+
+    it("Should keep getUserData consistent with the stored index", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
+      await ethers.provider.send("evm_mine");
+
+      const projected = await lendingProtocol.getUserData(user1.address);
+      await lendingProtocol.accrueInterest();
+
+      const scaledDebt = (await lendingProtocol.users(user1.address))[1];
+      const borrowIndex = await lendingProtocol.borrowIndex();
+      const userData = await lendingProtocol.getUserData(user1.address);
+
+      expect(userData[3]).to.equal((scaledDebt * borrowIndex) / ethers.parseEther("1"));
+      expect(userData[3]).to.be.gte(projected[3]);
+    });
+
+    it("Should credit accrued interest to lenders before it is repaid", async function () {
+      await loanToken.mint(user4.address, ethers.parseEther("1000"));
+      await loanToken.connect(user4).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      const borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await setNextTimestamp(borrowedAt + WEEK);
+      await lendingProtocol.accrueInterest();
+
+      // 100 dDAI of interest, 10 of it kept as reserves
+      expect(await lendingProtocol.totalSupplied()).to.equal(ethers.parseEther("1090"));
+      expect(await lendingProtocol.totalReserves()).to.equal(ethers.parseEther("10"));
+      const [, balance] = await lendingProtocol.getSupplierData(user4.address);
+      expect(balance).to.equal(ethers.parseEther("1090"));
+    });
+
+    it("Should clear all scaled debt on full repayment", async function () {
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
+      await ethers.provider.send("evm_mine");
+
+      await loanToken.mint(user1.address, ethers.parseEther("200"));
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
+
+      expect((await lendingProtocol.users(user1.address))[1]).to.equal(0);
+      expect(await lendingProtocol.totalScaledDebt()).to.equal(0);
+      expect(await lendingProtocol.totalLoans()).to.equal(0);
+      expect(await lendingProtocol.getTotalDebt()).to.equal(0);
+    });
+  });
+
+  describe("Governance", function () {
+    const DELAY = 2 * 86400;
+    let bonusParam, closeFactorParam;
+
+    beforeEach(async function () {
+      bonusParam = await lendingProtocol.PARAM_LIQUIDATION_BONUS();
+      closeFactorParam = await lendingProtocol.PARAM_CLOSE_FACTOR();
+    });
+
+    it("Should queue a change behind the timelock delay", async function () {
+      const tx = await lendingProtocol.proposeParameterChange(bonusParam, 8);
+      const proposedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+
+      await expect(tx)
+        .to.emit(lendingProtocol, "ParameterChangeProposed")
+        .withArgs(bonusParam, 8, proposedAt + DELAY);
+
+      const pending = await lendingProtocol.pendingChanges(bonusParam);
+      expect(pending.value).to.equal(8);
+      expect(pending.executableAt).to.equal(proposedAt + DELAY);
+      expect(await lendingProtocol.liquidationBonus()).to.equal(5);
+    });
+
+    it("Should reject executing before the delay has passed", async function () {
+      await lendingProtocol.proposeParameterChange(bonusParam, 8);
+      await ethers.provider.send("evm_increaseTime", [DELAY - 60]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        lendingProtocol.executeParameterChange(bonusParam)
+      ).to.be.revertedWith("Timelock not expired");
+    });
+
+    it("Should apply the change after the delay", async function () {
+      await lendingProtocol.proposeParameterChange(bonusParam, 8);
+      await ethers.provider.send("evm_increaseTime", [DELAY]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(lendingProtocol.executeParameterChange(bonusParam))
+        .to.emit(lendingProtocol, "ParameterChangeExecuted")
+        .withArgs(bonusParam, 5, 8);
+
+      expect(await lendingProtocol.liquidationBonus()).to.equal(8);
+      expect((await lendingProtocol.pendingChanges(bonusParam)).executableAt).to.equal(0);
+    });
+
+    it("Should use the new liquidation bonus when seizing collateral", async function () {
+      await changeParameter(bonusParam, 10);
+
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("1000"));
+      await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("0.9"));
+
+      await loanToken.mint(user3.address, ethers.parseEther("100"));
+      await loanToken.connect(user3).approve(lendingProtocolAddress, ethers.parseEther("100"));
+
+      // 100 dDAI repaid + 10% bonus = $110 of collateral at $0.9
+      await expect(lendingProtocol.connect(user3).liquidate(user2.address, collateralTokenAddress, ethers.parseEther("100")))
+        .to.emit(lendingProtocol, "Liquidated")
+        .withArgs(user2.address, user3.address, collateralTokenAddress, ethers.parseEther("100"), ethers.parseEther("110") * 10n / 9n);
+    });
+
+    it("Should update liquidation bonus and close factor", async function () {
+      await changeParameter(bonusParam, 10);
+      await changeParameter(closeFactorParam, 100);
+
+      expect(await lendingProtocol.liquidationBonus()).to.equal(10);
+      expect(await lendingProtocol.closeFactor()).to.equal(100);
+    });
+
+    it("Should enforce parameter bounds", async function () {
+      await expect(lendingProtocol.proposeParameterChange(bonusParam, 11)).to.be.revertedWith("Value out of bounds");
+      await expect(lendingProtocol.proposeParameterChange(closeFactorParam, 9)).to.be.revertedWith("Value out of bounds");
+      await expect(lendingProtocol.proposeParameterChange(closeFactorParam, 101)).to.be.revertedWith("Value out of bounds");
+      await expect(
+        lendingProtocol.proposeParameterChange(ethers.id("PRECISION"), 1000)
+      ).to.be.revertedWith("Unknown parameter");
+    });
+
+    it("Should let the owner cancel a pending change", async function () {
+      await lendingProtocol.proposeParameterChange(bonusParam, 8);
+
+      await expect(lendingProtocol.cancelParameterChange(bonusParam))
+        .to.emit(lendingProtocol, "ParameterChangeCancelled")
+        .withArgs(bonusParam);
+
+      await ethers.provider.send("evm_increaseTime", [DELAY]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(lendingProtocol.executeParameterChange(bonusParam)).to.be.revertedWith("No pending change");
+      await expect(lendingProtocol.cancelParameterChange(bonusParam)).to.be.revertedWith("No pending change");
+      expect(await lendingProtocol.liquidationBonus()).to.equal(5);
+    });
+
+    it("Should restart the delay when a change is proposed again", async function () {
+      await lendingProtocol.proposeParameterChange(bonusParam, 8);
+      await ethers.provider.send("evm_increaseTime", [DELAY - 60]);
+      await ethers.provider.send("evm_mine");
+
+      await lendingProtocol.proposeParameterChange(bonusParam, 7);
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        lendingProtocol.executeParameterChange(bonusParam)
+      ).to.be.revertedWith("Timelock not expired");
+    });
+
+    it("Should only let the owner govern parameters", async function () {
+      await expect(
+        lendingProtocol.connect(user1).proposeParameterChange(bonusParam, 8)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+
+      await lendingProtocol.proposeParameterChange(bonusParam, 8);
+      await expect(
+        lendingProtocol.connect(user1).executeParameterChange(bonusParam)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+      await expect(
+        lendingProtocol.connect(user1).cancelParameterChange(bonusParam)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Multi-Collateral", function () {
+    let wrappedEther, wrappedEtherAddress;
+
+    beforeEach(async function () {
+      // 8-decimal collateral priced at $2000: borrow up to 75%, liquidatable above 80%
+      const CollateralToken = await ethers.getContractFactory("CollateralToken");
+      wrappedEther = await CollateralToken.deploy("Wrapped Ether", "WETH", 8, 0);
+      await wrappedEther.waitForDeployment();
+      wrappedEtherAddress = await wrappedEther.getAddress();
+
+      await priceOracle.setPrice(wrappedEtherAddress, ethers.parseEther("2000"));
+      await lendingProtocol.listCollateral(wrappedEtherAddress, ethers.parseEther("0.75"), ethers.parseEther("0.8"));
+
+      await wrappedEther.mint(user1.address, 10n ** 8n);
+      await wrappedEther.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+    });
+
+    it("Should list collateral assets with their own configuration", async function () {
+      expect(await lendingProtocol.getCollateralAssets()).to.deep.equal([collateralTokenAddress, wrappedEtherAddress]);
+
+      const config = await lendingProtocol.collateralConfigs(wrappedEtherAddress);
+      expect(config.listed).to.equal(true);
+      expect(config.decimals).to.equal(8);
+      expect(config.collateralFactor).to.equal(ethers.parseEther("0.75"));
+      expect(config.liquidationThreshold).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should emit an event when listing collateral", async function () {
+      const CollateralToken = await ethers.getContractFactory("CollateralToken");
+      const token = await CollateralToken.deploy("Wrapped Bitcoin", "WBTC", 8, 0);
+      const tokenAddress = await token.getAddress();
+
+      await expect(lendingProtocol.listCollateral(tokenAddress, ethers.parseEther("0.7"), ethers.parseEther("0.75")))
+        .to.emit(lendingProtocol, "CollateralListed")
+        .withArgs(tokenAddress, ethers.parseEther("0.7"), ethers.parseEther("0.75"));
+    });
+
+    it("Should reject invalid collateral listings", async function () {
+      await expect(
+        lendingProtocol.listCollateral(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"))
+      ).to.be.revertedWith("Collateral already listed");
+      await expect(
+        lendingProtocol.listCollateral(ethers.ZeroAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"))
+      ).to.be.revertedWith("Invalid collateral token");
+      await expect(
+        lendingProtocol.listCollateral(loanTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.91"))
+      ).to.be.revertedWith("Invalid liquidation threshold");
+      await expect(
+        lendingProtocol.listCollateral(loanTokenAddress, 0, 0)
+      ).to.be.revertedWith("Invalid liquidation threshold");
+      await expect(
+        lendingProtocol.listCollateral(loanTokenAddress, ethers.parseEther("0.8"), ethers.parseEther("0.7"))
+      ).to.be.revertedWith("Invalid collateral factor");
+      await expect(
+        lendingProtocol.connect(user1).listCollateral(loanTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"))
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject deposits of unlisted assets", async function () {
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("100"));
+      await expect(
+        lendingProtocol.connect(user1).depositCollateral(loanTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Collateral not listed");
+    });
+
+    it("Should track deposits per asset", async function () {
+      await expect(lendingProtocol.connect(user1).depositCollateral(wrappedEtherAddress, 10n ** 8n))
+        .to.emit(lendingProtocol, "CollateralDeposited")
+        .withArgs(user1.address, wrappedEtherAddress, 10n ** 8n);
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+
+      expect(await lendingProtocol.collateralBalances(user1.address, wrappedEtherAddress)).to.equal(10n ** 8n);
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(ethers.parseEther("1500"));
+      expect(await lendingProtocol.totalCollateral(wrappedEtherAddress)).to.equal(10n ** 8n);
+
+      // Collateral value is reported in USD across assets
+      const userData = await lendingProtocol.getUserData(user1.address);
+      expect(userData[0]).to.equal(ethers.parseEther("3500"));
+      expect((await lendingProtocol.getProtocolStats())[0]).to.equal(ethers.parseEther("3500"));
+    });
+
+    it("Should sum borrow capacity across all deposits", async function () {
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(wrappedEtherAddress, 10n ** 8n);
+
+      // $1000 from cUSD at 2/3 plus $1500 from WETH at 75%
+      const [collateralValue, , borrowLimit] = await lendingProtocol.getAccountLiquidity(user1.address);
+      expect(collateralValue).to.equal(ethers.parseEther("3500"));
+      expect(borrowLimit).to.be.closeTo(ethers.parseEther("2500"), 1000n);
+
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("2500"));
+      await expect(
+        lendingProtocol.connect(user1).borrow(ethers.parseEther("1"))
+      ).to.be.revertedWith("Exceeds collateralization ratio");
+    });
+
+    it("Should withdraw each asset while keeping the debt covered", async function () {
+      await useZeroInterest();
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(wrappedEtherAddress, 10n ** 8n);
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+      // $1500 of spare borrowing power covers all cUSD, or a whole WETH at 75%
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, collateralTokenAddress)).to.equal(ethers.parseEther("1500"));
+      expect(await lendingProtocol.getMaxWithdrawable(user1.address, wrappedEtherAddress)).to.equal(10n ** 8n);
+
+      await expect(lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1500")))
+        .to.emit(lendingProtocol, "CollateralWithdrawn")
+        .withArgs(user1.address, collateralTokenAddress, ethers.parseEther("1500"));
+
+      // The remaining WETH alone must now back the 1000 dDAI debt
+      const maxWeth = await lendingProtocol.getMaxWithdrawable(user1.address, wrappedEtherAddress);
+      expect(maxWeth).to.be.closeTo(10n ** 8n / 3n, 1n);
+      await expect(
+        lendingProtocol.connect(user1).withdrawCollateral(wrappedEtherAddress, maxWeth + 1n)
+      ).to.be.revertedWith("Exceeds collateralization ratio");
+      await lendingProtocol.connect(user1).withdrawCollateral(wrappedEtherAddress, maxWeth);
+      expect(await wrappedEther.balanceOf(user1.address)).to.equal(maxWeth);
+    });
+
+    it("Should use liquidation thresholds for the health factor", async function () {
+      await useZeroInterest();
+      await lendingProtocol.connect(user1).depositCollateral(wrappedEtherAddress, 10n ** 8n);
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1500"));
+
+      // $2000 * 80% / $1500: borrowed at the limit but still above the liquidation threshold
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.equal(ethers.parseEther("1600") * ethers.parseEther("1") / ethers.parseEther("1500"));
+
+      await priceOracle.setPrice(wrappedEtherAddress, ethers.parseEther("1800"));
+      expect(await lendingProtocol.getHealthFactor(user1.address)).to.equal(ethers.parseEther("0.96"));
+
+      await loanToken.mint(user3.address, ethers.parseEther("750"));
+      await loanToken.connect(user3).approve(lendingProtocolAddress, ethers.parseEther("750"));
+
+      await expect(
+        lendingProtocol.connect(user3).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("750"))
+      ).to.be.revertedWith("No collateral to seize");
+
+      // 750 dDAI + 5% bonus = $787.5 of WETH at $1800 = 0.4375 WETH
+      await expect(lendingProtocol.connect(user3).liquidate(user1.address, wrappedEtherAddress, ethers.parseEther("750")))
+        .to.emit(lendingProtocol, "Liquidated")
+        .withArgs(user1.address, user3.address, wrappedEtherAddress, ethers.parseEther("750"), 43750000n);
+      expect(await wrappedEther.balanceOf(user3.address)).to.equal(43750000n);
+    });
+
+    it("Should change collateral configuration through the timelock", async function () {
+      await lendingProtocol.connect(user1).depositCollateral(wrappedEtherAddress, 10n ** 8n);
+
+      const tx = await lendingProtocol.proposeCollateralConfig(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+      const proposedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+      await expect(tx)
+        .to.emit(lendingProtocol, "CollateralConfigProposed")
+        .withArgs(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"), proposedAt + 2 * 86400);
+      expect((await lendingProtocol.collateralConfigs(wrappedEtherAddress)).collateralFactor).to.equal(ethers.parseEther("0.75"));
+
+      await expect(
+        lendingProtocol.executeCollateralConfig(wrappedEtherAddress)
+      ).to.be.revertedWith("Timelock not expired");
+
+      await ethers.provider.send("evm_increaseTime", [2 * 86400]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+
+      await expect(lendingProtocol.executeCollateralConfig(wrappedEtherAddress))
+        .to.emit(lendingProtocol, "CollateralConfigUpdated")
+        .withArgs(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+      expect(await lendingProtocol.getMaxBorrowable(user1.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should cancel and validate collateral configuration changes", async function () {
+      await expect(
+        lendingProtocol.proposeCollateralConfig(loanTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"))
+      ).to.be.revertedWith("Collateral not listed");
+      await expect(
+        lendingProtocol.proposeCollateralConfig(wrappedEtherAddress, ethers.parseEther("0.7"), ethers.parseEther("0.6"))
+      ).to.be.revertedWith("Invalid collateral factor");
+      await expect(
+        lendingProtocol.connect(user1).proposeCollateralConfig(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"))
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+
+      await lendingProtocol.proposeCollateralConfig(wrappedEtherAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+      await expect(lendingProtocol.cancelCollateralConfig(wrappedEtherAddress))
+        .to.emit(lendingProtocol, "CollateralConfigCancelled")
+        .withArgs(wrappedEtherAddress);
+      await expect(lendingProtocol.executeCollateralConfig(wrappedEtherAddress)).to.be.revertedWith("No pending change");
+    });
+  });
+
+  describe("Flash Loans", function () {
+    const AMOUNT = ethers.parseEther("100000");
+    const FEE = ethers.parseEther("90"); // 0.09% of AMOUNT
+    let sampleBorrower, mockBorrower;
+
+    beforeEach(async function () {
+      const SampleFlashBorrower = await ethers.getContractFactory("SampleFlashBorrower");
+      sampleBorrower = await SampleFlashBorrower.deploy(lendingProtocolAddress);
+      const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+      mockBorrower = await MockFlashBorrower.deploy(lendingProtocolAddress);
+
+      // Borrowers hold enough to pay the fee
+      await loanToken.mint(await sampleBorrower.getAddress(), FEE);
+      await loanToken.mint(await mockBorrower.getAddress(), FEE);
+    });
+
+    it("Should report the flash loan limit and fee for the loan token only", async function () {
+      expect(await lendingProtocol.maxFlashLoan(loanTokenAddress)).to.equal(ethers.parseEther("500000"));
+      expect(await lendingProtocol.maxFlashLoan(collateralTokenAddress)).to.equal(0);
+      expect(await lendingProtocol.flashFee(loanTokenAddress, AMOUNT)).to.equal(FEE);
+      await expect(
+        lendingProtocol.flashFee(collateralTokenAddress, AMOUNT)
+      ).to.be.revertedWith("Unsupported flash loan token");
+    });
+
+    it("Should lend and collect the amount plus the fee", async function () {
+      const borrowerAddress = await sampleBorrower.getAddress();
+
+      await expect(sampleBorrower.flashBorrow(loanTokenAddress, AMOUNT))
+        .to.emit(lendingProtocol, "FlashLoan")
+        .withArgs(borrowerAddress, loanTokenAddress, AMOUNT, FEE)
+        .and.to.emit(sampleBorrower, "FlashLoanReceived")
+        .withArgs(loanTokenAddress, AMOUNT, FEE);
+
+      expect(await loanToken.balanceOf(lendingProtocolAddress)).to.equal(ethers.parseEther("500000") + FEE);
+      expect(await loanToken.balanceOf(borrowerAddress)).to.equal(0);
+      expect(await lendingProtocol.totalReserves()).to.equal(FEE);
+    });
+
+    it("Should keep flash loan fees out of the lenders' balance", async function () {
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user1).supply(ethers.parseEther("1000"));
+
+      await sampleBorrower.flashBorrow(loanTokenAddress, AMOUNT);
+
+      expect(await lendingProtocol.totalSupplied()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should revert when the borrower does not repay", async function () {
+      await mockBorrower.setAction(1); // SkipRepayment
+
+      await expect(
+        mockBorrower.flashBorrow(AMOUNT)
+      ).to.be.revertedWithCustomError(loanToken, "ERC20InsufficientAllowance");
+      expect(await loanToken.balanceOf(lendingProtocolAddress)).to.equal(ethers.parseEther("500000"));
+    });
+
+    it("Should only let the sample borrower's owner spend its fee balance", async function () {
+      await expect(
+        sampleBorrower.connect(user1).flashBorrow(loanTokenAddress, AMOUNT)
+      ).to.be.revertedWithCustomError(sampleBorrower, "OwnableUnauthorizedAccount");
+      expect(await loanToken.balanceOf(await sampleBorrower.getAddress())).to.equal(FEE);
+    });
+
+    it("Should revert when the borrower cannot pay the fee", async function () {
+      const SampleFlashBorrower = await ethers.getContractFactory("SampleFlashBorrower");
+      const unfundedBorrower = await SampleFlashBorrower.deploy(lendingProtocolAddress);
+
+      await expect(
+        unfundedBorrower.flashBorrow(loanTokenAddress, AMOUNT)
+      ).to.be.revertedWithCustomError(loanToken, "ERC20InsufficientBalance");
+    });
+
+    it("Should revert when the callback returns the wrong value", async function () {
+      await mockBorrower.setAction(2); // WrongReturnValue
+
+      await expect(mockBorrower.flashBorrow(AMOUNT)).to.be.revertedWith("Flash loan callback failed");
+    });
+
+    it("Should block reentering flashLoan from the callback", async function () {
+      await mockBorrower.setAction(3); // ReenterFlashLoan
+
+      await expect(
+        mockBorrower.flashBorrow(AMOUNT)
+      ).to.be.revertedWithCustomError(lendingProtocol, "ReentrancyGuardReentrantCall");
+    });
+
+    it("Should block supplying borrowed tokens from the callback", async function () {
+      await mockBorrower.setAction(4); // ReenterSupply
+
+      await expect(
+        mockBorrower.flashBorrow(AMOUNT)
+      ).to.be.revertedWithCustomError(lendingProtocol, "ReentrancyGuardReentrantCall");
+    });
+
+    it("Should reject loans above the available liquidity or of other tokens", async function () {
+      await expect(
+        sampleBorrower.flashBorrow(loanTokenAddress, ethers.parseEther("500001"))
+      ).to.be.revertedWith("Insufficient liquidity");
+      await expect(
+        sampleBorrower.flashBorrow(collateralTokenAddress, 1)
+      ).to.be.revertedWith("Insufficient liquidity");
+      await expect(
+        sampleBorrower.flashBorrow(loanTokenAddress, 0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("Should let the sample borrower reject callbacks it did not start", async function () {
+      await expect(
+        sampleBorrower.onFlashLoan(user1.address, loanTokenAddress, AMOUNT, FEE, "0x")
+      ).to.be.revertedWith("Untrusted lender");
+    });
+
+    it("Should change the fee through the timelock", async function () {
+      const feeParam = await lendingProtocol.PARAM_FLASH_LOAN_FEE();
+      await expect(
+        lendingProtocol.proposeParameterChange(feeParam, 101)
+      ).to.be.revertedWith("Value out of bounds");
+
+      await changeParameter(feeParam, 0);
+
+      expect(await lendingProtocol.flashFee(loanTokenAddress, AMOUNT)).to.equal(0);
+      await expect(sampleBorrower.flashBorrow(loanTokenAddress, AMOUNT))
+        .to.emit(lendingProtocol, "FlashLoan")
+        .withArgs(await sampleBorrower.getAddress(), loanTokenAddress, AMOUNT, 0);
+    });
+  });
+
+  describe("Pause Guardian", function () {
+    let depositAction, borrowAction, liquidateAction;
+
+    beforeEach(async function () {
+      depositAction = await lendingProtocol.ACTION_DEPOSIT();
+      borrowAction = await lendingProtocol.ACTION_BORROW();
+      liquidateAction = await lendingProtocol.ACTION_LIQUIDATE();
+
+      await lendingProtocol.setGuardian(user5.address);
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+    });
+
+    it("Should let only the owner replace the guardian", async function () {
+      expect(await lendingProtocol.guardian()).to.equal(user5.address);
+
+      await expect(lendingProtocol.setGuardian(user4.address))
+        .to.emit(lendingProtocol, "GuardianUpdated")
+        .withArgs(user5.address, user4.address);
+      await expect(
+        lendingProtocol.connect(user5).setGuardian(user5.address)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should let only the guardian or owner pause", async function () {
+      await expect(
+        lendingProtocol.connect(user1).pause(depositAction)
+      ).to.be.revertedWith("Not guardian");
+
+      await expect(lendingProtocol.connect(user5).pause(depositAction))
+        .to.emit(lendingProtocol, "ActionPaused")
+        .withArgs(depositAction, user5.address);
+      await expect(lendingProtocol.pause(borrowAction))
+        .to.emit(lendingProtocol, "ActionPaused")
+        .withArgs(borrowAction, owner.address);
+
+      expect(await lendingProtocol.actionPaused(depositAction)).to.be.true;
+      expect(await lendingProtocol.actionPaused(borrowAction)).to.be.true;
+      expect(await lendingProtocol.actionPaused(liquidateAction)).to.be.false;
+    });
+
+    it("Should reject unknown or already paused actions", async function () {
+      await expect(
+        lendingProtocol.connect(user5).pause(ethers.id("REPAY"))
+      ).to.be.revertedWith("Unknown action");
+
+      await lendingProtocol.connect(user5).pause(depositAction);
+      await expect(
+        lendingProtocol.connect(user5).pause(depositAction)
+      ).to.be.revertedWith("Action already paused");
+    });
+
+    it("Should block collateral deposits and lender supply while deposits are paused", async function () {
+      await lendingProtocol.connect(user5).pause(depositAction);
+
+      await expect(
+        lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Action paused");
+      await expect(
+        lendingProtocol.connect(user1).supply(ethers.parseEther("100"))
+      ).to.be.revertedWith("Action paused");
+    });
+
+    it("Should block borrows and flash loans while borrowing is paused", async function () {
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user5).pause(borrowAction);
+
+      await expect(
+        lendingProtocol.connect(user1).borrow(ethers.parseEther("100"))
+      ).to.be.revertedWith("Action paused");
+
+      const SampleFlashBorrower = await ethers.getContractFactory("SampleFlashBorrower");
+      const borrower = await SampleFlashBorrower.deploy(lendingProtocolAddress);
+      expect(await lendingProtocol.maxFlashLoan(loanTokenAddress)).to.equal(0);
+      await expect(
+        borrower.flashBorrow(loanTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Action paused");
+    });
+
+    it("Should block liquidations while they are paused", async function () {
+      await lendingProtocol.connect(user5).pause(liquidateAction);
+
+      await expect(
+        lendingProtocol.connect(user2).liquidate(user1.address, collateralTokenAddress, ethers.parseEther("100"))
+      ).to.be.revertedWith("Action paused");
+    });
+
+    it("Should keep repayments and withdrawals open while everything is paused", async function () {
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
+
+      for (const action of [depositAction, borrowAction, liquidateAction]) {
+        await lendingProtocol.connect(user5).pause(action);
+      }
+
+      await lendingProtocol.connect(user1).repay(ethers.MaxUint256);
+      await lendingProtocol.connect(user1).withdrawCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(0);
+    });
+
+    it("Should let only the owner unpause", async function () {
+      await lendingProtocol.connect(user5).pause(depositAction);
+
+      await expect(
+        lendingProtocol.connect(user5).unpause(depositAction)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+      await expect(lendingProtocol.unpause(depositAction))
+        .to.emit(lendingProtocol, "ActionUnpaused")
+        .withArgs(depositAction);
+      await expect(lendingProtocol.unpause(depositAction)).to.be.revertedWith("Action not paused");
+
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("100"));
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress))
+        .to.equal(ethers.parseEther("100"));
+    });
+  });
+
+  describe("Reserves", function () {
+    const WEEK = 604800;
+    let borrowedAt;
+
+    // Supply 1000 dDAI, borrow 1000 dDAI at a fixed 10% per week and let one week of interest accrue
+    beforeEach(async function () {
+      const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+      const flatModel = await KinkedInterestRateModel.deploy(ethers.parseEther("0.1"), 0, 0, ethers.parseEther("0.8"));
+      await setInterestRateModel(await flatModel.getAddress());
+
+      await loanToken.mint(user4.address, ethers.parseEther("1000"));
+      await loanToken.connect(user4).approve(lendingProtocolAddress, ethers.parseEther("1000"));
+      await lendingProtocol.connect(user4).supply(ethers.parseEther("1000"));
+
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+      borrowedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [borrowedAt + WEEK]);
+      await ethers.provider.send("evm_mine");
+    });
+
+    it("Should set aside the reserve factor's share of interest", async function () {
+      // Projected in the stats before any accrual is written
+      const stats = await lendingProtocol.getProtocolStats();
+      expect(stats[5]).to.equal(ethers.parseEther("1100"));
+      expect(stats[6]).to.equal(ethers.parseEther("10"));
+
+      await lendingProtocol.accrueInterest();
+      expect(await lendingProtocol.totalReserves()).to.be.closeTo(ethers.parseEther("10"), ethers.parseEther("0.01"));
+    });
+
+    it("Should credit all interest to reserves while nothing is supplied", async function () {
+      await lendingProtocol.connect(user4).redeem(await shareToken.balanceOf(user4.address));
+      expect(await lendingProtocol.totalSupplied()).to.equal(0);
+      const reservesBefore = await lendingProtocol.totalReserves();
+      const debtBefore = await lendingProtocol.getTotalDebt();
+
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
+      await ethers.provider.send("evm_mine");
+      await lendingProtocol.accrueInterest();
+
+      // No lender share is left unaccounted for
+      const interest = (await lendingProtocol.getTotalDebt()) - debtBefore;
+      expect(interest).to.be.closeTo(ethers.parseEther("110"), ethers.parseEther("1"));
+      expect(await lendingProtocol.totalReserves()).to.equal(reservesBefore + interest);
+      expect(await lendingProtocol.totalSupplied()).to.equal(0);
+    });
+
+    it("Should write off the wei the total debt loses when a debt is cleared", async function () {
+      await refreshPrices();
+      // Odd amounts so neither debt is a whole number of wei at the index
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user1).repay(ethers.parseEther("0.987654321"));
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("3000"));
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("777.777777777777777777"));
+      // Freeze the index so the amounts below hold in the repayment block
+      await useZeroInterest();
+
+      // Each debt rounds down on its own, leaving the total a wei above their sum
+      const debt = (await lendingProtocol.getUserData(user2.address)).totalDebt;
+      const otherDebt = (await lendingProtocol.getUserData(user1.address)).totalDebt;
+      expect(await lendingProtocol.getTotalDebt()).to.equal(debt + otherDebt + 1n);
+      const reservesBefore = await lendingProtocol.totalReserves();
+      const suppliedBefore = await lendingProtocol.totalSupplied();
+
+      await loanToken.mint(user2.address, ethers.parseEther("100"));
+      await loanToken.connect(user2).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await lendingProtocol.connect(user2).repay(ethers.MaxUint256);
+
+      // The remaining total matches the remaining debt, and the reserves absorb the difference
+      expect(await lendingProtocol.getTotalDebt()).to.equal(otherDebt);
+      expect(await lendingProtocol.totalReserves()).to.equal(reservesBefore - 1n);
+      expect(await lendingProtocol.totalSupplied()).to.equal(suppliedBefore);
+    });
+
+    it("Should send reserves to the treasury", async function () {
+      await lendingProtocol.setTreasury(user3.address);
+      await lendingProtocol.accrueInterest();
+      const reserves = await lendingProtocol.totalReserves();
+
+      await expect(lendingProtocol.withdrawReserves(reserves))
+        .to.emit(lendingProtocol, "ReservesWithdrawn")
+        .withArgs(user3.address, reserves);
+
+      expect(await loanToken.balanceOf(user3.address)).to.equal(reserves);
+      // Only the reserves from the withdrawal block's own accrual remain
+      expect(await lendingProtocol.totalReserves()).to.be.closeTo(0, ethers.parseEther("0.001"));
+    });
+
+    it("Should reject withdrawing more than the reserves", async function () {
+      await expect(
+        lendingProtocol.withdrawReserves(ethers.parseEther("11"))
+      ).to.be.revertedWith("Exceeds reserves");
+      await expect(
+        lendingProtocol.withdrawReserves(0)
+      ).to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("Should let only the owner manage reserves and the treasury", async function () {
+      await expect(
+        lendingProtocol.connect(user1).withdrawReserves(1)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+      await expect(
+        lendingProtocol.connect(user1).setTreasury(user1.address)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+      await expect(
+        lendingProtocol.setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid treasury");
+
+      await expect(lendingProtocol.setTreasury(user3.address))
+        .to.emit(lendingProtocol, "TreasuryUpdated")
+        .withArgs(owner.address, user3.address);
+    });
+
+    it("Should change the reserve factor through the timelock", async function () {
+      const reserveParam = await lendingProtocol.PARAM_RESERVE_FACTOR();
+      await expect(
+        lendingProtocol.proposeParameterChange(reserveParam, 51)
+      ).to.be.revertedWith("Value out of bounds");
+
+      await changeParameter(reserveParam, 50);
+      expect(await lendingProtocol.reserveFactor()).to.equal(50);
+
+      // Interest before the change was split at the old 10%
+      const reservesBefore = await lendingProtocol.totalReserves();
+      expect(reservesBefore).to.be.closeTo(ethers.parseEther("13"), ethers.parseEther("1"));
+
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
+      await ethers.provider.send("evm_mine");
+      await lendingProtocol.accrueInterest();
+
+      // A further week on ~1130 debt: ~113 interest, half to reserves
+      const reservesAdded = (await lendingProtocol.totalReserves()) - reservesBefore;
+      expect(reservesAdded).to.be.closeTo(ethers.parseEther("56.5"), ethers.parseEther("1"));
+    });
+  });
+
+  describe("Permit", function () {
+    const DEADLINE = ethers.MaxUint256;
+
+    // Sign an EIP-2612 permit from the owner to the lending protocol
+    async function signPermit(token, signer, value, deadline = DEADLINE) {
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: signer.address,
+        spender: lendingProtocolAddress,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("Should grant allowances through permit on both tokens", async function () {
+      for (const token of [collateralToken, loanToken]) {
+        const { v, r, s } = await signPermit(token, user1, 100n);
+        await token.permit(user1.address, lendingProtocolAddress, 100n, DEADLINE, v, r, s);
+
+        expect(await token.allowance(user1.address, lendingProtocolAddress)).to.equal(100n);
+        expect(await token.nonces(user1.address)).to.equal(1);
+      }
+    });
+
+    it("Should deposit collateral with a permit and no prior approval", async function () {
+      const amount = ethers.parseEther("1500");
+      const { v, r, s } = await signPermit(collateralToken, user1, amount);
+
+      await expect(
+        lendingProtocol.connect(user1).depositCollateralWithPermit(collateralTokenAddress, amount, DEADLINE, v, r, s)
+      ).to.emit(lendingProtocol, "CollateralDeposited")
+        .withArgs(user1.address, collateralTokenAddress, amount);
+
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(amount);
+      expect(await collateralToken.allowance(user1.address, lendingProtocolAddress)).to.equal(0);
+    });
+
+    it("Should repay with a permit, leaving only the excess as allowance", async function () {
+      await useZeroInterest();
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("500"));
+
+      const permitted = ethers.parseEther("501");
+      const { v, r, s } = await signPermit(loanToken, user1, permitted);
+      await lendingProtocol.connect(user1).repayWithPermit(permitted, DEADLINE, v, r, s);
+
+      expect((await lendingProtocol.getUserData(user1.address))[3]).to.equal(0);
+      expect(await loanToken.allowance(user1.address, lendingProtocolAddress)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should supply with a permit and no prior approval", async function () {
+      const amount = ethers.parseEther("200");
+      const { v, r, s } = await signPermit(loanToken, user1, amount);
+
+      await expect(
+        lendingProtocol.connect(user1).supplyWithPermit(amount, DEADLINE, v, r, s)
+      ).to.emit(lendingProtocol, "Supplied");
+
+      expect((await lendingProtocol.getSupplierData(user1.address))[1]).to.equal(amount);
+      expect(await loanToken.allowance(user1.address, lendingProtocolAddress)).to.equal(0);
+    });
+
+    it("Should still deposit when the permit was front-run", async function () {
+      const amount = ethers.parseEther("100");
+      const { v, r, s } = await signPermit(collateralToken, user1, amount);
+
+      // Someone submits the signature first, consuming the nonce
+      await collateralToken.connect(user2).permit(user1.address, lendingProtocolAddress, amount, DEADLINE, v, r, s);
+
+      await lendingProtocol.connect(user1).depositCollateralWithPermit(collateralTokenAddress, amount, DEADLINE, v, r, s);
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(amount);
+    });
+
+    it("Should reject a permit signed by someone else or expired", async function () {
+      const amount = ethers.parseEther("100");
+      const forged = await signPermit(collateralToken, user2, amount);
+      await expect(
+        lendingProtocol.connect(user1).depositCollateralWithPermit(
+          collateralTokenAddress, amount, DEADLINE, forged.v, forged.r, forged.s
+        )
+      ).to.be.revertedWithCustomError(collateralToken, "ERC20InsufficientAllowance");
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const expired = await signPermit(collateralToken, user1, amount, deadline);
+      await expect(
+        lendingProtocol.connect(user1).depositCollateralWithPermit(
+          collateralTokenAddress, amount, deadline, expired.v, expired.r, expired.s
+        )
+      ).to.be.revertedWithCustomError(collateralToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Token Faucet", function () {
+    const COOLDOWN = 86400;
+    const COLLATERAL_DRIP = ethers.parseEther("1000");
+    const LOAN_DRIP = ethers.parseEther("500");
+    let faucet, faucetAddress;
+
+    beforeEach(async function () {
+      const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+      faucet = await TokenFaucet.deploy(
+        [collateralTokenAddress, loanTokenAddress],
+        [COLLATERAL_DRIP, LOAN_DRIP],
+        COOLDOWN
+      );
+      faucetAddress = await faucet.getAddress();
+
+      await collateralToken.setMinter(faucetAddress, true);
+      await loanToken.setMinter(faucetAddress, true);
+    });
+
+    it("Should let only the owner grant minting rights", async function () {
+      await expect(
+        collateralToken.connect(user1).setMinter(user1.address, true)
+      ).to.be.revertedWithCustomError(collateralToken, "OwnableUnauthorizedAccount");
+
+      await expect(loanToken.setMinter(user1.address, true))
+        .to.emit(loanToken, "MinterUpdated")
+        .withArgs(user1.address, true);
+      await loanToken.connect(user1).mint(user2.address, 1n);
+      expect(await loanToken.balanceOf(user2.address)).to.equal(1n);
+    });
+
+    it("Should dispense the configured amount of every token", async function () {
+      await expect(faucet.connect(user3).requestTokens())
+        .to.emit(faucet, "TokensRequested")
+        .withArgs(user3.address);
+
+      expect(await collateralToken.balanceOf(user3.address)).to.equal(COLLATERAL_DRIP);
+      expect(await loanToken.balanceOf(user3.address)).to.equal(LOAN_DRIP);
+
+      const [tokenList, amountList] = await faucet.getDrip();
+      expect(tokenList).to.deep.equal([collateralTokenAddress, loanTokenAddress]);
+      expect(amountList).to.deep.equal([COLLATERAL_DRIP, LOAN_DRIP]);
+    });
+
+    it("Should enforce the cooldown per address", async function () {
+      await faucet.connect(user3).requestTokens();
+      const requestedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await faucet.cooldownRemaining(user3.address)).to.equal(COOLDOWN);
+      await expect(faucet.connect(user3).requestTokens()).to.be.revertedWith("Faucet cooldown active");
+      expect(await faucet.cooldownRemaining(user4.address)).to.equal(0);
+      await faucet.connect(user4).requestTokens();
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [requestedAt + COOLDOWN]);
+      await faucet.connect(user3).requestTokens();
+      expect(await loanToken.balanceOf(user3.address)).to.equal(LOAN_DRIP * 2n);
+    });
+
+    it("Should fail without minting rights", async function () {
+      await loanToken.setMinter(faucetAddress, false);
+
+      await expect(faucet.connect(user3).requestTokens()).to.be.revertedWith("Not a minter");
+    });
+
+    it("Should let only the owner change the cooldown", async function () {
+      await expect(
+        faucet.connect(user1).setCooldown(0)
+      ).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount");
+
+      await expect(faucet.setCooldown(3600))
+        .to.emit(faucet, "CooldownUpdated")
+        .withArgs(COOLDOWN, 3600);
+    });
+
+    it("Should reject an invalid configuration", async function () {
+      const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+
+      await expect(TokenFaucet.deploy([], [], COOLDOWN)).to.be.revertedWith("No tokens");
+      await expect(
+        TokenFaucet.deploy([collateralTokenAddress], [1n, 2n], COOLDOWN)
+      ).to.be.revertedWith("Length mismatch");
+      await expect(
+        TokenFaucet.deploy([ethers.ZeroAddress], [1n], COOLDOWN)
+      ).to.be.revertedWith("Invalid token");
+    });
+  });
+
+  describe("Acting on Behalf", function () {
+    beforeEach(async function () {
+      await useZeroInterest();
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await collateralToken.connect(user2).approve(lendingProtocolAddress, ethers.MaxUint256);
+    });
+
+    it("Should deposit collateral into another account's position", async function () {
+      const amount = ethers.parseEther("1500");
+
+      await expect(lendingProtocol.connect(user1).depositCollateralFor(user2.address, collateralTokenAddress, amount))
+        .to.emit(lendingProtocol, "CollateralDeposited")
+        .withArgs(user2.address, collateralTokenAddress, amount)
+        .and.to.emit(lendingProtocol, "CollateralDepositedFor")
+        .withArgs(user1.address, user2.address, collateralTokenAddress, amount);
+
+      expect(await lendingProtocol.collateralBalances(user2.address, collateralTokenAddress)).to.equal(amount);
+      expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(0);
+      expect(await collateralToken.balanceOf(user1.address)).to.equal(ethers.parseEther("8500"));
+
+      // The position belongs to user2 from now on
+      await lendingProtocol.connect(user2).withdrawCollateral(collateralTokenAddress, amount);
+      expect(await collateralToken.balanceOf(user2.address)).to.equal(ethers.parseEther("6500"));
+    });
+
+    it("Should reject deposits for the zero address or while deposits are paused", async function () {
+      await expect(
+        lendingProtocol.connect(user1).depositCollateralFor(ethers.ZeroAddress, collateralTokenAddress, 1n)
+      ).to.be.revertedWith("Invalid user");
+
+      await lendingProtocol.pause(await lendingProtocol.ACTION_DEPOSIT());
+      await expect(
+        lendingProtocol.connect(user1).depositCollateralFor(user2.address, collateralTokenAddress, 1n)
+      ).to.be.revertedWith("Action paused");
+    });
+
+    it("Should repay another account's debt, capped at what it owes", async function () {
+      await lendingProtocol.connect(user2).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user2).borrow(ethers.parseEther("600"));
+
+      await expect(lendingProtocol.connect(user1).repayFor(user2.address, ethers.parseEther("1000")))
+        .to.emit(lendingProtocol, "LoanRepaid")
+        .withArgs(user2.address, ethers.parseEther("600"), 0)
+        .and.to.emit(lendingProtocol, "LoanRepaidFor")
+        .withArgs(user1.address, user2.address, ethers.parseEther("600"));
+
+      expect((await lendingProtocol.getUserData(user2.address)).totalDebt).to.equal(0);
+      expect(await loanToken.balanceOf(user1.address)).to.equal(ethers.parseEther("400"));
+      expect(await loanToken.balanceOf(user2.address)).to.equal(ethers.parseEther("600"));
+
+      await expect(
+        lendingProtocol.connect(user1).repayFor(user2.address, 1n)
+      ).to.be.revertedWith("No outstanding debt");
+    });
+
+    describe("Borrow Delegation", function () {
+      beforeEach(async function () {
+        await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      });
+
+      it("Should let a delegate borrow against the delegator's collateral", async function () {
+        await expect(lendingProtocol.connect(user1).approveBorrowDelegation(user3.address, ethers.parseEther("600")))
+          .to.emit(lendingProtocol, "BorrowDelegationApproved")
+          .withArgs(user1.address, user3.address, ethers.parseEther("600"));
+
+        await expect(lendingProtocol.connect(user3).borrowFor(user1.address, ethers.parseEther("400")))
+          .to.emit(lendingProtocol, "LoanBorrowed")
+          .withArgs(user1.address, ethers.parseEther("400"))
+          .and.to.emit(lendingProtocol, "DelegatedBorrow")
+          .withArgs(user1.address, user3.address, ethers.parseEther("400"));
+
+        // The delegate receives the tokens; the delegator owes the debt
+        expect(await loanToken.balanceOf(user3.address)).to.equal(ethers.parseEther("400"));
+        expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("400"));
+        expect((await lendingProtocol.getUserData(user3.address)).totalDebt).to.equal(0);
+        expect(await lendingProtocol.borrowAllowance(user1.address, user3.address)).to.equal(ethers.parseEther("200"));
+      });
+
+      it("Should not let a delegate exceed the allowance", async function () {
+        await expect(
+          lendingProtocol.connect(user3).borrowFor(user1.address, 1n)
+        ).to.be.revertedWith("Insufficient borrow allowance");
+
+        await lendingProtocol.connect(user1).approveBorrowDelegation(user3.address, ethers.parseEther("100"));
+        await expect(
+          lendingProtocol.connect(user3).borrowFor(user1.address, ethers.parseEther("100") + 1n)
+        ).to.be.revertedWith("Insufficient borrow allowance");
+
+        // Revoking sets the allowance back to zero
+        await lendingProtocol.connect(user1).approveBorrowDelegation(user3.address, 0);
+        await expect(
+          lendingProtocol.connect(user3).borrowFor(user1.address, 1n)
+        ).to.be.revertedWith("Insufficient borrow allowance");
+      });
+
+      it("Should still enforce the delegator's borrow limit", async function () {
+        await lendingProtocol.connect(user1).approveBorrowDelegation(user3.address, ethers.MaxUint256);
+
+        await expect(
+          lendingProtocol.connect(user3).borrowFor(user1.address, ethers.parseEther("1001"))
+        ).to.be.revertedWith("Exceeds collateralization ratio");
+
+        await lendingProtocol.connect(user3).borrowFor(user1.address, ethers.parseEther("1000"));
+        // An unlimited allowance is not spent
+        expect(await lendingProtocol.borrowAllowance(user1.address, user3.address)).to.equal(ethers.MaxUint256);
+      });
+
+      it("Should reject invalid delegates and paused borrowing", async function () {
+        await expect(
+          lendingProtocol.connect(user1).approveBorrowDelegation(ethers.ZeroAddress, 1n)
+        ).to.be.revertedWith("Invalid delegate");
+        await expect(
+          lendingProtocol.connect(user1).approveBorrowDelegation(user1.address, 1n)
+        ).to.be.revertedWith("Invalid delegate");
+
+        await lendingProtocol.connect(user1).approveBorrowDelegation(user3.address, ethers.parseEther("100"));
+        await lendingProtocol.pause(await lendingProtocol.ACTION_BORROW());
+        await expect(
+          lendingProtocol.connect(user3).borrowFor(user1.address, 1n)
+        ).to.be.revertedWith("Action paused");
+      });
+    });
+  });
+
+  describe("Upgrades", function () {
+    // Deploy the implementation for an upgrade to `factory`, queue it and wait out the timelock
+    async function proposeUpgrade(factory) {
+      const implementation = await upgrades.prepareUpgrade(lendingProtocolAddress, factory, { kind: "uups" });
+      await lendingProtocol.proposeUpgrade(implementation);
+      await ethers.provider.send("evm_increaseTime", [Number(await lendingProtocol.TIMELOCK_DELAY())]);
+      await ethers.provider.send("evm_mine");
+      await refreshPrices();
+      return implementation;
+    }
+
+    it("Should not be initialized twice, through the proxy or the implementation", async function () {
+      await expect(
+        lendingProtocol.initialize(loanTokenAddress, priceOracleAddress, shareTokenAddress, interestRateModelAddress)
+      ).to.be.revertedWithCustomError(lendingProtocol, "InvalidInitialization");
+
+      const implementationAddress = await upgrades.erc1967.getImplementationAddress(lendingProtocolAddress);
+      const implementation = await ethers.getContractAt("LendingProtocol", implementationAddress);
+      await expect(
+        implementation.initialize(loanTokenAddress, priceOracleAddress, shareTokenAddress, interestRateModelAddress)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should set the governed parameters in the initializer", async function () {
+      expect(await lendingProtocol.liquidationBonus()).to.equal(5);
+      expect(await lendingProtocol.closeFactor()).to.equal(50);
+      expect(await lendingProtocol.flashLoanFee()).to.equal(9);
+      expect(await lendingProtocol.reserveFactor()).to.equal(10);
+      expect(await lendingProtocol.borrowIndex()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const MockLendingProtocolV2 = await ethers.getContractFactory("MockLendingProtocolV2");
+      const implementation = await proposeUpgrade(MockLendingProtocolV2);
+
+      await expect(
+        lendingProtocol.connect(user1).upgradeToAndCall(implementation, "0x")
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+      await expect(
+        lendingProtocol.connect(user1).proposeUpgrade(implementation)
+      ).to.be.revertedWithCustomError(lendingProtocol, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should only upgrade to the proposed implementation after the timelock", async function () {
+      const MockLendingProtocolV2 = await ethers.getContractFactory("MockLendingProtocolV2");
+      const implementation = await (await MockLendingProtocolV2.deploy()).getAddress();
+
+      await expect(lendingProtocol.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Upgrade not proposed");
+
+      await expect(lendingProtocol.proposeUpgrade(implementation))
+        .to.emit(lendingProtocol, "UpgradeProposed");
+      await expect(lendingProtocol.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Timelock not expired");
+
+      await ethers.provider.send("evm_increaseTime", [Number(await lendingProtocol.TIMELOCK_DELAY())]);
+      await ethers.provider.send("evm_mine");
+      const other = await (await MockLendingProtocolV2.deploy()).getAddress();
+      await expect(lendingProtocol.upgradeToAndCall(other, "0x")).to.be.revertedWith("Upgrade not proposed");
+
+      await lendingProtocol.upgradeToAndCall(implementation, "0x");
+      expect(await upgrades.erc1967.getImplementationAddress(lendingProtocolAddress)).to.equal(implementation);
+
+      // The queued upgrade is used up
+      expect((await lendingProtocol.pendingUpgrade()).executableAt).to.equal(0);
+      await expect(lendingProtocol.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Upgrade not proposed");
+    });
+
+    it("Should cancel a proposed upgrade", async function () {
+      const MockLendingProtocolV2 = await ethers.getContractFactory("MockLendingProtocolV2");
+      const implementation = await proposeUpgrade(MockLendingProtocolV2);
+
+      await expect(lendingProtocol.cancelUpgrade())
+        .to.emit(lendingProtocol, "UpgradeCancelled")
+        .withArgs(implementation);
+      await expect(lendingProtocol.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Upgrade not proposed");
+      await expect(lendingProtocol.cancelUpgrade()).to.be.revertedWith("No pending upgrade");
+      await expect(lendingProtocol.proposeUpgrade(user1.address)).to.be.revertedWith("Invalid implementation");
+    });
+
+    it("Should keep positions, balances and parameters across an upgrade", async function () {
+      // No interest accrues while the upgrade transactions are mined, so values compare exactly
+      await useZeroInterest();
+      await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).depositCollateral(collateralTokenAddress, ethers.parseEther("1500"));
+      await lendingProtocol.connect(user1).borrow(ethers.parseEther("600"));
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.parseEther("100"));
+      await lendingProtocol.connect(user1).supply(ethers.parseEther("100"));
+      await lendingProtocol.connect(user1).approveBorrowDelegation(user2.address, ethers.parseEther("50"));
+      await changeParameter(await lendingProtocol.PARAM_CLOSE_FACTOR(), 60);
+      const MockLendingProtocolV2 = await ethers.getContractFactory("MockLendingProtocolV2");
+      await proposeUpgrade(MockLendingProtocolV2);
+      await lendingProtocol.accrueInterest();
+
+      const before = {
+        userData: await lendingProtocol.getUserData(user1.address),
+        supplierData: await lendingProtocol.getSupplierData(user1.address),
+        stats: await lendingProtocol.getProtocolStats(),
+        borrowIndex: await lendingProtocol.borrowIndex(),
+        lastAccrualTime: await lendingProtocol.lastAccrualTime()
+      };
+      const oldImplementation = await upgrades.erc1967.getImplementationAddress(lendingProtocolAddress);
+
+      const upgraded = await upgrades.upgradeProxy(lendingProtocolAddress, MockLendingProtocolV2, {
+        kind: "uups",
+        call: { fn: "initializeV2", args: [7] }
+      });
+
+      // Same address, new code
+      expect(await upgraded.getAddress()).to.equal(lendingProtocolAddress);
+      expect(await upgrades.erc1967.getImplementationAddress(lendingProtocolAddress)).to.not.equal(oldImplementation);
+      expect(await upgraded.version()).to.equal("2");
+
+      expect(await upgraded.getUserData(user1.address)).to.deep.equal(before.userData);
+      expect(await upgraded.getSupplierData(user1.address)).to.deep.equal(before.supplierData);
+      expect(await upgraded.getProtocolStats()).to.deep.equal(before.stats);
+      expect(await upgraded.borrowIndex()).to.equal(before.borrowIndex);
+      expect(await upgraded.lastAccrualTime()).to.equal(before.lastAccrualTime);
+      expect(await upgraded.collateralBalances(user1.address, collateralTokenAddress)).to.equal(ethers.parseEther("1500"));
+      expect(await upgraded.borrowAllowance(user1.address, user2.address)).to.equal(ethers.parseEther("50"));
+      expect(await upgraded.getCollateralAssets()).to.deep.equal([collateralTokenAddress]);
+      expect(await upgraded.closeFactor()).to.equal(60);
+      expect(await upgraded.loanToken()).to.equal(loanTokenAddress);
+      expect(await upgraded.owner()).to.equal(owner.address);
+      expect(await upgraded.guardian()).to.equal(owner.address);
+
+      // The appended variable is set up by the upgrade call and existing positions keep working
+      expect(await upgraded.upgradeMarker()).to.equal(7);
+      await expect(upgraded.initializeV2(1)).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+      await upgraded.setUpgradeMarker(42);
+      expect(await upgraded.upgradeMarker()).to.equal(42);
+
+      await loanToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+      await upgraded.connect(user1).repay(ethers.MaxUint256);
+      expect((await upgraded.getUserData(user1.address)).totalDebt).to.equal(0);
+    });
+
+    it("Should reject an implementation with an incompatible storage layout", async function () {
+      const MockIncompatibleLendingProtocol = await ethers.getContractFactory("MockIncompatibleLendingProtocol");
+
+      await expect(
+        upgrades.validateUpgrade(lendingProtocolAddress, MockIncompatibleLendingProtocol, { kind: "uups" })
+      ).to.be.rejectedWith("New storage layout is incompatible");
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+
+describe("Lending Tasks", function () {
+  let collateralToken, loanToken, lendingProtocol;
+  let collateralTokenAddress, lendingProtocolAddress;
+  let owner, user1, user2;
+
+  // Run a task and return what it printed along with its result
+  async function runTask(name, args = {}) {
+    const printed = [];
+    const log = console.log;
+    console.log = (line) => printed.push(line);
+    try {
+      const result = await hre.run(name, { protocol: lendingProtocolAddress, ...args });
+      return { result, output: printed.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  // Run a task with --json and parse its output
+  async function runJson(name, args = {}) {
+    const { output } = await runTask(name, { ...args, json: true });
+    return JSON.parse(output);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const CollateralToken = await ethers.getContractFactory("CollateralToken");
+    collateralToken = await CollateralToken.deploy("Collateral USD", "cUSD", 18, 0);
+    collateralTokenAddress = await collateralToken.getAddress();
+    const LoanToken = await ethers.getContractFactory("LoanToken");
+    loanToken = await LoanToken.deploy("Decentralized DAI", "dDAI", 18, ethers.parseEther("100000"));
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.setPrice(collateralTokenAddress, ethers.parseEther("1"));
+    await priceOracle.setPrice(await loanToken.getAddress(), ethers.parseEther("1"));
+
+    const SupplyShareToken = await ethers.getContractFactory("SupplyShareToken");
+    const shareToken = await SupplyShareToken.deploy("Supplied dDAI", "sdDAI");
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    const interestRateModel = await KinkedInterestRateModel.deploy(0, 0, 0, ethers.parseEther("0.8"));
+
+    const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+    lendingProtocol = await upgrades.deployProxy(
+      LendingProtocol,
+      [
+        await loanToken.getAddress(),
+        await priceOracle.getAddress(),
+        await shareToken.getAddress(),
+        await interestRateModel.getAddress()
+      ],
+      { kind: "uups" }
+    );
+    lendingProtocolAddress = await lendingProtocol.getAddress();
+    await shareToken.transferOwnership(lendingProtocolAddress);
+    await lendingProtocol.listCollateral(collateralTokenAddress, ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+
+    await loanToken.approve(lendingProtocolAddress, ethers.parseEther("50000"));
+    await lendingProtocol.supply(ethers.parseEther("50000"));
+    await collateralToken.mint(user1.address, ethers.parseEther("1000"));
+  });
+
+  it("Should deposit collateral and borrow from the chosen account", async function () {
+    const deposit = await runJson("lending:deposit", { from: user1.address, asset: "cusd", amount: "600" });
+    expect(deposit).to.include({ action: "deposit", user: user1.address, symbol: "cUSD", amount: "600.0" });
+    expect(deposit.approvalTxHash).to.be.a("string");
+    expect(deposit.txHash).to.be.a("string");
+    expect(await lendingProtocol.collateralBalances(user1.address, collateralTokenAddress)).to.equal(
+      ethers.parseEther("600")
+    );
+
+    const borrow = await runJson("lending:borrow", { from: user1.address, amount: "250.5" });
+    expect(borrow).to.include({ action: "borrow", user: user1.address, amount: "250.5" });
+    expect(await loanToken.balanceOf(user1.address)).to.equal(ethers.parseEther("250.5"));
+  });
+
+  it("Should report a position as JSON and as text", async function () {
+    await runTask("lending:deposit", { from: user1.address, asset: collateralTokenAddress, amount: "1000" });
+    await runTask("lending:borrow", { from: user1.address, amount: "400" });
+
+    const position = await runJson("lending:position", { user: user1.address });
+    expect(position).to.include({
+      user: user1.address,
+      collateralValueUsd: "1000.0",
+      borrowLimitUsd: "500.0",
+      totalDebt: "400.0",
+      maxBorrowable: "100.0",
+      healthFactor: "1.5",
+      liquidatable: false
+    });
+    expect(position.collateral).to.deep.equal([
+      { asset: collateralTokenAddress, symbol: "cUSD", balance: "1000.0", maxWithdrawable: "200.0" }
+    ]);
+
+    const { result, output } = await runTask("lending:position", { user: user1.address });
+    expect(result).to.deep.equal(position);
+    expect(output).to.include("cUSD: 1000.0 (withdrawable 200.0)");
+    expect(output).to.include("Health factor:    1.5");
+
+    // The sending account is inspected by default
+    expect((await runJson("lending:position")).user).to.equal(owner.address);
+    expect((await runJson("lending:position")).healthFactor).to.equal(null);
+  });
+
+  it("Should report protocol stats", async function () {
+    await runTask("lending:deposit", { from: user1.address, asset: "cUSD", amount: "1000" });
+    await runTask("lending:borrow", { from: user1.address, amount: "400" });
+    await lendingProtocol.pause(ethers.id("BORROW"));
+
+    const stats = await runJson("lending:stats");
+    expect(stats).to.include({
+      protocol: lendingProtocolAddress,
+      totalCollateralValueUsd: "1000.0",
+      totalSupplied: "50000.0",
+      totalLoans: "400.0",
+      liquidity: "49600.0",
+      utilizationPercent: "0.8"
+    });
+    expect(stats.collateral).to.deep.equal([{ asset: collateralTokenAddress, symbol: "cUSD", total: "1000.0" }]);
+    expect(stats.paused).to.deep.equal({ DEPOSIT: false, BORROW: true, LIQUIDATE: false });
+
+    const { output } = await runTask("lending:stats");
+    expect(output).to.include("Paused:           BORROW");
+  });
+
+  it("Should repay part of the debt or all of it", async function () {
+    await runTask("lending:deposit", { from: user1.address, asset: "cUSD", amount: "1000" });
+    await runTask("lending:borrow", { from: user1.address, amount: "400" });
+
+    const partial = await runJson("lending:repay", { from: user1.address, amount: "150" });
+    expect(partial).to.include({ action: "repay", amount: "150.0", remainingDebt: "250.0" });
+
+    const full = await runJson("lending:repay", { from: user1.address, amount: "max" });
+    expect(full).to.include({ amount: "max", remainingDebt: "0.0" });
+    expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(0);
+
+    await expect(runTask("lending:repay", { from: user1.address, amount: "max" })).to.be.rejectedWith(
+      "has no debt to repay"
+    );
+  });
+
+  it("Should mint tokens and seed liquidity", async function () {
+    const minted = await runJson("token:mint", { token: "dDAI", amount: "500", to: user2.address });
+    expect(minted).to.include({ action: "mint", symbol: "dDAI", to: user2.address, amount: "500.0" });
+    expect(await loanToken.balanceOf(user2.address)).to.equal(ethers.parseEther("500"));
+
+    await expect(
+      runTask("lending:seed-liquidity", { from: user2.address, amount: "600" })
+    ).to.be.rejectedWith("Insufficient dDAI balance: 500.0");
+
+    const seeded = await runJson("lending:seed-liquidity", { amount: "1000", mint: true });
+    expect(seeded).to.include({ action: "supply", supplier: owner.address, amount: "1000.0" });
+    expect(seeded.mintTxHash).to.be.a("string");
+    expect(await lendingProtocol.totalSupplied()).to.equal(ethers.parseEther("51000"));
+    const { shares } = await lendingProtocol.getSupplierData(owner.address);
+    expect(seeded.shares).to.equal(ethers.formatEther(shares));
+  });
+
+  it("Should refresh stale oracle prices", async function () {
+    await runTask("lending:deposit", { from: user1.address, asset: "cUSD", amount: "1000" });
+    await ethers.provider.send("evm_increaseTime", [Number(await lendingProtocol.MAX_PRICE_AGE()) + 1]);
+    await ethers.provider.send("evm_mine");
+
+    await expect(lendingProtocol.connect(user1).borrow(ethers.parseEther("100"))).to.be.revertedWith("Stale price");
+    await expect(lendingProtocol.getHealthFactor(user1.address)).to.be.revertedWith("Stale price");
+
+    // Only the oracle owner can publish prices
+    await expect(runTask("oracle:refresh-prices", { from: user1.address })).to.be.rejectedWith("Transaction failed");
+
+    const refreshed = await runJson("oracle:refresh-prices");
+    expect(refreshed.prices.map((entry) => [entry.symbol, entry.priceUsd, entry.stale])).to.deep.equal([
+      ["cUSD", "1.0", true],
+      ["dDAI", "1.0", true]
+    ]);
+    expect(refreshed.prices.every((entry) => typeof entry.txHash === "string")).to.equal(true);
+
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("100"));
+    expect((await lendingProtocol.getUserData(user1.address)).totalDebt).to.equal(ethers.parseEther("100"));
+
+    // Fresh prices are kept when only older ones should be refreshed
+    const kept = await runJson("oracle:refresh-prices", { olderThan: "3600" });
+    expect(kept.prices.map((entry) => entry.txHash)).to.deep.equal([null, null]);
+  });
+
+  it("Should reject unknown tokens, invalid amounts and missing deployments", async function () {
+    await expect(runTask("lending:deposit", { asset: "XYZ", amount: "1" })).to.be.rejectedWith(
+      "Unknown token XYZ; expected one of cUSD"
+    );
+    await expect(runTask("lending:borrow", { amount: "-5" })).to.be.rejectedWith("Invalid amount -5");
+    await expect(runTask("lending:borrow", { from: user1.address, amount: "1" })).to.be.rejectedWith(
+      "Transaction failed: Exceeds collateralization ratio"
+    );
+    await expect(runTask("token:mint", { token: "cUSD", amount: "1.5", to: "0x1234" })).to.be.rejectedWith(
+      "Invalid recipient address"
+    );
+    await expect(runTask("lending:stats", { from: ethers.Wallet.createRandom().address })).to.be.rejectedWith(
+      "is not an account configured for hardhat"
+    );
+    await expect(hre.run("lending:stats", {})).to.be.rejectedWith("No LendingProtocol in deployments/hardhat.json");
+  });
+});
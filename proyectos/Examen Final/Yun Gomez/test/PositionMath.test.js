@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { ethers, upgrades } = require("hardhat");
+
+// The dashboard's what-if simulator ports the contract's integer math to JavaScript
+// (web_app/src/positionMath.js); these tests hold the port to the contract's results
+describe("Position Math Parity", function () {
+  let positionMath;
+  let collateralToken, loanToken, priceOracle, lendingProtocol;
+  let lendingProtocolAddress;
+  let user1;
+
+  before(async function () {
+    const file = path.join(__dirname, "..", "web_app", "src", "positionMath.js");
+    positionMath = await import(pathToFileURL(file).href);
+  });
+
+  beforeEach(async function () {
+    [, user1] = await ethers.getSigners();
+
+    const CollateralToken = await ethers.getContractFactory("CollateralToken");
+    collateralToken = await CollateralToken.deploy("Collateral USD", "cUSD", 18, 0);
+    const LoanToken = await ethers.getContractFactory("LoanToken");
+    loanToken = await LoanToken.deploy("Decentralized DAI", "dDAI", 18, ethers.parseEther("100000"));
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    priceOracle = await MockPriceOracle.deploy();
+    await priceOracle.setPrice(await collateralToken.getAddress(), ethers.parseEther("1"));
+    await priceOracle.setPrice(await loanToken.getAddress(), ethers.parseEther("1"));
+
+    const SupplyShareToken = await ethers.getContractFactory("SupplyShareToken");
+    const shareToken = await SupplyShareToken.deploy("Supplied dDAI", "sdDAI");
+    // 5% base, 4% slope1, 75% slope2, 80% optimal (per week), as deployed
+    const KinkedInterestRateModel = await ethers.getContractFactory("KinkedInterestRateModel");
+    const interestRateModel = await KinkedInterestRateModel.deploy(
+      ethers.parseEther("0.05"),
+      ethers.parseEther("0.04"),
+      ethers.parseEther("0.75"),
+      ethers.parseEther("0.8")
+    );
+
+    const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+    lendingProtocol = await upgrades.deployProxy(
+      LendingProtocol,
+      [
+        await loanToken.getAddress(),
+        await priceOracle.getAddress(),
+        await shareToken.getAddress(),
+        await interestRateModel.getAddress()
+      ],
+      { kind: "uups" }
+    );
+    lendingProtocolAddress = await lendingProtocol.getAddress();
+    await shareToken.transferOwnership(lendingProtocolAddress);
+    await lendingProtocol.listCollateral(await collateralToken.getAddress(), ethers.parseEther("0.5"), ethers.parseEther("0.6"));
+    await loanToken.transfer(lendingProtocolAddress, ethers.parseEther("10000"));
+
+    await collateralToken.mint(user1.address, ethers.parseEther("20000"));
+    await collateralToken.connect(user1).approve(lendingProtocolAddress, ethers.MaxUint256);
+    await lendingProtocol.connect(user1).depositCollateral(await collateralToken.getAddress(), ethers.parseEther("20000"));
+  });
+
+  // Project the debt `seconds` ahead from the last accrual, read as the simulator reads it
+  async function projectDebt(seconds) {
+    const [{ scaledDebt }, index, rate] = await Promise.all([
+      lendingProtocol.users(user1.address),
+      lendingProtocol.borrowIndex(),
+      lendingProtocol.getBorrowRate()
+    ]);
+    return positionMath.debtAt(scaledDebt, index) + positionMath.projectedInterest(scaledDebt, index, rate, seconds);
+  }
+
+  // Let time pass, re-publishing prices so they are not rejected as stale, and return the
+  // seconds since the last accrual
+  async function advance(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    for (const token of [collateralToken, loanToken]) {
+      const asset = await token.getAddress();
+      await priceOracle.setPrice(asset, (await priceOracle.prices(asset))[0]);
+    }
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return timestamp - Number(await lendingProtocol.lastAccrualTime());
+  }
+
+  it("Should project the debt the contract reports after time passes", async function () {
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+
+    const elapsed = await advance(3 * 24 * 60 * 60);
+    const { totalDebt } = await lendingProtocol.getUserData(user1.address);
+    expect(totalDebt).to.be.gt(ethers.parseEther("1000"));
+    expect(await projectDebt(elapsed)).to.equal(totalDebt);
+  });
+
+  it("Should project from a grown borrow index at a higher utilization", async function () {
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+    await advance(2 * 7 * 24 * 60 * 60);
+    // Borrowing again accrues interest into the index and moves the rate past the kink
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("8000"));
+    expect(await lendingProtocol.borrowIndex()).to.be.gt(ethers.parseEther("1"));
+
+    const elapsed = await advance(5 * 24 * 60 * 60 + 17);
+    const { totalDebt } = await lendingProtocol.getUserData(user1.address);
+    expect(await projectDebt(elapsed)).to.equal(totalDebt);
+  });
+
+  it("Should track the scaled debt a borrow and a partial repayment leave", async function () {
+    await lendingProtocol.connect(user1).borrow(ethers.parseEther("1000"));
+    await advance(7 * 24 * 60 * 60);
+    await loanToken.transfer(user1.address, ethers.parseEther("100"));
+
+    // Apply the action at the index the transaction accrued to, and compare the resulting debt
+    async function expectParity(action, send) {
+      const { scaledDebt } = await lendingProtocol.users(user1.address);
+      await send();
+      const borrowIndex = await lendingProtocol.borrowIndex();
+      const position = {
+        assets: [{
+          address: await collateralToken.getAddress(),
+          symbol: "cUSD",
+          decimals: 18,
+          price: ethers.parseEther("1"),
+          stale: false,
+          collateralFactor: ethers.parseEther("0.5"),
+          liquidationThreshold: ethers.parseEther("0.6"),
+          deposited: ethers.parseEther("20000"),
+          walletBalance: 0n
+        }],
+        debt: positionMath.debtAt(scaledDebt, borrowIndex),
+        scaledDebt,
+        borrowIndex,
+        loan: { symbol: "dDAI", decimals: 18, price: ethers.parseEther("1"), stale: false, walletBalance: ethers.parseEther("10000") },
+        pool: { cash: ethers.parseEther("10000"), borrows: 0n }
+      };
+
+      const { position: after, error } = positionMath.applyAction(position, action);
+      expect(error).to.equal(null);
+      expect(after.scaledDebt).to.equal((await lendingProtocol.users(user1.address)).scaledDebt);
+      expect(after.debt).to.equal((await lendingProtocol.getUserData(user1.address)).totalDebt);
+    }
+
+    const borrowAmount = ethers.parseEther("333.333333333333333333");
+    await expectParity({ type: "borrow", amount: borrowAmount }, () => lendingProtocol.connect(user1).borrow(borrowAmount));
+
+    const repayAmount = ethers.parseEther("100.000000000000000007");
+    await loanToken.connect(user1).approve(lendingProtocolAddress, repayAmount);
+    await expectParity({ type: "repay", amount: repayAmount }, () => lendingProtocol.connect(user1).repay(repayAmount));
+  });
+});
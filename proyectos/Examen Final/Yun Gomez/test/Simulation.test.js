@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { runScenario, normalizeScenario, parseDuration } = require("../simulation/runner");
+const { writeReport } = require("../simulation/report");
+
+describe("Scenario Simulation", function () {
+  let snapshot;
+
+  const scenario = {
+    name: "small",
+    sampleInterval: "1 week",
+    protocol: {
+      interestRateModel: { baseRate: "0.1", slope1: "0", slope2: "0", kink: "0.8" }
+    },
+    actors: [
+      { name: "lender", wallet: { dDAI: "10000" } },
+      { name: "borrower", count: 3, wallet: { cUSD: "1000", dDAI: "100" } }
+    ],
+    steps: [
+      { actor: "lender", action: "supply", amount: "max" },
+      { actor: "borrower", action: "deposit", asset: "cUSD", amount: "max" },
+      { actor: "borrower", action: "borrow", amount: "50%" },
+      { advance: "2 weeks" },
+      { actor: "borrower", action: "borrow", amount: "max" },
+      { actor: "borrower", action: "repay", amount: "max" },
+      { actor: "lender", action: "redeem", amount: "max" }
+    ]
+  };
+
+  beforeEach(async function () {
+    snapshot = await hre.ethers.provider.send("evm_snapshot", []);
+  });
+
+  afterEach(async function () {
+    await hre.ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  it("Should sample the protocol and every actor through the scenario", async function () {
+    const { samples, actions } = await runScenario(hre, scenario);
+
+    // Start, one sample per action step and one per week advanced
+    expect(samples.map((sample) => sample.step)).to.deep.equal([0, 1, 2, 3, 4, 4, 5, 6, 7]);
+    expect(samples[0].users.map((user) => user.actor)).to.deep.equal([
+      "lender",
+      "borrower#1",
+      "borrower#2",
+      "borrower#3"
+    ]);
+
+    // 3 borrowers take half of a 666.67 borrow limit out of 10000 supplied
+    const borrowed = samples[3];
+    expect(Number(borrowed.totalLoans)).to.be.closeTo(1000, 1e-6);
+    expect(Number(borrowed.liquidity)).to.be.closeTo(9000, 1e-6);
+    expect(Number(borrowed.totalSupplied)).to.be.closeTo(10000, 0.01);
+    expect(Number(borrowed.utilizationPercent)).to.be.closeTo(10, 0.01);
+    expect(borrowed.users[1].collateralValueUsd).to.equal("1000.0");
+    expect(Number(borrowed.users[1].loanBalance)).to.be.closeTo(333.33, 0.01);
+
+    // Debt accrues 10% a week
+    const [week1, week2] = samples.filter((sample) => sample.step === 4);
+    expect(week1.elapsedDays - borrowed.elapsedDays).to.be.closeTo(7, 0.01);
+    expect(Number(week1.accruedInterest)).to.be.closeTo(100, 0.1);
+    expect(Number(week2.accruedInterest)).to.be.closeTo(200, 0.2);
+    expect(Number(week2.totalDebt)).to.equal(Number(week2.totalLoans) + Number(week2.accruedInterest));
+    expect(Number(week2.users[1].accruedInterest)).to.be.closeTo(66.67, 0.1);
+
+    // Existing debt leaves less than 333 to borrow; everything is repaid, then the lender exits
+    const maxBorrows = actions.filter((action) => action.step === 5);
+    expect(maxBorrows).to.have.length(3);
+    for (const action of maxBorrows) {
+      expect(action.status).to.equal("ok");
+      expect(Number(action.amount)).to.be.closeTo(266.67, 0.2);
+    }
+    const repaid = samples[samples.length - 2];
+    expect(repaid).to.include({ totalLoans: "0.0", totalDebt: "0.0", utilizationPercent: "0.0" });
+    expect(repaid.users.slice(1).map((user) => user.totalDebt)).to.deep.equal(["0.0", "0.0", "0.0"]);
+
+    const end = samples[samples.length - 1];
+    // Only reserves stay in the pool, plus at most a wei per action that rounding keeps in its favor
+    const dust = hre.ethers.parseEther(end.liquidity) - hre.ethers.parseEther(end.reserves);
+    expect(dust).to.be.within(0n, BigInt(actions.length));
+    expect(end.users[0].supplied).to.equal("0.0");
+  });
+
+  it("Should record failed actions and keep going", async function () {
+    const { samples, actions } = await runScenario(hre, {
+      actors: [
+        { name: "lender", wallet: { dDAI: "100" } },
+        { name: "borrower", wallet: { WETH: "1" } }
+      ],
+      steps: [
+        { actor: "lender", action: "supply", amount: "max" },
+        { actor: "borrower", action: "deposit", asset: "WETH", amount: "max" },
+        { actor: "borrower", action: "borrow", amount: "200" },
+        { actor: "borrower", action: "borrow", amount: "100" },
+        { action: "setPrice", asset: "WETH", price: "100" },
+        { actor: "borrower", action: "withdraw", asset: "WETH", amount: "max" }
+      ]
+    });
+
+    expect(actions.map((action) => action.status)).to.deep.equal(["ok", "ok", "failed", "ok", "skipped"]);
+    expect(actions[2]).to.include({ actor: "borrower", action: "borrow", amount: "200.0", reason: "Insufficient liquidity" });
+
+    // 1 WETH at 100 is liquidatable with 100 of debt
+    const crashed = samples[5].users[1];
+    expect(crashed.collateralValueUsd).to.equal("100.0");
+    expect(Number(crashed.totalDebt)).to.be.closeTo(100, 0.01);
+    expect(Number(crashed.healthFactor)).to.be.closeTo(0.8, 0.001);
+  });
+
+  it("Should write CSV and JSON reports", async function () {
+    const result = await runScenario(hre, {
+      name: "report",
+      actors: [{ name: "lender", wallet: { dDAI: "5" } }],
+      steps: [{ actor: "lender", action: "supply", amount: "2.5" }, { advance: "36 hours", label: "wait, then check" }]
+    });
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "simulation-"));
+
+    try {
+      const files = writeReport(result, outDir);
+      expect(files.map((file) => path.basename(file))).to.deep.equal([
+        "protocol.csv",
+        "users.csv",
+        "actions.csv",
+        "report.json"
+      ]);
+
+      const protocol = fs.readFileSync(path.join(outDir, "protocol.csv"), "utf8").trim().split("\n");
+      expect(protocol[0]).to.match(/^step,label,timestamp,elapsedDays,utilizationPercent,/);
+      // Day-long samples: start, the supply, then 24 and 36 hours later
+      expect(protocol).to.have.length(5);
+      expect(protocol[4]).to.match(/^2,"wait, then check",\d+,1\.50/);
+
+      const users = fs.readFileSync(path.join(outDir, "users.csv"), "utf8").trim().split("\n");
+      expect(users[2]).to.match(/^1,0\.0\d+,lender,0x[0-9a-fA-F]{40},0\.0,0\.0,0\.0,0\.0,,2\.5$/);
+
+      const report = JSON.parse(fs.readFileSync(path.join(outDir, "report.json"), "utf8"));
+      expect(report.scenario).to.include({ name: "report", sampleIntervalSeconds: 86400 });
+      expect(report.actions).to.deep.equal(result.actions);
+
+      expect(writeReport(result, outDir, "json")).to.have.length(1);
+      expect(() => writeReport(result, outDir, "xml")).to.throw("Unknown report format xml");
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should reject invalid scenarios before running them", async function () {
+    const base = { actors: [{ name: "alice" }], steps: [{ advance: "1 day" }] };
+    const invalid = [
+      [{ ...base, actors: [] }, "define at least one actor"],
+      [{ ...base, actors: [{ name: "alice", wallet: { XYZ: "1" } }] }, "actor alice holds unknown token XYZ"],
+      [{ ...base, actors: [{ name: "alice" }, { name: "alice" }] }, "actor names must be unique"],
+      [{ ...base, steps: [{ actor: "alice", action: "liquidate", amount: "1" }] }, "step 1: unknown action \"liquidate\""],
+      [{ ...base, steps: [{ actor: "bob", action: "borrow", amount: "1" }] }, "step 1: unknown actor \"bob\""],
+      [{ ...base, steps: [{ actor: "alice", action: "deposit", asset: "dDAI", amount: "1" }] }, "deposit needs an asset, one of cUSD, WETH"],
+      [{ ...base, steps: [{ actor: "alice", action: "borrow", amount: 5 }] }, "amount must be a decimal string"],
+      [{ ...base, steps: [{ action: "setPrice", asset: "WETH", price: "max" }] }, "step 1: price must be a decimal string"],
+      [{ ...base, steps: [{ advance: "a fortnight" }] }, "step 1: Invalid duration \"a fortnight\""]
+    ];
+    for (const [scenario, message] of invalid) {
+      expect(() => normalizeScenario(scenario)).to.throw(message);
+    }
+
+    expect(parseDuration("3 weeks")).to.equal(3 * 7 * 86400);
+    expect(parseDuration("1.5 hours")).to.equal(5400);
+    expect(parseDuration(90)).to.equal(90);
+  });
+
+  it("Should default to the protocol the Ignition module deploys", function () {
+    const { ethers } = hre;
+    const futures = [...require("../ignition/modules/LendingProtocol").futures];
+    const deployment = (symbol) => futures.find((future) => future.constructorArgs?.[1] === symbol);
+    const call = (functionName, target) =>
+      futures.find((future) => future.functionName === functionName && future.args[0] === target);
+    const { protocol } = normalizeScenario({ actors: [{ name: "alice" }], steps: [{ advance: "1 day" }] });
+
+    const { baseRate, slope1, slope2, kink } = protocol.interestRateModel;
+    expect([baseRate, slope1, slope2, kink].map((rate) => ethers.parseEther(rate))).to.deep.equal(
+      futures.find((future) => future.contractName === "KinkedInterestRateModel").constructorArgs
+    );
+
+    const loanToken = deployment(protocol.loanToken.symbol);
+    expect(loanToken.constructorArgs[2]).to.equal(protocol.loanToken.decimals);
+    expect(call("setPrice", loanToken).args[1]).to.equal(ethers.parseEther(protocol.loanToken.price));
+
+    for (const asset of protocol.collateral) {
+      const token = deployment(asset.symbol);
+      expect(token.constructorArgs[2], asset.symbol).to.equal(asset.decimals);
+      expect(call("setPrice", token).args[1], asset.symbol).to.equal(ethers.parseEther(asset.price));
+      expect(call("listCollateral", token).args.slice(1), asset.symbol).to.deep.equal([
+        ethers.parseEther(asset.collateralFactor),
+        ethers.parseEther(asset.liquidationThreshold)
+      ]);
+    }
+  });
+
+  it("Should only run on the in-process network", async function () {
+    await expect(runScenario({ ...hre, network: { name: "localhost" } }, scenario)).to.be.rejectedWith(
+      "Scenarios run on the in-process hardhat network, not localhost"
+    );
+  });
+});
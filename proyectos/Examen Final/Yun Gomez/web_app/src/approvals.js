@@ -0,0 +1,55 @@
+import { ethers } from 'ethers';
+
+// EIP-2612 permit message, signed instead of sending an approve transaction
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const PERMIT_VALIDITY = 20 * 60; // Seconds a permit signature stays valid
+
+/**
+ * Sign a permit letting `spender` pull `value` tokens from the signer's account
+ * @param {import('ethers').Signer} signer Token owner
+ * @param {import('./client/contracts.js').TokenContract} token Token with EIP-2612 support
+ * @param {string} spender Address allowed to spend
+ * @param {bigint} value Amount allowed
+ * @returns {Promise<{deadline: bigint, v: number, r: string, s: string}>} Arguments for the *WithPermit call
+ */
+export async function signPermit(signer, token, spender, value) {
+  const owner = await signer.getAddress();
+  const [domain, nonce] = await Promise.all([token.eip712Domain(), token.nonces(owner)]);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_VALIDITY);
+  const signature = await signer.signTypedData(
+    {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: domain.verifyingContract
+    },
+    PERMIT_TYPES,
+    { owner, spender, value, nonce, deadline }
+  );
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+/**
+ * Send an approve transaction when the current allowance does not cover `amount`
+ * @param {import('./client/contracts.js').TokenContract} token
+ * @param {string} owner Account spending its tokens
+ * @param {string} spender Address to approve
+ * @param {bigint} amount Amount needed now
+ * @param {bigint} [approveAmount] Amount to approve, `amount` by default
+ */
+export async function ensureAllowance(token, owner, spender, amount, approveAmount = amount) {
+  const allowance = await token.allowance(owner, spender);
+  if (allowance < amount) {
+    const approveTx = await token.approve(spender, approveAmount);
+    await approveTx.wait();
+  }
+}
@@ -0,0 +1,442 @@
+// Generated by scripts/generate-client.js from the compiled contracts. Do not edit; run
+// `npm run generate:client` in the project root after changing a contract's interface.
+import { Contract } from 'ethers';
+
+export const LENDING_PROTOCOL_ABI = [
+  {"inputs":[],"stateMutability":"nonpayable","type":"constructor"},
+  {"inputs":[{"internalType":"address","name":"target","type":"address"}],"name":"AddressEmptyCode","type":"error"},
+  {"inputs":[{"internalType":"address","name":"implementation","type":"address"}],"name":"ERC1967InvalidImplementation","type":"error"},
+  {"inputs":[],"name":"ERC1967NonPayable","type":"error"},
+  {"inputs":[],"name":"FailedCall","type":"error"},
+  {"inputs":[],"name":"InvalidInitialization","type":"error"},
+  {"inputs":[],"name":"NotInitializing","type":"error"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+  {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+  {"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},
+  {"inputs":[],"name":"UUPSUnauthorizedCallContext","type":"error"},
+  {"inputs":[{"internalType":"bytes32","name":"slot","type":"bytes32"}],"name":"UUPSUnsupportedProxiableUUID","type":"error"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"action","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"}],"name":"ActionPaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"action","type":"bytes32"}],"name":"ActionUnpaused","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"delegate","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"BorrowDelegationApproved","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"asset","type":"address"}],"name":"CollateralConfigCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"liquidationThreshold","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"executableAt","type":"uint256"}],"name":"CollateralConfigProposed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"liquidationThreshold","type":"uint256"}],"name":"CollateralConfigUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"CollateralDeposited","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"payer","type":"address"},{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"CollateralDepositedFor","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"liquidationThreshold","type":"uint256"}],"name":"CollateralListed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"asset","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"CollateralWithdrawn","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"delegate","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"DelegatedBorrow","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"receiver","type":"address"},{"indexed":true,"internalType":"address","name":"token","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"fee","type":"uint256"}],"name":"FlashLoan","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldGuardian","type":"address"},{"indexed":true,"internalType":"address","name":"newGuardian","type":"address"}],"name":"GuardianUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint64","name":"version","type":"uint64"}],"name":"Initialized","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"borrowIndex","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"interestAccrued","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"totalDebt","type":"uint256"}],"name":"InterestAccrued","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldModel","type":"address"},{"indexed":true,"internalType":"address","name":"newModel","type":"address"}],"name":"InterestRateModelUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":true,"internalType":"address","name":"liquidator","type":"address"},{"indexed":true,"internalType":"address","name":"collateralAsset","type":"address"},{"indexed":false,"internalType":"uint256","name":"debtRepaid","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"collateralSeized","type":"uint256"}],"name":"Liquidated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"LoanBorrowed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"interest","type":"uint256"}],"name":"LoanRepaid","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"payer","type":"address"},{"indexed":true,"internalType":"address","name":"user","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"LoanRepaidFor","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"parameter","type":"bytes32"}],"name":"ParameterChangeCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"parameter","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"oldValue","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newValue","type":"uint256"}],"name":"ParameterChangeExecuted","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"parameter","type":"bytes32"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"executableAt","type":"uint256"}],"name":"ParameterChangeProposed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"supplier","type":"address"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"Redeemed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"treasury","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"ReservesWithdrawn","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"supplier","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"shares","type":"uint256"}],"name":"Supplied","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"oldTreasury","type":"address"},{"indexed":true,"internalType":"address","name":"newTreasury","type":"address"}],"name":"TreasuryUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"implementation","type":"address"}],"name":"UpgradeCancelled","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"implementation","type":"address"},{"indexed":false,"internalType":"uint256","name":"executableAt","type":"uint256"}],"name":"UpgradeProposed","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"implementation","type":"address"}],"name":"Upgraded","type":"event"},
+  {"inputs":[],"name":"ACTION_BORROW","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"ACTION_DEPOSIT","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"ACTION_LIQUIDATE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"CALLBACK_SUCCESS","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"FLASH_FEE_PRECISION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"HEALTH_FACTOR_PRECISION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"INTEREST_PERIOD","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_CLOSE_FACTOR","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_COLLATERAL_ASSETS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_FLASH_LOAN_FEE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_LIQUIDATION_BONUS","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_LIQUIDATION_THRESHOLD","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_PRICE_AGE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MAX_RESERVE_FACTOR","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"MIN_CLOSE_FACTOR","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PARAM_CLOSE_FACTOR","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PARAM_FLASH_LOAN_FEE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PARAM_INTEREST_RATE_MODEL","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PARAM_LIQUIDATION_BONUS","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PARAM_RESERVE_FACTOR","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"PRECISION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"RATE_PRECISION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"TIMELOCK_DELAY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"UPGRADE_INTERFACE_VERSION","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"accrueInterest","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"actionPaused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"delegate","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"approveBorrowDelegation","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"borrow","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"address","name":"","type":"address"}],"name":"borrowAllowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"borrowFor","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"borrowIndex","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"}],"name":"cancelCollateralConfig","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"parameter","type":"bytes32"}],"name":"cancelParameterChange","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"cancelUpgrade","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"closeFactor","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"collateralAssets","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"address","name":"","type":"address"}],"name":"collateralBalances","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"collateralConfigs","outputs":[{"internalType":"bool","name":"listed","type":"bool"},{"internalType":"uint8","name":"decimals","type":"uint8"},{"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"internalType":"uint256","name":"liquidationThreshold","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"depositCollateral","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"depositCollateralFor","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint8","name":"v","type":"uint8"},{"internalType":"bytes32","name":"r","type":"bytes32"},{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"depositCollateralWithPermit","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"token","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"emergencyWithdraw","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"}],"name":"executeCollateralConfig","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"parameter","type":"bytes32"}],"name":"executeParameterChange","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"token","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"flashFee","outputs":[{"internalType":"uint256","name":"fee","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"contract IERC3156FlashBorrower","name":"receiver","type":"address"},{"internalType":"address","name":"token","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"flashLoan","outputs":[{"internalType":"bool","name":"success","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"flashLoanFee","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getAccountLiquidity","outputs":[{"internalType":"uint256","name":"collateralValue","type":"uint256"},{"internalType":"uint256","name":"debtValue","type":"uint256"},{"internalType":"uint256","name":"borrowLimit","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getBorrowRate","outputs":[{"internalType":"uint256","name":"rate","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getCollateralAssets","outputs":[{"internalType":"address[]","name":"assets","type":"address[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getHealthFactor","outputs":[{"internalType":"uint256","name":"healthFactor","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getMaxBorrowable","outputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"address","name":"asset","type":"address"}],"name":"getMaxWithdrawable","outputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getProtocolStats","outputs":[{"internalType":"uint256","name":"totalCollateralValue","type":"uint256"},{"internalType":"uint256","name":"totalLoansOutstanding","type":"uint256"},{"internalType":"uint256","name":"protocolLiquidity","type":"uint256"},{"internalType":"uint256","name":"borrowRate","type":"uint256"},{"internalType":"uint256","name":"utilization","type":"uint256"},{"internalType":"uint256","name":"totalDebtOutstanding","type":"uint256"},{"internalType":"uint256","name":"reserves","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"supplier","type":"address"}],"name":"getSupplierData","outputs":[{"internalType":"uint256","name":"shares","type":"uint256"},{"internalType":"uint256","name":"balance","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getSupplyRate","outputs":[{"internalType":"uint256","name":"rate","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getTotalDebt","outputs":[{"internalType":"uint256","name":"totalDebt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"}],"name":"getUserData","outputs":[{"internalType":"uint256","name":"collateralValue","type":"uint256"},{"internalType":"uint256","name":"loanBalance","type":"uint256"},{"internalType":"uint256","name":"accruedInterest","type":"uint256"},{"internalType":"uint256","name":"totalDebt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getUtilization","outputs":[{"internalType":"uint256","name":"utilization","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"guardian","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"_loanToken","type":"address"},{"internalType":"address","name":"_priceOracle","type":"address"},{"internalType":"address","name":"_shareToken","type":"address"},{"internalType":"address","name":"_interestRateModel","type":"address"}],"name":"initialize","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"interestRateModel","outputs":[{"internalType":"contract IInterestRateModel","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"lastAccrualTime","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"address","name":"collateralAsset","type":"address"},{"internalType":"uint256","name":"repayAmount","type":"uint256"}],"name":"liquidate","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"liquidationBonus","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"internalType":"uint256","name":"liquidationThreshold","type":"uint256"}],"name":"listCollateral","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"loanDecimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"loanToken","outputs":[{"internalType":"contract IERC20","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"maxFlashLoan","outputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"action","type":"bytes32"}],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"name":"pendingChanges","outputs":[{"internalType":"uint256","name":"value","type":"uint256"},{"internalType":"uint256","name":"executableAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"pendingCollateralConfigs","outputs":[{"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"internalType":"uint256","name":"liquidationThreshold","type":"uint256"},{"internalType":"uint256","name":"executableAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"pendingUpgrade","outputs":[{"internalType":"address","name":"implementation","type":"address"},{"internalType":"uint256","name":"executableAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"priceOracle","outputs":[{"internalType":"contract IPriceOracle","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"collateralFactor","type":"uint256"},{"internalType":"uint256","name":"liquidationThreshold","type":"uint256"}],"name":"proposeCollateralConfig","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"parameter","type":"bytes32"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"proposeParameterChange","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"implementation","type":"address"}],"name":"proposeUpgrade","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"proxiableUUID","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"shares","type":"uint256"}],"name":"redeem","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"repay","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"user","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"repayFor","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint8","name":"v","type":"uint8"},{"internalType":"bytes32","name":"r","type":"bytes32"},{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"repayWithPermit","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"reserveFactor","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newGuardian","type":"address"}],"name":"setGuardian","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newTreasury","type":"address"}],"name":"setTreasury","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"shareToken","outputs":[{"internalType":"contract SupplyShareToken","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"supply","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint8","name":"v","type":"uint8"},{"internalType":"bytes32","name":"r","type":"bytes32"},{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"supplyWithPermit","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"totalCollateral","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalLoans","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalReserves","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalScaledDebt","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalSupplied","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"treasury","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"bytes32","name":"action","type":"bytes32"}],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"updateUserInterest","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newImplementation","type":"address"},{"internalType":"bytes","name":"data","type":"bytes"}],"name":"upgradeToAndCall","outputs":[],"stateMutability":"payable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"users","outputs":[{"internalType":"uint256","name":"loanBalance","type":"uint256"},{"internalType":"uint256","name":"scaledDebt","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"withdrawCollateral","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"withdrawReserves","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+/**
+ * @typedef {object} LendingProtocolMethods
+ * @property {() => Promise<string>} ACTION_BORROW
+ * @property {() => Promise<string>} ACTION_DEPOSIT
+ * @property {() => Promise<string>} ACTION_LIQUIDATE
+ * @property {() => Promise<string>} CALLBACK_SUCCESS
+ * @property {() => Promise<bigint>} FLASH_FEE_PRECISION
+ * @property {() => Promise<bigint>} HEALTH_FACTOR_PRECISION
+ * @property {() => Promise<bigint>} INTEREST_PERIOD
+ * @property {() => Promise<bigint>} MAX_CLOSE_FACTOR
+ * @property {() => Promise<bigint>} MAX_COLLATERAL_ASSETS
+ * @property {() => Promise<bigint>} MAX_FLASH_LOAN_FEE
+ * @property {() => Promise<bigint>} MAX_LIQUIDATION_BONUS
+ * @property {() => Promise<bigint>} MAX_LIQUIDATION_THRESHOLD
+ * @property {() => Promise<bigint>} MAX_PRICE_AGE
+ * @property {() => Promise<bigint>} MAX_RESERVE_FACTOR
+ * @property {() => Promise<bigint>} MIN_CLOSE_FACTOR
+ * @property {() => Promise<string>} PARAM_CLOSE_FACTOR
+ * @property {() => Promise<string>} PARAM_FLASH_LOAN_FEE
+ * @property {() => Promise<string>} PARAM_INTEREST_RATE_MODEL
+ * @property {() => Promise<string>} PARAM_LIQUIDATION_BONUS
+ * @property {() => Promise<string>} PARAM_RESERVE_FACTOR
+ * @property {() => Promise<bigint>} PRECISION
+ * @property {() => Promise<bigint>} RATE_PRECISION
+ * @property {() => Promise<bigint>} TIMELOCK_DELAY
+ * @property {() => Promise<string>} UPGRADE_INTERFACE_VERSION
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} accrueInterest
+ * @property {(arg0: string) => Promise<boolean>} actionPaused
+ * @property {(delegate: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} approveBorrowDelegation
+ * @property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} borrow
+ * @property {(arg0: string, arg1: string) => Promise<bigint>} borrowAllowance
+ * @property {(user: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} borrowFor
+ * @property {() => Promise<bigint>} borrowIndex
+ * @property {(asset: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} cancelCollateralConfig
+ * @property {(parameter: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} cancelParameterChange
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} cancelUpgrade
+ * @property {() => Promise<bigint>} closeFactor
+ * @property {(arg0: import('ethers').BigNumberish) => Promise<string>} collateralAssets
+ * @property {(arg0: string, arg1: string) => Promise<bigint>} collateralBalances
+ * @property {(arg0: string) => Promise<[boolean, bigint, bigint, bigint] & { listed: boolean, decimals: bigint, collateralFactor: bigint, liquidationThreshold: bigint }>} collateralConfigs
+ * @property {(asset: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} depositCollateral
+ * @property {(user: string, asset: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} depositCollateralFor
+ * @property {(asset: string, amount: import('ethers').BigNumberish, deadline: import('ethers').BigNumberish, v: import('ethers').BigNumberish, r: string, s: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} depositCollateralWithPermit
+ * @property {(token: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} emergencyWithdraw
+ * @property {(asset: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} executeCollateralConfig
+ * @property {(parameter: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} executeParameterChange
+ * @property {(token: string, amount: import('ethers').BigNumberish) => Promise<bigint>} flashFee
+ * @property {(receiver: string, token: string, amount: import('ethers').BigNumberish, data: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} flashLoan
+ * @property {() => Promise<bigint>} flashLoanFee
+ * @property {(user: string) => Promise<[bigint, bigint, bigint] & { collateralValue: bigint, debtValue: bigint, borrowLimit: bigint }>} getAccountLiquidity
+ * @property {() => Promise<bigint>} getBorrowRate
+ * @property {() => Promise<string[]>} getCollateralAssets
+ * @property {(user: string) => Promise<bigint>} getHealthFactor
+ * @property {(user: string) => Promise<bigint>} getMaxBorrowable
+ * @property {(user: string, asset: string) => Promise<bigint>} getMaxWithdrawable
+ * @property {() => Promise<[bigint, bigint, bigint, bigint, bigint, bigint, bigint] & { totalCollateralValue: bigint, totalLoansOutstanding: bigint, protocolLiquidity: bigint, borrowRate: bigint, utilization: bigint, totalDebtOutstanding: bigint, reserves: bigint }>} getProtocolStats
+ * @property {(supplier: string) => Promise<[bigint, bigint] & { shares: bigint, balance: bigint }>} getSupplierData
+ * @property {() => Promise<bigint>} getSupplyRate
+ * @property {() => Promise<bigint>} getTotalDebt
+ * @property {(user: string) => Promise<[bigint, bigint, bigint, bigint] & { collateralValue: bigint, loanBalance: bigint, accruedInterest: bigint, totalDebt: bigint }>} getUserData
+ * @property {() => Promise<bigint>} getUtilization
+ * @property {() => Promise<string>} guardian
+ * @property {(_loanToken: string, _priceOracle: string, _shareToken: string, _interestRateModel: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} initialize
+ * @property {() => Promise<string>} interestRateModel
+ * @property {() => Promise<bigint>} lastAccrualTime
+ * @property {(user: string, collateralAsset: string, repayAmount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} liquidate
+ * @property {() => Promise<bigint>} liquidationBonus
+ * @property {(asset: string, collateralFactor: import('ethers').BigNumberish, liquidationThreshold: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} listCollateral
+ * @property {() => Promise<bigint>} loanDecimals
+ * @property {() => Promise<string>} loanToken
+ * @property {(token: string) => Promise<bigint>} maxFlashLoan
+ * @property {() => Promise<string>} owner
+ * @property {(action: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} pause
+ * @property {(arg0: string) => Promise<[bigint, bigint] & { value: bigint, executableAt: bigint }>} pendingChanges
+ * @property {(arg0: string) => Promise<[bigint, bigint, bigint] & { collateralFactor: bigint, liquidationThreshold: bigint, executableAt: bigint }>} pendingCollateralConfigs
+ * @property {() => Promise<[string, bigint] & { implementation: string, executableAt: bigint }>} pendingUpgrade
+ * @property {() => Promise<string>} priceOracle
+ * @property {(asset: string, collateralFactor: import('ethers').BigNumberish, liquidationThreshold: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} proposeCollateralConfig
+ * @property {(parameter: string, value: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} proposeParameterChange
+ * @property {(implementation: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} proposeUpgrade
+ * @property {() => Promise<string>} proxiableUUID
+ * @property {(shares: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} redeem
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} renounceOwnership
+ * @property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} repay
+ * @property {(user: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} repayFor
+ * @property {(amount: import('ethers').BigNumberish, deadline: import('ethers').BigNumberish, v: import('ethers').BigNumberish, r: string, s: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} repayWithPermit
+ * @property {() => Promise<bigint>} reserveFactor
+ * @property {(newGuardian: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} setGuardian
+ * @property {(newTreasury: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} setTreasury
+ * @property {() => Promise<string>} shareToken
+ * @property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} supply
+ * @property {(amount: import('ethers').BigNumberish, deadline: import('ethers').BigNumberish, v: import('ethers').BigNumberish, r: string, s: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} supplyWithPermit
+ * @property {(arg0: string) => Promise<bigint>} totalCollateral
+ * @property {() => Promise<bigint>} totalLoans
+ * @property {() => Promise<bigint>} totalReserves
+ * @property {() => Promise<bigint>} totalScaledDebt
+ * @property {() => Promise<bigint>} totalSupplied
+ * @property {(newOwner: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} transferOwnership
+ * @property {() => Promise<string>} treasury
+ * @property {(action: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} unpause
+ * @property {(arg0: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} updateUserInterest
+ * @property {(newImplementation: string, data: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} upgradeToAndCall
+ * @property {(arg0: string) => Promise<[bigint, bigint] & { loanBalance: bigint, scaledDebt: bigint }>} users
+ * @property {(asset: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} withdrawCollateral
+ * @property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} withdrawReserves
+ */
+
+/** @typedef {import('ethers').BaseContract & LendingProtocolMethods} LendingProtocolContract */
+
+/**
+ * LendingProtocol contract at `address`
+ * @param {string} address Contract address
+ * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read
+ * @returns {LendingProtocolContract}
+ */
+export function connectLendingProtocol(address, runner) {
+  return /** @type {LendingProtocolContract} */ (new Contract(address, LENDING_PROTOCOL_ABI, runner));
+}
+
+export const TOKEN_ABI = [
+  {"inputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"symbol","type":"string"},{"internalType":"uint8","name":"decimals_","type":"uint8"},{"internalType":"uint256","name":"initialSupply","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},
+  {"inputs":[],"name":"ECDSAInvalidSignature","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"length","type":"uint256"}],"name":"ECDSAInvalidSignatureLength","type":"error"},
+  {"inputs":[{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"ECDSAInvalidSignatureS","type":"error"},
+  {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},
+  {"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},
+  {"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},
+  {"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},
+  {"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},
+  {"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},
+  {"inputs":[{"internalType":"uint256","name":"deadline","type":"uint256"}],"name":"ERC2612ExpiredSignature","type":"error"},
+  {"inputs":[{"internalType":"address","name":"signer","type":"address"},{"internalType":"address","name":"owner","type":"address"}],"name":"ERC2612InvalidSigner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"uint256","name":"currentNonce","type":"uint256"}],"name":"InvalidAccountNonce","type":"error"},
+  {"inputs":[],"name":"InvalidShortString","type":"error"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+  {"inputs":[{"internalType":"string","name":"str","type":"string"}],"name":"StringTooLong","type":"error"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},
+  {"anonymous":false,"inputs":[],"name":"EIP712DomainChanged","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":false,"internalType":"bool","name":"allowed","type":"bool"}],"name":"MinterUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},
+  {"inputs":[],"name":"DOMAIN_SEPARATOR","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"burn","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"eip712Domain","outputs":[{"internalType":"bytes1","name":"fields","type":"bytes1"},{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"version","type":"string"},{"internalType":"uint256","name":"chainId","type":"uint256"},{"internalType":"address","name":"verifyingContract","type":"address"},{"internalType":"bytes32","name":"salt","type":"bytes32"},{"internalType":"uint256[]","name":"extensions","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"mint","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"minters","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"nonces","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"},{"internalType":"uint256","name":"deadline","type":"uint256"},{"internalType":"uint8","name":"v","type":"uint8"},{"internalType":"bytes32","name":"r","type":"bytes32"},{"internalType":"bytes32","name":"s","type":"bytes32"}],"name":"permit","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"},{"internalType":"bool","name":"allowed","type":"bool"}],"name":"setMinter","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+/**
+ * @typedef {object} TokenMethods
+ * @property {() => Promise<string>} DOMAIN_SEPARATOR
+ * @property {(owner: string, spender: string) => Promise<bigint>} allowance
+ * @property {(spender: string, value: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} approve
+ * @property {(account: string) => Promise<bigint>} balanceOf
+ * @property {(amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} burn
+ * @property {() => Promise<bigint>} decimals
+ * @property {() => Promise<[string, string, string, bigint, string, string, bigint[]] & { fields: string, name: string, version: string, chainId: bigint, verifyingContract: string, salt: string, extensions: bigint[] }>} eip712Domain
+ * @property {(to: string, amount: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} mint
+ * @property {(arg0: string) => Promise<boolean>} minters
+ * @property {() => Promise<string>} name
+ * @property {(owner: string) => Promise<bigint>} nonces
+ * @property {() => Promise<string>} owner
+ * @property {(owner: string, spender: string, value: import('ethers').BigNumberish, deadline: import('ethers').BigNumberish, v: import('ethers').BigNumberish, r: string, s: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} permit
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} renounceOwnership
+ * @property {(account: string, allowed: boolean, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} setMinter
+ * @property {() => Promise<string>} symbol
+ * @property {() => Promise<bigint>} totalSupply
+ * @property {(to: string, value: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} transfer
+ * @property {(from: string, to: string, value: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} transferFrom
+ * @property {(newOwner: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} transferOwnership
+ */
+
+/** @typedef {import('ethers').BaseContract & TokenMethods} TokenContract */
+
+/**
+ * Token contract at `address`
+ * @param {string} address Contract address
+ * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read
+ * @returns {TokenContract}
+ */
+export function connectToken(address, runner) {
+  return /** @type {TokenContract} */ (new Contract(address, TOKEN_ABI, runner));
+}
+
+export const TOKEN_FAUCET_ABI = [
+  {"inputs":[{"internalType":"address[]","name":"_tokens","type":"address[]"},{"internalType":"uint256[]","name":"_amounts","type":"uint256[]"},{"internalType":"uint256","name":"_cooldown","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},
+  {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+  {"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint256","name":"oldCooldown","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"newCooldown","type":"uint256"}],"name":"CooldownUpdated","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+  {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"recipient","type":"address"}],"name":"TokensRequested","type":"event"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"amounts","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"cooldown","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"cooldownRemaining","outputs":[{"internalType":"uint256","name":"remaining","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"getDrip","outputs":[{"internalType":"address[]","name":"tokenList","type":"address[]"},{"internalType":"uint256[]","name":"amountList","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"lastRequest","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[],"name":"requestTokens","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"newCooldown","type":"uint256"}],"name":"setCooldown","outputs":[],"stateMutability":"nonpayable","type":"function"},
+  {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"tokens","outputs":[{"internalType":"contract IMintableERC20","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+  {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"}
+];
+
+/**
+ * @typedef {object} TokenFaucetMethods
+ * @property {(arg0: import('ethers').BigNumberish) => Promise<bigint>} amounts
+ * @property {() => Promise<bigint>} cooldown
+ * @property {(account: string) => Promise<bigint>} cooldownRemaining
+ * @property {() => Promise<[string[], bigint[]] & { tokenList: string[], amountList: bigint[] }>} getDrip
+ * @property {(arg0: string) => Promise<bigint>} lastRequest
+ * @property {() => Promise<string>} owner
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} renounceOwnership
+ * @property {(overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} requestTokens
+ * @property {(newCooldown: import('ethers').BigNumberish, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} setCooldown
+ * @property {(arg0: import('ethers').BigNumberish) => Promise<string>} tokens
+ * @property {(newOwner: string, overrides?: import('ethers').Overrides) => Promise<import('ethers').ContractTransactionResponse>} transferOwnership
+ */
+
+/** @typedef {import('ethers').BaseContract & TokenFaucetMethods} TokenFaucetContract */
+
+/**
+ * TokenFaucet contract at `address`
+ * @param {string} address Contract address
+ * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read
+ * @returns {TokenFaucetContract}
+ */
+export function connectTokenFaucet(address, runner) {
+  return /** @type {TokenFaucetContract} */ (new Contract(address, TOKEN_FAUCET_ABI, runner));
+}
+
+export const PRICE_ORACLE_ABI = [
+  {"inputs":[{"internalType":"address","name":"asset","type":"address"}],"name":"getPrice","outputs":[{"internalType":"uint256","name":"price","type":"uint256"},{"internalType":"uint256","name":"updatedAt","type":"uint256"}],"stateMutability":"view","type":"function"}
+];
+
+/**
+ * @typedef {object} PriceOracleMethods
+ * @property {(asset: string) => Promise<[bigint, bigint] & { price: bigint, updatedAt: bigint }>} getPrice
+ */
+
+/** @typedef {import('ethers').BaseContract & PriceOracleMethods} PriceOracleContract */
+
+/**
+ * PriceOracle contract at `address`
+ * @param {string} address Contract address
+ * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read
+ * @returns {PriceOracleContract}
+ */
+export function connectPriceOracle(address, runner) {
+  return /** @type {PriceOracleContract} */ (new Contract(address, PRICE_ORACLE_ABI, runner));
+}
+
+export const INTEREST_RATE_MODEL_ABI = [
+  {"inputs":[{"internalType":"uint256","name":"cash","type":"uint256"},{"internalType":"uint256","name":"borrows","type":"uint256"}],"name":"getBorrowRate","outputs":[{"internalType":"uint256","name":"rate","type":"uint256"}],"stateMutability":"view","type":"function"}
+];
+
+/**
+ * @typedef {object} InterestRateModelMethods
+ * @property {(cash: import('ethers').BigNumberish, borrows: import('ethers').BigNumberish) => Promise<bigint>} getBorrowRate
+ */
+
+/** @typedef {import('ethers').BaseContract & InterestRateModelMethods} InterestRateModelContract */
+
+/**
+ * InterestRateModel contract at `address`
+ * @param {string} address Contract address
+ * @param {import('ethers').ContractRunner} runner Signer to send transactions, or a provider to read
+ * @returns {InterestRateModelContract}
+ */
+export function connectInterestRateModel(address, runner) {
+  return /** @type {InterestRateModelContract} */ (new Contract(address, INTEREST_RATE_MODEL_ABI, runner));
+}
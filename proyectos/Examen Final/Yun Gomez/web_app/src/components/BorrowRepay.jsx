@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { signPermit } from '../approvals.js';
+import { formatAmount, parseAmount } from '../format.js';
+import { useTransaction } from '../hooks/useTransaction.js';
+
+// Borrow dDAI against the deposited collateral and repay it
+function BorrowRepay({ lendingProtocol, loanToken, signer, account, position, loanBalance, paused, onTransaction }) {
+  const { pending, run } = useTransaction(onTransaction);
+  const [amounts, setAmounts] = useState({ borrow: '', repay: '' });
+
+  const borrow = async () => {
+    if (!amounts.borrow) return;
+    const amount = parseAmount(amounts.borrow);
+    if (amount === null) {
+      alert('Enter a positive borrow amount.');
+      return;
+    }
+    // Compare in wei with the contract's figure; a rounded float can be slightly above it
+    if (amount > position.maxBorrowable) {
+      alert('Amount exceeds your max borrowable.');
+      return;
+    }
+    // No approval needed for borrowing dDAI
+    const sent = await run('borrow', () => lendingProtocol.borrow(amount), {
+      action: 'borrowing',
+      success: 'Tokens borrowed successfully!'
+    });
+    if (sent) setAmounts((a) => ({ ...a, borrow: '' }));
+  };
+
+  // Repay the loan, partially or in full
+  const repay = async () => {
+    if (!amounts.repay) return;
+    const amount = parseAmount(amounts.repay);
+    if (amount === null) {
+      alert('Enter a positive repay amount.');
+      return;
+    }
+    const debt = position.totalDebt;
+    // Paying the displayed debt clears the loan, including interest accrued since the last refresh
+    const repayAll = amount >= debt;
+    if ((repayAll ? debt : amount) > loanBalance) {
+      alert('Insufficient dDAI balance to repay.');
+      return;
+    }
+    // When clearing the loan, allow 1% extra (within the wallet balance) for interest accrued
+    // until the transaction is mined
+    const debtWithMargin = debt + debt / 100n;
+    const needed = !repayAll ? amount : (debtWithMargin < loanBalance ? debtWithMargin : loanBalance);
+    const spender = lendingProtocol.target;
+    const sent = await run('repay', async () => {
+      const allowance = await loanToken.allowance(account, spender);
+      if (allowance >= needed) {
+        // The contract caps the repayment at the current debt
+        return lendingProtocol.repay(repayAll ? ethers.MaxUint256 : amount);
+      }
+      // Otherwise permit the repayment with a signature
+      const { deadline, v, r, s } = await signPermit(signer, loanToken, spender, needed);
+      return lendingProtocol.repayWithPermit(needed, deadline, v, r, s);
+    }, {
+      action: 'repaying',
+      success: 'Loan repaid successfully!'
+    });
+    if (sent) setAmounts((a) => ({ ...a, repay: '' }));
+  };
+
+  return (
+    <section className="actions-section">
+      <h2>Actions</h2>
+      <div className="actions-grid">
+        {/* Borrow */}
+        <div className="action-card">
+          <h3>Borrow dDAI</h3>
+          {position.maxBorrowable === null && <p>Borrowing is unavailable until the oracle prices are refreshed.</p>}
+          <input
+            type="number"
+            placeholder="Amount in dDAI"
+            value={amounts.borrow}
+            onChange={(e) => setAmounts({ ...amounts, borrow: e.target.value })}
+            aria-label="Borrow amount in dDAI"
+          />
+          <button
+            onClick={borrow}
+            disabled={
+              pending.borrow || !amounts.borrow || position.collateralValue === 0n || position.maxBorrowable === null || paused.BORROW
+            }
+            className="action-button borrow-button"
+            aria-label="Borrow dDAI"
+          >
+            {pending.borrow ? 'Processing...' : 'Borrow'}
+          </button>
+        </div>
+
+        {/* Repay */}
+        <div className="action-card">
+          <h3>Repay Loan</h3>
+          <p>Total debt: {formatAmount(position.totalDebt)} dDAI</p>
+          <div className="input-with-max">
+            <input
+              type="number"
+              placeholder="Amount in dDAI"
+              value={amounts.repay}
+              onChange={(e) => setAmounts({ ...amounts, repay: e.target.value })}
+              aria-label="Repay amount in dDAI"
+            />
+            <button
+              type="button"
+              onClick={() => setAmounts({ ...amounts, repay: ethers.formatEther(position.totalDebt) })}
+              disabled={position.totalDebt === 0n}
+              className="max-button"
+              aria-label="Use total debt as repay amount"
+            >
+              Max
+            </button>
+          </div>
+          <button
+            onClick={repay}
+            disabled={pending.repay || !amounts.repay || position.totalDebt === 0n}
+            className="action-button repay-button"
+            aria-label="Repay Loan"
+          >
+            {pending.repay ? 'Processing...' : 'Repay'}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default BorrowRepay;
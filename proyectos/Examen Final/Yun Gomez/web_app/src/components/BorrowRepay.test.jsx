@@ -0,0 +1,149 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import BorrowRepay from './BorrowRepay.jsx';
+
+const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+const PROTOCOL = '0x00000000000000000000000000000000000000ff';
+const PRIVATE_KEY = '0x' + '11'.repeat(32);
+const DOMAIN = { name: 'dDAI', version: '1', chainId: 1337n, verifyingContract: '0x00000000000000000000000000000000000000dd' };
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const e18 = (n) => ethers.parseEther(String(n));
+
+const position = {
+  collateralValue: e18(2000),
+  totalDebt: e18(1000),
+  maxBorrowable: e18(500)
+};
+
+// Sends the transaction like App.runTransaction, without waiting for it to be mined
+const onTransaction = vi.fn(async (send) => {
+  await send();
+  return true;
+});
+
+let lendingProtocol;
+let loanToken;
+let signer;
+
+const renderPanel = (props = {}) => render(
+  <BorrowRepay
+    lendingProtocol={lendingProtocol}
+    loanToken={loanToken}
+    signer={signer}
+    account={ACCOUNT}
+    position={position}
+    loanBalance={e18(2000)}
+    paused={{}}
+    onTransaction={onTransaction}
+    {...props}
+  />
+);
+
+const enter = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+describe('BorrowRepay', () => {
+  beforeEach(() => {
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+    lendingProtocol = {
+      target: PROTOCOL,
+      borrow: vi.fn().mockResolvedValue({}),
+      repay: vi.fn().mockResolvedValue({}),
+      repayWithPermit: vi.fn().mockResolvedValue({})
+    };
+    loanToken = {
+      allowance: vi.fn().mockResolvedValue(0n),
+      eip712Domain: vi.fn().mockResolvedValue(DOMAIN),
+      nonces: vi.fn().mockResolvedValue(0n)
+    };
+    signer = new ethers.Wallet(PRIVATE_KEY);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    onTransaction.mockClear();
+  });
+
+  it('borrows the entered amount', async () => {
+    renderPanel();
+    enter('Borrow amount in dDAI', '500');
+    fireEvent.click(screen.getByRole('button', { name: 'Borrow dDAI' }));
+
+    await waitFor(() => expect(lendingProtocol.borrow).toHaveBeenCalledWith(e18(500)));
+    expect(onTransaction).toHaveBeenCalledWith(expect.any(Function), {
+      action: 'borrowing',
+      success: 'Tokens borrowed successfully!'
+    });
+  });
+
+  it('rejects a borrow above the max borrowable in wei', async () => {
+    renderPanel();
+    enter('Borrow amount in dDAI', '500.000000000000000001');
+    fireEvent.click(screen.getByRole('button', { name: 'Borrow dDAI' }));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Amount exceeds your max borrowable.'));
+    expect(onTransaction).not.toHaveBeenCalled();
+  });
+
+  it('disables borrowing while paused', () => {
+    renderPanel({ paused: { BORROW: true } });
+    enter('Borrow amount in dDAI', '1');
+    expect(screen.getByRole('button', { name: 'Borrow dDAI' }).disabled).toBe(true);
+  });
+
+  it('clears the whole debt with an existing allowance', async () => {
+    loanToken.allowance.mockResolvedValue(ethers.MaxUint256);
+    renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: 'Use total debt as repay amount' }));
+    expect(screen.getByLabelText('Repay amount in dDAI').value).toBe('1000.0');
+    fireEvent.click(screen.getByRole('button', { name: 'Repay Loan' }));
+
+    await waitFor(() => expect(lendingProtocol.repay).toHaveBeenCalledWith(ethers.MaxUint256));
+    expect(loanToken.allowance).toHaveBeenCalledWith(ACCOUNT, PROTOCOL);
+  });
+
+  it('permits the margin for interest when the allowance only covers the displayed debt', async () => {
+    // Interest accrued after the refresh would make repay(MaxUint256) pull more than this allowance
+    loanToken.allowance.mockResolvedValue(e18(1000));
+    renderPanel();
+    enter('Repay amount in dDAI', '1000');
+    fireEvent.click(screen.getByRole('button', { name: 'Repay Loan' }));
+
+    await waitFor(() => expect(lendingProtocol.repayWithPermit).toHaveBeenCalled());
+    expect(lendingProtocol.repayWithPermit.mock.calls[0][0]).toBe(e18(1010));
+    expect(lendingProtocol.repay).not.toHaveBeenCalled();
+  });
+
+  it('permits the debt plus a margin for interest when clearing the loan', async () => {
+    renderPanel({ loanBalance: e18(1005) });
+    enter('Repay amount in dDAI', '1000');
+    fireEvent.click(screen.getByRole('button', { name: 'Repay Loan' }));
+
+    // 1% over the debt would be 1010, above the wallet balance
+    await waitFor(() => expect(lendingProtocol.repayWithPermit).toHaveBeenCalled());
+    const [value, deadline, v, r, s] = lendingProtocol.repayWithPermit.mock.calls[0];
+    expect(value).toBe(e18(1005));
+    expect(deadline).toBeGreaterThan(BigInt(Math.floor(Date.now() / 1000)));
+    const message = { owner: signer.address, spender: PROTOCOL, value, nonce: 0n, deadline };
+    expect(ethers.verifyTypedData(DOMAIN, PERMIT_TYPES, message, { v, r, s })).toBe(signer.address);
+  });
+
+  it('rejects a repayment above the wallet balance', async () => {
+    renderPanel({ loanBalance: e18(100) });
+    enter('Repay amount in dDAI', '200');
+    fireEvent.click(screen.getByRole('button', { name: 'Repay Loan' }));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Insufficient dDAI balance to repay.'));
+    expect(onTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { signPermit } from '../approvals.js';
+import { formatAmount, formatFactor, parseAmount } from '../format.js';
+import { useTransaction } from '../hooks/useTransaction.js';
+
+// Every listed collateral asset with its parameters, the account's deposit and deposit/withdraw controls
+function CollateralAssets({ lendingProtocol, signer, account, collateral, paused, disabled, onTransaction }) {
+  const { pending, run } = useTransaction(onTransaction);
+  const [amounts, setAmounts] = useState({});
+
+  // Per-asset input amounts
+  const amountOf = (asset, field) => amounts[asset.address]?.[field] ?? '';
+  const setAmount = (asset, field, value) => {
+    setAmounts((a) => ({ ...a, [asset.address]: { ...a[asset.address], [field]: value } }));
+  };
+
+  // Deposit collateral of one asset
+  const deposit = async (asset) => {
+    const input = amountOf(asset, 'deposit');
+    if (!input) return;
+    const amount = parseAmount(input, asset.decimals);
+    if (amount === null) {
+      alert('Enter a positive deposit amount.');
+      return;
+    }
+    if (amount > asset.walletBalance) {
+      alert(`Insufficient ${asset.symbol} balance.`);
+      return;
+    }
+    const spender = lendingProtocol.target;
+    const sent = await run(`deposit:${asset.address}`, async () => {
+      const allowance = await asset.token.allowance(account, spender);
+      if (allowance >= amount) {
+        return lendingProtocol.depositCollateral(asset.address, amount);
+      }
+      // Approve exactly this deposit with a signature instead of a separate transaction
+      const { deadline, v, r, s } = await signPermit(signer, asset.token, spender, amount);
+      return lendingProtocol.depositCollateralWithPermit(asset.address, amount, deadline, v, r, s);
+    }, {
+      action: 'depositing',
+      success: 'Collateral deposited successfully!'
+    });
+    if (sent) setAmount(asset, 'deposit', '');
+  };
+
+  // Withdraw collateral of one asset (limited by the borrow limit while a loan is open)
+  const withdraw = async (asset) => {
+    const input = amountOf(asset, 'withdraw');
+    if (!input) return;
+    const amount = parseAmount(input, asset.decimals);
+    if (amount === null) {
+      alert('Enter a positive withdraw amount.');
+      return;
+    }
+    if (amount > asset.maxWithdrawable) {
+      alert('Amount exceeds your safely withdrawable collateral.');
+      return;
+    }
+    const sent = await run(`withdraw:${asset.address}`, () => lendingProtocol.withdrawCollateral(asset.address, amount), {
+      action: 'withdrawing',
+      success: 'Collateral withdrawn successfully!'
+    });
+    if (sent) setAmount(asset, 'withdraw', '');
+  };
+
+  return (
+    <section className="collateral-section">
+      <h2>Collateral Assets</h2>
+      <div className="actions-grid">
+        {collateral.map((asset) => (
+          <div key={asset.address} className="action-card collateral-card">
+            <h3>{asset.symbol}</h3>
+            <p>
+              Collateral factor: {formatFactor(asset.collateralFactor)}<br />
+              Liquidation threshold: {formatFactor(asset.liquidationThreshold)}<br />
+              Deposited: {formatAmount(asset.deposited, asset.decimals)} {asset.symbol}<br />
+              Safely withdrawable: {formatAmount(asset.maxWithdrawable, asset.decimals)} {asset.symbol}
+            </p>
+            {asset.pending && (
+              <div className="pending-change">
+                Pending: factor <strong>{formatFactor(asset.pending.collateralFactor)}</strong>,
+                threshold <strong>{formatFactor(asset.pending.liquidationThreshold)}</strong>
+                <br />
+                executable after {asset.pending.executableAt.toLocaleString()}
+              </div>
+            )}
+            <input
+              type="number"
+              placeholder={`Amount in ${asset.symbol}`}
+              value={amountOf(asset, 'deposit')}
+              onChange={(e) => setAmount(asset, 'deposit', e.target.value)}
+              aria-label={`Deposit amount in ${asset.symbol}`}
+            />
+            <button
+              onClick={() => deposit(asset)}
+              disabled={pending[`deposit:${asset.address}`] || !amountOf(asset, 'deposit') || disabled || paused.DEPOSIT}
+              className="action-button deposit-button"
+              aria-label={`Deposit ${asset.symbol}`}
+            >
+              {pending[`deposit:${asset.address}`] ? 'Processing...' : 'Deposit'}
+            </button>
+            <div className="input-with-max">
+              <input
+                type="number"
+                placeholder={`Amount in ${asset.symbol}`}
+                value={amountOf(asset, 'withdraw')}
+                onChange={(e) => setAmount(asset, 'withdraw', e.target.value)}
+                aria-label={`Withdraw amount in ${asset.symbol}`}
+              />
+              <button
+                type="button"
+                onClick={() => setAmount(asset, 'withdraw', ethers.formatUnits(asset.maxWithdrawable, asset.decimals))}
+                disabled={asset.maxWithdrawable === 0n}
+                className="max-button"
+                aria-label={`Use maximum safely withdrawable ${asset.symbol}`}
+              >
+                Max
+              </button>
+            </div>
+            <button
+              onClick={() => withdraw(asset)}
+              disabled={pending[`withdraw:${asset.address}`] || !amountOf(asset, 'withdraw') || asset.maxWithdrawable === 0n}
+              className="action-button withdraw-button"
+              aria-label={`Withdraw ${asset.symbol}`}
+            >
+              {pending[`withdraw:${asset.address}`] ? 'Processing...' : 'Withdraw'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default CollateralAssets;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+
+const EVENT_LABELS = {
+  CollateralDeposited: 'Deposit',
+  CollateralWithdrawn: 'Withdraw',
+  LoanBorrowed: 'Borrow',
+  LoanRepaid: 'Repay',
+  Liquidated: 'Liquidated'
+};
+
+// Transaction history of the connected account, served by the event indexer
+function History({ account, indexerUrl, collateralAssets, txLinkPrefix }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const res = await fetch(`${indexerUrl}/users/${account}/events?limit=100`);
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error);
+      setEvents(body.events);
+    } catch (err) {
+      console.error('Error loading history:', err);
+      setError(`Could not load history from the indexer (${err.message}).`);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, indexerUrl]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // Collateral amounts use the asset's decimals; debt amounts are dDAI
+  const formatCollateral = (amount, assetAddress) => {
+    const asset = collateralAssets.find((a) => a.address.toLowerCase() === assetAddress.toLowerCase());
+    if (!asset) return `${ethers.formatEther(amount)} (unknown asset)`;
+    return `${parseFloat(ethers.formatUnits(amount, asset.decimals)).toFixed(4)} ${asset.symbol}`;
+  };
+  const formatDebt = (amount) => `${parseFloat(ethers.formatEther(amount)).toFixed(4)} dDAI`;
+
+  const describe = (event) => {
+    switch (event.type) {
+      case 'CollateralDeposited':
+      case 'CollateralWithdrawn':
+        return formatCollateral(event.amount, event.asset);
+      case 'LoanRepaid':
+        return `${formatDebt(BigInt(event.amount) + BigInt(event.interest))} (${formatDebt(event.interest)} interest)`;
+      case 'Liquidated':
+        return `${formatDebt(event.amount)} repaid, ${formatCollateral(event.collateralSeized, event.asset)} seized`;
+      default:
+        return formatDebt(event.amount);
+    }
+  };
+
+  return (
+    <section className="history-section">
+      <h2>Transaction History</h2>
+      <div className="history-toolbar">
+        <button onClick={loadHistory} disabled={loading} className="max-button" aria-label="Refresh history">
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+      {error && <p className="history-error" role="alert">{error}</p>}
+      {!error && !loading && events.length === 0 && (
+        <p className="history-empty">No transactions yet.</p>
+      )}
+      {events.length > 0 && (
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Action</th>
+              <th>Amount</th>
+              <th>Transaction</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={`${event.transactionHash}:${event.logIndex}`}>
+                <td>{new Date(event.timestamp * 1000).toLocaleString()}</td>
+                <td>{EVENT_LABELS[event.type]}</td>
+                <td>{describe(event)}</td>
+                <td>
+                  <a href={txLinkPrefix + event.transactionHash} target="_blank" rel="noopener noreferrer">
+                    {event.transactionHash.slice(0, 10)}...
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
+export default History;
@@ -0,0 +1,286 @@
+import React, { useState, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { ensureAllowance } from '../approvals.js';
+import { formatAmount, parseAmount } from '../format.js';
+import { useContractQuery } from '../hooks/useContractQuery.js';
+import { useTransaction } from '../hooks/useTransaction.js';
+
+// Acting on another account's position: deposits, repayments and borrow delegation
+function OtherAccounts({ lendingProtocol, loanToken, account, collateral, loanBalance, paused, onTransaction }) {
+  const { pending, run } = useTransaction(onTransaction);
+  const [onBehalf, setOnBehalf] = useState({
+    depositUser: '',
+    depositAsset: '',
+    depositAmount: '',
+    repayUser: '',
+    repayAmount: '',
+    delegate: '',
+    delegateAmount: '',
+    delegator: '',
+    delegatedAmount: ''
+  });
+
+  const setOnBehalfField = (field, value) => {
+    setOnBehalf((o) => ({ ...o, [field]: value }));
+  };
+
+  // Borrow allowances for the delegate and delegator addresses being entered (null when unknown)
+  const delegation = useContractQuery(useMemo(() => {
+    if (!lendingProtocol || !account) return null;
+    const lookup = async (owner, spender) =>
+      ethers.isAddress(owner) && ethers.isAddress(spender)
+        ? lendingProtocol.borrowAllowance(owner, spender)
+        : null;
+    return async () => {
+      const [granted, received] = await Promise.all([
+        lookup(account, onBehalf.delegate),
+        lookup(onBehalf.delegator, account)
+      ]);
+      return { granted, received };
+    };
+  }, [lendingProtocol, account, onBehalf.delegate, onBehalf.delegator]));
+  const granted = delegation.data?.granted ?? null;
+  const received = delegation.data?.received ?? null;
+
+  const spender = lendingProtocol.target;
+
+  // Deposit collateral from this wallet into another account's position
+  const depositFor = async () => {
+    const asset = collateral.find((a) => a.address === onBehalf.depositAsset) || collateral[0];
+    if (!asset) return;
+    if (!ethers.isAddress(onBehalf.depositUser)) {
+      alert('Enter a valid account address.');
+      return;
+    }
+    const amount = parseAmount(onBehalf.depositAmount, asset.decimals);
+    if (amount === null) {
+      alert('Enter a positive deposit amount.');
+      return;
+    }
+    if (amount > asset.walletBalance) {
+      alert(`Insufficient ${asset.symbol} balance.`);
+      return;
+    }
+    const sent = await run('depositFor', async () => {
+      // The on-behalf calls take no permit, so approve exactly this deposit
+      await ensureAllowance(asset.token, account, spender, amount);
+      return lendingProtocol.depositCollateralFor(onBehalf.depositUser, asset.address, amount);
+    }, {
+      action: 'depositing for another account',
+      success: 'Collateral deposited for the account!'
+    });
+    if (sent) setOnBehalfField('depositAmount', '');
+  };
+
+  // Repay another account's loan from this wallet's dDAI
+  const repayFor = async () => {
+    if (!ethers.isAddress(onBehalf.repayUser)) {
+      alert('Enter a valid account address.');
+      return;
+    }
+    const amount = parseAmount(onBehalf.repayAmount);
+    if (amount === null) {
+      alert('Enter a positive repay amount.');
+      return;
+    }
+    if (amount > loanBalance) {
+      alert('Insufficient dDAI balance to repay.');
+      return;
+    }
+    const sent = await run('repayFor', async () => {
+      // Approve exactly this repayment, never an open-ended allowance
+      await ensureAllowance(loanToken, account, spender, amount);
+      // The contract caps the repayment at the account's debt
+      return lendingProtocol.repayFor(onBehalf.repayUser, amount);
+    }, {
+      action: 'repaying for another account',
+      success: 'Loan repaid for the account!'
+    });
+    if (sent) setOnBehalfField('repayAmount', '');
+  };
+
+  // Set how much a delegate may borrow against this wallet's collateral (0 revokes)
+  const approveDelegation = async () => {
+    if (!ethers.isAddress(onBehalf.delegate)) {
+      alert('Enter a valid delegate address.');
+      return;
+    }
+    let amount;
+    try {
+      amount = ethers.parseEther(onBehalf.delegateAmount);
+    } catch {
+      amount = -1n;
+    }
+    if (amount < 0n) {
+      alert('Enter an allowance of 0 or more.');
+      return;
+    }
+    const sent = await run('delegate', () => lendingProtocol.approveBorrowDelegation(onBehalf.delegate, amount), {
+      action: 'approving the delegation',
+      success: amount === 0n ? 'Delegation revoked.' : 'Borrow delegation approved!'
+    });
+    if (sent) {
+      setOnBehalfField('delegateAmount', '');
+      await delegation.refresh();
+    }
+  };
+
+  // Borrow against a delegator's collateral; the debt is theirs, the dDAI comes here
+  const borrowDelegated = async () => {
+    if (!ethers.isAddress(onBehalf.delegator)) return;
+    const amount = parseAmount(onBehalf.delegatedAmount);
+    if (amount === null) {
+      alert('Enter a positive borrow amount.');
+      return;
+    }
+    if (received !== null && amount > received) {
+      alert('Amount exceeds your borrow allowance.');
+      return;
+    }
+    const sent = await run('borrowFor', () => lendingProtocol.borrowFor(onBehalf.delegator, amount), {
+      action: 'borrowing as a delegate',
+      success: 'Tokens borrowed on behalf of the delegator!'
+    });
+    if (sent) {
+      setOnBehalfField('delegatedAmount', '');
+      await delegation.refresh();
+    }
+  };
+
+  return (
+    <section className="delegation-section">
+      <h2>Other Accounts</h2>
+      <div className="actions-grid">
+        {/* Deposit for */}
+        <div className="action-card">
+          <h3>Deposit Collateral For</h3>
+          <input
+            type="text"
+            placeholder="Account address (0x...)"
+            value={onBehalf.depositUser}
+            onChange={(e) => setOnBehalfField('depositUser', e.target.value)}
+            aria-label="Account to deposit collateral for"
+          />
+          <select
+            value={onBehalf.depositAsset || collateral[0]?.address || ''}
+            onChange={(e) => setOnBehalfField('depositAsset', e.target.value)}
+            aria-label="Collateral asset to deposit for the account"
+          >
+            {collateral.map((asset) => (
+              <option key={asset.address} value={asset.address}>{asset.symbol}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            placeholder="Amount"
+            value={onBehalf.depositAmount}
+            onChange={(e) => setOnBehalfField('depositAmount', e.target.value)}
+            aria-label="Collateral amount to deposit for the account"
+          />
+          <button
+            onClick={depositFor}
+            disabled={pending.depositFor || !onBehalf.depositUser || !onBehalf.depositAmount || paused.DEPOSIT}
+            className="action-button deposit-button"
+            aria-label="Deposit collateral for the account"
+          >
+            {pending.depositFor ? 'Processing...' : 'Deposit For'}
+          </button>
+        </div>
+
+        {/* Repay for */}
+        <div className="action-card">
+          <h3>Repay Loan For</h3>
+          <input
+            type="text"
+            placeholder="Account address (0x...)"
+            value={onBehalf.repayUser}
+            onChange={(e) => setOnBehalfField('repayUser', e.target.value)}
+            aria-label="Account to repay for"
+          />
+          <input
+            type="number"
+            placeholder="Amount in dDAI"
+            value={onBehalf.repayAmount}
+            onChange={(e) => setOnBehalfField('repayAmount', e.target.value)}
+            aria-label="Amount in dDAI to repay for the account"
+          />
+          <button
+            onClick={repayFor}
+            disabled={pending.repayFor || !onBehalf.repayUser || !onBehalf.repayAmount}
+            className="action-button repay-button"
+            aria-label="Repay loan for the account"
+          >
+            {pending.repayFor ? 'Processing...' : 'Repay For'}
+          </button>
+        </div>
+
+        {/* Grant a borrow delegation */}
+        <div className="action-card">
+          <h3>Delegate Borrowing</h3>
+          <p>
+            The delegate borrows against your collateral and you owe the debt.
+            {granted !== null && (
+              <><br />Current allowance: {formatAmount(granted)} dDAI</>
+            )}
+          </p>
+          <input
+            type="text"
+            placeholder="Delegate address (0x...)"
+            value={onBehalf.delegate}
+            onChange={(e) => setOnBehalfField('delegate', e.target.value)}
+            aria-label="Delegate address"
+          />
+          <input
+            type="number"
+            placeholder="Allowance in dDAI (0 revokes)"
+            value={onBehalf.delegateAmount}
+            onChange={(e) => setOnBehalfField('delegateAmount', e.target.value)}
+            aria-label="Borrow allowance in dDAI"
+          />
+          <button
+            onClick={approveDelegation}
+            disabled={pending.delegate || !onBehalf.delegate || onBehalf.delegateAmount === ''}
+            className="action-button borrow-button"
+            aria-label="Set borrow allowance"
+          >
+            {pending.delegate ? 'Processing...' : 'Set Allowance'}
+          </button>
+        </div>
+
+        {/* Borrow as a delegate */}
+        <div className="action-card">
+          <h3>Borrow as Delegate</h3>
+          <p>
+            {received !== null
+              ? `Your allowance: ${formatAmount(received)} dDAI`
+              : 'Enter the account that delegated to you.'}
+          </p>
+          <input
+            type="text"
+            placeholder="Delegator address (0x...)"
+            value={onBehalf.delegator}
+            onChange={(e) => setOnBehalfField('delegator', e.target.value)}
+            aria-label="Delegator address"
+          />
+          <input
+            type="number"
+            placeholder="Amount in dDAI"
+            value={onBehalf.delegatedAmount}
+            onChange={(e) => setOnBehalfField('delegatedAmount', e.target.value)}
+            aria-label="Amount in dDAI to borrow as delegate"
+          />
+          <button
+            onClick={borrowDelegated}
+            disabled={pending.borrowFor || !onBehalf.delegatedAmount || !received || paused.BORROW}
+            className="action-button borrow-button"
+            aria-label="Borrow as delegate"
+          >
+            {pending.borrowFor ? 'Processing...' : 'Borrow'}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default OtherAccounts;
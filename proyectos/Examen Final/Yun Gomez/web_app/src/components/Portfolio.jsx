@@ -0,0 +1,56 @@
+import React from 'react';
+import { formatAmount, formatFactor, formatUsd } from '../format.js';
+
+const UNAVAILABLE = 'Stale prices';
+
+// Oracle valuation of the connected account's borrowing position
+function Portfolio({ position }) {
+  // Collateral value over debt value; 1e18 = 100%
+  const collateralizationRatio = position.debtValue === null
+    ? UNAVAILABLE
+    : position.debtValue === 0n
+      ? 'N/A'
+      : formatFactor((position.collateralValue * 10n ** 18n) / position.debtValue);
+
+  return (
+    <section className="portfolio-section">
+      <h2>Your Portfolio</h2>
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Collateral Value</h3>
+          <p>{formatUsd(position.collateralValue)}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Loan Balance</h3>
+          <p>{formatAmount(position.loanBalance)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Accrued Interest</h3>
+          <p>{formatAmount(position.accruedInterest)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Total Debt</h3>
+          <p>{formatAmount(position.totalDebt)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Collateralization Ratio</h3>
+          <p>{collateralizationRatio}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Health Factor</h3>
+          <p>
+            {position.healthFactor !== null
+              ? formatAmount(position.healthFactor, 18, 2)
+              : position.stalePrices && position.totalDebt > 0n ? UNAVAILABLE : 'N/A'}
+          </p>
+        </div>
+        <div className="stat-card">
+          <h3>Max Borrowable</h3>
+          <p>{position.maxBorrowable === null ? UNAVAILABLE : `${formatAmount(position.maxBorrowable)} dDAI`}</p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default Portfolio;
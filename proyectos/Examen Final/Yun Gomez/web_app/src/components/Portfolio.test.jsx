@@ -0,0 +1,49 @@
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import { ethers } from 'ethers';
+import Portfolio from './Portfolio.jsx';
+
+const e18 = (n) => ethers.parseEther(String(n));
+
+const position = {
+  collateralValue: e18(2000),
+  debtValue: e18(1000),
+  loanBalance: e18(990),
+  accruedInterest: e18(10),
+  totalDebt: e18(1000),
+  maxBorrowable: e18('499.99999'),
+  healthFactor: e18(1.6)
+};
+
+// Value shown in the stat card titled `title`
+const stat = (title) => screen.getByRole('heading', { name: title }).nextElementSibling.textContent;
+
+describe('Portfolio', () => {
+  afterEach(cleanup);
+
+  it('formats the position', () => {
+    render(<Portfolio position={position} />);
+    expect(stat('Collateral Value')).toBe('$2000.00');
+    expect(stat('Loan Balance')).toBe('990.0000 dDAI');
+    expect(stat('Accrued Interest')).toBe('10.0000 dDAI');
+    expect(stat('Collateralization Ratio')).toBe('200.00%');
+    expect(stat('Health Factor')).toBe('1.60');
+    // Truncated, never rounded up past what the contract allows
+    expect(stat('Max Borrowable')).toBe('499.9999 dDAI');
+  });
+
+  it('shows N/A without debt', () => {
+    render(<Portfolio position={{ ...position, debtValue: 0n, totalDebt: 0n, healthFactor: null }} />);
+    expect(stat('Collateralization Ratio')).toBe('N/A');
+    expect(stat('Health Factor')).toBe('N/A');
+  });
+
+  it('marks the valuation unavailable while prices are stale', () => {
+    render(<Portfolio position={{ ...position, debtValue: null, maxBorrowable: null, healthFactor: null, stalePrices: true }} />);
+    expect(stat('Loan Balance')).toBe('990.0000 dDAI');
+    expect(stat('Collateralization Ratio')).toBe('Stale prices');
+    expect(stat('Health Factor')).toBe('Stale prices');
+    expect(stat('Max Borrowable')).toBe('Stale prices');
+  });
+});
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { connectToken, connectPriceOracle, connectInterestRateModel } from '../client/contracts.js';
+import { formatAmount, formatFactor, formatUsd } from '../format.js';
+import {
+  PRECISION,
+  MAX_UINT256,
+  accountLiquidity,
+  maxBorrowable,
+  maxWithdrawable,
+  healthFactor,
+  collateralizationRatio,
+  accrueIndex,
+  projectedInterest,
+  applyAction
+} from '../positionMath.js';
+
+const ACTIONS = [
+  { type: 'deposit', label: () => 'Deposit collateral' },
+  { type: 'withdraw', label: () => 'Withdraw collateral' },
+  { type: 'borrow', label: (symbol) => `Borrow ${symbol}` },
+  { type: 'repay', label: (symbol) => `Repay ${symbol}` }
+];
+const HORIZON_UNITS = { days: 24 * 60 * 60, weeks: 7 * 24 * 60 * 60 };
+
+const formatRatio = (value) => (value === null ? 'N/A' : formatFactor(value));
+const formatHealth = (value) => (value === MAX_UINT256 ? 'N/A' : formatAmount(value, 18, 4));
+
+// Preview of a deposit, withdrawal, borrow or repayment before signing it. The position is
+// read once per refresh and the action applied with the contract's own integer math.
+function PositionSimulator({ lendingProtocol, loanToken, account, refreshKey }) {
+  const [position, setPosition] = useState(null);
+  const [rateModel, setRateModel] = useState(null);
+  const [currentRate, setCurrentRate] = useState(0n);
+  const [action, setAction] = useState({ type: 'borrow', asset: '', amount: '' });
+  const [horizon, setHorizon] = useState({ value: '4', unit: 'weeks' });
+  const [projectedRate, setProjectedRate] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadPosition = useCallback(async () => {
+    try {
+      setError('');
+      const runner = lendingProtocol.runner;
+      const [
+        assetAddresses, oracleAddress, modelAddress, loanAddress, loanDecimals, loanSymbol, userData, user,
+        totalDebt, cash, rate, storedIndex, lastAccrualTime, maxPriceAge, block
+      ] = await Promise.all([
+        lendingProtocol.getCollateralAssets(),
+        lendingProtocol.priceOracle(),
+        lendingProtocol.interestRateModel(),
+        lendingProtocol.loanToken(),
+        lendingProtocol.loanDecimals(),
+        loanToken.symbol(),
+        lendingProtocol.getUserData(account),
+        lendingProtocol.users(account),
+        lendingProtocol.getTotalDebt(),
+        loanToken.balanceOf(await lendingProtocol.getAddress()),
+        lendingProtocol.getBorrowRate(),
+        lendingProtocol.borrowIndex(),
+        lendingProtocol.lastAccrualTime(),
+        lendingProtocol.MAX_PRICE_AGE(),
+        runner.provider.getBlock('latest')
+      ]);
+      const oracle = connectPriceOracle(oracleAddress, runner);
+      const now = BigInt(block.timestamp);
+      // The contract rejects prices older than MAX_PRICE_AGE wherever it reads them
+      const isStale = (updatedAt) => now - updatedAt > maxPriceAge;
+
+      const assets = await Promise.all(assetAddresses.map(async (address) => {
+        const token = connectToken(address, runner);
+        const [symbol, config, deposited, walletBalance, [price, updatedAt]] = await Promise.all([
+          token.symbol(),
+          lendingProtocol.collateralConfigs(address),
+          lendingProtocol.collateralBalances(account, address),
+          token.balanceOf(account),
+          oracle.getPrice(address)
+        ]);
+        return {
+          address,
+          symbol,
+          decimals: Number(config.decimals),
+          price,
+          stale: isStale(updatedAt),
+          collateralFactor: config.collateralFactor,
+          liquidationThreshold: config.liquidationThreshold,
+          deposited,
+          walletBalance
+        };
+      }));
+      const [[loanPrice, loanUpdatedAt], loanWalletBalance] = await Promise.all([
+        oracle.getPrice(loanAddress),
+        loanToken.balanceOf(account)
+      ]);
+
+      setPosition({
+        assets,
+        debt: userData.totalDebt,
+        scaledDebt: user.scaledDebt,
+        // The index getUserData read the debt at, accrued as _currentInterestState does
+        borrowIndex: accrueIndex(storedIndex, rate, now - lastAccrualTime),
+        loan: {
+          symbol: loanSymbol,
+          decimals: Number(loanDecimals),
+          price: loanPrice,
+          stale: isStale(loanUpdatedAt),
+          walletBalance: loanWalletBalance
+        },
+        pool: { cash, borrows: totalDebt }
+      });
+      setRateModel(connectInterestRateModel(modelAddress, runner));
+      setCurrentRate(rate);
+      setAction((a) => (a.asset ? a : { ...a, asset: assets[0]?.address ?? '' }));
+    } catch (err) {
+      console.error('Error loading position for the simulator:', err);
+      setError(`Could not load your position (${err.shortMessage ?? err.message}).`);
+    }
+  }, [lendingProtocol, loanToken, account]);
+
+  useEffect(() => {
+    loadPosition();
+  }, [loadPosition, refreshKey]);
+
+  const isCollateralAction = action.type === 'deposit' || action.type === 'withdraw';
+  const decimals = !position
+    ? 18
+    : isCollateralAction
+      ? position.assets.find((a) => a.address === action.asset)?.decimals ?? 18
+      : position.loan.decimals;
+
+  // Parse the amount with the token's decimals; anything else is not a previewable amount
+  let amount = null;
+  try {
+    if (action.amount) amount = ethers.parseUnits(action.amount, decimals);
+  } catch {
+    amount = null;
+  }
+
+  const result = position && amount !== null && (!isCollateralAction || action.asset)
+    ? applyAction(position, { type: action.type, amount, asset: action.asset })
+    : null;
+  const after = result?.error ? null : result?.position;
+
+  // The model can be replaced through governance, so ask it for the rate instead of porting it
+  const afterCash = after?.pool.cash;
+  const afterBorrows = after?.pool.borrows;
+  useEffect(() => {
+    if (!rateModel || afterCash === undefined) {
+      setProjectedRate(null);
+      return;
+    }
+    let cancelled = false;
+    rateModel.getBorrowRate(afterCash, afterBorrows)
+      .then((rate) => { if (!cancelled) setProjectedRate(rate); })
+      .catch((err) => console.error('Error loading the borrow rate:', err));
+    return () => { cancelled = true; };
+  }, [rateModel, afterCash, afterBorrows]);
+
+  const horizonSeconds = Math.max(0, Math.floor(Number(horizon.value) * HORIZON_UNITS[horizon.unit])) || 0;
+
+  // Largest amount the contract would accept for the selected action
+  const maxAmount = () => {
+    if (!position) return 0n;
+    switch (action.type) {
+      case 'deposit':
+        return position.assets.find((a) => a.address === action.asset)?.walletBalance ?? 0n;
+      case 'withdraw':
+        return action.asset ? maxWithdrawable(position, action.asset) : 0n;
+      case 'borrow': {
+        const max = maxBorrowable(position);
+        return max < position.pool.cash ? max : position.pool.cash;
+      }
+      case 'repay':
+        return position.debt < position.loan.walletBalance ? position.debt : position.loan.walletBalance;
+      default:
+        return 0n;
+    }
+  };
+
+  // Every figure of the table for one position and the rate it pays
+  const describe = (p, rate) => {
+    const liquidity = accountLiquidity(p);
+    const interest = rate === null ? null : projectedInterest(p.scaledDebt, p.borrowIndex, rate, horizonSeconds);
+    return {
+      collateralValue: formatUsd(liquidity.collateralValue),
+      borrowLimit: formatUsd(liquidity.borrowLimit),
+      debt: `${formatAmount(p.debt, p.loan.decimals)} ${p.loan.symbol}`,
+      ratio: formatRatio(collateralizationRatio(p)),
+      health: formatHealth(healthFactor(p)),
+      maxBorrowable: `${formatAmount(maxBorrowable(p), p.loan.decimals)} ${p.loan.symbol}`,
+      rate: rate === null ? '…' : `${formatFactor(rate, 4)} / week`,
+      interest: interest === null ? '…' : `${formatAmount(interest, p.loan.decimals)} ${p.loan.symbol}`,
+      healthAtHorizon: interest === null ? '…' : formatHealth(healthFactor({ ...p, debt: p.debt + interest }))
+    };
+  };
+
+  if (!position) {
+    return (
+      <section className="simulator-section">
+        <h2>What-If Simulator</h2>
+        <p className={error ? 'history-error' : 'history-empty'}>{error || 'Loading position...'}</p>
+      </section>
+    );
+  }
+
+  const current = describe(position, currentRate);
+  const preview = after ? describe(after, projectedRate) : null;
+  const rows = [
+    ['collateralValue', 'Collateral Value'],
+    ['borrowLimit', 'Borrow Limit'],
+    ['debt', 'Total Debt'],
+    ['ratio', 'Collateralization Ratio'],
+    ['health', 'Health Factor'],
+    ['maxBorrowable', 'Max Borrowable'],
+    ['rate', 'Borrow Rate'],
+    ['interest', `Interest over ${horizon.value || 0} ${horizon.unit}`],
+    ['healthAtHorizon', `Health Factor in ${horizon.value || 0} ${horizon.unit}`]
+  ];
+  const liquidatable = after && healthFactor(after) < PRECISION;
+  const stalePrices = [...position.assets, position.loan].filter((a) => a.stale).map((a) => a.symbol);
+
+  return (
+    <section className="simulator-section">
+      <h2>What-If Simulator</h2>
+      <div className="simulator-controls action-card">
+        <select
+          value={action.type}
+          onChange={(e) => setAction({ ...action, type: e.target.value, amount: '' })}
+          aria-label="Action to simulate"
+        >
+          {ACTIONS.map((a) => <option key={a.type} value={a.type}>{a.label(position.loan.symbol)}</option>)}
+        </select>
+        {isCollateralAction && (
+          <select
+            value={action.asset}
+            onChange={(e) => setAction({ ...action, asset: e.target.value, amount: '' })}
+            aria-label="Collateral asset to simulate"
+          >
+            {position.assets.map((a) => <option key={a.address} value={a.address}>{a.symbol}</option>)}
+          </select>
+        )}
+        <div className="input-with-max">
+          <input
+            type="number"
+            placeholder="Amount"
+            value={action.amount}
+            onChange={(e) => setAction({ ...action, amount: e.target.value })}
+            aria-label="Amount to simulate"
+          />
+          <button
+            type="button"
+            onClick={() => setAction({ ...action, amount: ethers.formatUnits(maxAmount(), decimals) })}
+            className="max-button"
+            aria-label="Use the largest amount the contract accepts"
+          >
+            Max
+          </button>
+        </div>
+        <div className="simulator-horizon">
+          <label htmlFor="simulator-horizon">Horizon</label>
+          <input
+            id="simulator-horizon"
+            type="number"
+            min="0"
+            value={horizon.value}
+            onChange={(e) => setHorizon({ ...horizon, value: e.target.value })}
+          />
+          <select
+            value={horizon.unit}
+            onChange={(e) => setHorizon({ ...horizon, unit: e.target.value })}
+            aria-label="Horizon unit"
+          >
+            {Object.keys(HORIZON_UNITS).map((unit) => <option key={unit} value={unit}>{unit}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {stalePrices.length > 0 && (
+        <p className="simulator-error" role="alert">
+          Oracle prices are stale ({stalePrices.join(', ')}): borrowing and withdrawing with debt will fail until they are refreshed.
+        </p>
+      )}
+      {result?.error && (
+        <p className="simulator-error" role="alert">This transaction would fail: {result.error}</p>
+      )}
+      {liquidatable && (
+        <p className="simulator-error" role="alert">The position would be eligible for liquidation.</p>
+      )}
+
+      <table className="history-table simulator-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Now</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([key, label]) => (
+            <tr key={key}>
+              <th scope="row">{label}</th>
+              <td>{current[key]}</td>
+              <td>{preview ? preview[key] : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="simulator-note">
+        Interest is projected at the borrow rate after the action, assuming nobody else changes the pool
+        and prices stay where they are.
+      </p>
+    </section>
+  );
+}
+
+export default PositionSimulator;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { ethers } from 'ethers';
+
+// Display format of each governed parameter, keyed by PARAM_* name
+const formatPercent = (value) => `${value.toString()}%`;
+const formatBasisPoints = (value) => `${(Number(value) / 100).toFixed(2)}%`;
+// Pending changes store the new model's address as a uint256
+const formatAddress = (value) => ethers.getAddress(typeof value === 'string' ? value : ethers.toBeHex(value, 20));
+const PARAMETER_FORMATS = {
+  LIQUIDATION_BONUS: formatPercent,
+  CLOSE_FACTOR: formatPercent,
+  FLASH_LOAN_FEE: formatBasisPoints,
+  RESERVE_FACTOR: formatPercent,
+  INTEREST_RATE_MODEL: formatAddress
+};
+
+// Current governed parameters and any change waiting on the timelock
+function ProtocolParameters({ parameters }) {
+  return (
+    <section className="protocol-section parameters-section">
+      <h2>Protocol Parameters</h2>
+      <div className="stats-grid">
+        {parameters.map((param) => {
+          const format = PARAMETER_FORMATS[param.key];
+          return (
+            <div key={param.key} className="stat-card">
+              <h3>{param.label}</h3>
+              <p className="parameter-value">{format(param.current)}</p>
+              {param.pending && (
+                <div className="pending-change">
+                  Pending: <strong>{format(param.pending.value)}</strong>
+                  <br />
+                  executable after {param.pending.executableAt.toLocaleString()}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+export default ProtocolParameters;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { describe, it, expect, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import { ethers } from 'ethers';
+import ProtocolParameters from './ProtocolParameters.jsx';
+
+const MODEL = ethers.getAddress('0x0000000000000000000000000000000000000abc');
+const NEXT_MODEL = 0xdefn;
+
+describe('ProtocolParameters', () => {
+  afterEach(cleanup);
+
+  it('formats each parameter and its pending change', () => {
+    render(<ProtocolParameters parameters={[
+      { key: 'LIQUIDATION_BONUS', label: 'Liquidation Bonus', current: 5n, pending: null },
+      { key: 'FLASH_LOAN_FEE', label: 'Flash Loan Fee', current: 9n, pending: null },
+      {
+        key: 'INTEREST_RATE_MODEL',
+        label: 'Interest Rate Model',
+        current: MODEL,
+        pending: { value: NEXT_MODEL, executableAt: new Date(1_700_000_000_000) }
+      }
+    ]} />);
+
+    expect(screen.getByText('5%')).toBeTruthy();
+    expect(screen.getByText('0.09%')).toBeTruthy();
+    expect(screen.getByText(MODEL)).toBeTruthy();
+    // Pending model changes are stored as a uint256
+    expect(screen.getByText(ethers.getAddress('0x0000000000000000000000000000000000000def'))).toBeTruthy();
+  });
+});
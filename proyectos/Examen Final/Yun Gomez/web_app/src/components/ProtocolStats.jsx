@@ -0,0 +1,43 @@
+import React from 'react';
+import { formatAmount, formatFactor, formatUsd } from '../format.js';
+
+// Protocol-wide totals and rates
+function ProtocolStats({ stats }) {
+  return (
+    <section className="protocol-section">
+      <h2>Protocol Statistics</h2>
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Total Collateral</h3>
+          <p>{formatUsd(stats.totalCollateralValue)}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Total Loans</h3>
+          <p>{formatAmount(stats.totalLoans, 18, 2)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Total Debt</h3>
+          <p>{formatAmount(stats.totalDebt, 18, 2)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Protocol Reserves</h3>
+          <p>{formatAmount(stats.reserves)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Available Liquidity</h3>
+          <p>{formatAmount(stats.liquidity, 18, 2)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Borrow Rate</h3>
+          <p>{formatFactor(stats.borrowRate)} / week</p>
+        </div>
+        <div className="stat-card">
+          <h3>Utilization</h3>
+          <p>{formatFactor(stats.utilization)}</p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ProtocolStats;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { signPermit } from '../approvals.js';
+import { formatAmount, parseAmount } from '../format.js';
+import { useTransaction } from '../hooks/useTransaction.js';
+
+const WEEKS_PER_YEAR = 52; // Interest rates are quoted per week
+
+// Weekly supply rate (1e18 = 100%) compounded over a year, as a percentage
+const supplyApy = (weeklyRate) =>
+  (Math.pow(1 + parseFloat(ethers.formatEther(weeklyRate)), WEEKS_PER_YEAR) - 1) * 100;
+
+// Supply dDAI to the lending pool for sdDAI shares and redeem them
+function SupplyPanel({ lendingProtocol, loanToken, signer, account, supplier, supplyRate, loanBalance, paused, disabled, onTransaction }) {
+  const { pending, run } = useTransaction(onTransaction);
+  const [amounts, setAmounts] = useState({ supply: '', redeem: '' });
+
+  const supply = async () => {
+    if (!amounts.supply) return;
+    const amount = parseAmount(amounts.supply);
+    if (amount === null) {
+      alert('Enter a positive supply amount.');
+      return;
+    }
+    if (amount > loanBalance) {
+      alert('Insufficient dDAI balance.');
+      return;
+    }
+    const spender = lendingProtocol.target;
+    const sent = await run('supply', async () => {
+      const allowance = await loanToken.allowance(account, spender);
+      if (allowance >= amount) {
+        return lendingProtocol.supply(amount);
+      }
+      // Approve exactly this supply with a signature instead of a separate transaction
+      const { deadline, v, r, s } = await signPermit(signer, loanToken, spender, amount);
+      return lendingProtocol.supplyWithPermit(amount, deadline, v, r, s);
+    }, {
+      action: 'supplying',
+      success: 'dDAI supplied successfully!'
+    });
+    if (sent) setAmounts((a) => ({ ...a, supply: '' }));
+  };
+
+  // Redeem supply shares for dDAI plus earned interest
+  const redeem = async () => {
+    if (!amounts.redeem) return;
+    const shares = parseAmount(amounts.redeem);
+    if (shares === null) {
+      alert('Enter a positive amount of shares.');
+      return;
+    }
+    if (shares > supplier.shares) {
+      alert('Insufficient sdDAI shares.');
+      return;
+    }
+    const sent = await run('redeem', () => lendingProtocol.redeem(shares), {
+      action: 'redeeming',
+      success: 'Shares redeemed successfully!'
+    });
+    if (sent) setAmounts((a) => ({ ...a, redeem: '' }));
+  };
+
+  return (
+    <section className="supply-section">
+      <h2>Supply</h2>
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Supplied Balance</h3>
+          <p>{formatAmount(supplier.balance)} dDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Your Shares</h3>
+          <p>{formatAmount(supplier.shares)} sdDAI</p>
+        </div>
+        <div className="stat-card">
+          <h3>Current APY</h3>
+          <p>{supplyRate === null ? '…' : `${supplyApy(supplyRate).toFixed(2)}%`}</p>
+        </div>
+      </div>
+      <div className="actions-grid">
+        {/* Supply dDAI */}
+        <div className="action-card">
+          <h3>Supply dDAI</h3>
+          <p>Earn interest paid by borrowers</p>
+          <input
+            type="number"
+            placeholder="Amount in dDAI"
+            value={amounts.supply}
+            onChange={(e) => setAmounts({ ...amounts, supply: e.target.value })}
+            aria-label="Supply amount in dDAI"
+          />
+          <button
+            onClick={supply}
+            disabled={pending.supply || !amounts.supply || disabled || paused.DEPOSIT}
+            className="action-button supply-button"
+            aria-label="Supply dDAI"
+          >
+            {pending.supply ? 'Processing...' : 'Supply'}
+          </button>
+        </div>
+
+        {/* Redeem shares */}
+        <div className="action-card">
+          <h3>Redeem Shares</h3>
+          <p>Withdraw your dDAI plus earned interest</p>
+          <div className="input-with-max">
+            <input
+              type="number"
+              placeholder="Amount in sdDAI"
+              value={amounts.redeem}
+              onChange={(e) => setAmounts({ ...amounts, redeem: e.target.value })}
+              aria-label="Redeem amount in sdDAI"
+            />
+            <button
+              type="button"
+              onClick={() => setAmounts({ ...amounts, redeem: ethers.formatEther(supplier.shares) })}
+              disabled={supplier.shares === 0n}
+              className="max-button"
+              aria-label="Redeem all shares"
+            >
+              Max
+            </button>
+          </div>
+          <button
+            onClick={redeem}
+            disabled={pending.redeem || !amounts.redeem || supplier.shares === 0n}
+            className="action-button redeem-button"
+            aria-label="Redeem Shares"
+          >
+            {pending.redeem ? 'Processing...' : 'Redeem'}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default SupplyPanel;
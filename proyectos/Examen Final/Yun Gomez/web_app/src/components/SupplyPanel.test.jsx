@@ -0,0 +1,104 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import SupplyPanel from './SupplyPanel.jsx';
+
+const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+const PROTOCOL = '0x00000000000000000000000000000000000000ff';
+const PRIVATE_KEY = '0x' + '11'.repeat(32);
+const DOMAIN = { name: 'dDAI', version: '1', chainId: 1337n, verifyingContract: '0x00000000000000000000000000000000000000dd' };
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const e18 = (n) => ethers.parseEther(String(n));
+
+// Sends the transaction like App.runTransaction, without waiting for it to be mined
+const onTransaction = vi.fn(async (send) => {
+  await send();
+  return true;
+});
+
+let lendingProtocol;
+let loanToken;
+let signer;
+
+const renderPanel = (props = {}) => render(
+  <SupplyPanel
+    lendingProtocol={lendingProtocol}
+    loanToken={loanToken}
+    signer={signer}
+    account={ACCOUNT}
+    supplier={{ shares: 0n, balance: 0n }}
+    supplyRate={null}
+    loanBalance={e18(1000)}
+    paused={{}}
+    onTransaction={onTransaction}
+    {...props}
+  />
+);
+
+const enter = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+describe('SupplyPanel', () => {
+  beforeEach(() => {
+    vi.spyOn(window, 'alert').mockImplementation(() => {});
+    lendingProtocol = {
+      target: PROTOCOL,
+      supply: vi.fn().mockResolvedValue({}),
+      supplyWithPermit: vi.fn().mockResolvedValue({})
+    };
+    loanToken = {
+      allowance: vi.fn().mockResolvedValue(0n),
+      eip712Domain: vi.fn().mockResolvedValue(DOMAIN),
+      nonces: vi.fn().mockResolvedValue(0n)
+    };
+    signer = new ethers.Wallet(PRIVATE_KEY);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    onTransaction.mockClear();
+  });
+
+  it('supplies with an existing allowance', async () => {
+    loanToken.allowance.mockResolvedValue(e18(500));
+    renderPanel();
+    enter('Supply amount in dDAI', '500');
+    fireEvent.click(screen.getByRole('button', { name: 'Supply dDAI' }));
+
+    await waitFor(() => expect(lendingProtocol.supply).toHaveBeenCalledWith(e18(500)));
+    expect(loanToken.allowance).toHaveBeenCalledWith(ACCOUNT, PROTOCOL);
+    expect(lendingProtocol.supplyWithPermit).not.toHaveBeenCalled();
+  });
+
+  it('permits exactly the supplied amount when the allowance falls short', async () => {
+    loanToken.allowance.mockResolvedValue(e18(100));
+    renderPanel();
+    enter('Supply amount in dDAI', '250');
+    fireEvent.click(screen.getByRole('button', { name: 'Supply dDAI' }));
+
+    await waitFor(() => expect(lendingProtocol.supplyWithPermit).toHaveBeenCalled());
+    const [value, deadline, v, r, s] = lendingProtocol.supplyWithPermit.mock.calls[0];
+    expect(value).toBe(e18(250));
+    const message = { owner: signer.address, spender: PROTOCOL, value, nonce: 0n, deadline };
+    expect(ethers.verifyTypedData(DOMAIN, PERMIT_TYPES, message, { v, r, s })).toBe(signer.address);
+    expect(lendingProtocol.supply).not.toHaveBeenCalled();
+  });
+
+  it('rejects a supply above the wallet balance', async () => {
+    renderPanel({ loanBalance: e18(100) });
+    enter('Supply amount in dDAI', '200');
+    fireEvent.click(screen.getByRole('button', { name: 'Supply dDAI' }));
+
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Insufficient dDAI balance.'));
+    expect(onTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { formatAmount, formatCooldown } from '../format.js';
+import { useContractQuery } from '../hooks/useContractQuery.js';
+import { useTransaction } from '../hooks/useTransaction.js';
+
+// Wallet balances of every collateral asset and dDAI, with the test token faucet when deployed
+function TokenBalances({ collateral, loanBalance, faucet, account, disabled, onTransaction }) {
+  const { pending, run } = useTransaction(onTransaction);
+  const cooldown = useContractQuery(useMemo(
+    () => (faucet && account ? () => faucet.cooldownRemaining(account) : null),
+    [faucet, account]
+  ));
+  const [now, setNow] = useState(Date.now());
+  const readyAt = cooldown.data ? cooldown.updatedAt + Number(cooldown.data) * 1000 : 0;
+
+  // Tick once a second while the faucet cooldown is running
+  useEffect(() => {
+    if (readyAt <= now) return;
+    const timeout = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timeout);
+  }, [readyAt, now]);
+
+  // Mint test tokens from the faucet
+  const requestTestTokens = async () => {
+    await run('faucet', () => faucet.requestTokens(), {
+      action: 'requesting test tokens',
+      success: 'Test tokens received!'
+    });
+    await cooldown.refresh();
+    setNow(Date.now());
+  };
+
+  return (
+    <section className="balances-section">
+      <h2>Your Token Balances</h2>
+      <div className="balance-grid">
+        {collateral.map((asset) => (
+          <div key={asset.address} className="balance-card">
+            <h3>{asset.symbol} (Collateral)</h3>
+            <p>{formatAmount(asset.walletBalance, asset.decimals)}</p>
+          </div>
+        ))}
+        <div className="balance-card">
+          <h3>dDAI (Loan)</h3>
+          <p>{loanBalance === null ? '…' : formatAmount(loanBalance)}</p>
+        </div>
+      </div>
+      {faucet && (
+        <div className="faucet">
+          <button
+            onClick={requestTestTokens}
+            disabled={pending.faucet || readyAt > now || disabled}
+            className="action-button faucet-button"
+            aria-label="Get test tokens"
+          >
+            {pending.faucet ? 'Processing...' : 'Get test tokens'}
+          </button>
+          {readyAt > now && (
+            <p className="faucet-cooldown">Available again in {formatCooldown(readyAt - now)}</p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default TokenBalances;
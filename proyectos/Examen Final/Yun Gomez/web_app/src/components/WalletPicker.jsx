@@ -0,0 +1,33 @@
+import React from 'react';
+
+// One connect button per wallet installed in the browser
+function WalletPicker({ wallets, connecting, onSelect }) {
+  if (wallets.length === 0) {
+    return (
+      <p className="wallet-missing">
+        No browser wallet found. Install one, such as{' '}
+        <a href="https://metamask.io/download/" target="_blank" rel="noopener noreferrer">MetaMask</a>,
+        to use the protocol.
+      </p>
+    );
+  }
+
+  return (
+    <div className="wallet-picker">
+      {wallets.map((wallet) => (
+        <button
+          key={wallet.info.uuid}
+          onClick={() => onSelect(wallet)}
+          disabled={connecting !== null}
+          className="connect-button"
+          aria-label={`Connect ${wallet.info.name}`}
+        >
+          {wallet.info.icon && <img src={wallet.info.icon} alt="" className="wallet-icon" />}
+          {connecting === wallet.info.uuid ? 'Connecting...' : `Connect ${wallet.info.name}`}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default WalletPicker;
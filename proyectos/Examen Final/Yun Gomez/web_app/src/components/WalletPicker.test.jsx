@@ -0,0 +1,34 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import WalletPicker from './WalletPicker.jsx';
+
+const wallets = [
+  { info: { uuid: 'a1', name: 'MetaMask', icon: 'data:image/svg+xml,', rdns: 'io.metamask' }, provider: {} },
+  { info: { uuid: 'b2', name: 'Rabby', icon: '', rdns: 'io.rabby' }, provider: {} }
+];
+
+describe('WalletPicker', () => {
+  afterEach(cleanup);
+
+  it('offers every announced wallet', () => {
+    const onSelect = vi.fn();
+    render(<WalletPicker wallets={wallets} connecting={null} onSelect={onSelect} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Connect Rabby' }));
+    expect(onSelect).toHaveBeenCalledWith(wallets[1]);
+    expect(screen.getAllByRole('button')).toHaveLength(2);
+  });
+
+  it('disables the picker while a wallet connects', () => {
+    render(<WalletPicker wallets={wallets} connecting="a1" onSelect={vi.fn()} />);
+    expect(screen.getByRole('button', { name: 'Connect MetaMask' }).textContent).toBe('Connecting...');
+    expect(screen.getAllByRole('button').every((button) => button.disabled)).toBe(true);
+  });
+
+  it('points to a wallet install page when none is found', () => {
+    render(<WalletPicker wallets={[]} connecting={null} onSelect={vi.fn()} />);
+    expect(screen.getByText(/No browser wallet found/)).toBeTruthy();
+    expect(screen.getByRole('link', { name: 'MetaMask' }).getAttribute('href')).toBe('https://metamask.io/download/');
+  });
+});
@@ -0,0 +1,12 @@
+// Deployment manifests written by scripts/deploy.js, one per network (deployments/<network>.json)
+const manifests = Object.values(
+  import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' })
+);
+
+// Names of the networks with a deployment
+export const DEPLOYED_NETWORKS = manifests.map((manifest) => manifest.network);
+
+// Manifest of the deployment on a chain (chain ID as a number, bigint or hex string), or null
+export function getDeployment(chainId) {
+  return manifests.find((manifest) => BigInt(manifest.chainId) === BigInt(chainId)) ?? null;
+}
@@ -0,0 +1,39 @@
+import { ethers } from 'ethers';
+
+// Display helpers for the BigInt values the contract hooks return
+
+// Amount with exactly `places` decimals, truncated so a displayed maximum is never more than
+// the contract allows
+export function formatAmount(value, decimals = 18, places = 4) {
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const scale = 10n ** BigInt(decimals);
+  const whole = (abs / scale).toString();
+  const fraction = (abs % scale).toString().padStart(decimals, '0').padEnd(places, '0').slice(0, places);
+  return `${negative ? '-' : ''}${whole}${places > 0 ? `.${fraction}` : ''}`;
+}
+
+// USD values have 18 decimals
+export const formatUsd = (value) => `$${formatAmount(value, 18, 2)}`;
+
+// Factors, rates and utilization scaled by 1e18 (1e18 = 100%)
+export const formatFactor = (value, places = 2) => `${formatAmount(value * 100n, 18, places)}%`;
+
+// Remaining cooldown as h:mm:ss
+export const formatCooldown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${hours}:${minutes}:${seconds}`;
+};
+
+// Parse a user-entered amount, or null when it is not a positive number with at most `decimals` decimals
+export function parseAmount(input, decimals = 18) {
+  try {
+    const amount = ethers.parseUnits(input, decimals);
+    return amount > 0n ? amount : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { formatAmount, formatUsd, formatFactor, formatCooldown, parseAmount } from './format.js';
+
+describe('format', () => {
+  it('truncates amounts to a fixed number of places', () => {
+    expect(formatAmount(1999999999999999999n)).toBe('1.9999');
+    expect(formatAmount(10n ** 18n)).toBe('1.0000');
+    expect(formatAmount(123456789n, 8, 2)).toBe('1.23');
+    expect(formatAmount(-15n * 10n ** 17n, 18, 1)).toBe('-1.5');
+    expect(formatAmount(5n, 0, 0)).toBe('5');
+  });
+
+  it('formats USD values and factors scaled by 1e18', () => {
+    expect(formatUsd(2500n * 10n ** 18n)).toBe('$2500.00');
+    expect(formatFactor(75n * 10n ** 16n)).toBe('75.00%');
+    expect(formatFactor(5n * 10n ** 14n, 4)).toBe('0.0500%');
+  });
+
+  it('formats cooldowns as h:mm:ss', () => {
+    expect(formatCooldown(3_723_000)).toBe('1:02:03');
+    expect(formatCooldown(500)).toBe('0:00:01');
+  });
+
+  it('parses positive amounts only', () => {
+    expect(parseAmount('1.5')).toBe(15n * 10n ** 17n);
+    expect(parseAmount('0.01', 2)).toBe(1n);
+    expect(parseAmount('0')).toBeNull();
+    expect(parseAmount('-1')).toBeNull();
+    expect(parseAmount('abc')).toBeNull();
+    expect(parseAmount('0.001', 2)).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const IDLE = { data: null, loading: false, error: null, updatedAt: 0 };
+
+/**
+ * Load data from the chain when `query` changes, and again every `pollInterval` ms. The last
+ * data is kept while reloading, and a result that arrives after `query` changed is dropped.
+ * @param {(() => Promise<any>) | null} query Memoized loader, or null until its contracts are connected
+ * @param {object} [options]
+ * @param {number} [options.pollInterval] Reload period in ms (0 disables polling)
+ * @returns {{data: any, loading: boolean, error: Error | null, updatedAt: number, refresh: () => Promise<void>}}
+ */
+export function useContractQuery(query, { pollInterval = 0 } = {}) {
+  const [state, setState] = useState(IDLE);
+  const generation = useRef(0);
+
+  const refresh = useCallback(async () => {
+    if (!query) return;
+    const current = generation.current;
+    setState((s) => ({ ...s, loading: true }));
+    try {
+      const data = await query();
+      if (current === generation.current) {
+        setState({ data, loading: false, error: null, updatedAt: Date.now() });
+      }
+    } catch (error) {
+      console.error('Error loading contract data:', error);
+      if (current === generation.current) {
+        setState((s) => ({ ...s, loading: false, error }));
+      }
+    }
+  }, [query]);
+
+  useEffect(() => {
+    setState(IDLE);
+    refresh();
+    const interval = pollInterval && query ? setInterval(refresh, pollInterval) : null;
+    return () => {
+      generation.current += 1;
+      if (interval) clearInterval(interval);
+    };
+  }, [query, refresh, pollInterval]);
+
+  return { ...state, refresh };
+}
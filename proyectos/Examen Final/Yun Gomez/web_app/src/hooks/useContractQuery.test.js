@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useContractQuery } from './useContractQuery.js';
+
+describe('useContractQuery', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('stays idle without a query', () => {
+    const { result } = renderHook(() => useContractQuery(null));
+    expect(result.current).toMatchObject({ data: null, loading: false, error: null, updatedAt: 0 });
+  });
+
+  it('loads data and reloads on refresh', async () => {
+    const query = vi.fn().mockResolvedValueOnce(1n).mockResolvedValueOnce(2n);
+    const { result } = renderHook(() => useContractQuery(query));
+    await waitFor(() => expect(result.current.data).toBe(1n));
+    expect(result.current.loading).toBe(false);
+    expect(result.current.updatedAt).toBeGreaterThan(0);
+
+    await act(() => result.current.refresh());
+    expect(result.current.data).toBe(2n);
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the last data when a reload fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const query = vi.fn().mockResolvedValueOnce('first').mockRejectedValueOnce(new Error('RPC down'));
+    const { result } = renderHook(() => useContractQuery(query));
+    await waitFor(() => expect(result.current.data).toBe('first'));
+
+    await act(() => result.current.refresh());
+    expect(result.current.data).toBe('first');
+    expect(result.current.error.message).toBe('RPC down');
+  });
+
+  it('drops results of a previous query', async () => {
+    let resolveOld;
+    const oldQuery = () => new Promise((resolve) => { resolveOld = resolve; });
+    const newQuery = vi.fn().mockResolvedValue('new');
+    const { result, rerender } = renderHook(({ query }) => useContractQuery(query), {
+      initialProps: { query: oldQuery }
+    });
+
+    rerender({ query: newQuery });
+    await waitFor(() => expect(result.current.data).toBe('new'));
+    await act(async () => resolveOld('old'));
+    expect(result.current.data).toBe('new');
+  });
+
+  it('polls on an interval', async () => {
+    vi.useFakeTimers();
+    const query = vi.fn().mockResolvedValue(0n);
+    const { unmount } = renderHook(() => useContractQuery(query, { pollInterval: 1000 }));
+    expect(query).toHaveBeenCalledTimes(1);
+
+    await act(() => vi.advanceTimersByTimeAsync(3000));
+    expect(query).toHaveBeenCalledTimes(4);
+
+    unmount();
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(query).toHaveBeenCalledTimes(4);
+  });
+});
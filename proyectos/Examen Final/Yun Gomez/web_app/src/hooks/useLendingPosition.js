@@ -0,0 +1,134 @@
+import { useMemo } from 'react';
+import { ethers } from 'ethers';
+import { connectToken } from '../client/contracts.js';
+import { useContractQuery } from './useContractQuery.js';
+
+/**
+ * @typedef {object} CollateralPosition
+ * @property {string} address Collateral token
+ * @property {import('../client/contracts.js').TokenContract} token
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {bigint} collateralFactor 1e18 = 100%
+ * @property {bigint} liquidationThreshold 1e18 = 100%
+ * @property {bigint} deposited
+ * @property {bigint} walletBalance
+ * @property {bigint} maxWithdrawable 0 while a stale price blocks withdrawing with debt
+ * @property {{collateralFactor: bigint, liquidationThreshold: bigint, executableAt: Date} | null} pending
+ * Collateral config change waiting on the timelock
+ */
+
+/**
+ * @typedef {object} LendingPosition
+ * @property {bigint} collateralValue USD value of all deposits (18 decimals), at the last oracle prices
+ * when they are stale
+ * @property {bigint | null} debtValue USD value of the debt (18 decimals)
+ * @property {bigint | null} borrowLimit USD debt allowed by the collateral factors (18 decimals)
+ * @property {bigint} loanBalance Principal in dDAI
+ * @property {bigint} accruedInterest
+ * @property {bigint} totalDebt Principal plus interest
+ * @property {bigint | null} maxBorrowable dDAI that can still be borrowed
+ * @property {bigint | null} healthFactor 1e18 = 1, null without debt or while prices are stale
+ * @property {boolean} stalePrices An oracle price is older than MAX_PRICE_AGE; the oracle valuation
+ * (debtValue, borrowLimit, maxBorrowable and healthFactor) is null until it is refreshed
+ * @property {CollateralPosition[]} collateral Every listed collateral asset
+ * @property {{shares: bigint, balance: bigint}} supplier Supplied liquidity
+ */
+
+// The contract's oracle valuation views revert while a price is stale
+const isStalePrice = (err) => [err?.reason, err?.shortMessage, err?.message].some((m) => m?.includes('Stale price'));
+
+/**
+ * Call a view that prices the position
+ * @template T
+ * @param {() => Promise<T>} view
+ * @returns {Promise<T | null>} null when a stale price made it revert
+ */
+async function priced(view) {
+  try {
+    return await view();
+  } catch (err) {
+    if (isStalePrice(err)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Read an account's borrowing and supply position
+ * @param {import('../client/contracts.js').LendingProtocolContract} lendingProtocol
+ * @param {string} account
+ * @returns {Promise<LendingPosition>}
+ */
+export async function loadLendingPosition(lendingProtocol, account) {
+  // Balances and supply load from views without prices, so a stale oracle leaves them readable
+  const [userData, liquidity, maxBorrowable, healthFactor, supplier, assetAddresses] = await Promise.all([
+    lendingProtocol.getUserData(account),
+    priced(() => lendingProtocol.getAccountLiquidity(account)),
+    priced(() => lendingProtocol.getMaxBorrowable(account)),
+    priced(() => lendingProtocol.getHealthFactor(account)),
+    lendingProtocol.getSupplierData(account),
+    lendingProtocol.getCollateralAssets()
+  ]);
+  let stalePrices = liquidity === null || maxBorrowable === null || healthFactor === null;
+
+  const collateral = await Promise.all(assetAddresses.map(async (address) => {
+    const token = connectToken(address, lendingProtocol.runner);
+    const [symbol, config, deposited, walletBalance, maxWithdrawable, pending] = await Promise.all([
+      token.symbol(),
+      lendingProtocol.collateralConfigs(address),
+      lendingProtocol.collateralBalances(account, address),
+      token.balanceOf(account),
+      priced(() => lendingProtocol.getMaxWithdrawable(account, address)),
+      lendingProtocol.pendingCollateralConfigs(address)
+    ]);
+    if (maxWithdrawable === null) stalePrices = true;
+    return {
+      address,
+      token,
+      symbol,
+      decimals: Number(config.decimals),
+      collateralFactor: config.collateralFactor,
+      liquidationThreshold: config.liquidationThreshold,
+      deposited,
+      walletBalance,
+      // Withdrawing without debt needs no price; with debt it reverts until prices are refreshed
+      maxWithdrawable: maxWithdrawable ?? (userData.totalDebt === 0n ? deposited : 0n),
+      pending: pending.executableAt > 0n
+        ? {
+            collateralFactor: pending.collateralFactor,
+            liquidationThreshold: pending.liquidationThreshold,
+            executableAt: new Date(Number(pending.executableAt) * 1000)
+          }
+        : null
+    };
+  }));
+
+  return {
+    collateralValue: liquidity?.collateralValue ?? userData.collateralValue,
+    debtValue: liquidity?.debtValue ?? null,
+    borrowLimit: liquidity?.borrowLimit ?? null,
+    loanBalance: userData.loanBalance,
+    accruedInterest: userData.accruedInterest,
+    totalDebt: userData.totalDebt,
+    maxBorrowable,
+    // The contract reports MaxUint256 when there is no debt
+    healthFactor: healthFactor === ethers.MaxUint256 ? null : healthFactor,
+    stalePrices,
+    collateral,
+    supplier: { shares: supplier.shares, balance: supplier.balance }
+  };
+}
+
+/**
+ * Position of `account` in the protocol, with loading and error state
+ * @param {import('../client/contracts.js').LendingProtocolContract | undefined} lendingProtocol
+ * @param {string} account
+ * @param {{pollInterval?: number}} [options]
+ */
+export function useLendingPosition(lendingProtocol, account, options) {
+  const query = useMemo(
+    () => (lendingProtocol && account ? () => loadLendingPosition(lendingProtocol, account) : null),
+    [lendingProtocol, account]
+  );
+  return useContractQuery(query, options);
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { ethers } from 'ethers';
+import { loadLendingPosition, useLendingPosition } from './useLendingPosition.js';
+
+vi.mock('../client/contracts.js', () => ({
+  connectToken: (address) => ({
+    target: address,
+    symbol: vi.fn().mockResolvedValue('WETH'),
+    balanceOf: vi.fn().mockResolvedValue(5n * 10n ** 8n)
+  })
+}));
+
+const ACCOUNT = '0x00000000000000000000000000000000000000aa';
+const WETH = '0x0000000000000000000000000000000000000001';
+const e18 = (n) => ethers.parseEther(String(n));
+
+// LendingProtocol with 1 WETH deposited and 1000 dDAI borrowed
+const lendingProtocol = (overrides = {}) => ({
+  target: '0x00000000000000000000000000000000000000ff',
+  runner: null,
+  getUserData: vi.fn().mockResolvedValue({
+    collateralValue: e18(2000), loanBalance: e18(990), accruedInterest: e18(10), totalDebt: e18(1000)
+  }),
+  getAccountLiquidity: vi.fn().mockResolvedValue({
+    collateralValue: e18(2000), debtValue: e18(1000), borrowLimit: e18(1500)
+  }),
+  getMaxBorrowable: vi.fn().mockResolvedValue(e18(500)),
+  getHealthFactor: vi.fn().mockResolvedValue(e18(1.6)),
+  getSupplierData: vi.fn().mockResolvedValue({ shares: e18(3), balance: e18(3.3) }),
+  getCollateralAssets: vi.fn().mockResolvedValue([WETH]),
+  collateralConfigs: vi.fn().mockResolvedValue({
+    decimals: 8n, collateralFactor: e18(0.75), liquidationThreshold: e18(0.8)
+  }),
+  collateralBalances: vi.fn().mockResolvedValue(10n ** 8n),
+  getMaxWithdrawable: vi.fn().mockResolvedValue(33333333n),
+  pendingCollateralConfigs: vi.fn().mockResolvedValue({
+    collateralFactor: 0n, liquidationThreshold: 0n, executableAt: 0n
+  }),
+  ...overrides
+});
+
+describe('useLendingPosition', () => {
+  it('reads the position as bigints', async () => {
+    const position = await loadLendingPosition(lendingProtocol(), ACCOUNT);
+    expect(position).toMatchObject({
+      collateralValue: e18(2000),
+      debtValue: e18(1000),
+      borrowLimit: e18(1500),
+      loanBalance: e18(990),
+      accruedInterest: e18(10),
+      totalDebt: e18(1000),
+      maxBorrowable: e18(500),
+      healthFactor: e18(1.6),
+      supplier: { shares: e18(3), balance: e18(3.3) }
+    });
+    expect(position.collateral).toHaveLength(1);
+    expect(position.collateral[0]).toMatchObject({
+      address: WETH,
+      symbol: 'WETH',
+      decimals: 8,
+      collateralFactor: e18(0.75),
+      deposited: 10n ** 8n,
+      walletBalance: 5n * 10n ** 8n,
+      maxWithdrawable: 33333333n,
+      pending: null
+    });
+  });
+
+  it('reports no health factor without debt and pending collateral changes', async () => {
+    const position = await loadLendingPosition(lendingProtocol({
+      getHealthFactor: vi.fn().mockResolvedValue(ethers.MaxUint256),
+      pendingCollateralConfigs: vi.fn().mockResolvedValue({
+        collateralFactor: e18(0.7), liquidationThreshold: e18(0.75), executableAt: 1_700_000_000n
+      })
+    }), ACCOUNT);
+    expect(position.healthFactor).toBeNull();
+    expect(position.collateral[0].pending).toEqual({
+      collateralFactor: e18(0.7),
+      liquidationThreshold: e18(0.75),
+      executableAt: new Date(1_700_000_000_000)
+    });
+  });
+
+  it('loads balances and supply while a stale price makes the valuation revert', async () => {
+    // ethers' CALL_EXCEPTION for a require reason
+    const stale = () => vi.fn().mockRejectedValue(Object.assign(new Error('execution reverted: "Stale price"'), {
+      code: 'CALL_EXCEPTION',
+      reason: 'Stale price'
+    }));
+    const position = await loadLendingPosition(lendingProtocol({
+      getAccountLiquidity: stale(),
+      getMaxBorrowable: stale(),
+      getHealthFactor: stale(),
+      getMaxWithdrawable: stale()
+    }), ACCOUNT);
+
+    expect(position).toMatchObject({
+      stalePrices: true,
+      // At the last oracle prices, from getUserData
+      collateralValue: e18(2000),
+      debtValue: null,
+      borrowLimit: null,
+      totalDebt: e18(1000),
+      maxBorrowable: null,
+      healthFactor: null,
+      supplier: { shares: e18(3), balance: e18(3.3) }
+    });
+    // Withdrawing with debt reverts until prices are refreshed
+    expect(position.collateral[0]).toMatchObject({ deposited: 10n ** 8n, maxWithdrawable: 0n });
+
+    const debtFree = await loadLendingPosition(lendingProtocol({
+      getUserData: vi.fn().mockResolvedValue({
+        collateralValue: e18(2000), loanBalance: 0n, accruedInterest: 0n, totalDebt: 0n
+      }),
+      getAccountLiquidity: stale(),
+      getMaxWithdrawable: stale()
+    }), ACCOUNT);
+    expect(debtFree.stalePrices).toBe(true);
+    expect(debtFree.collateral[0].maxWithdrawable).toBe(10n ** 8n);
+  });
+
+  it('fails on errors other than stale prices', async () => {
+    await expect(loadLendingPosition(lendingProtocol({
+      getHealthFactor: vi.fn().mockRejectedValue(new Error('network error'))
+    }), ACCOUNT)).rejects.toThrow('network error');
+  });
+
+  it('waits for a connected account', async () => {
+    const contract = lendingProtocol();
+    const { result, rerender } = renderHook(({ account }) => useLendingPosition(contract, account), {
+      initialProps: { account: '' }
+    });
+    expect(result.current.data).toBeNull();
+    expect(contract.getUserData).not.toHaveBeenCalled();
+
+    rerender({ account: ACCOUNT });
+    await waitFor(() => expect(result.current.data?.totalDebt).toBe(e18(1000)));
+    expect(contract.getUserData).toHaveBeenCalledWith(ACCOUNT);
+  });
+});
@@ -0,0 +1,87 @@
+import { useMemo } from 'react';
+import { ethers } from 'ethers';
+import { useContractQuery } from './useContractQuery.js';
+
+// Actions the guardian can pause, keyed by the name hashed into the ACTION_* identifier
+export const PAUSABLE_ACTIONS = [
+  { key: 'DEPOSIT', label: 'deposits' },
+  { key: 'BORROW', label: 'borrowing' },
+  { key: 'LIQUIDATE', label: 'liquidations' }
+];
+
+// Parameters the owner can change through the protocol's timelock, keyed by PARAM_* name
+export const GOVERNED_PARAMETERS = [
+  { key: 'LIQUIDATION_BONUS', label: 'Liquidation Bonus', getter: 'liquidationBonus' },
+  { key: 'CLOSE_FACTOR', label: 'Close Factor', getter: 'closeFactor' },
+  { key: 'FLASH_LOAN_FEE', label: 'Flash Loan Fee', getter: 'flashLoanFee' },
+  { key: 'RESERVE_FACTOR', label: 'Reserve Factor', getter: 'reserveFactor' },
+  { key: 'INTEREST_RATE_MODEL', label: 'Interest Rate Model', getter: 'interestRateModel' }
+];
+
+/**
+ * @typedef {object} ProtocolStats
+ * @property {bigint} totalCollateralValue USD (18 decimals)
+ * @property {bigint} totalLoans Principal outstanding
+ * @property {bigint} totalDebt Principal plus interest
+ * @property {bigint} liquidity Loan tokens available to borrow
+ * @property {bigint} reserves
+ * @property {bigint} borrowRate Per week, 1e18 = 100%
+ * @property {bigint} supplyRate Per week, 1e18 = 100%
+ * @property {bigint} utilization 1e18 = 100%
+ * @property {{key: string, label: string, current: bigint | string, pending: {value: bigint, executableAt: Date} | null}[]} parameters
+ * Governed parameters; the interest rate model is an address
+ * @property {Object<string, boolean>} paused Pause flag of each PAUSABLE_ACTIONS key
+ */
+
+/**
+ * Read protocol totals, rates, governed parameters and pause flags
+ * @param {import('../client/contracts.js').LendingProtocolContract} lendingProtocol
+ * @returns {Promise<ProtocolStats>}
+ */
+export async function loadProtocolStats(lendingProtocol) {
+  const [stats, supplyRate, parameters, pausedFlags] = await Promise.all([
+    lendingProtocol.getProtocolStats(),
+    lendingProtocol.getSupplyRate(),
+    Promise.all(GOVERNED_PARAMETERS.map(async (param) => {
+      const [current, pending] = await Promise.all([
+        lendingProtocol[param.getter](),
+        lendingProtocol.pendingChanges(ethers.id(param.key))
+      ]);
+      return {
+        key: param.key,
+        label: param.label,
+        current,
+        pending: pending.executableAt > 0n
+          ? { value: pending.value, executableAt: new Date(Number(pending.executableAt) * 1000) }
+          : null
+      };
+    })),
+    Promise.all(PAUSABLE_ACTIONS.map((action) => lendingProtocol.actionPaused(ethers.id(action.key))))
+  ]);
+
+  return {
+    totalCollateralValue: stats.totalCollateralValue,
+    totalLoans: stats.totalLoansOutstanding,
+    totalDebt: stats.totalDebtOutstanding,
+    liquidity: stats.protocolLiquidity,
+    reserves: stats.reserves,
+    borrowRate: stats.borrowRate,
+    supplyRate,
+    utilization: stats.utilization,
+    parameters,
+    paused: Object.fromEntries(PAUSABLE_ACTIONS.map((action, i) => [action.key, pausedFlags[i]]))
+  };
+}
+
+/**
+ * Protocol-wide statistics, with loading and error state
+ * @param {import('../client/contracts.js').LendingProtocolContract | undefined} lendingProtocol
+ * @param {{pollInterval?: number}} [options]
+ */
+export function useProtocolStats(lendingProtocol, options) {
+  const query = useMemo(
+    () => (lendingProtocol ? () => loadProtocolStats(lendingProtocol) : null),
+    [lendingProtocol]
+  );
+  return useContractQuery(query, options);
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { loadProtocolStats, GOVERNED_PARAMETERS } from './useProtocolStats.js';
+
+const e18 = (n) => ethers.parseEther(String(n));
+const MODEL = '0x0000000000000000000000000000000000000abc';
+
+describe('useProtocolStats', () => {
+  it('reads totals, governed parameters and pause flags', async () => {
+    const lendingProtocol = {
+      getProtocolStats: vi.fn().mockResolvedValue({
+        totalCollateralValue: e18(100000),
+        totalLoansOutstanding: e18(30000),
+        protocolLiquidity: e18(20000),
+        borrowRate: e18(0.05),
+        utilization: e18(0.6),
+        totalDebtOutstanding: e18(30500),
+        reserves: e18(50)
+      }),
+      getSupplyRate: vi.fn().mockResolvedValue(e18(0.027)),
+      liquidationBonus: vi.fn().mockResolvedValue(5n),
+      closeFactor: vi.fn().mockResolvedValue(50n),
+      flashLoanFee: vi.fn().mockResolvedValue(9n),
+      reserveFactor: vi.fn().mockResolvedValue(10n),
+      interestRateModel: vi.fn().mockResolvedValue(MODEL),
+      // Only the close factor has a change queued
+      pendingChanges: vi.fn(async (key) => (key === ethers.id('CLOSE_FACTOR')
+        ? { value: 40n, executableAt: 1_700_000_000n }
+        : { value: 0n, executableAt: 0n })),
+      actionPaused: vi.fn(async (key) => key === ethers.id('BORROW'))
+    };
+
+    const stats = await loadProtocolStats(lendingProtocol);
+    expect(stats).toMatchObject({
+      totalCollateralValue: e18(100000),
+      totalLoans: e18(30000),
+      totalDebt: e18(30500),
+      liquidity: e18(20000),
+      reserves: e18(50),
+      borrowRate: e18(0.05),
+      supplyRate: e18(0.027),
+      utilization: e18(0.6),
+      paused: { DEPOSIT: false, BORROW: true, LIQUIDATE: false }
+    });
+    expect(stats.parameters.map((p) => p.key)).toEqual(GOVERNED_PARAMETERS.map((p) => p.key));
+    expect(stats.parameters.find((p) => p.key === 'INTEREST_RATE_MODEL').current).toBe(MODEL);
+    expect(stats.parameters.find((p) => p.key === 'CLOSE_FACTOR')).toEqual({
+      key: 'CLOSE_FACTOR',
+      label: 'Close Factor',
+      current: 50n,
+      pending: { value: 40n, executableAt: new Date(1_700_000_000_000) }
+    });
+  });
+});
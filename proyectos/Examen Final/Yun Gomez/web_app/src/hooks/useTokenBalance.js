@@ -0,0 +1,16 @@
+import { useMemo } from 'react';
+import { useContractQuery } from './useContractQuery.js';
+
+/**
+ * Token balance of `account` in token units, with loading and error state
+ * @param {import('../client/contracts.js').TokenContract | undefined} token
+ * @param {string} account
+ * @param {{pollInterval?: number}} [options]
+ */
+export function useTokenBalance(token, account, options) {
+  const query = useMemo(
+    () => (token && account ? () => token.balanceOf(account) : null),
+    [token, account]
+  );
+  return useContractQuery(query, options);
+}
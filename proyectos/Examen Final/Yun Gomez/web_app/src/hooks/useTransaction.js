@@ -0,0 +1,22 @@
+import { useState } from 'react';
+
+/**
+ * Track which of a component's transactions are in flight. `onTransaction` (from App) sends the
+ * transaction, shows its hash, refreshes the dashboard and reports success or failure.
+ * @param {(send: () => Promise<import('ethers').ContractTransactionResponse>, messages: {action: string, success: string}) => Promise<boolean>} onTransaction
+ * @returns {{pending: Object<string, boolean>, run: (key: string, send: Function, messages: {action: string, success: string}) => Promise<boolean>}}
+ */
+export function useTransaction(onTransaction) {
+  const [pending, setPending] = useState({});
+
+  const run = async (key, send, messages) => {
+    setPending((p) => ({ ...p, [key]: true }));
+    try {
+      return await onTransaction(send, messages);
+    } finally {
+      setPending((p) => ({ ...p, [key]: false }));
+    }
+  };
+
+  return { pending, run };
+}
@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { discoverWallets, withLegacyWallet } from '../wallets.js';
+
+/**
+ * Wallets installed in the browser, updated as they announce themselves (EIP-6963)
+ * @returns {import('../wallets.js').Wallet[]}
+ */
+export function useWallets() {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => discoverWallets(setAnnounced), []);
+
+  return withLegacyWallet(announced);
+}
@@ -0,0 +1,168 @@
+// Integer position math of LendingProtocol, ported line by line so previews show exactly what
+// the contract will compute. Amounts are BigInt in token units, USD values have 18 decimals and
+// factors and rates are scaled by 1e18 (1e18 = 100%), as on-chain.
+
+export const PRECISION = 10n ** 18n; // RATE_PRECISION and HEALTH_FACTOR_PRECISION
+export const INTEREST_PERIOD = 7n * 24n * 60n * 60n; // Rates are per week
+export const MAX_UINT256 = 2n ** 256n - 1n;
+
+// A position is { assets, debt, scaledDebt, borrowIndex, loan, pool }:
+// - assets: [{ address, symbol, decimals, price, stale, collateralFactor, liquidationThreshold, deposited, walletBalance }]
+// - debt: current debt including interest
+// - scaledDebt, borrowIndex: the account's scaled debt and the borrow index interest has accrued to now
+// - loan: { symbol, decimals, price, stale, walletBalance }
+// - pool: { cash, borrows } loan tokens held by the protocol and total debt, for the rate model
+// `stale` marks oracle prices older than MAX_PRICE_AGE, which the contract rejects.
+
+// _collateralValue: USD value of an amount of a collateral asset
+export function collateralValue(asset, amount) {
+  if (amount === 0n) return 0n;
+  return (amount * asset.price) / 10n ** BigInt(asset.decimals);
+}
+
+// _loanValue: USD value of an amount of loan tokens
+export function loanValue(loan, amount) {
+  if (amount === 0n) return 0n;
+  return (amount * loan.price) / 10n ** BigInt(loan.decimals);
+}
+
+// _collateralTotals and getAccountLiquidity
+export function accountLiquidity(position) {
+  let totalValue = 0n;
+  let borrowLimit = 0n;
+  let liquidationLimit = 0n;
+  for (const asset of position.assets) {
+    const value = collateralValue(asset, asset.deposited);
+    if (value === 0n) continue;
+    totalValue += value;
+    borrowLimit += (value * asset.collateralFactor) / PRECISION;
+    liquidationLimit += (value * asset.liquidationThreshold) / PRECISION;
+  }
+  return {
+    collateralValue: totalValue,
+    debtValue: loanValue(position.loan, position.debt),
+    borrowLimit,
+    liquidationLimit
+  };
+}
+
+// getMaxBorrowable: loan tokens that can still be borrowed (ignoring pool liquidity)
+export function maxBorrowable(position) {
+  const { debtValue, borrowLimit } = accountLiquidity(position);
+  if (debtValue >= borrowLimit) return 0n;
+  return ((borrowLimit - debtValue) * 10n ** BigInt(position.loan.decimals)) / position.loan.price;
+}
+
+// getMaxWithdrawable: collateral of one asset that can leave without exceeding the borrow limit
+export function maxWithdrawable(position, address) {
+  const asset = position.assets.find((a) => a.address === address);
+  const { debtValue, borrowLimit } = accountLiquidity(position);
+  if (debtValue === 0n || asset.collateralFactor === 0n) return asset.deposited;
+  if (debtValue >= borrowLimit) return 0n;
+
+  const excessValue = ((borrowLimit - debtValue) * PRECISION) / asset.collateralFactor;
+  const amount = (excessValue * 10n ** BigInt(asset.decimals)) / asset.price;
+  return amount < asset.deposited ? amount : asset.deposited;
+}
+
+// getHealthFactor: MAX_UINT256 without debt, below 1e18 when liquidatable
+export function healthFactor(position) {
+  const { debtValue, liquidationLimit } = accountLiquidity(position);
+  if (debtValue === 0n) return MAX_UINT256;
+  return (liquidationLimit * PRECISION) / debtValue;
+}
+
+// Collateral value over debt value (1e18 = 100%), or null without debt
+export function collateralizationRatio(position) {
+  const { collateralValue: value, debtValue } = accountLiquidity(position);
+  if (debtValue === 0n) return null;
+  return (value * PRECISION) / debtValue;
+}
+
+// _currentInterestState: the borrow index after `seconds` at a weekly rate
+export function accrueIndex(index, rate, seconds) {
+  const interestFactor = (rate * BigInt(seconds)) / INTEREST_PERIOD;
+  return index + (index * interestFactor) / PRECISION;
+}
+
+// _debtOf: debt of a scaled balance at a borrow index
+export function debtAt(scaledDebt, index) {
+  return (scaledDebt * index) / PRECISION;
+}
+
+// Interest a scaled debt accrues in `seconds` at a weekly rate when nobody touches the pool in between
+export function projectedInterest(scaledDebt, index, rate, seconds) {
+  return debtAt(scaledDebt, accrueIndex(index, rate, seconds)) - debtAt(scaledDebt, index);
+}
+
+// _getPrice rejects stale prices; _collateralTotals only prices assets with a balance and
+// _loanValue prices the loan token
+function hasStalePrice(position) {
+  return position.loan.stale || position.assets.some((a) => a.deposited > 0n && a.stale);
+}
+
+/**
+ * Apply a hypothetical action to a position with the checks the contract makes
+ * @param {object} position Position before the action
+ * @param {object} action { type: 'deposit' | 'withdraw' | 'borrow' | 'repay', amount, asset? }
+ * @returns {{position: object, error: string | null}} Resulting position, and the revert reason
+ * (or wallet shortfall) that would make the transaction fail
+ */
+export function applyAction(position, { type, amount, asset: address }) {
+  if (amount <= 0n) return { position, error: 'Amount must be greater than 0' };
+
+  const next = {
+    ...position,
+    assets: position.assets.map((a) => ({ ...a })),
+    loan: { ...position.loan },
+    pool: { ...position.pool }
+  };
+  const asset = next.assets.find((a) => a.address === address);
+  const withinBorrowLimit = () => accountLiquidity(next).debtValue <= accountLiquidity(next).borrowLimit;
+
+  switch (type) {
+    case 'deposit':
+      if (amount > asset.walletBalance) return { position, error: `Insufficient ${asset.symbol} balance` };
+      asset.deposited += amount;
+      asset.walletBalance -= amount;
+      return { position: next, error: null };
+
+    case 'withdraw':
+      if (asset.deposited === 0n) return { position, error: 'No collateral to withdraw' };
+      if (amount > asset.deposited) return { position, error: 'Insufficient collateral' };
+      asset.deposited -= amount;
+      asset.walletBalance += amount;
+      if (next.debt > 0n && hasStalePrice(next)) return { position: next, error: 'Stale price' };
+      if (next.debt > 0n && !withinBorrowLimit()) return { position: next, error: 'Exceeds collateralization ratio' };
+      return { position: next, error: null };
+
+    case 'borrow':
+      if (hasStalePrice(next)) return { position, error: 'Stale price' };
+      // The scaled debt is rounded up in favor of the protocol
+      next.scaledDebt += (amount * PRECISION + next.borrowIndex - 1n) / next.borrowIndex;
+      next.debt = debtAt(next.scaledDebt, next.borrowIndex);
+      next.loan.walletBalance += amount;
+      next.pool.cash -= amount;
+      next.pool.borrows += amount;
+      if (!withinBorrowLimit()) return { position: next, error: 'Exceeds collateralization ratio' };
+      if (position.pool.cash < amount) return { position: next, error: 'Insufficient liquidity' };
+      return { position: next, error: null };
+
+    case 'repay': {
+      if (position.debt === 0n) return { position, error: 'No outstanding debt' };
+      // The contract never pulls more than what is owed
+      const repaid = amount > position.debt ? position.debt : amount;
+      if (repaid > position.loan.walletBalance) return { position, error: `Insufficient ${position.loan.symbol} balance` };
+      // Clearing the whole debt removes all scaled debt; partial payments round down
+      next.scaledDebt -= repaid === position.debt ? position.scaledDebt : (repaid * PRECISION) / next.borrowIndex;
+      next.debt = debtAt(next.scaledDebt, next.borrowIndex);
+      next.loan.walletBalance -= repaid;
+      next.pool.cash += repaid;
+      next.pool.borrows -= repaid;
+      return { position: next, error: null };
+    }
+
+    default:
+      throw new Error(`Unknown action ${type}`);
+  }
+}
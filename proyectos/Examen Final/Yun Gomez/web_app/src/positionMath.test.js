@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PRECISION,
+  INTEREST_PERIOD,
+  MAX_UINT256,
+  accountLiquidity,
+  maxBorrowable,
+  maxWithdrawable,
+  healthFactor,
+  collateralizationRatio,
+  accrueIndex,
+  projectedInterest,
+  applyAction
+} from './positionMath.js';
+
+const WETH = '0x0000000000000000000000000000000000000001';
+const e18 = (n) => BigInt(n) * PRECISION;
+
+// 1 WETH (8 decimals) at $2000 with a 75% collateral factor and 80% liquidation threshold
+const position = (debt = 0n) => ({
+  assets: [{
+    address: WETH,
+    symbol: 'WETH',
+    decimals: 8,
+    price: e18(2000),
+    stale: false,
+    collateralFactor: e18(75) / 100n,
+    liquidationThreshold: e18(80) / 100n,
+    deposited: 10n ** 8n,
+    walletBalance: 0n
+  }],
+  debt,
+  scaledDebt: debt,
+  borrowIndex: PRECISION,
+  loan: { symbol: 'dDAI', decimals: 18, price: PRECISION, stale: false, walletBalance: e18(200) },
+  pool: { cash: e18(10000), borrows: debt }
+});
+
+describe('positionMath', () => {
+  it('values collateral and debt like getAccountLiquidity', () => {
+    expect(accountLiquidity(position(e18(1000)))).toEqual({
+      collateralValue: e18(2000),
+      debtValue: e18(1000),
+      borrowLimit: e18(1500),
+      liquidationLimit: e18(1600)
+    });
+  });
+
+  it('computes the borrow and withdraw limits', () => {
+    expect(maxBorrowable(position())).toBe(e18(1500));
+    expect(maxBorrowable(position(e18(1000)))).toBe(e18(500));
+    expect(maxWithdrawable(position(), WETH)).toBe(10n ** 8n);
+    // $500 of headroom at a 75% factor frees $666.66 of WETH
+    expect(maxWithdrawable(position(e18(1000)), WETH)).toBe(33333333n);
+  });
+
+  it('computes the health factor and collateralization ratio', () => {
+    expect(healthFactor(position())).toBe(MAX_UINT256);
+    expect(healthFactor(position(e18(1000)))).toBe(e18(16) / 10n);
+    expect(collateralizationRatio(position())).toBeNull();
+    expect(collateralizationRatio(position(e18(1000)))).toBe(e18(2));
+  });
+
+  it('projects interest through the borrow index', () => {
+    expect(accrueIndex(PRECISION, e18(10) / 100n, INTEREST_PERIOD)).toBe(e18(11) / 10n);
+    expect(projectedInterest(e18(1000), PRECISION, e18(10) / 100n, INTEREST_PERIOD)).toBe(e18(100));
+    // The interest factor is truncated before it is applied, as on-chain
+    expect(projectedInterest(e18(1000), PRECISION, e18(10) / 100n, INTEREST_PERIOD / 7n)).toBe(14285714285714285000n);
+    // A grown index compounds the interest already accrued; debt is read back with a rounded-down division
+    expect(projectedInterest(e18(1000), e18(11) / 10n, e18(10) / 100n, INTEREST_PERIOD)).toBe(e18(110));
+    expect(projectedInterest(3n, PRECISION + 1n, e18(10) / 100n, INTEREST_PERIOD)).toBe(0n);
+  });
+
+  it('tracks scaled debt like the contract', () => {
+    // At an index of 1.1, 100 dDAI is 90.90... scaled, rounded up
+    const grown = { ...position(), borrowIndex: e18(11) / 10n };
+    const { position: borrowed } = applyAction(grown, { type: 'borrow', amount: e18(100) });
+    expect(borrowed.scaledDebt).toBe(90909090909090909091n);
+    expect(borrowed.debt).toBe(e18(100));
+
+    const { position: repaid } = applyAction(borrowed, { type: 'repay', amount: borrowed.debt });
+    expect(repaid.scaledDebt).toBe(0n);
+    expect(repaid.debt).toBe(0n);
+  });
+
+  it('rejects actions that need a stale price', () => {
+    const stale = position(e18(1000));
+    stale.assets[0].stale = true;
+    expect(applyAction(stale, { type: 'borrow', amount: 1n }).error).toBe('Stale price');
+    expect(applyAction(stale, { type: 'withdraw', amount: 1n, asset: WETH }).error).toBe('Stale price');
+    // Deposits and repayments do not read prices, and neither do withdrawals without debt
+    expect(applyAction(stale, { type: 'repay', amount: 1n }).error).toBeNull();
+    expect(applyAction({ ...stale, debt: 0n, scaledDebt: 0n }, { type: 'withdraw', amount: 1n, asset: WETH }).error).toBeNull();
+
+    const staleLoan = position();
+    staleLoan.loan.stale = true;
+    expect(applyAction(staleLoan, { type: 'borrow', amount: 1n }).error).toBe('Stale price');
+  });
+
+  it('applies actions with the contract checks', () => {
+    const borrowed = applyAction(position(), { type: 'borrow', amount: e18(1000) });
+    expect(borrowed.error).toBeNull();
+    expect(borrowed.position.debt).toBe(e18(1000));
+    expect(borrowed.position.pool).toEqual({ cash: e18(9000), borrows: e18(1000) });
+
+    expect(applyAction(position(), { type: 'borrow', amount: e18(1501) }).error).toBe('Exceeds collateralization ratio');
+    expect(applyAction(position(e18(1000)), { type: 'withdraw', amount: 10n ** 8n, asset: WETH }).error)
+      .toBe('Exceeds collateralization ratio');
+    expect(applyAction(position(), { type: 'deposit', amount: 1n, asset: WETH }).error).toBe('Insufficient WETH balance');
+    expect(applyAction(position(), { type: 'repay', amount: 1n }).error).toBe('No outstanding debt');
+    expect(applyAction(position(), { type: 'borrow', amount: 0n }).error).toBe('Amount must be greater than 0');
+  });
+
+  it('caps a repayment at the debt', () => {
+    const { position: repaid, error } = applyAction(position(e18(150)), { type: 'repay', amount: e18(1000) });
+    expect(error).toBeNull();
+    expect(repaid.debt).toBe(0n);
+    expect(repaid.loan.walletBalance).toBe(e18(50));
+  });
+});
@@ -0,0 +1,70 @@
+// EIP-6963 wallet discovery: every installed wallet announces its own provider with an
+// `eip6963:announceProvider` event instead of competing for `window.ethereum`
+
+const WALLET_STORAGE_KEY = 'lending:wallet'; // rdns of the wallet the user last connected
+
+/**
+ * @typedef {object} WalletInfo
+ * @property {string} uuid Identifier of the provider for this page load
+ * @property {string} name Display name
+ * @property {string} icon Data URI of the wallet's icon
+ * @property {string} rdns Reverse-DNS identifier, stable across page loads (e.g. io.metamask)
+ */
+
+/**
+ * @typedef {object} Wallet
+ * @property {WalletInfo} info
+ * @property {import('ethers').Eip1193Provider & {on?: Function, removeListener?: Function}} provider
+ */
+
+// Wallets that only inject `window.ethereum` and do not announce themselves
+const LEGACY_WALLET_INFO = { uuid: 'injected', name: 'Browser Wallet', icon: '', rdns: 'injected' };
+
+/**
+ * Listen for wallet announcements and ask installed wallets to announce themselves
+ * @param {(wallets: Wallet[]) => void} onChange Called with every wallet announced so far
+ * @returns {() => void} Stops listening
+ */
+export function discoverWallets(onChange) {
+  const wallets = new Map();
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    // Wallets announce again on every request; keep one entry per provider
+    wallets.set(info.uuid, { info, provider });
+    onChange([...wallets.values()]);
+  };
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+}
+
+/**
+ * Announced wallets, or the injected `window.ethereum` provider when no wallet announced itself
+ * @param {Wallet[]} announced
+ * @returns {Wallet[]}
+ */
+export function withLegacyWallet(announced) {
+  if (announced.length > 0 || !window.ethereum) return announced;
+  return [{ info: LEGACY_WALLET_INFO, provider: window.ethereum }];
+}
+
+// The wallet picked by the user, reconnected on the next visit
+export const loadWalletChoice = () => localStorage.getItem(WALLET_STORAGE_KEY);
+export const saveWalletChoice = (wallet) => localStorage.setItem(WALLET_STORAGE_KEY, wallet.info.rdns);
+export const clearWalletChoice = () => localStorage.removeItem(WALLET_STORAGE_KEY);
+
+/**
+ * Follow account and network switches in one wallet
+ * @param {Wallet['provider']} provider
+ * @param {{onAccountsChanged: (accounts: string[]) => void, onChainChanged: (chainId: string) => void}} handlers
+ * @returns {() => void} Removes the listeners
+ */
+export function subscribeToWallet(provider, { onAccountsChanged, onChainChanged }) {
+  if (!provider.on) return () => {};
+  provider.on('accountsChanged', onAccountsChanged);
+  provider.on('chainChanged', onChainChanged);
+  return () => {
+    provider.removeListener('accountsChanged', onAccountsChanged);
+    provider.removeListener('chainChanged', onChainChanged);
+  };
+}
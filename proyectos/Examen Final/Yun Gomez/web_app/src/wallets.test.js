@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  discoverWallets,
+  withLegacyWallet,
+  loadWalletChoice,
+  saveWalletChoice,
+  clearWalletChoice,
+  subscribeToWallet
+} from './wallets.js';
+
+const announce = (info, provider) => window.dispatchEvent(
+  new CustomEvent('eip6963:announceProvider', { detail: { info, provider } })
+);
+const METAMASK = { uuid: 'a1', name: 'MetaMask', icon: 'data:image/svg+xml,', rdns: 'io.metamask' };
+const RABBY = { uuid: 'b2', name: 'Rabby', icon: 'data:image/svg+xml,', rdns: 'io.rabby' };
+
+describe('wallets', () => {
+  afterEach(() => {
+    delete window.ethereum;
+    localStorage.clear();
+  });
+
+  it('requests announcements and collects one entry per provider', () => {
+    const metamask = { request: vi.fn() };
+    const rabby = { request: vi.fn() };
+    // Wallets answer the request event synchronously
+    const respond = () => announce(METAMASK, metamask);
+    window.addEventListener('eip6963:requestProvider', respond);
+    const onChange = vi.fn();
+
+    const stop = discoverWallets(onChange);
+    announce(RABBY, rabby);
+    announce(METAMASK, metamask);
+    expect(onChange).toHaveBeenCalledTimes(3);
+    expect(onChange).toHaveBeenLastCalledWith([
+      { info: METAMASK, provider: metamask },
+      { info: RABBY, provider: rabby }
+    ]);
+
+    stop();
+    announce(RABBY, rabby);
+    expect(onChange).toHaveBeenCalledTimes(3);
+    window.removeEventListener('eip6963:requestProvider', respond);
+  });
+
+  it('falls back to window.ethereum when no wallet announces itself', () => {
+    expect(withLegacyWallet([])).toEqual([]);
+
+    window.ethereum = { request: vi.fn() };
+    expect(withLegacyWallet([])).toEqual([{
+      info: { uuid: 'injected', name: 'Browser Wallet', icon: '', rdns: 'injected' },
+      provider: window.ethereum
+    }]);
+    const announced = [{ info: METAMASK, provider: window.ethereum }];
+    expect(withLegacyWallet(announced)).toBe(announced);
+  });
+
+  it('remembers the chosen wallet by rdns', () => {
+    expect(loadWalletChoice()).toBeNull();
+    saveWalletChoice({ info: RABBY });
+    expect(loadWalletChoice()).toBe('io.rabby');
+    clearWalletChoice();
+    expect(loadWalletChoice()).toBeNull();
+  });
+
+  it('registers and removes one pair of listeners per provider', () => {
+    const provider = { on: vi.fn(), removeListener: vi.fn() };
+    const handlers = { onAccountsChanged: vi.fn(), onChainChanged: vi.fn() };
+
+    const unsubscribe = subscribeToWallet(provider, handlers);
+    expect(provider.on.mock.calls).toEqual([
+      ['accountsChanged', handlers.onAccountsChanged],
+      ['chainChanged', handlers.onChainChanged]
+    ]);
+    unsubscribe();
+    expect(provider.removeListener.mock.calls).toEqual(provider.on.mock.calls);
+
+    // Providers without events need no cleanup
+    expect(() => subscribeToWallet({ request: vi.fn() }, handlers)()).not.toThrow();
+  });
+});
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Deployment manifests live in ../deployments
+      allow: ['..'],
+    },
+  },
+  test: {
+    environment: 'jsdom',
+  },
 })
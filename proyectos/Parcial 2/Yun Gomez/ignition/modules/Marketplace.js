@@ -0,0 +1,13 @@
+// Hardhat Ignition module for the Marketplace and its first 10 NFTs.
+// Deploy it with scripts/deploy.js, which also records the deployment in deployments/<network>.json.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("MarketplaceModule", (m) => {
+  const marketplace = m.contract("Marketplace");
+
+  // The deployer owns the marketplace and mints the initial batch
+  m.call(marketplace, "mintInitialBatch");
+
+  return { marketplace };
+});
@@ -1,45 +1,29 @@
 const hre = require("hardhat");
+const MarketplaceModule = require("../ignition/modules/Marketplace");
+const { writeManifest, getIgnitionTransactions } = require("./manifest");
 
 async function main() {
-  console.log("Deploying Marketplace contract...");
+  console.log("Deploying Marketplace contract and minting the initial batch of NFTs...");
 
-  const Marketplace = await hre.ethers.getContractFactory("Marketplace");
-  const marketplace = await Marketplace.deploy();
-
-  // Wait for deployment - new syntax for ethers v6
-  await marketplace.waitForDeployment();
-  
-  // Get the address - new syntax for ethers v6
+  // Re-running the script on the same network resumes the Ignition deployment
+  const { marketplace } = await hre.ignition.deploy(MarketplaceModule, { displayUi: true });
   const address = await marketplace.getAddress();
 
   console.log("Marketplace deployed to:", address);
 
-  // Mint initial batch of 10 NFTs
-  console.log("Minting initial batch of NFTs...");
-  const tx = await marketplace.mintInitialBatch();
-  await tx.wait();
-  console.log("Initial batch minted successfully!");
-
-  // Save the contract address for the frontend
-  const fs = require("fs");
-  const contractsDir = __dirname + "/../web_app/src/contracts";
-
-  if (!fs.existsSync(contractsDir)) {
-    fs.mkdirSync(contractsDir, { recursive: true });
+  // The in-process Hardhat network keeps nothing once the script exits
+  if (hre.network.name === "hardhat") {
+    console.log("Skipping the deployment manifest on the in-process hardhat network");
+    return;
   }
 
-  // Get the contract ABI
-  const artifact = await hre.artifacts.readArtifact("Marketplace");
-
-  fs.writeFileSync(
-    contractsDir + "/Marketplace.json",
-    JSON.stringify({
-      address: address,
-      abi: artifact.abi
-    }, null, 2)
-  );
+  // Save the address and ABI for the frontend, which picks the manifest of the connected chain
+  const transactions = await getIgnitionTransactions(hre);
+  const manifestPath = await writeManifest(hre, {
+    Marketplace: { address, transactionHash: transactions.get(address) }
+  });
 
-  console.log("Contract address and ABI saved to web_app/src/contracts/");
+  console.log(`Deployment saved to ${manifestPath}`);
 }
 
 main()
@@ -47,4 +31,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
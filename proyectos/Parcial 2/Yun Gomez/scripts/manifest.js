@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { listTransactions } = require("@nomicfoundation/ignition-core");
+
+// One manifest per network: deployments/<network>.json
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+function manifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Read the deployment manifest of a network
+ * @param {string} networkName Hardhat network name
+ * @returns {object | null} Manifest, or null if nothing was deployed there
+ */
+function readManifest(networkName) {
+  const file = manifestPath(networkName);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Map each contract address deployed by Ignition on the current chain to its deployment transaction
+ * @param {object} hre Hardhat runtime environment
+ * @returns {Promise<Map<string, string>>} Address => transaction hash
+ */
+async function getIgnitionTransactions(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deploymentDir = path.join(hre.config.paths.ignition, 'deployments', `chain-${chainId}`);
+  const transactions = await listTransactions(deploymentDir, hre.artifacts);
+
+  return new Map(
+    transactions
+      .filter((tx) => tx.type === 'DEPLOYMENT_EXECUTION_STATE' && tx.address !== undefined)
+      .map((tx) => [tx.address, tx.txHash])
+  );
+}
+
+/**
+ * Record contracts in the manifest of the current network. Contracts already in the manifest
+ * and not listed here are kept; a manifest from another chain with the same network name is replaced.
+ * @param {object} hre Hardhat runtime environment
+ * @param {Object<string, {address: string, transactionHash: string, artifact?: string, implementation?: string}>} contracts
+ *   Contracts by manifest name; `artifact` defaults to the name
+ * @returns {Promise<string>} Path of the written manifest
+ */
+async function writeManifest(hre, contracts) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const previous = readManifest(hre.network.name);
+  const manifest = previous && previous.chainId === Number(chainId)
+    ? previous
+    : { network: hre.network.name, chainId: Number(chainId), contracts: {} };
+
+  for (const [name, { address, transactionHash, artifact = name, implementation }] of Object.entries(contracts)) {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(transactionHash);
+    const { abi } = await hre.artifacts.readArtifact(artifact);
+
+    manifest.contracts[name] = {
+      address,
+      ...(implementation && { implementation }),
+      transactionHash,
+      blockNumber: receipt.blockNumber,
+      abi
+    };
+  }
+  manifest.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(manifestPath(hre.network.name), JSON.stringify(manifest, null, 2) + '\n');
+  return manifestPath(hre.network.name);
+}
+
+module.exports = { readManifest, writeManifest, getIgnitionTransactions };
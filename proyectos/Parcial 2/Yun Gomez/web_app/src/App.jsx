@@ -1,10 +1,12 @@
 // web_app/src/App.jsx
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { BrowserProvider, Contract, formatEther, parseEther } from 'ethers';
 import './App.css';
 
-// Import contract ABI and address (will be generated after deploy)
-import MarketplaceContract from './contracts/Marketplace.json';
+// Contract addresses and ABIs per network (written by scripts/deploy.js)
+import { getDeployment, DEPLOYED_NETWORKS } from './deployments.js';
+import { useWallets, loadWalletChoice, saveWalletChoice, clearWalletChoice, subscribeToWallet } from './wallets.js';
+import WalletPicker from './WalletPicker.jsx';
 
 function App() {
   const [currentAccount, setCurrentAccount] = useState('');
@@ -13,6 +15,14 @@ function App() {
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [contract, setContract] = useState(null);
+  // Wallet picked from the announced ones, and the one being connected (uuid)
+  const wallets = useWallets();
+  const [wallet, setWallet] = useState(null);
+  const [connecting, setConnecting] = useState(null);
+  const restoreAttempted = useRef(false);
+  // Connected chain ID, and whether the marketplace is deployed on it
+  const [chainId, setChainId] = useState(null);
+  const [unsupportedChain, setUnsupportedChain] = useState(false);
   const [theme, setTheme] = useState(() => {
     const savedTheme = localStorage.getItem('theme');
     if (savedTheme) {
@@ -22,23 +32,38 @@ function App() {
     }
   });
 
-  // Check if wallet is connected on load
+  // Reconnect the wallet used last time once it announces itself, if it still authorizes the site
   useEffect(() => {
-    // Check if user explicitly disconnected in this session
-    const userDisconnected = sessionStorage.getItem('userDisconnected');
-
-    if (!userDisconnected) {
-      checkIfWalletIsConnected();
-    } else {
-      console.log('Skipping automatic connection because user disconnected.');
-    }
-  }, []);
+    if (restoreAttempted.current || wallet) return;
+    const saved = wallets.find((candidate) => candidate.info.rdns === loadWalletChoice());
+    if (!saved) return;
+    restoreAttempted.current = true;
+    checkIfWalletIsConnected(saved);
+  }, [wallets, wallet]);
 
   useEffect(() => {
     document.body.className = theme;
     localStorage.setItem('theme', theme);
   }, [theme]);
 
+  // Follow account and network switches in the connected wallet
+  useEffect(() => {
+    if (!wallet) return;
+
+    return subscribeToWallet(wallet.provider, {
+      onAccountsChanged: (accounts) => {
+        if (accounts.length === 0) {
+          resetConnection();
+        } else {
+          setCurrentAccount(accounts[0]);
+          setupContract(wallet.provider);
+        }
+      },
+      // Pick the contract of the new chain
+      onChainChanged: () => setupContract(wallet.provider)
+    });
+  }, [wallet]);
+
   // Load market items when contract is ready
   useEffect(() => {
     if (contract) {
@@ -46,63 +71,63 @@ function App() {
     }
   }, [contract]);
 
-  const checkIfWalletIsConnected = async () => {
+  const checkIfWalletIsConnected = async (saved) => {
     try {
-      const { ethereum } = window;
-      
-      if (!ethereum) {
-        console.log("Make sure you have MetaMask!");
-        return;
-      }
-      
-      const accounts = await ethereum.request({ method: 'eth_accounts' });
+      const accounts = await saved.provider.request({ method: 'eth_accounts' });
       
       if (accounts.length !== 0) {
         const account = accounts[0];
         console.log("Found an authorized account:", account);
+        setWallet(saved);
         setCurrentAccount(account);
-        setupContract();
+        setupContract(saved.provider);
       }
     } catch (error) {
       console.log(error);
     }
   };
 
-  const connectWallet = async () => {
+  const connectWallet = async (selected) => {
     try {
-      const { ethereum } = window;
-      
-      if (!ethereum) {
-        alert("Get MetaMask!");
-        return;
-      }
-      
+      setConnecting(selected.info.uuid);
+
       // Clear current account state before requesting new connection
       setCurrentAccount('');
 
-      // Clear user disconnected flag
-      sessionStorage.removeItem('userDisconnected');
-
-      const accounts = await ethereum.request({ method: "eth_requestAccounts" });
+      const accounts = await selected.provider.request({ method: "eth_requestAccounts" });
       
-      console.log("Connected", accounts[0]);
+      console.log("Connected", accounts[0], "with", selected.info.name);
+      setWallet(selected);
+      saveWalletChoice(selected);
       setCurrentAccount(accounts[0]);
-      setupContract();
+      setupContract(selected.provider);
     } catch (error) {
       console.log(error);
+    } finally {
+      setConnecting(null);
     }
   };
 
-  const setupContract = async () => {
+  const setupContract = async (walletProvider) => {
     try {
-      const { ethereum } = window;
-      
-      if (ethereum) {
-        const provider = new BrowserProvider(ethereum);
+      if (walletProvider) {
+        const provider = new BrowserProvider(walletProvider);
+        const { chainId } = await provider.getNetwork();
+        const deployment = getDeployment(chainId);
+        setChainId(chainId);
+        setUnsupportedChain(!deployment);
+
+        if (!deployment) {
+          console.log(`Marketplace is not deployed on chain ${chainId}`);
+          setContract(null);
+          setMarketItems([]);
+          return;
+        }
+
         const signer = await provider.getSigner();
         const contract = new Contract(
-          MarketplaceContract.address,
-          MarketplaceContract.abi,
+          deployment.contracts.Marketplace.address,
+          deployment.contracts.Marketplace.abi,
           signer
         );
         
@@ -120,7 +145,7 @@ function App() {
       setLoading(true);
       const items = [];
       
-      console.log("Loading NFTs from contract at:", MarketplaceContract.address);
+      console.log("Loading NFTs from contract at:", contract.target);
       
       // Load first 10 NFTs
       for (let i = 1; i <= 10; i++) {
@@ -205,7 +230,7 @@ function App() {
       // Reload market items to reflect the purchase
       await loadMarketItems();
       
-      alert(`NFT #${tokenId} purchased successfully! Check your MetaMask wallet.`);
+      alert(`NFT #${tokenId} purchased successfully! Check your wallet.`);
     } catch (error) {
       console.log("Purchase error:", error);
       alert("Purchase failed. See console for details.");
@@ -232,10 +257,8 @@ function App() {
     }
   };
 
-  const disconnectWallet = () => {
-    // Set flag in session storage to indicate user disconnected
-    sessionStorage.setItem('userDisconnected', 'true');
-
+  const resetConnection = () => {
+    setWallet(null);
     setCurrentAccount('');
     setProvider(null);
     setSigner(null);
@@ -243,6 +266,12 @@ function App() {
     setMarketItems([]); // Clear market items on disconnect
   };
 
+  const disconnectWallet = () => {
+    // Forget the wallet so it is not reconnected on the next visit
+    clearWalletChoice();
+    resetConnection();
+  };
+
   const toggleTheme = () => {
     setTheme(prevTheme => prevTheme === 'dark' ? 'light' : 'dark');
   };
@@ -257,9 +286,7 @@ function App() {
         </button>
         
         {!currentAccount ? (
-          <button onClick={connectWallet} className="connect-btn">
-            Connect Wallet
-          </button>
+          <WalletPicker wallets={wallets} connecting={connecting} onSelect={connectWallet} />
         ) : (
           <div className="wallet-info">
             <p className="wallet-address">Connected: {currentAccount.slice(0, 6)}...{currentAccount.slice(-4)}</p>
@@ -273,7 +300,16 @@ function App() {
       <main>
         {loading && <div className="loading">Loading...</div>}
         
-        {currentAccount && (
+        {currentAccount && unsupportedChain && (
+          <div className="no-items">
+            <p>
+              The marketplace is not deployed on this network (chain {chainId?.toString()}).
+              Switch your wallet to {DEPLOYED_NETWORKS.join(', ') || 'a network with a deployment'}.
+            </p>
+          </div>
+        )}
+
+        {currentAccount && !unsupportedChain && (
           <>
             <div className="controls">
               <button onClick={loadMarketItems} className="refresh-btn">
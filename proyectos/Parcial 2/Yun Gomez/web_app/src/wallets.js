@@ -0,0 +1,48 @@
+// Wallet discovery (EIP-6963). Installed wallets answer an `eip6963:requestProvider` event with
+// `eip6963:announceProvider`, each with its own provider, so several can coexist.
+import { useState, useEffect } from 'react';
+
+const WALLET_STORAGE_KEY = 'marketplace:wallet'; // rdns of the last connected wallet
+
+// Used when no wallet announces itself but one injected window.ethereum
+const LEGACY_WALLET_INFO = { uuid: 'injected', name: 'Browser Wallet', icon: '', rdns: 'injected' };
+
+// Calls onChange with every { info, provider } announced so far; returns a function that stops listening
+function discoverWallets(onChange) {
+  const wallets = new Map();
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    // A wallet announces again on every request, with the same uuid
+    wallets.set(info.uuid, { info, provider });
+    onChange([...wallets.values()]);
+  };
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+}
+
+// Wallets installed in the browser, updated as they announce themselves
+export function useWallets() {
+  const [announced, setAnnounced] = useState([]);
+
+  useEffect(() => discoverWallets(setAnnounced), []);
+
+  if (announced.length > 0 || !window.ethereum) return announced;
+  return [{ info: LEGACY_WALLET_INFO, provider: window.ethereum }];
+}
+
+// The wallet picked by the user (by rdns, which stays the same across page loads)
+export const loadWalletChoice = () => localStorage.getItem(WALLET_STORAGE_KEY);
+export const saveWalletChoice = (wallet) => localStorage.setItem(WALLET_STORAGE_KEY, wallet.info.rdns);
+export const clearWalletChoice = () => localStorage.removeItem(WALLET_STORAGE_KEY);
+
+// Listen for account and network switches in one wallet; returns a function that removes the listeners
+export function subscribeToWallet(provider, { onAccountsChanged, onChainChanged }) {
+  if (!provider.on) return () => {};
+  provider.on('accountsChanged', onAccountsChanged);
+  provider.on('chainChanged', onChainChanged);
+  return () => {
+    provider.removeListener('accountsChanged', onAccountsChanged);
+    provider.removeListener('chainChanged', onChainChanged);
+  };
+}